@@ -0,0 +1,205 @@
+// Catalog batch page: upload a model photo and a manifest, then follow each
+// batch's progress and download its results.
+
+const POLL_INTERVAL_MS = 3000;
+
+let pollTimer = null;
+const openBatches = new Set(); // Batch IDs whose item list is shown
+
+const accountEmail = document.getElementById('accountEmail');
+const batchSignedOut = document.getElementById('batchSignedOut');
+const batchForm = document.getElementById('batchForm');
+const batchStyle = document.getElementById('batchStyle');
+const batchError = document.getElementById('batchError');
+const startBatchBtn = document.getElementById('startBatchBtn');
+const batchList = document.getElementById('batchList');
+const batchEmpty = document.getElementById('batchEmpty');
+
+document.addEventListener('DOMContentLoaded', async () => {
+    try {
+        const response = await fetch('/api/auth/me');
+        const data = await response.json();
+        if (!data.user) {
+            batchSignedOut.style.display = 'block';
+            return;
+        }
+        accountEmail.textContent = data.user.name || data.user.email;
+    } catch (error) {
+        console.error('Error loading account:', error);
+        batchSignedOut.style.display = 'block';
+        return;
+    }
+
+    batchForm.style.display = 'block';
+    batchForm.addEventListener('submit', startBatch);
+    loadStyles();
+    loadBatches();
+});
+
+async function loadStyles() {
+    try {
+        const response = await fetch('/api/styles');
+        const data = await response.json();
+        data.styles.forEach(style => {
+            const option = document.createElement('option');
+            option.value = style.id;
+            option.textContent = style.name;
+            option.selected = style.id === data.defaultStyle;
+            batchStyle.appendChild(option);
+        });
+    } catch (error) {
+        console.error('Error loading styles:', error);
+    }
+}
+
+async function startBatch(event) {
+    event.preventDefault();
+    batchError.style.display = 'none';
+    startBatchBtn.disabled = true;
+
+    try {
+        const response = await fetch('/api/batches', {
+            method: 'POST',
+            body: new FormData(batchForm)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            const details = Array.isArray(data.details) ? data.details : [];
+            throw new Error([data.error || 'Failed to start the batch', ...details].join('\n'));
+        }
+
+        batchForm.reset();
+        openBatches.add(data.batch.id);
+        loadBatches();
+    } catch (error) {
+        console.error('Error starting batch:', error);
+        batchError.textContent = error.message;
+        batchError.style.display = 'block';
+    } finally {
+        startBatchBtn.disabled = false;
+    }
+}
+
+async function loadBatches() {
+    clearTimeout(pollTimer);
+
+    try {
+        const response = await fetch('/api/batches');
+        if (!response.ok) {
+            throw new Error('Failed to load batches');
+        }
+        const { batches } = await response.json();
+        const details = await Promise.all(batches
+            .filter(batch => openBatches.has(batch.id))
+            .map(batch => fetch(`/api/batches/${batch.id}`).then(res => res.json()).then(data => data.batch)));
+
+        renderBatches(batches, new Map(details.filter(Boolean).map(batch => [batch.id, batch])));
+
+        // Keep polling while any batch is still working
+        if (batches.some(batch => ['queued', 'running', 'cancelling'].includes(batch.status))) {
+            pollTimer = setTimeout(loadBatches, POLL_INTERVAL_MS);
+        }
+    } catch (error) {
+        console.error('Error loading batches:', error);
+        pollTimer = setTimeout(loadBatches, POLL_INTERVAL_MS * 2);
+    }
+}
+
+function renderBatches(batches, details) {
+    batchEmpty.style.display = batches.length === 0 ? 'block' : 'none';
+    batchList.innerHTML = '';
+
+    batches.forEach(batch => {
+        const done = batch.completed + batch.failed + batch.cancelled;
+        const percent = batch.total > 0 ? Math.round((done / batch.total) * 100) : 0;
+        const active = ['queued', 'running'].includes(batch.status);
+        const card = document.createElement('div');
+        card.className = 'batch-card';
+        card.innerHTML = `
+            <div class="batch-card-header">
+                <div>
+                    <h4></h4>
+                    <p class="batch-meta"></p>
+                </div>
+                <span class="batch-status batch-status-${batch.status}">${batch.status}</span>
+            </div>
+            <div class="batch-progress"><div class="batch-progress-bar" style="width: ${percent}%"></div></div>
+            <p class="batch-meta">${done} of ${batch.total} SKUs · ${batch.completed} completed · ${batch.failed} failed · ${batch.images} image(s)</p>
+            <div class="batch-actions">
+                <button class="btn-secondary" data-action="toggle">${details.has(batch.id) ? 'Hide items' : 'Show items'}</button>
+                ${active ? '<button class="btn-secondary" data-action="cancel">Cancel</button>' : ''}
+                <a class="btn-secondary" href="/api/batches/${batch.id}/results?format=csv">CSV</a>
+                <a class="btn-secondary" href="/api/batches/${batch.id}/results?format=json">JSON</a>
+                <a class="btn-secondary" href="/api/batches/${batch.id}/results?format=zip">ZIP</a>
+            </div>
+        `;
+        card.querySelector('h4').textContent = batch.name;
+        card.querySelector('.batch-meta').textContent = `${new Date(batch.createdAt).toLocaleString()} · ${batch.imagesPerItem} image(s) per SKU`;
+        card.querySelector('[data-action="toggle"]').addEventListener('click', () => toggleBatch(batch.id));
+        const cancelBtn = card.querySelector('[data-action="cancel"]');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => cancelBatch(batch.id));
+        }
+
+        if (details.has(batch.id)) {
+            card.appendChild(renderItems(details.get(batch.id).items));
+        }
+        batchList.appendChild(card);
+    });
+}
+
+function renderItems(items) {
+    const list = document.createElement('ul');
+    list.className = 'batch-items';
+
+    items.forEach(item => {
+        const row = document.createElement('li');
+        row.innerHTML = `
+            <div><strong></strong> <span></span></div>
+            <div class="batch-item-images"></div>
+        `;
+        row.querySelector('strong').textContent = item.sku;
+        row.querySelector('span').textContent = item.error ? `${item.status}: ${item.error}` : item.status;
+        item.images.forEach(url => {
+            const link = document.createElement('a');
+            link.href = url;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            const image = document.createElement('img');
+            image.src = url;
+            image.alt = item.sku;
+            image.loading = 'lazy';
+            link.appendChild(image);
+            row.querySelector('.batch-item-images').appendChild(link);
+        });
+        list.appendChild(row);
+    });
+    return list;
+}
+
+function toggleBatch(batchId) {
+    if (openBatches.has(batchId)) {
+        openBatches.delete(batchId);
+    } else {
+        openBatches.add(batchId);
+    }
+    loadBatches();
+}
+
+async function cancelBatch(batchId) {
+    if (!confirm('Cancel this batch? SKUs that are already rendering will still finish.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/batches/${batchId}/cancel`, { method: 'POST' });
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || 'Failed to cancel the batch');
+        }
+        loadBatches();
+    } catch (error) {
+        console.error('Error cancelling batch:', error);
+        alert(error.message);
+    }
+}
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+// User accounts, saved to data/users.json.
+// Passwords are stored as scrypt hashes: scrypt$<salt>$<hash> (hex encoded).
+
+const USERS_FILE = process.env.USERS_FILE || path.join(__dirname, '..', 'data', 'users.json');
+const DEFAULT_PLAN = 'basic';
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+let users = null;
+
+function loadUsers() {
+    if (users) {
+        return users;
+    }
+
+    users = [];
+    if (fs.existsSync(USERS_FILE)) {
+        try {
+            users = JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
+        } catch (error) {
+            console.error(`Could not read users from ${USERS_FILE}:`, error.message);
+        }
+    }
+    return users;
+}
+
+function saveUsers() {
+    const dir = path.dirname(USERS_FILE);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    const tmpPath = `${USERS_FILE}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(users, null, 2));
+    fs.renameSync(tmpPath, USERS_FILE);
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, saltHex, hashHex] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) {
+        return false;
+    }
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+function normalizeEmail(email) {
+    return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+function findUserByEmail(email) {
+    const normalized = normalizeEmail(email);
+    return loadUsers().find(user => user.email === normalized) || null;
+}
+
+function getUser(id) {
+    return loadUsers().find(user => user.id === id) || null;
+}
+
+// Returns an error message, or null when the input is valid
+function validateSignup({ email, password, name }) {
+    const normalized = normalizeEmail(email);
+    if (!EMAIL_PATTERN.test(normalized) || normalized.length > 254) {
+        return 'A valid email address is required';
+    }
+    if (typeof password !== 'string' || password.length < 8 || password.length > 200) {
+        return 'Password must be between 8 and 200 characters';
+    }
+    if (name !== undefined && name !== null && (typeof name !== 'string' || name.length > 100)) {
+        return 'Name must be a string with max 100 characters';
+    }
+    if (findUserByEmail(normalized)) {
+        return 'An account with this email already exists';
+    }
+    return null;
+}
+
+async function createUser({ email, password, name }) {
+    const user = {
+        id: crypto.randomUUID(),
+        email: normalizeEmail(email),
+        name: name ? name.trim() : '',
+        passwordHash: await hashPassword(password),
+        plan: DEFAULT_PLAN,
+        createdAt: new Date().toISOString()
+    };
+
+    loadUsers().push(user);
+    saveUsers();
+    return user;
+}
+
+// Resolves to the user when the email and password match, otherwise null
+async function authenticate(email, password) {
+    const user = findUserByEmail(email);
+    if (!user || typeof password !== 'string') {
+        return null;
+    }
+    return await verifyPassword(password, user.passwordHash) ? user : null;
+}
+
+// Account view returned to clients. The password hash is never sent back.
+function toPublicUser(user) {
+    return {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        plan: user.plan,
+        createdAt: user.createdAt
+    };
+}
+
+module.exports = {
+    getUser,
+    validateSignup,
+    createUser,
+    authenticate,
+    toPublicUser
+};
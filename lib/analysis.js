@@ -0,0 +1,160 @@
+const llm = require('./llm');
+const { hashImage, createCache } = require('./analysisCache');
+const { getMedia, mediaIdFromUrl, resolveMediaInput } = require('./media');
+const { parseJson } = require('./promptSchema');
+const { garmentSchemaInstructions, normalizeGarmentRecord, describeGarment } = require('./garmentSchema');
+const { personCheckInstructions, normalizePersonCheck } = require('./personCheckSchema');
+
+// Vision analyses of the user photo and clothing items, shared by
+// /api/generate-prompt, /api/analyze-user-photo and /api/analyze-clothing.
+// Results are cached by image content hash, so re-running with a new style
+// or re-analyzing the same upload does not repeat the work.
+
+// Bump when the analysis prompts change so old cache entries are not reused
+const ANALYSIS_VERSION = 4;
+
+const cache = createCache({
+    ttlMs: parseInt(process.env.ANALYSIS_CACHE_TTL_MS) || 24 * 60 * 60 * 1000, // 24 hours
+    maxEntries: parseInt(process.env.ANALYSIS_CACHE_MAX_ENTRIES) || 500
+});
+
+const USER_SYSTEM_PROMPT = "You are a fashion expert who analyzes people's appearance in detail. Provide clear, structured descriptions of physical characteristics.";
+
+const USER_ANALYSIS_PROMPT = `Analyze the provided user photo and provide detailed descriptions of the person. Describe:
+
+1. Physical appearance (age, gender, ethnicity if visible)
+2. Facial features (hair color, hair style, facial hair, eye color if visible)
+3. Body type and build (height, build, posture)
+4. Current clothing and style
+5. Skin tone and complexion
+6. Any distinctive features or characteristics
+7. Overall appearance and style
+
+Please provide a clear, structured analysis of the person in the photo. Focus on details that will help create accurate virtual try-on images.`;
+
+const PERSON_CHECK_PROMPT = `Check whether this photo is suitable for a virtual try-on, where new clothes are rendered onto the main person. Count the people, say how much of the main person is in frame and whether anything makes the photo hard to use.
+
+${personCheckInstructions()}`;
+
+const CLOTHING_SYSTEM_PROMPT = "You are a fashion expert who analyzes clothing items in detail. Provide clear, structured descriptions of clothing characteristics.";
+
+const CLOTHING_ANALYSIS_PROMPT = `Analyze the provided clothing image and describe the single main item shown: its type, where on the body it is worn, colors, pattern, material and fit.
+
+${garmentSchemaInstructions()}`;
+
+function cacheKey(task, imageHash) {
+    return `${task}:v${ANALYSIS_VERSION}:${llm.modelForTask(task)}:${imageHash}`;
+}
+
+// Stored media is keyed by its recorded content hash, so a /media reference
+// shares cache entries with a data URL of the same bytes
+function imageHash(image) {
+    const id = mediaIdFromUrl(image);
+    const record = id ? getMedia(id) : null;
+    return record ? record.sha256 : hashImage(image);
+}
+
+function imageMessages(systemPrompt, text, image) {
+    return [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: [
+            { type: "text", text: text },
+            {
+                type: "image_url",
+                image_url: { url: image }
+            }
+        ]}
+    ];
+}
+
+// Resolves to { analysis, cached, hash }
+async function analyzeUserPhoto(image) {
+    const hash = imageHash(image);
+    const { value, cached } = await cache.getOrCompute(cacheKey('user-analysis', hash), async () =>
+        llm.complete('user-analysis', imageMessages(USER_SYSTEM_PROMPT, USER_ANALYSIS_PROMPT, await resolveMediaInput(image)))
+    );
+    return { analysis: value, cached: cached, hash: hash };
+}
+
+// Resolves to { check, cached, hash }; check is a normalized person check (see personCheckSchema.js)
+async function checkUserPhoto(image) {
+    const hash = imageHash(image);
+    const { value, cached } = await cache.getOrCompute(cacheKey('person-check', hash), async () => {
+        const response = await llm.complete('person-check', imageMessages(USER_SYSTEM_PROMPT, PERSON_CHECK_PROMPT, await resolveMediaInput(image)), { json: true });
+        const { check, errors } = normalizePersonCheck(parseJson(response));
+        if (!check) {
+            throw new Error(`Invalid person check: ${errors.join('; ')}`);
+        }
+        if (errors.length > 0) {
+            console.warn('Person check had invalid fields, using defaults:', errors);
+        }
+        return check;
+    });
+    return { check: value, cached: cached, hash: hash };
+}
+
+// Ask for a garment record, sending invalid JSON back once for repair
+async function requestGarmentRecord(image) {
+    const messages = imageMessages(CLOTHING_SYSTEM_PROMPT, CLOTHING_ANALYSIS_PROMPT, image);
+    let response = await llm.complete('clothing-analysis', messages, { json: true });
+
+    let parsed;
+    try {
+        parsed = parseJson(response);
+    } catch (error) {
+        console.warn('Garment analysis was not valid JSON, asking for a repair:', error.message);
+        response = await llm.complete('clothing-analysis', [
+            ...messages,
+            { role: "assistant", content: response },
+            { role: "user", content: `That was not valid JSON (${error.message}). Reply again with only the JSON object.` }
+        ], { json: true });
+        parsed = parseJson(response);
+    }
+
+    const { record, errors } = normalizeGarmentRecord(parsed);
+    if (!record) {
+        throw new Error(`Invalid garment analysis: ${errors.join('; ')}`);
+    }
+    if (errors.length > 0) {
+        console.warn('Garment analysis had invalid fields, using defaults:', errors);
+        record.confidence = Math.min(record.confidence, 0.5);
+    }
+    return record;
+}
+
+// Resolves to { record, analysis, cached, hash } for a single clothing image
+async function analyzeClothingItem(image) {
+    const hash = imageHash(image);
+    const { value, cached } = await cache.getOrCompute(cacheKey('clothing-analysis', hash), async () =>
+        requestGarmentRecord(await resolveMediaInput(image))
+    );
+    return { record: value, analysis: describeGarment(value), cached: cached, hash: hash };
+}
+
+// Analyzes every item (in parallel) and joins them into one numbered description.
+// cached is true only when every item came from the cache.
+async function analyzeClothing(images) {
+    const items = await Promise.all(images.map(analyzeClothingItem));
+
+    const analysis = items
+        .map((item, index) => `Item ${index + 1}:\n${item.analysis}`)
+        .join('\n\n');
+
+    return {
+        analysis: analysis,
+        cached: items.every(item => item.cached),
+        items: items
+    };
+}
+
+function describeAnalysisCache() {
+    return cache.describe();
+}
+
+module.exports = {
+    analyzeUserPhoto,
+    checkUserPhoto,
+    analyzeClothingItem,
+    analyzeClothing,
+    describeAnalysisCache
+};
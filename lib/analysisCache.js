@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+
+// Content-addressed cache with a TTL and an entry limit (least recently used
+// entries are evicted first). Concurrent requests for the same key share one
+// in-flight computation.
+
+// Hash the decoded bytes of a data URL, or the URL itself for remote images
+function hashImage(image) {
+    const match = /^data:[^;,]*(;base64)?,(.*)$/s.exec(image);
+    const content = match
+        ? Buffer.from(match[2], match[1] ? 'base64' : 'utf8')
+        : Buffer.from(String(image));
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function createCache({ ttlMs, maxEntries }) {
+    const entries = new Map();
+    const inFlight = new Map();
+    const stats = { hits: 0, misses: 0 };
+
+    function get(key) {
+        const entry = entries.get(key);
+        if (!entry) {
+            return undefined;
+        }
+        if (entry.expiresAt < Date.now()) {
+            entries.delete(key);
+            return undefined;
+        }
+        // Re-insert so Map order tracks recency
+        entries.delete(key);
+        entries.set(key, entry);
+        return entry.value;
+    }
+
+    function set(key, value) {
+        entries.delete(key);
+        entries.set(key, { value: value, expiresAt: Date.now() + ttlMs });
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    }
+
+    // Resolves to { value, cached }. Failed computations are not cached.
+    async function getOrCompute(key, compute) {
+        const existing = get(key);
+        if (existing !== undefined) {
+            stats.hits++;
+            return { value: existing, cached: true };
+        }
+
+        if (inFlight.has(key)) {
+            stats.hits++;
+            return { value: await inFlight.get(key), cached: true };
+        }
+
+        stats.misses++;
+        const pending = compute();
+        inFlight.set(key, pending);
+        try {
+            const value = await pending;
+            set(key, value);
+            return { value: value, cached: false };
+        } finally {
+            inFlight.delete(key);
+        }
+    }
+
+    function describe() {
+        return { entries: entries.size, maxEntries: maxEntries, ttlMs: ttlMs, ...stats };
+    }
+
+    return { get, set, getOrCompute, describe };
+}
+
+module.exports = {
+    hashImage,
+    createCache
+};
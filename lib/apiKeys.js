@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getUser } = require('./accounts');
+const { getPlan } = require('./plans');
+
+// Per-account API keys for the /v1 API, saved to data/api-keys.json.
+// A key is shown once when it is created; only its SHA-256 hash is stored.
+// Keys look like tryon_<48 hex chars>; the first few characters are kept as a
+// prefix so the owner can tell their keys apart.
+
+const API_KEYS_FILE = process.env.API_KEYS_FILE || path.join(__dirname, '..', 'data', 'api-keys.json');
+const MAX_API_KEYS_PER_USER = parseInt(process.env.MAX_API_KEYS_PER_USER) || 10;
+const KEY_PREFIX = 'tryon_';
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000;
+
+let apiKeys = null;
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function loadApiKeys() {
+    if (apiKeys) {
+        return apiKeys;
+    }
+
+    apiKeys = [];
+    if (fs.existsSync(API_KEYS_FILE)) {
+        try {
+            apiKeys = JSON.parse(fs.readFileSync(API_KEYS_FILE, 'utf8'));
+        } catch (error) {
+            console.error(`Could not read API keys from ${API_KEYS_FILE}:`, error.message);
+        }
+    }
+    return apiKeys;
+}
+
+function saveApiKeys() {
+    const dir = path.dirname(API_KEYS_FILE);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    const tmpPath = `${API_KEYS_FILE}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(apiKeys, null, 2));
+    fs.renameSync(tmpPath, API_KEYS_FILE);
+}
+
+// Active (not revoked) keys for an account, newest first
+function listApiKeys(userId) {
+    return loadApiKeys()
+        .filter(record => record.userId === userId && !record.revokedAt)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Returns an error message, or null when the account may create another key
+function validateApiKeyRequest(user, { name }) {
+    if (!getPlan(user.plan).apiAccess) {
+        return `The ${getPlan(user.plan).name} plan does not include API access. Upgrade to Premium to create API keys.`;
+    }
+    if (name !== undefined && name !== null && (typeof name !== 'string' || name.trim().length > 50)) {
+        return 'Key name must be a string with max 50 characters';
+    }
+    if (listApiKeys(user.id).length >= MAX_API_KEYS_PER_USER) {
+        return `No more than ${MAX_API_KEYS_PER_USER} API keys can be active at once`;
+    }
+    return null;
+}
+
+// Returns { key, record }. The plain key is not stored anywhere.
+function createApiKey(userId, name) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    const record = {
+        id: crypto.randomUUID(),
+        userId: userId,
+        name: name && name.trim() ? name.trim() : 'API key',
+        prefix: key.slice(0, KEY_PREFIX.length + 6),
+        hash: hashKey(key),
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+        revokedAt: null
+    };
+
+    loadApiKeys().push(record);
+    saveApiKeys();
+    return { key, record };
+}
+
+// Returns true when an active key was revoked
+function revokeApiKey(id, userId) {
+    const record = loadApiKeys().find(item => item.id === id && item.userId === userId && !item.revokedAt);
+    if (!record) {
+        return false;
+    }
+    record.revokedAt = new Date().toISOString();
+    saveApiKeys();
+    return true;
+}
+
+// Returns { user, apiKey } for a valid key, otherwise null.
+// Keys stop working when the owner's plan no longer includes API access.
+function authenticateApiKey(key) {
+    if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) {
+        return null;
+    }
+
+    const hash = hashKey(key);
+    const record = loadApiKeys().find(item => item.hash === hash && !item.revokedAt);
+    const user = record ? getUser(record.userId) : null;
+    if (!user || !getPlan(user.plan).apiAccess) {
+        return null;
+    }
+
+    // lastUsedAt is only a hint, so it is written at most once a minute per key
+    const now = Date.now();
+    if (!record.lastUsedAt || now - Date.parse(record.lastUsedAt) > LAST_USED_WRITE_INTERVAL_MS) {
+        record.lastUsedAt = new Date(now).toISOString();
+        saveApiKeys();
+    }
+
+    return { user, apiKey: record };
+}
+
+function toPublicApiKey(record) {
+    return {
+        id: record.id,
+        name: record.name,
+        prefix: record.prefix,
+        createdAt: record.createdAt,
+        lastUsedAt: record.lastUsedAt
+    };
+}
+
+module.exports = {
+    listApiKeys,
+    validateApiKeyRequest,
+    createApiKey,
+    revokeApiKey,
+    authenticateApiKey,
+    toPublicApiKey
+};
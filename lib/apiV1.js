@@ -0,0 +1,1216 @@
+const express = require('express');
+const crypto = require('crypto');
+const rateLimit = require('express-rate-limit');
+const { jobEvents, getJob } = require('./jobs');
+const styles = require('./styles');
+const history = require('./history');
+const usage = require('./usage');
+const { analyzeUserPhoto, analyzeClothing } = require('./analysis');
+const { writePrompts } = require('./promptWriter');
+const { queueTryOnJob, queueGenerationJob, queueReproduction, queueVideoJob, saveRunInputs } = require('./generation');
+const provenance = require('./provenance');
+const { OUTFIT_SLOTS, MAX_LAYER, validateOutfit, orderClothingImages } = require('./outfit');
+const videoPresets = require('./videoPresets');
+const { getVideoOptions } = require('./providers');
+const { authenticateApiKey } = require('./apiKeys');
+const webhooks = require('./webhooks');
+const { validateBody, buildOpenApiDocument } = require('./openapi');
+const ingest = require('./ingest');
+const { preflightPerson, preflightGarment } = require('./preflight');
+const moderation = require('./moderation');
+const { publicBaseUrl } = require('./media');
+const progress = require('./progress');
+
+// Public, versioned REST API for partners, mounted at /v1.
+// Every field is camelCase and every error is { error: { code, message } }.
+// Callers authenticate with an API key (Authorization: Bearer <key> or
+// X-API-Key) and are metered against the key owner's plan. The route table
+// below drives both request validation and GET /v1/openapi.json.
+// Generation requests may set webhookUrl to get a signed POST when the job
+// finishes instead of polling.
+
+const API_VERSION = '1.0.0';
+const V1_RATE_LIMIT_WINDOW_MS = parseInt(process.env.V1_RATE_LIMIT_WINDOW_MS) || 60 * 1000;
+const V1_RATE_LIMIT_MAX_REQUESTS = parseInt(process.env.V1_RATE_LIMIT_MAX_REQUESTS) || 60;
+
+const MAX_GARMENT_IMAGES = 10;
+
+// Images are data URLs, public http(s) URLs, or /media URLs returned by this API.
+// Data URLs and http(s) URLs are ingested (downloaded, checked, auto-oriented,
+// stripped of metadata and resized) before a handler sees them, so handlers
+// get /media URLs instead.
+const IMAGE_SCHEMA = {
+    type: 'string',
+    pattern: '^(data:image/|https?://|/media/)',
+    maxLength: 50 * 1024 * 1024,
+    description: 'A data:image/... URL (JPEG, PNG, WebP, GIF or AVIF; metadata is stripped and large images are scaled down), a public http(s) URL (downloaded by the server), or a /media/... URL returned by this API'
+};
+
+const PERSON_IMAGE = { ...IMAGE_SCHEMA, description: `Photo of the person. ${IMAGE_SCHEMA.description}` };
+const GARMENT_IMAGES = {
+    type: 'array',
+    minItems: 1,
+    maxItems: MAX_GARMENT_IMAGES,
+    items: IMAGE_SCHEMA,
+    description: 'One image per clothing item'
+};
+const STYLE = { type: 'string', maxLength: 100, description: 'Style ID from GET /v1/styles' };
+const IMAGE_COUNT = { type: 'integer', minimum: 1, maximum: 5, description: 'Number of images to generate (limited by plan)' };
+const CUSTOM_DETAILS = { type: 'string', maxLength: 1000, description: 'Free-text details for the prompt writer' };
+const RUN_ID = {
+    type: 'string',
+    pattern: '^[A-Za-z0-9_-]{8,100}$',
+    description: 'Run to continue, e.g. the runId returned by POST /v1/prompts. A new run is started when omitted.'
+};
+const NEW_RUN_ID = { ...RUN_ID, description: 'ID of the new run. A random one is used when omitted. A reproduced video has no run.' };
+const WEBHOOK_URL = {
+    type: 'string',
+    pattern: '^https?://',
+    maxLength: 2000,
+    description: 'Receives a signed job.completed or job.failed event when the job finishes. Only available when the server has PUBLIC_BASE_URL set.'
+};
+const OUTFIT = {
+    type: 'array',
+    maxItems: MAX_GARMENT_IMAGES,
+    items: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            slot: { type: 'string', enum: OUTFIT_SLOTS },
+            layer: { type: 'integer', minimum: 1, maximum: MAX_LAYER, description: 'Layering order, 1 = closest to the body' }
+        }
+    },
+    description: 'Slot and layer for each garment image, in the same order. Leave a field out (or pass {}) to fill it from the garment analysis.'
+};
+const VIDEO_SETTINGS = {
+    preset: {
+        type: 'string',
+        enum: videoPresets.VIDEO_PRESETS.map(preset => preset.id),
+        description: `Motion preset from GET /v1/video-presets (default ${videoPresets.DEFAULT_VIDEO_PRESET_ID})`
+    },
+    prompt: {
+        type: 'string',
+        minLength: 1,
+        maxLength: videoPresets.MAX_VIDEO_PROMPT_LENGTH,
+        description: 'Custom motion prompt for the video model; replaces the preset'
+    },
+    duration: { type: 'integer', description: 'Length in seconds, one of the durations listed by GET /v1/video-presets' },
+    aspectRatio: { type: 'string', maxLength: 10, description: 'One of the aspect ratios listed by GET /v1/video-presets' }
+};
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const SCHEMAS = {
+    Error: {
+        type: 'object',
+        properties: {
+            error: {
+                type: 'object',
+                properties: {
+                    code: { type: 'string', description: 'Stable machine-readable code, e.g. invalid_request, invalid_image, content_blocked, quota_exceeded' },
+                    message: { type: 'string' },
+                    usage: ref('Usage')
+                },
+                required: ['code', 'message']
+            }
+        }
+    },
+    Usage: {
+        type: 'object',
+        properties: {
+            plan: { type: 'string' },
+            planName: { type: 'string' },
+            period: { type: 'string', description: 'Billing month, YYYY-MM (UTC)' },
+            periodEnd: { type: 'string', format: 'date-time' },
+            images: { type: 'integer' },
+            videos: { type: 'integer' },
+            used: { type: 'integer' },
+            limit: { type: 'integer' },
+            remaining: { type: 'integer' },
+            maxImagesPerGeneration: { type: 'integer' }
+        }
+    },
+    Style: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            description: { type: 'string' },
+            custom: { type: 'boolean' }
+        }
+    },
+    VideoPreset: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            description: { type: 'string' }
+        }
+    },
+    VideoOptions: {
+        type: 'object',
+        description: 'Options the configured video model accepts; empty lists mean it takes neither',
+        properties: {
+            durations: { type: 'array', items: { type: 'integer' } },
+            aspectRatios: { type: 'array', items: { type: 'string' } }
+        }
+    },
+    Garment: {
+        type: 'object',
+        properties: {
+            category: { type: 'string' },
+            slot: { type: 'string' },
+            colors: { type: 'array', items: { type: 'string' } },
+            pattern: { type: 'string' },
+            material: { type: 'string' },
+            fit: { type: 'string' },
+            confidence: { type: 'number' },
+            description: { type: 'string' },
+            fullyVisible: { type: 'boolean', description: 'The whole item is in frame and not covered' },
+            background: { type: 'string', enum: ['plain', 'busy'] }
+        }
+    },
+    Preflight: {
+        type: 'object',
+        description: 'Whether a photo is suitable for a try-on. Runs should not be started while ok is false.',
+        properties: {
+            ok: { type: 'boolean', description: 'False when any verdict has severity error' },
+            checks: {
+                type: 'object',
+                description: 'Raw findings: peopleCount, framing, fullBody, faceVisible, obstructed and blurry for a person; fullyVisible and background for a garment; width and height for both'
+            },
+            verdicts: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        code: { type: 'string', description: 'e.g. multiple_people, upper_body_only, garment_cropped, busy_background, low_resolution' },
+                        severity: { type: 'string', enum: ['error', 'warning'] },
+                        message: { type: 'string' },
+                        fix: { type: 'string', description: 'What to change in the photo' }
+                    }
+                }
+            }
+        }
+    },
+    OutfitItem: {
+        type: 'object',
+        properties: {
+            index: { type: 'integer', description: 'Position in garmentImages' },
+            imageNumber: { type: 'integer', description: 'Position sent to the image model (1 is the person)' },
+            slot: { type: 'string' },
+            layer: { type: 'integer' },
+            slotSource: { type: 'string', enum: ['user', 'analysis', 'default'] }
+        }
+    },
+    ResultScore: {
+        type: 'object',
+        description: 'Quality scores (0-10, higher is better) given by the vision judge',
+        properties: {
+            identity: { type: 'integer', description: 'Likeness of the person is preserved' },
+            garmentFidelity: { type: 'integer', description: 'The new clothes match the uploaded garments' },
+            otherClothing: { type: 'integer', description: 'Clothing that was not asked to change is unchanged' },
+            artifacts: { type: 'integer', description: 'Free of distortions; 10 is clean' },
+            overall: { type: 'number', description: 'Weighted mean of the criteria' },
+            issues: { type: 'array', items: { type: 'string' } }
+        }
+    },
+    ProvenanceInput: {
+        type: 'object',
+        properties: {
+            url: { type: 'string', nullable: true, description: '/media URL of the stored input; null when it was not stored, in which case the output cannot be reproduced' },
+            mediaId: { type: 'string', nullable: true },
+            sha256: { type: 'string' }
+        }
+    },
+    Provenance: {
+        type: 'object',
+        description: 'What produced one generated image or video',
+        properties: {
+            id: { type: 'string' },
+            kind: { type: 'string', enum: ['image', 'video'] },
+            createdAt: { type: 'string', format: 'date-time' },
+            runId: { type: 'string', nullable: true },
+            jobId: { type: 'string', nullable: true },
+            source: { type: 'string', nullable: true, description: 'web, v1 or batch' },
+            index: { type: 'integer', nullable: true },
+            person: { type: 'integer', nullable: true },
+            provider: { type: 'string' },
+            model: { type: 'string' },
+            version: { type: 'string', nullable: true, description: 'Model version; null when the provider did not report one' },
+            predictionId: { type: 'string', nullable: true, description: 'ID of the prediction at the provider' },
+            seed: { type: 'integer', nullable: true, description: 'Seed sent to the model' },
+            prompt: { type: 'string' },
+            preset: { type: 'string', nullable: true, description: 'Video only: motion preset the prompt came from' },
+            duration: { type: 'integer', nullable: true, description: 'Video only' },
+            aspectRatio: { type: 'string', nullable: true, description: 'Video only' },
+            inputs: {
+                type: 'object',
+                description: 'person and garments for an image, image for a video',
+                properties: {
+                    person: ref('ProvenanceInput'),
+                    garments: { type: 'array', items: ref('ProvenanceInput'), description: 'In the order sent to the image model' },
+                    image: ref('ProvenanceInput')
+                }
+            },
+            output: {
+                type: 'object',
+                properties: {
+                    url: { type: 'string' },
+                    mediaId: { type: 'string', nullable: true },
+                    sha256: { type: 'string', nullable: true }
+                }
+            },
+            timings: {
+                type: 'object',
+                properties: {
+                    startedAt: { type: 'string', format: 'date-time' },
+                    completedAt: { type: 'string', format: 'date-time' },
+                    durationMs: { type: 'integer', description: 'Generation, storage and moderation' },
+                    predictTimeMs: { type: 'integer', nullable: true, description: 'Time the provider spent on the prediction' }
+                }
+            },
+            reproducedFrom: { type: 'string', nullable: true, description: 'Record this output was reproduced from' },
+            changes: { type: 'array', items: { type: 'string' }, nullable: true, description: 'Fields changed from that record' }
+        }
+    },
+    Output: {
+        type: 'object',
+        properties: {
+            index: { type: 'integer' },
+            status: { type: 'string', enum: ['pending', 'running', 'completed', 'failed', 'blocked'], description: 'blocked: content moderation withheld the image or video; its URL is a placeholder' },
+            imageUrl: { type: 'string', nullable: true },
+            videoUrl: { type: 'string', nullable: true },
+            videoPreset: { type: 'string', nullable: true, description: 'Motion preset of the video, null for a custom prompt' },
+            provenanceId: { type: 'string', nullable: true, description: 'Of the image, or of the video in a video job. See GET /v1/provenance/{id}' },
+            videoProvenanceId: { type: 'string', nullable: true, description: 'Of the video made from the image in a generation job' },
+            score: { allOf: [ref('ResultScore')], nullable: true, description: 'Null when the image was not scored' },
+            rank: { type: 'integer', nullable: true, description: 'Position by overall score among the outputs for the same person, 1 is best' },
+            error: { type: 'string', nullable: true },
+            videoError: { type: 'string', nullable: true }
+        }
+    },
+    Job: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            type: { type: 'string', enum: ['try-on', 'generation', 'video'] },
+            status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed'] },
+            runId: { type: 'string', nullable: true },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+            total: { type: 'integer' },
+            completed: { type: 'integer' },
+            prompts: { type: 'array', items: { type: 'string' }, nullable: true },
+            outfit: { type: 'array', items: ref('OutfitItem'), nullable: true, description: 'Garment layering order of a generation job' },
+            outputs: { type: 'array', items: ref('Output') },
+            error: { type: 'string', nullable: true },
+            statusUrl: { type: 'string' }
+        }
+    },
+    WebhookEvent: {
+        type: 'object',
+        description: 'Body of a webhook request. Verify X-Webhook-Signature before trusting it.',
+        properties: {
+            id: { type: 'string', description: 'Delivery ID, also sent as X-Webhook-Id. The same for every retry.' },
+            type: { type: 'string', enum: ['job.completed', 'job.failed'] },
+            createdAt: { type: 'string', format: 'date-time' },
+            data: { type: 'object', properties: { job: ref('Job') } }
+        }
+    },
+    WebhookDelivery: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            url: { type: 'string' },
+            event: { type: 'string' },
+            jobId: { type: 'string', nullable: true },
+            status: { type: 'string', enum: ['pending', 'retrying', 'delivered', 'failed'] },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+            nextAttemptAt: { type: 'string', format: 'date-time', nullable: true },
+            attempts: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        at: { type: 'string', format: 'date-time' },
+                        statusCode: { type: 'integer', nullable: true },
+                        durationMs: { type: 'integer' },
+                        error: { type: 'string', nullable: true },
+                        response: { type: 'string', nullable: true, description: 'Start of the response body' }
+                    }
+                }
+            },
+            payload: ref('WebhookEvent')
+        }
+    }
+};
+
+const SECURITY_SCHEMES = {
+    bearerAuth: { type: 'http', scheme: 'bearer', description: 'API key as a bearer token' },
+    apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+};
+
+const AUTH_ERRORS = [
+    { status: 401, description: 'Missing or invalid API key' },
+    { status: 429, description: 'Rate limit or monthly quota exceeded' }
+];
+const REQUEST_ERRORS = [{ status: 400, description: 'Invalid request' }, ...AUTH_ERRORS];
+const MODERATION_ERRORS = [
+    { status: 422, description: 'An image or text was blocked by content moderation (content_blocked)' },
+    { status: 503, description: 'Content moderation is unavailable (moderation_unavailable)' }
+];
+const GENERATION_ERRORS = [...REQUEST_ERRORS, { status: 402, description: 'The plan does not allow this many images' }, ...MODERATION_ERRORS];
+const REPRODUCTION_ERRORS = [
+    ...GENERATION_ERRORS,
+    { status: 404, description: 'Provenance record not found' },
+    { status: 409, description: 'runId is already in use' },
+    { status: 410, description: 'The input images of this output are no longer stored (inputs_unavailable)' }
+];
+
+class ApiError extends Error {
+    constructor(status, code, message, usageSummary) {
+        super(message);
+        this.status = status;
+        this.code = code;
+        this.usage = usageSummary;
+    }
+}
+
+function sendError(res, status, code, message, usageSummary) {
+    if (status === 429 && usageSummary) {
+        const secondsLeft = Math.ceil((new Date(usageSummary.periodEnd) - Date.now()) / 1000);
+        res.set('Retry-After', String(Math.max(secondsLeft, 1)));
+    }
+    res.status(status).json({ error: { code: code, message: message, usage: usageSummary } });
+}
+
+// Throws an ApiError when the plan rejects the request
+function reserveOrThrow(req, kind, count) {
+    const metered = usage.reserve(usage.subjectFor(req), usage.planFor(req), kind, count);
+    if (!metered.reservation) {
+        throw new ApiError(metered.status, metered.code, metered.error, metered.usage);
+    }
+    return metered.reservation;
+}
+
+function checkStyle(style, userId) {
+    if (!styles.getStyle(style, userId)) {
+        throw new ApiError(400, 'invalid_request', `Unknown style: ${style}`);
+    }
+}
+
+function checkVideoSettings(settings) {
+    const problem = videoPresets.validateVideoSettings(settings);
+    if (problem) {
+        throw new ApiError(400, 'invalid_request', problem);
+    }
+}
+
+// Ingest the route's image fields in place; unusable images are a 400
+async function ingestImages(body, fields) {
+    try {
+        await ingest.ingestFields(body, fields);
+    } catch (error) {
+        if (error instanceof ingest.IngestError) {
+            throw new ApiError(400, 'invalid_image', error.message);
+        }
+        throw error;
+    }
+}
+
+// Check the route's inputs with content moderation; `inputs` is
+// { people, garments, images, texts } as selected by the route's `moderate`
+async function moderateRequest(req, inputs) {
+    let result;
+    try {
+        result = await moderation.moderateInputs(inputs, { source: 'v1', userId: req.user.id });
+    } catch (error) {
+        if (error instanceof moderation.ModerationError) {
+            throw new ApiError(503, 'moderation_unavailable', error.message);
+        }
+        throw error;
+    }
+    if (!result.allowed) {
+        throw new ApiError(422, 'content_blocked', moderation.describeBlocked(result.blocked));
+    }
+}
+
+function checkOutfit(outfit, garmentImages) {
+    const problem = validateOutfit(outfit, garmentImages.length);
+    if (problem) {
+        throw new ApiError(400, 'invalid_request', problem);
+    }
+}
+
+// Start a run in the key owner's history, or continue one of theirs. The run's
+// progress stream must be theirs too.
+function startRun(req, runId, patch) {
+    const id = runId || crypto.randomUUID();
+    if (!progress.claim(id, usage.subjectFor(req)) || !history.updateRun(id, req.user.id, patch)) {
+        throw new ApiError(409, 'run_conflict', 'This runId belongs to another account');
+    }
+    return id;
+}
+
+// { url, baseUrl } for the job input, or null. Throws when the URL is unusable,
+// or when the server has no PUBLIC_BASE_URL to make the job's URLs absolute with.
+function webhookFor(req) {
+    if (!req.body.webhookUrl) {
+        return null;
+    }
+    if (!publicBaseUrl()) {
+        throw new ApiError(400, 'invalid_request', 'webhookUrl cannot be used: this server has no PUBLIC_BASE_URL set');
+    }
+    const problem = webhooks.validateWebhookUrl(req.body.webhookUrl);
+    if (problem) {
+        throw new ApiError(400, 'invalid_request', problem);
+    }
+    return { url: req.body.webhookUrl, baseUrl: publicBaseUrl() };
+}
+
+function toApiJob(job, baseUrl = '') {
+    const absolute = url => (url && url.startsWith('/') ? `${baseUrl}${url}` : url || null);
+    const prompts = job.type === 'try-on'
+        ? job.input.prompts
+        : (job.output && job.output.prompts) || null;
+
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        runId: job.input.runId || null,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        total: job.results.length,
+        completed: job.results.filter(result => result.status === 'completed').length,
+        prompts: prompts,
+        outfit: (job.output && job.output.outfit) || null,
+        outputs: job.results.map(result => ({
+            index: result.index,
+            status: result.status,
+            imageUrl: job.type === 'video' ? null : absolute(result.url),
+            videoUrl: absolute(job.type === 'video' ? result.url : result.videoUrl),
+            videoPreset: (job.type === 'video' ? result.preset : result.videoPreset) || null,
+            provenanceId: result.provenanceId || null,
+            videoProvenanceId: result.videoProvenanceId || null,
+            score: result.score || null,
+            rank: result.rank || null,
+            error: result.error || null,
+            videoError: result.videoError || null
+        })),
+        error: job.error,
+        statusUrl: `${baseUrl}/v1/jobs/${job.id}`
+    };
+}
+
+function findProvenance(req) {
+    const record = provenance.getProvenance(req.params.id, req.user.id);
+    if (!record) {
+        throw new ApiError(404, 'not_found', 'Provenance record not found');
+    }
+    return record;
+}
+
+// Queue a reproduction of the record in the URL with `changes` applied.
+// An image becomes a new run; a video becomes a video job without one.
+async function reproduce(req, changes) {
+    const record = findProvenance(req);
+    const video = record.kind === 'video';
+    const problem = provenance.validateChanges(changes, record.kind);
+    if (problem) {
+        throw new ApiError(400, 'invalid_request', problem);
+    }
+    const { reproduction, error } = provenance.buildReproduction(record, changes);
+    if (!reproduction) {
+        throw new ApiError(410, 'inputs_unavailable', error);
+    }
+    // A reproduction is a new run, so an existing run is never overwritten
+    if (!video && req.body.runId && history.getRun(req.body.runId, req.user.id)) {
+        throw new ApiError(409, 'run_conflict', 'This runId is already in use');
+    }
+    await moderateRequest(req, video
+        ? { images: reproduction.imageUrl, texts: reproduction.prompt }
+        : { people: reproduction.personImage, garments: reproduction.garmentImages, texts: reproduction.prompt });
+
+    const webhook = webhookFor(req);
+    const reservation = reserveOrThrow(req, video ? 'videos' : 'images', 1);
+    let job;
+    try {
+        const runId = video ? null : startRun(req, req.body.runId, {});
+        job = queueReproduction(reproduction, {
+            runId: runId,
+            userId: req.user.id,
+            usage: reservation,
+            webhook: webhook,
+            source: 'v1'
+        });
+    } catch (error) {
+        usage.release(reservation, reservation.count);
+        throw error;
+    }
+
+    return { job: toApiJob(job, publicBaseUrl()), usage: usage.getUsage(usage.subjectFor(req), usage.planFor(req)) };
+}
+
+const ROUTES = [
+    {
+        method: 'get',
+        path: '/styles',
+        operationId: 'listStyles',
+        summary: 'List the styles available to this account',
+        tag: 'Styles',
+        auth: true,
+        response: { type: 'object', properties: { styles: { type: 'array', items: ref('Style') } } },
+        errors: AUTH_ERRORS,
+        handler: async (req) => ({
+            styles: styles.listStyles(req.user.id).map(style => ({
+                id: style.id,
+                name: style.name,
+                description: style.description,
+                custom: style.custom
+            }))
+        })
+    },
+    {
+        method: 'get',
+        path: '/video-presets',
+        operationId: 'listVideoPresets',
+        summary: 'List the video motion presets and the options the video model accepts',
+        tag: 'Styles',
+        auth: true,
+        response: {
+            type: 'object',
+            properties: {
+                presets: { type: 'array', items: ref('VideoPreset') },
+                defaultPreset: { type: 'string' },
+                options: ref('VideoOptions')
+            }
+        },
+        errors: AUTH_ERRORS,
+        handler: async () => ({
+            presets: videoPresets.listVideoPresets().map(({ id, name, description }) => ({ id, name, description })),
+            defaultPreset: videoPresets.DEFAULT_VIDEO_PRESET_ID,
+            options: getVideoOptions()
+        })
+    },
+    {
+        method: 'get',
+        path: '/usage',
+        operationId: 'getUsage',
+        summary: 'Try-ons used and remaining this billing period',
+        tag: 'Account',
+        auth: true,
+        response: { type: 'object', properties: { usage: ref('Usage') } },
+        errors: AUTH_ERRORS,
+        handler: async (req) => ({ usage: usage.getUsage(usage.subjectFor(req), usage.planFor(req)) })
+    },
+    {
+        method: 'post',
+        path: '/analyses/person',
+        operationId: 'analyzePerson',
+        summary: 'Describe the person in a photo and check it is suitable for a try-on',
+        tag: 'Analysis',
+        auth: true,
+        images: ['personImage'],
+        body: {
+            type: 'object',
+            required: ['personImage'],
+            additionalProperties: false,
+            properties: { personImage: PERSON_IMAGE }
+        },
+        response: {
+            type: 'object',
+            properties: { analysis: { type: 'string', description: 'Free-text description of the person: appearance, build and current clothing' }, cached: { type: 'boolean' }, preflight: ref('Preflight') }
+        },
+        errors: REQUEST_ERRORS,
+        handler: async (req) => {
+            const [result, preflight] = await Promise.all([
+                analyzeUserPhoto(req.body.personImage),
+                preflightPerson(req.body.personImage)
+            ]);
+            return { analysis: result.analysis, cached: result.cached, preflight: preflight };
+        }
+    },
+    {
+        method: 'post',
+        path: '/analyses/garments',
+        operationId: 'analyzeGarments',
+        summary: 'Classify each clothing item and check its photo',
+        tag: 'Analysis',
+        auth: true,
+        images: ['garmentImages'],
+        body: {
+            type: 'object',
+            required: ['garmentImages'],
+            additionalProperties: false,
+            properties: { garmentImages: GARMENT_IMAGES }
+        },
+        response: {
+            type: 'object',
+            properties: {
+                garments: { type: 'array', items: ref('Garment') },
+                preflights: { type: 'array', items: ref('Preflight'), description: 'One per garment, in the same order' },
+                cached: { type: 'boolean' }
+            }
+        },
+        errors: REQUEST_ERRORS,
+        handler: async (req) => {
+            const result = await analyzeClothing(req.body.garmentImages);
+            const preflights = await Promise.all(result.items.map((item, index) => preflightGarment(req.body.garmentImages[index], item.record)));
+            return { garments: result.items.map(item => item.record), preflights: preflights, cached: result.cached };
+        }
+    },
+    {
+        method: 'post',
+        path: '/prompts',
+        operationId: 'createPrompts',
+        summary: 'Analyze the photos and write one try-on prompt per image',
+        description: 'Nothing is generated yet. Pass the returned prompts and runId to POST /v1/try-ons. The prompts number the garments in outfit (layering) order; with the runId, /v1/try-ons sends them to the image model in that order.',
+        tag: 'Generation',
+        auth: true,
+        images: ['personImage', 'garmentImages'],
+        moderate: body => ({ people: body.personImage, garments: body.garmentImages, texts: body.customDetails }),
+        body: {
+            type: 'object',
+            required: ['personImage', 'garmentImages', 'style'],
+            additionalProperties: false,
+            properties: {
+                personImage: PERSON_IMAGE,
+                garmentImages: GARMENT_IMAGES,
+                style: STYLE,
+                imageCount: IMAGE_COUNT,
+                customDetails: CUSTOM_DETAILS,
+                outfit: OUTFIT
+            }
+        },
+        response: {
+            type: 'object',
+            properties: {
+                runId: { type: 'string' },
+                prompts: { type: 'array', items: { type: 'string' } },
+                garments: { type: 'array', items: ref('Garment') },
+                outfit: { type: 'array', items: ref('OutfitItem') },
+                promptTemplate: { type: 'string' }
+            }
+        },
+        errors: GENERATION_ERRORS,
+        handler: async (req) => {
+            const { personImage, garmentImages, style, imageCount = 1, customDetails = '', outfit } = req.body;
+            checkStyle(style, req.user.id);
+            checkOutfit(outfit, garmentImages);
+
+            const rejection = usage.checkGeneration(usage.subjectFor(req), usage.planFor(req), 'images', imageCount);
+            if (rejection) {
+                throw new ApiError(rejection.status, rejection.code, rejection.error, rejection.usage);
+            }
+
+            const runId = startRun(req, null, { style: style, customDetails: customDetails, imageCount: imageCount });
+            const result = await writePrompts({
+                style: style,
+                customDetails: customDetails,
+                userImage: personImage,
+                clothingImages: garmentImages,
+                outfit: outfit,
+                numImages: imageCount,
+                runId: runId,
+                userId: req.user.id
+            });
+            history.updateRun(runId, req.user.id, {
+                styleName: result.styleName,
+                promptTemplate: result.promptTemplate,
+                prompts: result.prompts,
+                outfit: result.outfit
+            });
+
+            return {
+                runId: runId,
+                prompts: result.prompts,
+                garments: result.garments,
+                outfit: result.outfit,
+                promptTemplate: result.promptTemplate
+            };
+        }
+    },
+    {
+        method: 'post',
+        path: '/try-ons',
+        operationId: 'createTryOn',
+        summary: 'Generate one try-on image per prompt',
+        tag: 'Generation',
+        auth: true,
+        status: 202,
+        responseDescription: 'Job queued; poll statusUrl',
+        images: ['personImage', 'garmentImages'],
+        moderate: body => ({ people: body.personImage, garments: body.garmentImages, texts: body.prompts }),
+        body: {
+            type: 'object',
+            required: ['personImage', 'garmentImages', 'prompts'],
+            additionalProperties: false,
+            properties: {
+                personImage: PERSON_IMAGE,
+                garmentImages: GARMENT_IMAGES,
+                prompts: { type: 'array', minItems: 1, maxItems: 5, items: { type: 'string', minLength: 1, maxLength: 4000 } },
+                runId: RUN_ID,
+                webhookUrl: WEBHOOK_URL
+            }
+        },
+        response: { type: 'object', properties: { job: ref('Job'), usage: ref('Usage') } },
+        errors: [...GENERATION_ERRORS, { status: 409, description: 'runId belongs to another account' }],
+        handler: async (req) => {
+            const { personImage, garmentImages, prompts } = req.body;
+            const webhook = webhookFor(req);
+            const reservation = reserveOrThrow(req, 'images', prompts.length);
+
+            let job;
+            try {
+                const runId = startRun(req, req.body.runId, { status: 'generating', prompts: prompts, imageCount: prompts.length });
+                saveRunInputs(runId, req.user.id, personImage, garmentImages).catch(error => {
+                    console.error(`Could not save inputs for run ${runId}:`, error.message);
+                });
+                // A run started by POST /v1/prompts has the garments' layering order
+                const run = history.getRun(runId, req.user.id);
+                job = queueTryOnJob({
+                    prompts: prompts,
+                    imageUrls: orderClothingImages(garmentImages, run && run.outfit),
+                    userImage: personImage,
+                    runId: runId,
+                    userId: req.user.id,
+                    usage: reservation,
+                    webhook: webhook,
+                    source: 'v1'
+                }, prompts.length);
+            } catch (error) {
+                usage.release(reservation, reservation.count);
+                throw error;
+            }
+
+            return { job: toApiJob(job, publicBaseUrl()), usage: usage.getUsage(usage.subjectFor(req), usage.planFor(req)) };
+        }
+    },
+    {
+        method: 'post',
+        path: '/videos',
+        operationId: 'createVideo',
+        summary: 'Animate one image into a short video',
+        tag: 'Generation',
+        auth: true,
+        status: 202,
+        responseDescription: 'Job queued; poll statusUrl',
+        images: ['imageUrl'],
+        moderate: body => ({ images: body.imageUrl, texts: body.prompt }),
+        body: {
+            type: 'object',
+            required: ['imageUrl'],
+            additionalProperties: false,
+            properties: {
+                imageUrl: { ...IMAGE_SCHEMA, description: `Image to animate, usually an imageUrl from a finished job. ${IMAGE_SCHEMA.description}` },
+                ...VIDEO_SETTINGS,
+                runId: RUN_ID,
+                webhookUrl: WEBHOOK_URL
+            }
+        },
+        response: { type: 'object', properties: { job: ref('Job'), usage: ref('Usage') } },
+        errors: [...REQUEST_ERRORS, ...MODERATION_ERRORS],
+        handler: async (req) => {
+            const { imageUrl, preset, prompt, duration, aspectRatio, runId } = req.body;
+            checkVideoSettings({ preset, prompt, duration, aspectRatio });
+            const webhook = webhookFor(req);
+            if (runId && !history.getRun(runId, req.user.id)) {
+                throw new ApiError(404, 'not_found', 'Run not found');
+            }
+
+            const reservation = reserveOrThrow(req, 'videos', 1);
+            let job;
+            try {
+                job = queueVideoJob({
+                    imageUrl: imageUrl,
+                    preset: preset,
+                    prompt: prompt,
+                    duration: duration,
+                    aspectRatio: aspectRatio,
+                    runId: runId || null,
+                    userId: req.user.id,
+                    usage: reservation,
+                    webhook: webhook,
+                    source: 'v1'
+                });
+            } catch (error) {
+                usage.release(reservation, 1);
+                throw error;
+            }
+
+            return { job: toApiJob(job, publicBaseUrl()), usage: usage.getUsage(usage.subjectFor(req), usage.planFor(req)) };
+        }
+    },
+    {
+        method: 'post',
+        path: '/generations',
+        operationId: 'createGeneration',
+        summary: 'Analyze, write prompts, generate images and (optionally) videos in one call',
+        description: 'Set video to animate every generated image. Each image and each video uses one try-on.',
+        tag: 'Generation',
+        auth: true,
+        status: 202,
+        responseDescription: 'Job queued; poll statusUrl',
+        images: ['personImage', 'garmentImages'],
+        moderate: body => ({
+            people: body.personImage,
+            garments: body.garmentImages,
+            texts: [body.customDetails, body.video && body.video.prompt]
+        }),
+        body: {
+            type: 'object',
+            required: ['personImage', 'garmentImages', 'style'],
+            additionalProperties: false,
+            properties: {
+                personImage: PERSON_IMAGE,
+                garmentImages: GARMENT_IMAGES,
+                style: STYLE,
+                imageCount: IMAGE_COUNT,
+                customDetails: CUSTOM_DETAILS,
+                outfit: OUTFIT,
+                video: {
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: VIDEO_SETTINGS,
+                    description: 'Add a video for each generated image, all with the same settings'
+                },
+                webhookUrl: WEBHOOK_URL
+            }
+        },
+        response: { type: 'object', properties: { job: ref('Job'), usage: ref('Usage') } },
+        errors: GENERATION_ERRORS,
+        handler: async (req) => {
+            const { personImage, garmentImages, style, imageCount = 1, customDetails = '', outfit, video } = req.body;
+            checkStyle(style, req.user.id);
+            checkOutfit(outfit, garmentImages);
+            if (video) {
+                checkVideoSettings(video);
+            }
+            const webhook = webhookFor(req);
+
+            // Images and videos share one allowance. Both are reserved up front so
+            // the whole call either fits the quota or is rejected.
+            const rejection = usage.checkGeneration(usage.subjectFor(req), usage.planFor(req), 'images', imageCount)
+                || (video ? usage.checkGeneration(usage.subjectFor(req), usage.planFor(req), 'videos', imageCount * 2) : null);
+            if (rejection) {
+                throw new ApiError(rejection.status, rejection.code, rejection.error, rejection.usage);
+            }
+            const reservation = reserveOrThrow(req, 'images', imageCount);
+            let videoReservation = null;
+
+            let job;
+            try {
+                videoReservation = video ? reserveOrThrow(req, 'videos', imageCount) : null;
+                const runId = startRun(req, null, { status: 'generating', style: style, customDetails: customDetails, imageCount: imageCount });
+                saveRunInputs(runId, req.user.id, personImage, garmentImages).catch(error => {
+                    console.error(`Could not save inputs for run ${runId}:`, error.message);
+                });
+                job = queueGenerationJob({
+                    style: style,
+                    customDetails: customDetails,
+                    userImage: personImage,
+                    clothingImages: garmentImages,
+                    outfit: outfit,
+                    runId: runId,
+                    userId: req.user.id,
+                    video: video || null,
+                    usage: reservation,
+                    videoUsage: videoReservation,
+                    webhook: webhook,
+                    source: 'v1'
+                }, imageCount);
+            } catch (error) {
+                usage.release(reservation, reservation.count);
+                if (videoReservation) {
+                    usage.release(videoReservation, videoReservation.count);
+                }
+                throw error;
+            }
+
+            return { job: toApiJob(job, publicBaseUrl()), usage: usage.getUsage(usage.subjectFor(req), usage.planFor(req)) };
+        }
+    },
+    {
+        method: 'get',
+        path: '/jobs/:id',
+        operationId: 'getJob',
+        summary: 'Status and outputs of a try-on, generation or video job',
+        tag: 'Jobs',
+        auth: true,
+        response: { type: 'object', properties: { job: ref('Job') } },
+        errors: [{ status: 404, description: 'Job not found' }, ...AUTH_ERRORS],
+        handler: async (req) => {
+            const job = getJob(req.params.id);
+            // Jobs of other accounts (and web app jobs) are reported as missing
+            if (!job || !job.input || job.input.userId !== req.user.id) {
+                throw new ApiError(404, 'not_found', 'Job not found');
+            }
+            return { job: toApiJob(job, publicBaseUrl()) };
+        }
+    },
+    {
+        method: 'get',
+        path: '/provenance/:id',
+        operationId: 'getProvenance',
+        summary: 'What produced one generated image or video',
+        description: 'The id is the provenanceId or videoProvenanceId of a job output.',
+        tag: 'Provenance',
+        auth: true,
+        response: { type: 'object', properties: { provenance: ref('Provenance') } },
+        errors: [{ status: 404, description: 'Provenance record not found' }, ...AUTH_ERRORS],
+        handler: async (req) => ({ provenance: provenance.toPublicProvenance(findProvenance(req)) })
+    },
+    {
+        method: 'post',
+        path: '/provenance/:id/reproduce',
+        operationId: 'reproduceOutput',
+        summary: 'Generate an image or video again from its provenance record',
+        description: 'Uses the same prompt, input images, seed and provider model version.',
+        tag: 'Provenance',
+        auth: true,
+        status: 202,
+        responseDescription: 'Job queued; poll statusUrl',
+        body: {
+            type: 'object',
+            additionalProperties: false,
+            properties: { runId: NEW_RUN_ID, webhookUrl: WEBHOOK_URL }
+        },
+        response: { type: 'object', properties: { job: ref('Job'), usage: ref('Usage') } },
+        errors: REPRODUCTION_ERRORS,
+        handler: async (req) => reproduce(req, {})
+    },
+    {
+        method: 'post',
+        path: '/provenance/:id/regenerate',
+        operationId: 'regenerateOutput',
+        summary: 'Generate an image or video again with some inputs changed',
+        description: 'Like reproduce, with the given fields replacing the recorded ones. Set seed to null for a new seed. A video can only change its prompt (at most 1000 characters) and seed.',
+        tag: 'Provenance',
+        auth: true,
+        status: 202,
+        responseDescription: 'Job queued; poll statusUrl',
+        images: ['personImage', 'garmentImages'],
+        body: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                prompt: { type: 'string', minLength: 1, maxLength: 4000 },
+                seed: { type: 'integer', minimum: 0, nullable: true },
+                personImage: PERSON_IMAGE,
+                garmentImages: GARMENT_IMAGES,
+                runId: NEW_RUN_ID,
+                webhookUrl: WEBHOOK_URL
+            }
+        },
+        response: { type: 'object', properties: { job: ref('Job'), usage: ref('Usage') } },
+        errors: REPRODUCTION_ERRORS,
+        handler: async (req) => {
+            const changes = {};
+            ['prompt', 'seed', 'personImage', 'garmentImages'].forEach(field => {
+                if (req.body[field] !== undefined) {
+                    changes[field] = req.body[field];
+                }
+            });
+            return reproduce(req, changes);
+        }
+    },
+    {
+        method: 'get',
+        path: '/webhooks/secret',
+        operationId: 'getWebhookSecret',
+        summary: 'Secret used to sign this account\'s webhooks',
+        description: 'Compute HMAC-SHA256 over "<X-Webhook-Timestamp>.<raw body>" with this secret and compare it to the hex value after "v1=" in X-Webhook-Signature.',
+        tag: 'Webhooks',
+        auth: true,
+        response: { type: 'object', properties: { secret: { type: 'string' } } },
+        errors: AUTH_ERRORS,
+        handler: async (req) => ({ secret: webhooks.getSigningSecret(req.user.id) })
+    },
+    {
+        method: 'post',
+        path: '/webhooks/secret',
+        operationId: 'rotateWebhookSecret',
+        summary: 'Replace the webhook signing secret',
+        description: 'Deliveries sent from now on, including retries, are signed with the new secret.',
+        tag: 'Webhooks',
+        auth: true,
+        response: { type: 'object', properties: { secret: { type: 'string' } } },
+        errors: AUTH_ERRORS,
+        handler: async (req) => ({ secret: webhooks.rotateSigningSecret(req.user.id) })
+    },
+    {
+        method: 'get',
+        path: '/webhooks/deliveries',
+        operationId: 'listWebhookDeliveries',
+        summary: 'Recent webhook deliveries and their attempts',
+        description: 'Newest first. Filter with ?jobId=. Returns at most ?limit= (default 20, max 100) deliveries.',
+        tag: 'Webhooks',
+        auth: true,
+        response: { type: 'object', properties: { deliveries: { type: 'array', items: ref('WebhookDelivery') } } },
+        errors: AUTH_ERRORS,
+        handler: async (req) => {
+            const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+            const jobId = typeof req.query.jobId === 'string' ? req.query.jobId : undefined;
+            return {
+                deliveries: webhooks.listDeliveries(req.user.id, { jobId: jobId })
+                    .slice(0, limit)
+                    .map(webhooks.toPublicDelivery)
+            };
+        }
+    },
+    {
+        method: 'get',
+        path: '/webhooks/deliveries/:id',
+        operationId: 'getWebhookDelivery',
+        summary: 'One webhook delivery with every attempt',
+        tag: 'Webhooks',
+        auth: true,
+        response: { type: 'object', properties: { delivery: ref('WebhookDelivery') } },
+        errors: [{ status: 404, description: 'Delivery not found' }, ...AUTH_ERRORS],
+        handler: async (req) => {
+            const delivery = webhooks.getDelivery(req.params.id, req.user.id);
+            if (!delivery) {
+                throw new ApiError(404, 'not_found', 'Delivery not found');
+            }
+            return { delivery: webhooks.toPublicDelivery(delivery) };
+        }
+    },
+    {
+        method: 'post',
+        path: '/webhooks/deliveries/:id/redeliver',
+        operationId: 'redeliverWebhook',
+        summary: 'Send a delivery again now',
+        description: 'The same payload and delivery ID are sent, with a fresh signature and a fresh set of retries.',
+        tag: 'Webhooks',
+        auth: true,
+        status: 202,
+        response: { type: 'object', properties: { delivery: ref('WebhookDelivery') } },
+        errors: [{ status: 404, description: 'Delivery not found' }, ...AUTH_ERRORS],
+        handler: async (req) => {
+            const delivery = webhooks.redeliver(req.params.id, req.user.id);
+            if (!delivery) {
+                throw new ApiError(404, 'not_found', 'Delivery not found');
+            }
+            return { delivery: webhooks.toPublicDelivery(delivery) };
+        }
+    }
+];
+
+// Send the job to its webhook once it completes or fails
+jobEvents.on('finished', (job) => {
+    const webhook = job.input && job.input.webhook;
+    if (!webhook) {
+        return;
+    }
+
+    const event = job.status === 'completed' ? 'job.completed' : 'job.failed';
+    webhooks.queueDelivery({
+        userId: job.input.userId,
+        url: webhook.url,
+        event: event,
+        jobId: job.id,
+        payload: {
+            type: event,
+            createdAt: new Date().toISOString(),
+            data: { job: toApiJob(job, webhook.baseUrl) }
+        }
+    });
+});
+
+let openApiDocument = null;
+
+function getOpenApiDocument() {
+    if (!openApiDocument) {
+        openApiDocument = buildOpenApiDocument({
+            info: {
+                title: 'Virtual Try-On API',
+                version: API_VERSION,
+                description: 'Analyze photos, write prompts and generate try-on images and videos. ' +
+                    'Long-running work is queued as a job: poll GET /v1/jobs/{id} until its status is completed or failed.'
+            },
+            basePath: '/v1',
+            routes: ROUTES,
+            schemas: SCHEMAS,
+            securitySchemes: SECURITY_SCHEMES,
+            errorSchema: ref('Error')
+        });
+    }
+    return openApiDocument;
+}
+
+// Replaces any session user with the API key owner, so cookies are never used here
+function requireApiKey(req, res, next) {
+    const header = req.get('authorization') || '';
+    const key = header.toLowerCase().startsWith('bearer ')
+        ? header.slice(7).trim()
+        : req.get('x-api-key');
+
+    const auth = authenticateApiKey(key);
+    if (!auth) {
+        return sendError(res, 401, 'unauthorized', 'A valid API key is required (Authorization: Bearer <key> or X-API-Key)');
+    }
+
+    req.user = auth.user;
+    req.apiKey = auth.apiKey;
+    next();
+}
+
+function createApiV1Router() {
+    const router = express.Router();
+
+    const limiter = rateLimit({
+        windowMs: V1_RATE_LIMIT_WINDOW_MS,
+        max: V1_RATE_LIMIT_MAX_REQUESTS,
+        keyGenerator: (req) => req.apiKey.id,
+        standardHeaders: true,
+        legacyHeaders: false,
+        handler: (req, res) => sendError(res, 429, 'rate_limited', 'Too many requests for this API key, please slow down')
+    });
+
+    router.get('/openapi.json', (req, res) => {
+        res.json(getOpenApiDocument());
+    });
+
+    ROUTES.forEach(route => {
+        router[route.method](route.path, requireApiKey, limiter, async (req, res) => {
+            try {
+                if (route.body) {
+                    const problem = validateBody(route.body, req.body);
+                    if (problem) {
+                        return sendError(res, 400, 'invalid_request', problem);
+                    }
+                }
+                if (route.images) {
+                    await ingestImages(req.body, route.images);
+                }
+                if (route.moderate) {
+                    await moderateRequest(req, route.moderate(req.body));
+                }
+
+                const body = await route.handler(req);
+                res.status(route.status || 200).json(body);
+
+            } catch (error) {
+                if (error instanceof ApiError) {
+                    return sendError(res, error.status, error.code, error.message, error.usage);
+                }
+                console.error(`Error in ${route.method.toUpperCase()} /v1${route.path}:`, error);
+                sendError(res, 500, 'internal_error', 'Something went wrong. Please try again.');
+            }
+        });
+    });
+
+    router.use((req, res) => {
+        sendError(res, 404, 'not_found', 'Endpoint not found');
+    });
+
+    return router;
+}
+
+module.exports = {
+    createApiV1Router,
+    getOpenApiDocument
+};
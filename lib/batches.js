@@ -0,0 +1,459 @@
+const path = require('path');
+const archiver = require('archiver');
+const { jobEvents, registerJobHandler, createJob, getJob, listJobs } = require('./jobs');
+const { writePrompts } = require('./promptWriter');
+const { renderTryOn } = require('./generation');
+const { orderClothingImages } = require('./outfit');
+const { getMedia, mediaIdFromUrl, resolveMediaInput } = require('./media');
+const { getStorage } = require('./storage');
+const { ingestImageInput } = require('./ingest');
+const { checkUrl } = require('./safeFetch');
+const { moderateInputs, describeBlocked } = require('./moderation');
+const usage = require('./usage');
+
+// Catalog batches: one model photo rendered in every garment of a manifest.
+// A batch is a job of type 'batch' with one result per manifest item (SKU).
+// Items run the analysis -> prompt -> try-on pipeline with bounded concurrency
+// inside the batch, and batches have their own job lane so they never hold up
+// interactive try-ons. Finished items are kept when a batch is resumed.
+
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS) || 500;
+const BATCH_MAX_IMAGES_PER_ITEM = 10;
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY) || 3;
+const BATCH_JOB_CONCURRENCY = parseInt(process.env.BATCH_JOB_CONCURRENCY) || 1;
+
+const SKU_PATTERN = /^[A-Za-z0-9._\-/ ]{1,100}$/;
+
+// Minimal RFC 4180 parser: quoted fields, "" escapes, CRLF or LF line endings
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+function manifestRowsFromCsv(text) {
+    const rows = parseCsv(text);
+    if (rows.length === 0) {
+        return { rows: [], error: 'The manifest is empty' };
+    }
+
+    const header = rows[0].map(cell => cell.trim().toLowerCase());
+    const column = names => header.findIndex(cell => names.includes(cell));
+    const skuColumn = column(['sku']);
+    const imageColumn = column(['image', 'images', 'image_url', 'imageurl', 'file']);
+    const nameColumn = column(['name', 'title']);
+
+    if (skuColumn === -1 || imageColumn === -1) {
+        return { rows: [], error: 'The CSV header must have a "sku" column and an "image" column' };
+    }
+
+    return {
+        rows: rows.slice(1).map((cells, index) => ({
+            line: index + 2,
+            sku: cells[skuColumn],
+            name: nameColumn === -1 ? '' : cells[nameColumn],
+            // Several images for one SKU can be given as "a.jpg|b.jpg" or as repeated rows
+            images: String(cells[imageColumn] || '').split('|')
+        }))
+    };
+}
+
+function manifestRowsFromJson(text) {
+    let value;
+    try {
+        value = JSON.parse(text);
+    } catch (error) {
+        return { rows: [], error: `The manifest is not valid JSON: ${error.message}` };
+    }
+
+    const entries = Array.isArray(value) ? value : value && value.items;
+    if (!Array.isArray(entries)) {
+        return { rows: [], error: 'The JSON manifest must be an array of items or { "items": [...] }' };
+    }
+
+    return {
+        rows: entries.map((entry, index) => ({
+            line: index + 1,
+            sku: entry && entry.sku,
+            name: entry && entry.name,
+            images: entry ? [].concat(entry.images || entry.image || []) : []
+        }))
+    };
+}
+
+// Parse a CSV or JSON manifest into { items: [{ sku, name, images }], errors }.
+// Images are references: a URL, or the file name of an uploaded garment image.
+// Rows with the same SKU are merged.
+function parseManifest(text, fileName = '') {
+    const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+    const { rows, error } = isJson ? manifestRowsFromJson(text) : manifestRowsFromCsv(text);
+    if (error) {
+        return { items: [], errors: [error] };
+    }
+
+    const errors = [];
+    const bySku = new Map();
+    const label = row => (isJson ? `Item ${row.line}` : `Line ${row.line}`);
+
+    rows.forEach(row => {
+        const sku = typeof row.sku === 'string' || typeof row.sku === 'number' ? String(row.sku).trim() : '';
+        if (!SKU_PATTERN.test(sku)) {
+            errors.push(`${label(row)}: SKU is missing or has characters other than letters, digits, spaces and . _ - /`);
+            return;
+        }
+
+        const images = row.images
+            .map(image => (typeof image === 'string' ? image.trim() : ''))
+            .filter(Boolean);
+        if (images.length === 0) {
+            errors.push(`${label(row)}: SKU ${sku} has no image`);
+            return;
+        }
+
+        const item = bySku.get(sku) || { sku: sku, name: '', images: [] };
+        item.name = item.name || (typeof row.name === 'string' ? row.name.trim().substring(0, 200) : '');
+        item.images.push(...images);
+        bySku.set(sku, item);
+    });
+
+    const items = Array.from(bySku.values());
+    items.forEach(item => {
+        if (item.images.length > BATCH_MAX_IMAGES_PER_ITEM) {
+            errors.push(`SKU ${item.sku} has ${item.images.length} images; the limit is ${BATCH_MAX_IMAGES_PER_ITEM}`);
+        }
+    });
+    if (items.length === 0 && errors.length === 0) {
+        errors.push('The manifest has no items');
+    }
+    if (items.length > BATCH_MAX_ITEMS) {
+        errors.push(`The manifest has ${items.length} items; the limit is ${BATCH_MAX_ITEMS}`);
+    }
+
+    return { items, errors };
+}
+
+// Replace file-name references with stored media URLs (`uploads` maps an
+// uploaded file name to its /media URL). Returns a list of problems.
+function resolveImageReferences(items, uploads) {
+    const errors = [];
+    items.forEach(item => {
+        item.images = item.images.map(image => {
+            if (/^https?:\/\//i.test(image)) {
+                const problem = checkUrl(image);
+                if (problem) {
+                    errors.push(`SKU ${item.sku}: "${image}": ${problem}`);
+                }
+                return image;
+            }
+            const url = uploads.get(path.basename(image));
+            if (!url) {
+                errors.push(`SKU ${item.sku}: "${image}" is not a URL or an uploaded file`);
+            }
+            return url || image;
+        });
+    });
+    return errors;
+}
+
+async function runItem(job, setResult, index, modelImage) {
+    const { items, style, customDetails, imagesPerItem } = job.input;
+    const item = items[index];
+
+    setResult(index, { status: 'running', outputs: [], error: null });
+
+    try {
+        // Manifest URLs are downloaded and ingested like any other image input
+        const garmentRefs = await Promise.all(item.images.map(image => ingestImageInput(image, { jobId: job.id })));
+        const moderation = await moderateInputs({ garments: garmentRefs }, { source: 'batch', userId: job.input.userId, jobId: job.id });
+        if (!moderation.allowed) {
+            throw new Error(describeBlocked(moderation.blocked));
+        }
+        const garmentImages = await Promise.all(garmentRefs.map(resolveMediaInput));
+        const written = await writePrompts({
+            style: style,
+            customDetails: customDetails,
+            userImage: modelImage,
+            clothingImages: garmentImages,
+            numImages: imagesPerItem,
+            clientId: job.id,
+            userId: job.input.userId
+        });
+
+        const orderedGarments = orderClothingImages(garmentImages, written.outfit);
+        const outputs = [];
+        for (let i = 0; i < imagesPerItem; i++) {
+            try {
+                const { url, mediaId, provenanceId, blocked } = await renderTryOn({
+                    prompt: written.prompts[i] || written.prompts[0],
+                    imageUrls: [modelImage, ...orderedGarments],
+                    inputs: { personImage: job.input.modelImage, garmentImages: orderClothingImages(garmentRefs, written.outfit) },
+                    jobId: job.id,
+                    userId: job.input.userId,
+                    source: 'batch',
+                    index: index
+                });
+                // Blocked outputs are left out of the results and the ZIP
+                outputs.push(blocked
+                    ? { url: null, mediaId: null, blocked: true, error: 'This image was blocked by content moderation' }
+                    : { url: url, mediaId: mediaId, provenanceId: provenanceId, error: null });
+            } catch (error) {
+                console.error(`Batch ${job.id}: ${item.sku} image ${i + 1} failed:`, error.message);
+                outputs.push({ url: null, mediaId: null, error: error.message });
+            }
+        }
+
+        const succeeded = outputs.filter(output => output.url);
+        setResult(index, {
+            status: succeeded.length > 0 ? 'completed' : 'failed',
+            prompts: written.prompts,
+            outputs: outputs,
+            error: succeeded.length > 0 ? null : outputs[0].error
+        });
+        console.log(`Batch ${job.id}: ${item.sku} done (${succeeded.length}/${imagesPerItem} image(s))`);
+    } catch (error) {
+        console.error(`Batch ${job.id}: ${item.sku} failed:`, error);
+        setResult(index, { status: 'failed', error: error.message });
+    }
+}
+
+registerJobHandler('batch', async (job, { setResult }) => {
+    const modelImage = await resolveMediaInput(job.input.modelImage);
+    const pending = job.results
+        .filter(result => result.status !== 'completed')
+        .map(result => result.index);
+    let next = 0;
+
+    // Each worker takes the next item until none are left or the batch is cancelled
+    const worker = async () => {
+        while (next < pending.length && !job.cancelRequested) {
+            await runItem(job, setResult, pending[next++], modelImage);
+        }
+    };
+    const workers = Math.min(job.input.concurrency || BATCH_CONCURRENCY, pending.length);
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    job.results
+        .filter(result => result.status === 'pending')
+        .forEach(result => setResult(result.index, { status: 'cancelled' }));
+}, { lane: 'batch', concurrency: BATCH_JOB_CONCURRENCY });
+
+function countImages(job) {
+    return job.results.reduce((sum, result) =>
+        sum + (result.outputs || []).filter(output => output.url).length, 0);
+}
+
+// Only images that were actually generated count against the quota
+jobEvents.on('finished', (job) => {
+    if (job.type === 'batch' && job.input && job.input.imageUsage) {
+        usage.release(job.input.imageUsage, job.input.imageUsage.count - countImages(job));
+    }
+});
+
+function queueBatch({ userId, name, modelImage, items, style, customDetails, imagesPerItem, usage: reservation }) {
+    const job = createJob('batch', {
+        userId: userId,
+        name: name || `Batch of ${items.length}`,
+        modelImage: modelImage,
+        items: items,
+        style: style,
+        customDetails: customDetails || '',
+        imagesPerItem: imagesPerItem,
+        concurrency: BATCH_CONCURRENCY,
+        imageUsage: reservation || null
+    }, items.length);
+
+    console.log(`Queued batch ${job.id}: ${items.length} item(s) x ${imagesPerItem} image(s)`);
+    return job;
+}
+
+function getBatch(id, userId) {
+    const job = getJob(id);
+    return job && job.type === 'batch' && job.input.userId === userId ? job : null;
+}
+
+function listBatches(userId) {
+    return listJobs(job => job.type === 'batch' && job.input && job.input.userId === userId);
+}
+
+// Stop starting new items. Items already running finish normally.
+function cancelBatch(job) {
+    if (job.status !== 'queued' && job.status !== 'running') {
+        return false;
+    }
+    job.cancelRequested = true;
+    return true;
+}
+
+function toBatchSummary(job) {
+    const count = status => job.results.filter(result => result.status === status).length;
+    return {
+        id: job.id,
+        name: job.input.name,
+        status: job.cancelRequested && job.status === 'running' ? 'cancelling' : job.status,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        style: job.input.style,
+        imagesPerItem: job.input.imagesPerItem,
+        total: job.results.length,
+        completed: count('completed'),
+        failed: count('failed'),
+        running: count('running'),
+        cancelled: count('cancelled'),
+        images: countImages(job),
+        modelImage: job.input.modelImage,
+        error: job.error
+    };
+}
+
+function toPublicBatch(job) {
+    return {
+        ...toBatchSummary(job),
+        items: job.results.map(result => {
+            const item = job.input.items[result.index];
+            return {
+                index: result.index,
+                sku: item.sku,
+                name: item.name,
+                status: result.status,
+                garmentImages: item.images,
+                images: (result.outputs || []).filter(output => output.url).map(output => output.url),
+                error: result.error || null
+            };
+        })
+    };
+}
+
+// SKU -> output images, with absolute URLs when baseUrl is given
+function buildResultsManifest(job, baseUrl = '') {
+    const absolute = url => (url.startsWith('/') ? `${baseUrl}${url}` : url);
+    const batch = toPublicBatch(job);
+    return {
+        batchId: batch.id,
+        name: batch.name,
+        status: batch.status,
+        style: batch.style,
+        createdAt: batch.createdAt,
+        updatedAt: batch.updatedAt,
+        items: batch.items.map(item => ({
+            sku: item.sku,
+            name: item.name,
+            status: item.status,
+            images: item.images.map(absolute),
+            error: item.error
+        }))
+    };
+}
+
+// Spreadsheets run cells starting with =, +, -, @, tab or CR as formulas, and
+// SKUs, names and errors come from the uploaded manifest, so such values are
+// prefixed with ' to be shown as text
+function csvField(value) {
+    const raw = value === null || value === undefined ? '' : String(value);
+    const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toResultsCsv(manifest) {
+    const imageColumns = Math.max(1, ...manifest.items.map(item => item.images.length));
+    const header = ['sku', 'name', 'status'];
+    for (let i = 1; i <= imageColumns; i++) {
+        header.push(`image_${i}`);
+    }
+    header.push('error');
+
+    const lines = manifest.items.map(item => {
+        const images = Array.from({ length: imageColumns }, (_, i) => item.images[i] || '');
+        return [item.sku, item.name, item.status, ...images, item.error].map(csvField).join(',');
+    });
+    return [header.join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+// Resolves once archiver has consumed the entry, so only one stored file is
+// open at a time even for large batches
+function appendEntry(archive, source, name) {
+    return new Promise(resolve => {
+        archive.once('entry', resolve);
+        archive.append(source, { name: name });
+    });
+}
+
+// Stream a ZIP with every stored output (<sku>/<sku>-<n>.<ext>) and both manifests
+async function writeResultsZip(job, output, baseUrl) {
+    const manifest = buildResultsManifest(job, baseUrl);
+    const archive = archiver('zip', { zlib: { level: 1 } });
+    const done = new Promise((resolve, reject) => {
+        archive.on('error', reject);
+        output.on('close', resolve);
+        output.on('finish', resolve);
+    });
+    archive.pipe(output);
+
+    await appendEntry(archive, JSON.stringify(manifest, null, 2), 'manifest.json');
+    await appendEntry(archive, toResultsCsv(manifest), 'manifest.csv');
+
+    for (const item of toPublicBatch(job).items) {
+        const folder = item.sku.replace(/[^A-Za-z0-9._-]+/g, '_');
+        for (let i = 0; i < item.images.length; i++) {
+            const record = getMedia(mediaIdFromUrl(item.images[i]) || '');
+            const stored = record ? await getStorage().get(record.key) : null;
+            if (!stored) {
+                continue;
+            }
+            await appendEntry(archive, stored.stream, `${folder}/${folder}-${i + 1}${path.extname(record.key)}`);
+        }
+    }
+
+    await archive.finalize();
+    await done;
+}
+
+module.exports = {
+    BATCH_MAX_ITEMS,
+    parseManifest,
+    resolveImageReferences,
+    queueBatch,
+    getBatch,
+    listBatches,
+    cancelBatch,
+    toBatchSummary,
+    toPublicBatch,
+    buildResultsManifest,
+    toResultsCsv,
+    writeResultsZip
+};
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// A/B experiments over prompt template versions.
+// Each request is assigned a version from the configured weights; assignment is
+// sticky per subject (the browser's client ID) so one user sees one version.
+// Assignments, results, feedback and downloads are appended to an event log
+// (data/experiments.jsonl) and rolled up into a per-version report. An
+// assignment records who owns the run, so only they can rate it.
+//
+// Weights are configured per experiment, e.g.
+//   EXPERIMENT_PROMPT_WRITING=v1:50,v2:50
+
+const EVENTS_FILE = process.env.EXPERIMENTS_FILE || path.join(__dirname, '..', 'data', 'experiments.jsonl');
+
+const DEFAULT_WEIGHTS = {
+    'prompt-writing': 'v1:100'
+};
+
+const runVersions = new Map(); // runId -> { experiment, version, userId, guestSubject }
+const stats = {}; // experiment -> version -> counters
+let loaded = false;
+
+function weightsFor(experiment) {
+    const envName = `EXPERIMENT_${experiment.toUpperCase().replace(/-/g, '_')}`;
+    const spec = process.env[envName] || DEFAULT_WEIGHTS[experiment];
+    if (!spec) {
+        throw new Error(`No weights configured for experiment "${experiment}" (set ${envName})`);
+    }
+
+    const weights = spec.split(',').map(part => {
+        const [version, weight] = part.trim().split(':');
+        return { version: version, weight: parseFloat(weight) };
+    });
+
+    if (weights.some(entry => !entry.version || !(entry.weight >= 0)) || weights.every(entry => entry.weight === 0)) {
+        throw new Error(`Invalid weights for experiment "${experiment}": ${spec}`);
+    }
+    return weights;
+}
+
+function counters(experiment, version) {
+    stats[experiment] = stats[experiment] || {};
+    stats[experiment][version] = stats[experiment][version] || {
+        runs: 0,
+        images: 0,
+        failedImages: 0,
+        feedbackUp: 0,
+        feedbackDown: 0,
+        downloads: 0
+    };
+    return stats[experiment][version];
+}
+
+// Fold one event into the in-memory state
+function apply(event) {
+    if (event.type === 'assignment') {
+        runVersions.set(event.runId, {
+            experiment: event.experiment,
+            version: event.version,
+            userId: event.userId || null,
+            guestSubject: event.guestSubject || null
+        });
+        counters(event.experiment, event.version).runs++;
+        return;
+    }
+
+    const assignment = runVersions.get(event.runId);
+    if (!assignment) {
+        return;
+    }
+    const counter = counters(assignment.experiment, assignment.version);
+
+    if (event.type === 'result') {
+        counter.images += event.images || 0;
+        counter.failedImages += event.failedImages || 0;
+    } else if (event.type === 'feedback') {
+        if (event.rating === 'up') {
+            counter.feedbackUp++;
+        } else if (event.rating === 'down') {
+            counter.feedbackDown++;
+        }
+    } else if (event.type === 'download') {
+        counter.downloads++;
+    }
+}
+
+function loadEvents() {
+    if (loaded) {
+        return;
+    }
+    loaded = true;
+
+    if (!fs.existsSync(EVENTS_FILE)) {
+        return;
+    }
+
+    fs.readFileSync(EVENTS_FILE, 'utf8').split('\n').forEach(line => {
+        if (line.trim()) {
+            try {
+                apply(JSON.parse(line));
+            } catch (error) {
+                console.error('Skipping unreadable experiment event:', error.message);
+            }
+        }
+    });
+}
+
+function recordEvent(event) {
+    loadEvents();
+
+    const entry = { ...event, timestamp: new Date().toISOString() };
+    const dir = path.dirname(EVENTS_FILE);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.appendFileSync(EVENTS_FILE, JSON.stringify(entry) + '\n');
+    apply(entry);
+}
+
+// Deterministic bucket in [0, 1) for a subject
+function bucket(experiment, subjectId) {
+    const hash = crypto.createHash('sha256').update(`${experiment}:${subjectId}`).digest();
+    return hash.readUInt32BE(0) / 0x100000000;
+}
+
+function assignVersion(experiment, subjectId) {
+    const weights = weightsFor(experiment);
+    const total = weights.reduce((sum, entry) => sum + entry.weight, 0);
+    const point = bucket(experiment, subjectId || crypto.randomUUID()) * total;
+
+    let cumulative = 0;
+    for (const entry of weights) {
+        cumulative += entry.weight;
+        if (point < cumulative) {
+            return entry.version;
+        }
+    }
+    return weights[weights.length - 1].version;
+}
+
+function versionForRun(runId) {
+    loadEvents();
+    const assignment = runVersions.get(runId);
+    return assignment ? assignment.version : null;
+}
+
+// { userId, guestSubject } of the run's assignment, or null for a run without one
+function runOwner(runId) {
+    loadEvents();
+    const assignment = runVersions.get(runId);
+    return assignment ? { userId: assignment.userId, guestSubject: assignment.guestSubject } : null;
+}
+
+function experimentReport(experiment) {
+    loadEvents();
+
+    const versions = Object.entries(stats[experiment] || {}).map(([version, counter]) => {
+        const rated = counter.feedbackUp + counter.feedbackDown;
+        return {
+            version: version,
+            ...counter,
+            approvalRate: rated > 0 ? counter.feedbackUp / rated : null,
+            downloadRate: counter.images > 0 ? counter.downloads / counter.images : null
+        };
+    });
+
+    return {
+        experiment: experiment,
+        weights: weightsFor(experiment),
+        versions: versions
+    };
+}
+
+module.exports = {
+    weightsFor,
+    assignVersion,
+    recordEvent,
+    versionForRun,
+    runOwner,
+    experimentReport
+};
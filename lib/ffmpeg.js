@@ -0,0 +1,128 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { getMedia, mediaIdFromUrl } = require('./media');
+const { getStorage } = require('./storage');
+
+// The locally installed ffmpeg and ffprobe (FFMPEG_PATH / FFPROBE_PATH), used
+// to render lookbook reels (see reels.js) and to sample frames from generated
+// videos for content moderation. Nothing here needs network access.
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+const FFMPEG_TIMEOUT_MS = parseInt(process.env.FFMPEG_TIMEOUT_MS) || 5 * 60 * 1000;
+
+// Sampled frames are only classified, so they are kept small
+const FRAME_WIDTH = 512;
+
+// Run ffmpeg or ffprobe and resolve to stdout. Errors carry the end of stderr.
+function runTool(command, args) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+        let stdout = '';
+        let stderr = '';
+        const timer = setTimeout(() => child.kill('SIGKILL'), FFMPEG_TIMEOUT_MS);
+
+        child.stdout.on('data', chunk => { stdout += chunk; });
+        child.stderr.on('data', chunk => { stderr = (stderr + chunk).slice(-2000); });
+        child.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error.code === 'ENOENT'
+                ? new Error(`${command} was not found. Install ffmpeg or set FFMPEG_PATH and FFPROBE_PATH.`)
+                : error);
+        });
+        child.on('close', (code, signal) => {
+            clearTimeout(timer);
+            if (code === 0) {
+                resolve(stdout);
+            } else if (signal) {
+                reject(new Error(`${path.basename(command)} timed out after ${FFMPEG_TIMEOUT_MS}ms`));
+            } else {
+                reject(new Error(`${path.basename(command)} failed: ${stderr.trim().split('\n').slice(-3).join(' ')}`));
+            }
+        });
+    });
+}
+
+function ffmpeg(args) {
+    return runTool(FFMPEG_PATH, ['-hide_banner', '-loglevel', 'error', '-y', ...args]);
+}
+
+let ffmpegCheck = null;
+
+// Resolves to true when both ffmpeg and ffprobe can be run (checked once)
+function isFfmpegAvailable() {
+    if (!ffmpegCheck) {
+        ffmpegCheck = Promise.all([runTool(FFMPEG_PATH, ['-version']), runTool(FFPROBE_PATH, ['-version'])])
+            .then(() => true, (error) => {
+                console.warn('ffmpeg is unavailable:', error.message);
+                return false;
+            });
+    }
+    return ffmpegCheck;
+}
+
+async function probeDuration(file) {
+    const output = await runTool(FFPROBE_PATH, ['-v', 'error', '-show_entries', 'format=duration', '-of', 'default=nw=1:nk=1', file]);
+    const duration = parseFloat(output);
+    if (!Number.isFinite(duration) || duration <= 0) {
+        throw new Error(`Could not read the length of ${path.basename(file)}`);
+    }
+    return duration;
+}
+
+// Copy a stored media file into `dir`. Resolves to { file, isVideo }.
+async function copyMediaToFile(url, dir, name) {
+    const record = getMedia(mediaIdFromUrl(url) || '');
+    const stored = record ? await getStorage().get(record.key) : null;
+    if (!stored) {
+        throw new Error(`Media ${url} is missing from storage`);
+    }
+    const file = path.join(dir, `${name}${path.extname(record.key)}`);
+    await new Promise((resolve, reject) => {
+        const output = fs.createWriteStream(file);
+        stored.stream.on('error', reject);
+        output.on('error', reject);
+        output.on('finish', resolve);
+        stored.stream.pipe(output);
+    });
+    return { file: file, isVideo: record.contentType.startsWith('video/') };
+}
+
+// Grab `count` frames spread evenly over a video file, one from the middle of
+// each equal part. Resolves to a list of PNG data URLs.
+async function sampleFrames(file, count) {
+    const duration = await probeDuration(file);
+    const frames = [];
+    for (let i = 0; i < count; i++) {
+        const output = `${file}-frame-${i}.png`;
+        await ffmpeg([
+            '-ss', (duration * (i + 0.5) / count).toFixed(3), '-i', file,
+            '-frames:v', '1', '-vf', `scale='min(${FRAME_WIDTH},iw)':-2`, output
+        ]);
+        frames.push(`data:image/png;base64,${fs.readFileSync(output).toString('base64')}`);
+        fs.rmSync(output, { force: true });
+    }
+    return frames;
+}
+
+// sampleFrames for a stored video (a /media URL)
+async function sampleMediaFrames(url, count) {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tryon-frames-'));
+    try {
+        const { file } = await copyMediaToFile(url, workDir, 'video');
+        return await sampleFrames(file, count);
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    ffmpeg,
+    isFfmpegAvailable,
+    probeDuration,
+    copyMediaToFile,
+    sampleFrames,
+    sampleMediaFrames
+};
@@ -0,0 +1,102 @@
+// Structured record for one analyzed clothing image.
+// { category, slot, colors, pattern, material, fit, confidence, description,
+//   fullyVisible, background }
+
+const GARMENT_SLOTS = ['top', 'outerwear', 'bottom', 'dress', 'shoes', 'headwear', 'bag', 'jewelry', 'eyewear', 'other'];
+const GARMENT_BACKGROUNDS = ['plain', 'busy'];
+
+const GARMENT_FIELD_DESCRIPTIONS = {
+    category: 'string - specific item type, e.g. "t-shirt", "denim jacket", "sneakers"',
+    slot: `string - where it is worn, one of: ${GARMENT_SLOTS.join(', ')}`,
+    colors: 'array of strings - main colors, most dominant first',
+    pattern: 'string - e.g. "solid", "striped", "floral", "plaid", "graphic print"',
+    material: 'string - apparent material, e.g. "cotton", "denim", "leather"',
+    fit: 'string - fit and silhouette, e.g. "oversized", "slim", "regular"',
+    confidence: 'number from 0 to 1 - how sure you are of the category and slot',
+    description: 'string - one sentence describing the item and its distinctive features',
+    fullyVisible: 'boolean - true when the whole item is in frame, not cut off at the edges or covered by anything',
+    background: `string - ${GARMENT_BACKGROUNDS.map(value => `"${value}"`).join(' or ')}: whether the item is shown on a plain backdrop or a cluttered scene`
+};
+
+function garmentSchemaInstructions() {
+    const fields = Object.keys(GARMENT_FIELD_DESCRIPTIONS)
+        .map(field => `  "${field}": ${GARMENT_FIELD_DESCRIPTIONS[field]}`)
+        .join(',\n');
+
+    return `Respond with a single JSON object and nothing else, in this shape:
+{
+${fields}
+}`;
+}
+
+function cleanString(value) {
+    return typeof value === 'string' && value.trim() !== '' ? value.trim() : null;
+}
+
+// Returns { record, errors }. Fields the model got wrong are reported in errors
+// and filled with safe defaults, so a usable record is always returned.
+function normalizeGarmentRecord(value) {
+    const errors = [];
+
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { record: null, errors: ['Response must be a JSON object'] };
+    }
+
+    const record = {};
+
+    ['category', 'pattern', 'material', 'fit', 'description'].forEach(field => {
+        record[field] = cleanString(value[field]);
+        if (!record[field]) {
+            errors.push(`"${field}" must be a non-empty string`);
+            record[field] = field === 'description' ? '' : 'unknown';
+        }
+    });
+
+    const slot = cleanString(value.slot);
+    record.slot = slot && GARMENT_SLOTS.includes(slot.toLowerCase()) ? slot.toLowerCase() : 'other';
+    if (!slot || record.slot !== slot.toLowerCase()) {
+        errors.push(`"slot" must be one of: ${GARMENT_SLOTS.join(', ')}`);
+    }
+
+    record.colors = Array.isArray(value.colors)
+        ? value.colors.map(cleanString).filter(Boolean)
+        : [];
+    if (record.colors.length === 0) {
+        errors.push('"colors" must be a non-empty array of strings');
+    }
+
+    // Photo quality fields only drive preflight warnings, so a missing answer is read as "fine"
+    record.fullyVisible = typeof value.fullyVisible === 'boolean' ? value.fullyVisible : true;
+    if (typeof value.fullyVisible !== 'boolean') {
+        errors.push('"fullyVisible" must be a boolean');
+    }
+
+    const background = cleanString(value.background);
+    record.background = background && GARMENT_BACKGROUNDS.includes(background.toLowerCase()) ? background.toLowerCase() : 'plain';
+    if (!background || record.background !== background.toLowerCase()) {
+        errors.push(`"background" must be one of: ${GARMENT_BACKGROUNDS.join(', ')}`);
+    }
+
+    const confidence = Number(value.confidence);
+    record.confidence = Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0;
+    if (!Number.isFinite(confidence)) {
+        errors.push('"confidence" must be a number between 0 and 1');
+    }
+
+    return { record, errors };
+}
+
+// One-line summary used in prompts and logs
+function describeGarment(record) {
+    const colors = record.colors.length > 0 ? record.colors.join('/') : 'unknown color';
+    const summary = `${record.slot}: ${colors} ${record.pattern} ${record.material} ${record.category}, ${record.fit} fit`;
+    return record.description ? `${summary}. ${record.description}` : summary;
+}
+
+module.exports = {
+    GARMENT_SLOTS,
+    GARMENT_BACKGROUNDS,
+    garmentSchemaInstructions,
+    normalizeGarmentRecord,
+    describeGarment
+};
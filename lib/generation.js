@@ -0,0 +1,722 @@
+const crypto = require('crypto');
+const { jobEvents, registerJobHandler, createJob } = require('./jobs');
+const progress = require('./progress');
+const { generateImage, generateVideo } = require('./providers');
+const experiments = require('./experiments');
+const { writePrompts } = require('./promptWriter');
+const { mediaUrl, persistMedia, resolveMediaInput, deleteMedia } = require('./media');
+const history = require('./history');
+const usage = require('./usage');
+const { orderClothingImages } = require('./outfit');
+const { resolveVideoSettings } = require('./videoPresets');
+const { moderateOutput, moderateVideoOutput } = require('./moderation');
+const { isFfmpegAvailable, sampleMediaFrames } = require('./ffmpeg');
+const { RESULT_RETRY_BUDGET, scoreResult, shouldRetry, rankResults } = require('./resultScoring');
+const { recordProvenance, deleteProvenance } = require('./provenance');
+
+// Try-on and video generation shared by the web app routes and the /v1 API.
+// Three job types run on the job queue:
+//   try-on      - images from prompts the caller already has
+//   generation  - prompts, then images, then (optionally) a video per image
+//   video       - one video from one image
+// Outputs are copied into media storage and checked by content moderation,
+// try-on images are scored and ranked (see resultScoring.js) and get a
+// provenance record (see provenance.js), and signed-in runs are saved to history.
+
+// Copy a provider output into media storage so its URL never expires.
+// If that fails the provider URL is returned instead, so the output is not lost.
+async function storeOutput(result, details) {
+    try {
+        const record = await persistMedia(result.url, {
+            ...details,
+            provider: result.provider,
+            model: result.model
+        });
+        console.log(`Stored ${record.kind} ${record.id} (${record.size} bytes, sha256 ${record.sha256.substring(0, 12)})`);
+        return { url: mediaUrl(record.id), mediaId: record.id };
+    } catch (error) {
+        console.error('Could not store generated media, returning the provider URL:', error.message);
+        return { url: result.url, mediaId: null };
+    }
+}
+
+// Generate one try-on image, store it, moderate it and record its provenance.
+// `inputs` ({ personImage, garmentImages }) are the stored references behind
+// `imageUrls`, for the provenance record. Every image is generated with a
+// seed, random unless one is given, so its record can reproduce it. `seed`
+// and `pin` (see providers) reproduce an earlier image; `reproduction` ({ reproducedFrom, changes }) is noted on the record.
+// Resolves to { url, mediaId, requestId, provider, provenanceId, blocked, categories };
+// a blocked image is already deleted, has no record and url is the placeholder.
+async function renderTryOn({ prompt, imageUrls, inputs, seed, pin, reproduction, jobId, runId, userId, source, index, person }) {
+    const imageSeed = Number.isInteger(seed) ? seed : crypto.randomInt(2 ** 31);
+    const startedAt = new Date();
+    const result = await generateImage({
+        prompt: prompt,
+        imageUrls: imageUrls,
+        seed: imageSeed,
+        pin: pin
+    });
+
+    const requestId = result.id || null;
+    const { url, mediaId } = await storeOutput(result, {
+        kind: 'image',
+        requestId: requestId,
+        jobId: jobId,
+        runId: runId,
+        index: index
+    });
+
+    const moderation = await moderateOutput(url, { source: source, userId: userId, runId: runId, jobId: jobId, index: index });
+    const record = moderation.allowed ? recordProvenance({
+        prompt: prompt,
+        inputs: inputs || { personImage: null, garmentImages: imageUrls },
+        provider: result.provider,
+        model: result.model,
+        version: result.version,
+        predictionId: requestId,
+        seed: Number.isInteger(result.seed) ? result.seed : imageSeed,
+        url: url,
+        mediaId: mediaId,
+        startedAt: startedAt,
+        completedAt: new Date(),
+        predictTimeMs: result.predictTimeMs,
+        jobId: jobId,
+        runId: runId,
+        userId: userId,
+        source: source,
+        index: index,
+        person: person,
+        ...reproduction
+    }) : null;
+
+    return {
+        url: moderation.url,
+        mediaId: moderation.allowed ? mediaId : null,
+        requestId: requestId,
+        provider: result.provider,
+        provenanceId: record ? record.id : null,
+        blocked: !moderation.allowed,
+        categories: moderation.categories
+    };
+}
+
+// Remove an attempt that lost to a better-scoring one
+async function discardAttempt(attempt) {
+    deleteProvenance(attempt.provenanceId);
+    if (attempt.mediaId) {
+        await deleteMedia(attempt.mediaId).catch(error => {
+            console.error(`Could not delete discarded media ${attempt.mediaId}:`, error.message);
+        });
+    }
+}
+
+// Regenerate a low-scoring image while the job's retry budget lasts, keeping
+// the best-scoring attempt. A failed or blocked retry keeps what we have.
+// `render()` and `judge(attempt)` make and score one attempt.
+// Resolves to { best, retries }.
+async function retryLowScore(attempt, { render, judge, budget, label }) {
+    let best = attempt;
+    let retries = 0;
+    while (shouldRetry(best.score) && budget.left > 0) {
+        budget.left--;
+        retries++;
+        console.log(`${label} scored ${best.score.overall}, regenerating (${budget.left} retries left)`);
+
+        let retry;
+        try {
+            retry = await render();
+        } catch (error) {
+            console.error(`${label}: retry failed:`, error.message);
+            break;
+        }
+        if (retry.blocked) {
+            continue;
+        }
+        retry.score = await judge(retry);
+        if (retry.score && retry.score.overall > best.score.overall) {
+            await discardAttempt(best);
+            best = retry;
+        } else {
+            await discardAttempt(retry);
+        }
+    }
+    return { best, retries };
+}
+
+// Generate each pending image of a job in turn and record it on the job.
+// Multi-person jobs (`userImages`) render `imagesPerPerson` images for each
+// person in turn; their results and progress events carry the person's index.
+// Each image is scored against its inputs; once all are done the completed
+// ones are ranked (per person) and the ranks are published.
+// A `reproduction` (see queueReproduction) is generated as recorded and never retried.
+async function generateImages(job, setResult, { prompts, imageUrls, userImage, userImages, imagesPerPerson, runId, userId, source, reproduction }) {
+    const total = job.results.length;
+    const multiPerson = Array.isArray(userImages) && userImages.length > 0;
+
+    // Combine each user image with the clothing images. Stored /media inputs
+    // are resolved here rather than when queueing, so job files stay small.
+    const clothingUrls = await Promise.all(imageUrls.map(resolveMediaInput));
+    const people = multiPerson ? userImages : [userImage];
+    const providerImageUrls = await Promise.all(people.map(async (image) => (
+        image ? [await resolveMediaInput(image), ...clothingUrls] : clothingUrls
+    )));
+    // Retries already spent before a resume count against the budget
+    const budget = { left: reproduction ? 0 : RESULT_RETRY_BUDGET - job.results.reduce((sum, result) => sum + (result.retries || 0), 0) };
+
+    for (const item of job.results) {
+        if (item.status === 'completed') {
+            continue;
+        }
+
+        const i = item.index;
+        const person = multiPerson ? Math.floor(i / imagesPerPerson) : 0;
+        const personDetails = multiPerson ? { person: person } : {};
+        // Fall back to the person's first prompt, then to the first prompt
+        const prompt = prompts[i] || prompts[person * (imagesPerPerson || 0)] || prompts[0];
+
+        console.log(`Job ${job.id}: generating image ${i + 1} with prompt:`, prompt.substring(0, 100) + '...');
+        setResult(i, { status: 'running', ...personDetails });
+        progress.publish(runId, 'image-started', { jobId: job.id, index: i, total: total, ...personDetails });
+
+        try {
+            const render = () => renderTryOn({
+                prompt: prompt,
+                imageUrls: providerImageUrls[person],
+                inputs: { personImage: people[person], garmentImages: imageUrls },
+                seed: reproduction ? reproduction.seed : undefined,
+                pin: reproduction ? reproduction.pin : undefined,
+                reproduction: reproduction ? { reproducedFrom: reproduction.reproducedFrom, changes: reproduction.changes } : undefined,
+                jobId: job.id,
+                runId: runId,
+                userId: userId,
+                source: source,
+                index: i,
+                person: multiPerson ? person : undefined
+            });
+            const judge = attempt => scoreResult({
+                output: attempt.url,
+                personImage: people[person] ? providerImageUrls[person][0] : null,
+                garmentImages: clothingUrls,
+                prompt: prompt
+            });
+
+            const first = await render();
+            const { url, mediaId, requestId, provider, blocked, categories } = first;
+
+            if (blocked) {
+                const error = 'This image was blocked by content moderation';
+                setResult(i, { status: 'blocked', url: url, mediaId: null, requestId: requestId, moderation: { categories: categories }, error: error });
+                progress.publish(runId, 'image-blocked', { jobId: job.id, index: i, total: total, url: url, error: error, ...personDetails });
+                continue;
+            }
+
+            console.log(`Job ${job.id}: image ${i + 1} generation completed via ${provider}`);
+
+            first.score = await judge(first);
+            const { best, retries } = await retryLowScore(first, { render, judge, budget, label: `Job ${job.id}: image ${i + 1}` });
+
+            setResult(i, {
+                status: 'completed',
+                url: best.url,
+                mediaId: best.mediaId,
+                requestId: best.requestId,
+                provenanceId: best.provenanceId,
+                score: best.score,
+                retries: retries,
+                error: null
+            });
+            progress.publish(runId, 'image-done', {
+                jobId: job.id,
+                index: i,
+                total: total,
+                url: best.url,
+                score: best.score,
+                provenanceId: best.provenanceId,
+                ...personDetails
+            });
+        } catch (error) {
+            console.error(`Job ${job.id}: image ${i + 1} failed:`, error);
+            setResult(i, { status: 'failed', error: error.message });
+            progress.publish(runId, 'image-failed', { jobId: job.id, index: i, total: total, error: error.message, ...personDetails });
+        }
+    }
+
+    const ranks = rankResults(job.results.filter(result => result.status === 'completed'));
+    if (ranks.size > 0) {
+        ranks.forEach((rank, index) => setResult(index, { rank: rank }));
+        progress.publish(runId, 'images-ranked', {
+            jobId: job.id,
+            ranks: Array.from(ranks, ([index, rank]) => ({ index: index, rank: rank }))
+        });
+    }
+}
+
+// Frames a generated video is moderated by
+const MODERATION_VIDEO_FRAMES = parseInt(process.env.MODERATION_VIDEO_FRAMES) || 3;
+
+// Frames to moderate a stored video by: sampled with ffmpeg when it is
+// installed, otherwise the still the video was animated from stands in as its poster
+async function videoFrames(url, mediaId, imageUrl) {
+    if (mediaId && await isFfmpegAvailable()) {
+        try {
+            return await sampleMediaFrames(url, MODERATION_VIDEO_FRAMES);
+        } catch (error) {
+            console.error('Could not sample frames from the video, checking its source image instead:', error.message);
+        }
+    }
+    return [imageUrl];
+}
+
+// Generate one video from an image, store it, moderate it and record its
+// provenance. `preset` or `prompt` picks the motion (see videoPresets.js);
+// duration and aspectRatio are optional. Like images, every video gets a seed,
+// random unless one is given; `seed`, `pin` and `reproduction` reproduce an
+// earlier video (see renderTryOn). Resolves to { url, mediaId, preset, prompt,
+// duration, aspectRatio, provider, provenanceId, blocked, categories }; a
+// blocked video is already deleted, has no record and url is the placeholder.
+// Progress events are published either way.
+async function createVideo({ imageUrl, preset, prompt, duration, aspectRatio, seed, pin, reproduction, runId, index = 0, total = 1, userId, jobId, source }) {
+    const settings = resolveVideoSettings({ preset, prompt, duration, aspectRatio });
+    const videoSeed = Number.isInteger(seed) ? seed : crypto.randomInt(2 ** 31);
+    console.log('Generating video from image:', imageUrl);
+    console.log(`Video prompt (${settings.preset || 'custom'}):`, settings.prompt);
+
+    progress.publish(runId, 'video-started', { index: index, total: total, preset: settings.preset });
+
+    try {
+        const startedAt = new Date();
+        const result = await generateVideo({
+            imageUrl: await resolveMediaInput(imageUrl),
+            prompt: settings.prompt,
+            duration: settings.duration,
+            aspectRatio: settings.aspectRatio,
+            seed: videoSeed,
+            pin: pin
+        });
+
+        console.log(`Video generation completed via ${result.provider}`);
+
+        const { url, mediaId } = await storeOutput(result, {
+            kind: 'video',
+            requestId: result.id,
+            jobId: jobId,
+            runId: runId,
+            index: index
+        });
+
+        const moderation = await moderateVideoOutput(url, await videoFrames(url, mediaId, imageUrl), {
+            source: source, userId: userId, runId: runId, jobId: jobId, index: index
+        });
+        if (!moderation.allowed) {
+            const error = 'This video was blocked by content moderation';
+            progress.publish(runId, 'video-blocked', { index: index, total: total, url: moderation.url, error: error, preset: settings.preset });
+            return {
+                url: moderation.url,
+                mediaId: null,
+                ...settings,
+                provider: result.provider,
+                provenanceId: null,
+                blocked: true,
+                categories: moderation.categories
+            };
+        }
+
+        const record = recordProvenance({
+            kind: 'video',
+            prompt: settings.prompt,
+            preset: settings.preset,
+            duration: settings.duration,
+            aspectRatio: settings.aspectRatio,
+            inputs: { image: imageUrl },
+            provider: result.provider,
+            model: result.model,
+            version: result.version,
+            predictionId: result.id,
+            seed: Number.isInteger(result.seed) ? result.seed : videoSeed,
+            url: url,
+            mediaId: mediaId,
+            startedAt: startedAt,
+            completedAt: new Date(),
+            predictTimeMs: result.predictTimeMs,
+            jobId: jobId,
+            runId: runId,
+            userId: userId,
+            source: source,
+            index: index,
+            ...reproduction
+        });
+
+        if (userId && progress.isValidRunId(runId)) {
+            history.addVideo(runId, userId, {
+                index: index,
+                url: url,
+                mediaId: mediaId,
+                ...settings,
+                provenanceId: record ? record.id : null
+            });
+        }
+
+        progress.publish(runId, 'video-done', { index: index, total: total, url: url, preset: settings.preset });
+        return {
+            url: url,
+            mediaId: mediaId,
+            ...settings,
+            provider: result.provider,
+            provenanceId: record ? record.id : null,
+            blocked: false,
+            categories: []
+        };
+    } catch (error) {
+        progress.publish(runId, 'video-failed', { index: index, total: total, error: error.message });
+        throw error;
+    }
+}
+
+registerJobHandler('try-on', async (job, { setResult }) => {
+    await generateImages(job, setResult, job.input);
+});
+
+// One-call pipeline. Prompts are kept on the job output, so a resumed job
+// does not write them again.
+registerJobHandler('generation', async (job, { setResult, setOutput }) => {
+    const { style, customDetails, userImage, clothingImages, outfit, runId, userId, clientId, video, source } = job.input;
+
+    if (!job.output || !job.output.prompts) {
+        const written = await writePrompts({
+            style: style,
+            customDetails: customDetails,
+            userImage: userImage,
+            clothingImages: clothingImages,
+            outfit: outfit,
+            numImages: job.results.length,
+            runId: runId,
+            clientId: clientId,
+            userId: userId
+        });
+
+        setOutput({
+            prompts: written.prompts,
+            promptDetails: written.promptDetails,
+            garments: written.garments,
+            outfit: written.outfit,
+            promptTemplate: written.promptTemplate
+        });
+
+        if (userId && runId) {
+            history.updateRun(runId, userId, {
+                styleName: written.styleName,
+                promptTemplate: written.promptTemplate,
+                prompts: written.prompts,
+                outfit: written.outfit
+            });
+        }
+    }
+
+    // The prompts number the garments in layering order
+    await generateImages(job, setResult, {
+        prompts: job.output.prompts,
+        imageUrls: orderClothingImages(clothingImages, job.output.outfit),
+        userImage: userImage,
+        runId: runId,
+        userId: userId,
+        source: source
+    });
+
+    if (!video) {
+        return;
+    }
+
+    const completed = job.results.filter(result => result.status === 'completed');
+    for (const result of completed) {
+        if (result.videoUrl) {
+            continue;
+        }
+        try {
+            const output = await createVideo({
+                imageUrl: result.url,
+                preset: video.preset,
+                prompt: video.prompt,
+                duration: video.duration,
+                aspectRatio: video.aspectRatio,
+                runId: runId,
+                index: result.index,
+                total: completed.length,
+                userId: userId,
+                jobId: job.id,
+                source: source
+            });
+            if (output.blocked) {
+                setResult(result.index, { videoError: 'This video was blocked by content moderation' });
+                continue;
+            }
+            setResult(result.index, {
+                videoUrl: output.url,
+                videoMediaId: output.mediaId,
+                videoPreset: output.preset,
+                videoProvenanceId: output.provenanceId,
+                videoError: null
+            });
+        } catch (error) {
+            console.error(`Job ${job.id}: video for image ${result.index + 1} failed:`, error);
+            setResult(result.index, { videoError: error.message });
+        }
+    }
+});
+
+registerJobHandler('video', async (job, { setResult }) => {
+    const { imageUrl, preset, prompt, duration, aspectRatio, runId, userId, source, reproduction } = job.input;
+
+    setResult(0, { status: 'running' });
+    try {
+        const output = await createVideo({
+            imageUrl: imageUrl,
+            preset: preset,
+            prompt: prompt,
+            duration: duration,
+            aspectRatio: aspectRatio,
+            seed: reproduction ? reproduction.seed : null,
+            pin: reproduction ? reproduction.pin : null,
+            reproduction: reproduction ? { reproducedFrom: reproduction.reproducedFrom, changes: reproduction.changes } : null,
+            runId: runId,
+            userId: userId,
+            jobId: job.id,
+            source: source
+        });
+        if (output.blocked) {
+            setResult(0, {
+                status: 'blocked',
+                url: output.url,
+                mediaId: null,
+                preset: output.preset,
+                moderation: { categories: output.categories },
+                error: 'This video was blocked by content moderation'
+            });
+            return;
+        }
+        setResult(0, {
+            status: 'completed',
+            url: output.url,
+            mediaId: output.mediaId,
+            preset: output.preset,
+            prompt: output.prompt,
+            duration: output.duration,
+            aspectRatio: output.aspectRatio,
+            provenanceId: output.provenanceId,
+            error: null
+        });
+    } catch (error) {
+        console.error(`Job ${job.id}: video failed:`, error);
+        setResult(0, { status: 'failed', error: error.message });
+    }
+});
+
+jobEvents.on('finished', (job) => {
+    const input = job.input || {};
+
+    // Only outputs that were actually generated count against the quota
+    if (input.usage) {
+        const completed = job.results.filter(result => result.status === 'completed').length;
+        usage.release(input.usage, job.results.length - completed);
+    }
+    if (input.videoUsage) {
+        const videos = job.results.filter(result => result.videoUrl).length;
+        usage.release(input.videoUsage, input.videoUsage.count - videos);
+    }
+
+    if (job.type === 'video' || !input.runId) {
+        return;
+    }
+
+    progress.publish(input.runId, 'job-done', { jobId: job.id, status: job.status, error: job.error });
+    experiments.recordEvent({
+        type: 'result',
+        runId: input.runId,
+        jobId: job.id,
+        images: job.results.filter(result => result.status === 'completed').length,
+        failedImages: job.results.filter(result => result.status === 'failed').length
+    });
+
+    if (input.userId) {
+        history.updateRun(input.runId, input.userId, {
+            status: job.status,
+            outputs: job.results.map(result => ({
+                index: result.index,
+                person: result.person !== undefined ? result.person : null,
+                status: result.status,
+                url: result.url || null,
+                mediaId: result.mediaId || null,
+                provenanceId: result.provenanceId || null,
+                score: result.score || null,
+                rank: result.rank || null,
+                error: result.error || null
+            }))
+        });
+    }
+});
+
+// Queue a try-on job. For signed-in runs the job ID is recorded in history.
+// `webhook` ({ url, baseUrl }) is kept on the job input for the /v1 API, and
+// `source` ('web' or 'v1') labels its moderation audit entries.
+// With `userImages` (multi-person mode) numImages is per person and `prompts`
+// holds each person's prompts in turn. `reproduction` is set by queueReproduction.
+// A guest's job keeps `guestSubject` (usage.subjectFor) so only that client can read it.
+function queueTryOnJob({ prompts, imageUrls, userImage, userImages, runId, userId, guestSubject, usage: reservation, webhook, source, reproduction }, numImages) {
+    const multiPerson = Array.isArray(userImages) && userImages.length > 0;
+    const job = createJob('try-on', {
+        prompts: prompts,
+        imageUrls: imageUrls,
+        userImage: multiPerson ? null : userImage,
+        userImages: multiPerson ? userImages : null,
+        imagesPerPerson: multiPerson ? numImages : null,
+        runId: runId,
+        userId: userId,
+        guestSubject: userId ? null : guestSubject || null,
+        usage: reservation || null,
+        promptTemplateVersion: runId ? experiments.versionForRun(runId) : null,
+        webhook: webhook || null,
+        source: source || 'web',
+        reproduction: reproduction || null
+    }, multiPerson ? numImages * userImages.length : numImages);
+
+    if (userId && runId) {
+        history.updateRun(runId, userId, { jobId: job.id });
+    }
+
+    console.log(`Queued try-on job ${job.id} for ${job.results.length} image(s)${multiPerson ? ` across ${userImages.length} people` : ''}`);
+    return job;
+}
+
+// Queue the full pipeline. `video` is null, or { preset, prompt, duration,
+// aspectRatio } (all optional) to add a video per image.
+// `outfit` holds optional slot and layer choices per clothing image.
+function queueGenerationJob({ style, customDetails, userImage, clothingImages, outfit, runId, userId, clientId, video, usage: reservation, videoUsage, webhook, source }, numImages) {
+    const job = createJob('generation', {
+        style: style,
+        customDetails: customDetails || '',
+        userImage: userImage,
+        clothingImages: clothingImages,
+        outfit: outfit || null,
+        runId: runId,
+        userId: userId,
+        clientId: clientId || null,
+        video: video || null,
+        usage: reservation || null,
+        videoUsage: videoUsage || null,
+        webhook: webhook || null,
+        source: source || 'web'
+    }, numImages);
+
+    if (userId && runId) {
+        history.updateRun(runId, userId, { jobId: job.id });
+    }
+
+    console.log(`Queued generation job ${job.id} for ${numImages} image(s)${video ? ' with videos' : ''}`);
+    return job;
+}
+
+// Queue one output rebuilt from a provenance record: `reproduction` comes from
+// provenance.buildReproduction and keeps the record's provider, model version
+// and seed. An image is saved as a new run that notes where it came from; a
+// video is queued as a video job, which has no run.
+function queueReproduction(reproduction, { runId, userId, usage: reservation, webhook, source }) {
+    const recorded = {
+        seed: reproduction.seed,
+        pin: reproduction.pin,
+        reproducedFrom: reproduction.reproducedFrom,
+        changes: reproduction.changes
+    };
+
+    let job;
+    if (reproduction.kind === 'video') {
+        job = queueVideoJob({
+            imageUrl: reproduction.imageUrl,
+            prompt: reproduction.prompt,
+            duration: reproduction.duration,
+            aspectRatio: reproduction.aspectRatio,
+            runId: null,
+            userId: userId,
+            usage: reservation,
+            webhook: webhook,
+            source: source,
+            reproduction: recorded
+        });
+    } else {
+        if (userId && runId) {
+            history.updateRun(runId, userId, {
+                status: 'generating',
+                imageCount: 1,
+                prompts: [reproduction.prompt],
+                inputs: { userImage: reproduction.personImage, clothingImages: reproduction.garmentImages },
+                reproducedFrom: reproduction.reproducedFrom
+            });
+        }
+        job = queueTryOnJob({
+            prompts: [reproduction.prompt],
+            imageUrls: reproduction.garmentImages,
+            userImage: reproduction.personImage,
+            runId: runId,
+            userId: userId,
+            usage: reservation,
+            webhook: webhook,
+            source: source,
+            reproduction: recorded
+        }, 1);
+    }
+
+    console.log(`Job ${job.id} reproduces provenance record ${reproduction.reproducedFrom}${reproduction.changes ? ` with changed ${reproduction.changes.join(', ')}` : ''}`);
+    return job;
+}
+
+// Queue one video. `reproduction` is set by queueReproduction.
+function queueVideoJob({ imageUrl, preset, prompt, duration, aspectRatio, runId, userId, usage: reservation, webhook, source, reproduction }) {
+    const job = createJob('video', {
+        imageUrl: imageUrl,
+        preset: preset || null,
+        prompt: prompt || null,
+        duration: duration || null,
+        aspectRatio: aspectRatio || null,
+        runId: runId,
+        userId: userId,
+        usage: reservation || null,
+        webhook: webhook || null,
+        source: source || 'web',
+        reproduction: reproduction || null
+    }, 1);
+
+    console.log(`Queued video job ${job.id}`);
+    return job;
+}
+
+// Copy uploaded input images into media storage so the run can be viewed and
+// re-run later. Remote URLs are kept as given. Multi-person runs also pass
+// every person photo as `userImages`; the first one is kept as `userImage`.
+async function saveRunInputs(runId, userId, userImage, clothingImages, userImages) {
+    const store = async (image) => {
+        if (typeof image !== 'string' || !image.startsWith('data:')) {
+            return image || null;
+        }
+        const record = await persistMedia(image, { kind: 'input', runId: runId });
+        return mediaUrl(record.id);
+    };
+
+    const multiPerson = Array.isArray(userImages) && userImages.length > 0;
+    const people = multiPerson ? await Promise.all(userImages.map(store)) : [await store(userImage)];
+    const inputs = {
+        userImage: people[0],
+        clothingImages: await Promise.all((clothingImages || []).map(store))
+    };
+    if (multiPerson) {
+        inputs.userImages = people;
+    }
+    history.updateRun(runId, userId, { inputs: inputs });
+}
+
+module.exports = {
+    renderTryOn,
+    createVideo,
+    queueTryOnJob,
+    queueGenerationJob,
+    queueReproduction,
+    queueVideoJob,
+    saveRunInputs
+};
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const { mediaIdFromUrl } = require('./media');
+
+// Per-user generation history. Each try-on run is saved as data/history/<runId>.json
+// with its inputs, style, prompts, output images and videos. Uploaded inputs are
+// copied to media storage, so every image in a run is a /media URL or the
+// remote URL the user supplied.
+
+const HISTORY_DIR = process.env.HISTORY_DIR || path.join(__dirname, '..', 'data', 'history');
+
+let runs = null;
+
+function loadRuns() {
+    if (runs) {
+        return runs;
+    }
+
+    runs = new Map();
+    if (!fs.existsSync(HISTORY_DIR)) {
+        return runs;
+    }
+
+    fs.readdirSync(HISTORY_DIR).filter(file => file.endsWith('.json')).forEach(file => {
+        try {
+            const run = JSON.parse(fs.readFileSync(path.join(HISTORY_DIR, file), 'utf8'));
+            runs.set(run.id, run);
+        } catch (error) {
+            console.error(`Skipping unreadable history file ${file}:`, error.message);
+        }
+    });
+    return runs;
+}
+
+function saveRun(run) {
+    if (!fs.existsSync(HISTORY_DIR)) {
+        fs.mkdirSync(HISTORY_DIR, { recursive: true });
+    }
+    run.updatedAt = new Date().toISOString();
+    const filePath = path.join(HISTORY_DIR, `${run.id}.json`);
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(run, null, 2));
+    fs.renameSync(tmpPath, filePath);
+}
+
+// Returns the user's run, or null when it does not exist or belongs to someone else
+function getRun(id, userId) {
+    const run = loadRuns().get(id);
+    return run && run.userId === userId ? run : null;
+}
+
+// Create the run on first use and merge `patch` into it.
+// Returns null when the run ID is already taken by another user.
+function updateRun(id, userId, patch) {
+    let run = loadRuns().get(id);
+    if (run && run.userId !== userId) {
+        return null;
+    }
+
+    if (!run) {
+        const now = new Date().toISOString();
+        run = {
+            id: id,
+            userId: userId,
+            createdAt: now,
+            updatedAt: now,
+            status: 'prompted',
+            style: null,
+            styleName: null,
+            customDetails: '',
+            imageCount: null,
+            promptTemplate: null,
+            prompts: [],
+            inputs: { userImage: null, clothingImages: [] },
+            outfit: null,
+            jobId: null,
+            outputs: [],
+            videos: [],
+            rerunOf: null,
+            reproducedFrom: null
+        };
+        runs.set(id, run);
+    }
+
+    Object.assign(run, patch);
+    saveRun(run);
+    return run;
+}
+
+function addVideo(id, userId, video) {
+    const run = getRun(id, userId);
+    if (!run) {
+        return null;
+    }
+    run.videos = run.videos.filter(existing => existing.index !== video.index);
+    run.videos.push(video);
+    run.videos.sort((a, b) => a.index - b.index);
+    saveRun(run);
+    return run;
+}
+
+function listRuns(userId) {
+    return Array.from(loadRuns().values())
+        .filter(run => run.userId === userId)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function deleteRun(id) {
+    loadRuns().delete(id);
+    fs.rmSync(path.join(HISTORY_DIR, `${id}.json`), { force: true });
+}
+
+// Media IDs referenced by a run (inputs, outputs and videos)
+function runMediaIds(run) {
+    return [
+        mediaIdFromUrl(run.inputs.userImage),
+        ...(run.inputs.userImages || []).map(mediaIdFromUrl),
+        ...run.inputs.clothingImages.map(mediaIdFromUrl),
+        ...run.outputs.map(output => output.mediaId),
+        ...run.videos.map(video => video.mediaId)
+    ].filter(Boolean);
+}
+
+// True when any run other than `exceptId` still uses the media
+function isMediaReferenced(mediaId, exceptId) {
+    return Array.from(loadRuns().values())
+        .some(run => run.id !== exceptId && runMediaIds(run).includes(mediaId));
+}
+
+function toRunSummary(run) {
+    // Outputs blocked by content moderation only have the placeholder image
+    const images = run.outputs.filter(output => output.url && output.status !== 'blocked');
+    const firstOutput = images[0];
+    return {
+        id: run.id,
+        createdAt: run.createdAt,
+        status: run.status,
+        style: run.style,
+        styleName: run.styleName,
+        imageCount: images.length,
+        videoCount: run.videos.length,
+        thumbnailUrl: firstOutput ? firstOutput.url : null,
+        rerunOf: run.rerunOf,
+        reproducedFrom: run.reproducedFrom || null
+    };
+}
+
+function toPublicRun(run) {
+    return {
+        ...toRunSummary(run),
+        customDetails: run.customDetails,
+        promptTemplate: run.promptTemplate,
+        prompts: run.prompts,
+        inputs: run.inputs,
+        outfit: run.outfit || null,
+        jobId: run.jobId,
+        outputs: run.outputs,
+        videos: run.videos
+    };
+}
+
+module.exports = {
+    getRun,
+    updateRun,
+    addVideo,
+    listRuns,
+    deleteRun,
+    runMediaIds,
+    isMediaReferenced,
+    toRunSummary,
+    toPublicRun
+};
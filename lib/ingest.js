@@ -0,0 +1,205 @@
+const sharp = require('sharp');
+const { mediaUrl, storeMedia, getMedia, mediaIdFromUrl, resolveMediaInput } = require('./media');
+const { SafeFetchError, safeFetch } = require('./safeFetch');
+
+// Image ingestion: the one way an uploaded or data-URL image gets into the app.
+// The real type is sniffed from the file's magic bytes (the declared mimetype
+// and file name are ignored), oversized files and decompression bombs are
+// rejected before decoding, and the image is auto-oriented, stripped of EXIF,
+// GPS and other metadata, scaled down to the image model's preferred size and
+// re-encoded. Remote http(s) URLs are downloaded through the SSRF-guarded
+// safeFetch first, so no user-supplied URL is passed on to a provider. The
+// result is stored as 'input' media and referenced by its /media URL from then
+// on, so request bodies carry references instead of base64.
+
+const INGEST_MAX_BYTES = parseInt(process.env.INGEST_MAX_BYTES) || 10 * 1024 * 1024;
+const INGEST_MAX_PIXELS = parseInt(process.env.INGEST_MAX_PIXELS) || 40 * 1000 * 1000;
+const INGEST_MAX_EDGE = parseInt(process.env.INGEST_MAX_EDGE) || 1536;
+const INGEST_JPEG_QUALITY = parseInt(process.env.INGEST_JPEG_QUALITY) || 90;
+
+// Magic bytes of the formats we decode. SVG is never accepted: it can carry scripts.
+const SIGNATURES = [
+    { type: 'image/jpeg', test: bytes => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+    { type: 'image/png', test: bytes => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { type: 'image/gif', test: bytes => /^GIF8[79]a/.test(bytes.subarray(0, 6).toString('latin1')) },
+    { type: 'image/webp', test: bytes => bytes.subarray(0, 4).toString('latin1') === 'RIFF' && bytes.subarray(8, 12).toString('latin1') === 'WEBP' },
+    { type: 'image/avif', test: bytes => bytes.subarray(4, 8).toString('latin1') === 'ftyp' && /^avi[fs]$/.test(bytes.subarray(8, 12).toString('latin1')) }
+];
+
+// A problem with the image itself; the message can be shown to the user
+class IngestError extends Error {}
+
+// Content type from the leading bytes, or null when it is not a supported image
+function sniffImageType(buffer) {
+    const match = SIGNATURES.find(signature => buffer.length >= 12 && signature.test(buffer));
+    return match ? match.type : null;
+}
+
+// Resolves to { buffer, contentType, width, height, original: { contentType, size, width, height } }
+async function normalizeImage(buffer) {
+    if (buffer.length > INGEST_MAX_BYTES) {
+        throw new IngestError(`Images must be at most ${Math.round(INGEST_MAX_BYTES / (1024 * 1024))}MB`);
+    }
+    const contentType = sniffImageType(buffer);
+    if (!contentType) {
+        throw new IngestError('Only JPEG, PNG, WebP, GIF and AVIF images are supported');
+    }
+
+    // The header is read without decoding, so huge dimensions are caught before any pixels are allocated
+    let metadata;
+    try {
+        metadata = await sharp(buffer, { limitInputPixels: false }).metadata();
+    } catch (error) {
+        throw new IngestError('The image could not be read; it may be corrupt');
+    }
+    if (!metadata.width || !metadata.height) {
+        throw new IngestError('The image could not be read; it may be corrupt');
+    }
+    if (metadata.width * metadata.height > INGEST_MAX_PIXELS) {
+        throw new IngestError(`Images must be at most ${Math.round(INGEST_MAX_PIXELS / 1e6)} megapixels`);
+    }
+
+    // Animated images keep their first frame. rotate() applies the EXIF
+    // orientation; metadata is dropped because it is not copied to the output.
+    let pipeline = sharp(buffer, { limitInputPixels: INGEST_MAX_PIXELS, failOn: 'error' })
+        .rotate()
+        .resize({ width: INGEST_MAX_EDGE, height: INGEST_MAX_EDGE, fit: 'inside', withoutEnlargement: true });
+    pipeline = metadata.hasAlpha
+        ? pipeline.png({ compressionLevel: 6 })
+        : pipeline.flatten({ background: '#ffffff' }).jpeg({ quality: INGEST_JPEG_QUALITY });
+
+    let output;
+    try {
+        output = await pipeline.toBuffer({ resolveWithObject: true });
+    } catch (error) {
+        throw new IngestError('The image could not be decoded; it may be corrupt');
+    }
+
+    return {
+        buffer: output.data,
+        contentType: metadata.hasAlpha ? 'image/png' : 'image/jpeg',
+        width: output.info.width,
+        height: output.info.height,
+        original: {
+            contentType: contentType,
+            size: buffer.length,
+            width: metadata.width,
+            height: metadata.height
+        }
+    };
+}
+
+// Normalize and store image bytes. Resolves to { record, url, width, height, original }.
+async function ingestImage(buffer, details = {}) {
+    const image = await normalizeImage(buffer);
+    const record = await storeMedia(image.buffer, image.contentType, { ...details, kind: 'input' });
+    console.log(`Ingested ${record.id}: ${image.original.contentType} ${image.original.width}x${image.original.height} ` +
+        `(${image.original.size} bytes) -> ${image.contentType} ${image.width}x${image.height} (${record.size} bytes)`);
+    return { record: record, url: mediaUrl(record.id), width: image.width, height: image.height, original: image.original };
+}
+
+// Download a remote image and ingest it. Resolves like ingestImage.
+async function ingestRemoteImage(url, details = {}) {
+    let response;
+    try {
+        response = await safeFetch(url, { maxBytes: INGEST_MAX_BYTES, contentTypes: ['image/', 'application/octet-stream'] });
+    } catch (error) {
+        if (error instanceof SafeFetchError) {
+            throw new IngestError(`Could not fetch ${url}: ${error.message}`);
+        }
+        throw error;
+    }
+    if (response.status < 200 || response.status >= 300) {
+        throw new IngestError(`Could not fetch ${url}: the server responded with HTTP ${response.status}`);
+    }
+    return ingestImage(response.body, { ...details, sourceUrl: url });
+}
+
+// Turn one image input into a reference: data URLs and http(s) URLs are
+// ingested, and /media URLs must name a stored image.
+async function ingestImageInput(value, details = {}) {
+    if (typeof value !== 'string' || value === '') {
+        throw new IngestError('Images must be uploaded files, data URLs or http(s) URLs');
+    }
+
+    const dataMatch = /^data:[^;,]*;base64,/.exec(value);
+    if (dataMatch) {
+        const { url } = await ingestImage(Buffer.from(value.substring(dataMatch[0].length), 'base64'), details);
+        return url;
+    }
+    if (value.startsWith('data:')) {
+        throw new IngestError('Image data URLs must be base64 encoded');
+    }
+
+    const mediaId = mediaIdFromUrl(value);
+    if (mediaId) {
+        const record = getMedia(mediaId);
+        if (!record || !record.contentType.startsWith('image/')) {
+            throw new IngestError(`${value} is not a stored image`);
+        }
+        return mediaUrl(record.id);
+    }
+
+    if (/^https?:\/\//i.test(value)) {
+        const { url } = await ingestRemoteImage(value, details);
+        return url;
+    }
+    throw new IngestError('Images must be uploaded files, data URLs or http(s) URLs');
+}
+
+// Ingest the image inputs in `fields` of a request body in place. Each field
+// may hold one image or a list of them; missing fields are skipped.
+async function ingestFields(body, fields, details = {}) {
+    for (const field of fields) {
+        const value = body[field];
+        if (value === undefined || value === null) {
+            continue;
+        }
+        if (Array.isArray(value)) {
+            const references = [];
+            for (const item of value) {
+                references.push(await ingestImageInput(item, details));
+            }
+            body[field] = references;
+        } else {
+            body[field] = await ingestImageInput(value, details);
+        }
+    }
+}
+
+// { width, height } of a stored /media image or an image data URL, or null
+// when it cannot be read
+async function readImageSize(image) {
+    try {
+        const dataUrl = await resolveMediaInput(image);
+        const match = /^data:[^;,]*;base64,/.exec(dataUrl);
+        if (!match) {
+            return null;
+        }
+        const { width, height } = await sharp(Buffer.from(dataUrl.substring(match[0].length), 'base64')).metadata();
+        return width && height ? { width: width, height: height } : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function describeIngestion() {
+    return {
+        maxBytes: INGEST_MAX_BYTES,
+        maxPixels: INGEST_MAX_PIXELS,
+        maxEdge: INGEST_MAX_EDGE
+    };
+}
+
+module.exports = {
+    INGEST_MAX_BYTES,
+    IngestError,
+    sniffImageType,
+    normalizeImage,
+    ingestImage,
+    ingestRemoteImage,
+    ingestImageInput,
+    ingestFields,
+    readImageSize,
+    describeIngestion
+};
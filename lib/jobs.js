@@ -0,0 +1,234 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Background job queue with a file-backed store.
+// Each job is saved as data/jobs/<id>.json so it survives a server restart.
+// Job types run in lanes with their own concurrency, so long-running types
+// (e.g. catalog batches) do not hold up interactive try-ons.
+
+const JOBS_DIR = process.env.JOBS_DIR || path.join(__dirname, '..', 'data', 'jobs');
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 1;
+const JOB_RESUME_ON_START = process.env.JOB_RESUME_ON_START !== 'false';
+
+// Emits 'finished' with the job once it completes or fails
+const jobEvents = new EventEmitter();
+
+const jobs = new Map();
+const handlers = {};
+const lanes = {
+    default: { concurrency: JOB_CONCURRENCY, active: 0, queue: [] }
+};
+
+function ensureJobsDir() {
+    if (!fs.existsSync(JOBS_DIR)) {
+        fs.mkdirSync(JOBS_DIR, { recursive: true });
+    }
+}
+
+function jobFilePath(id) {
+    return path.join(JOBS_DIR, `${id}.json`);
+}
+
+// Write to a temp file first so a crash mid-write never leaves a truncated job file
+function saveJob(job) {
+    ensureJobsDir();
+    const filePath = jobFilePath(job.id);
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(job));
+    fs.renameSync(tmpPath, filePath);
+}
+
+function touch(job) {
+    job.updatedAt = new Date().toISOString();
+    saveJob(job);
+}
+
+// options.lane puts the type in its own lane with options.concurrency slots
+function registerJobHandler(type, handler, { lane = 'default', concurrency = 1 } = {}) {
+    handlers[type] = { run: handler, lane: lane };
+    if (!lanes[lane]) {
+        lanes[lane] = { concurrency: concurrency, active: 0, queue: [] };
+    }
+}
+
+function createJob(type, input, total) {
+    if (!handlers[type]) {
+        throw new Error(`No handler registered for job type: ${type}`);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+        id: crypto.randomUUID(),
+        type: type,
+        status: 'queued',
+        createdAt: now,
+        updatedAt: now,
+        input: input,
+        results: Array.from({ length: total }, (_, index) => ({
+            index: index,
+            status: 'pending'
+        })),
+        output: null,
+        error: null
+    };
+
+    jobs.set(job.id, job);
+    saveJob(job);
+    enqueue(job.id);
+    return job;
+}
+
+function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+// Jobs for which `filter` returns true, newest first
+function listJobs(filter) {
+    return Array.from(jobs.values())
+        .filter(filter)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function setJobResult(job, index, patch) {
+    job.results[index] = { ...job.results[index], ...patch };
+    touch(job);
+}
+
+// Job-level output (e.g. prompts written before the images), merged into job.output
+function setJobOutput(job, patch) {
+    job.output = { ...job.output, ...patch };
+    touch(job);
+}
+
+function enqueue(id) {
+    const lane = lanes[handlers[jobs.get(id).type].lane];
+    lane.queue.push(id);
+    processQueue(lane);
+}
+
+function processQueue(lane) {
+    while (lane.active < lane.concurrency && lane.queue.length > 0) {
+        const job = jobs.get(lane.queue.shift());
+        if (job) {
+            lane.active++;
+            runJob(job).finally(() => {
+                lane.active--;
+                processQueue(lane);
+            });
+        }
+    }
+}
+
+async function runJob(job) {
+    console.log(`Job ${job.id} (${job.type}) started`);
+    job.status = 'running';
+    touch(job);
+
+    try {
+        await handlers[job.type].run(job, {
+            setResult: (index, patch) => setJobResult(job, index, patch),
+            setOutput: (patch) => setJobOutput(job, patch)
+        });
+
+        const succeeded = job.results.filter(result => result.status === 'completed').length;
+        if (succeeded === 0) {
+            const firstError = job.results.find(result => result.error);
+            job.status = 'failed';
+            job.error = firstError ? firstError.error : 'No results were generated';
+        } else {
+            job.status = 'completed';
+        }
+    } catch (error) {
+        console.error(`Job ${job.id} failed:`, error);
+        job.status = 'failed';
+        job.error = error.message;
+    }
+
+    touch(job);
+    console.log(`Job ${job.id} finished with status: ${job.status}`);
+    jobEvents.emit('finished', job);
+}
+
+// Load persisted jobs and either resume or fail the ones that were interrupted.
+// Call after every handler has been registered.
+function loadJobs() {
+    ensureJobsDir();
+
+    const files = fs.readdirSync(JOBS_DIR).filter(file => file.endsWith('.json'));
+    let resumed = 0;
+    let failed = 0;
+
+    files.forEach(file => {
+        let job;
+        try {
+            job = JSON.parse(fs.readFileSync(path.join(JOBS_DIR, file), 'utf8'));
+        } catch (error) {
+            console.error(`Skipping unreadable job file ${file}:`, error.message);
+            return;
+        }
+
+        jobs.set(job.id, job);
+
+        if (job.status !== 'queued' && job.status !== 'running') {
+            return;
+        }
+
+        if (JOB_RESUME_ON_START && handlers[job.type] && job.input) {
+            // Interrupted results are retried; completed ones are kept
+            job.results = job.results.map(result =>
+                result.status === 'running' ? { index: result.index, status: 'pending' } : result
+            );
+            job.status = 'queued';
+            touch(job);
+            enqueue(job.id);
+            resumed++;
+        } else {
+            job.status = 'failed';
+            job.error = 'Server restarted before the job finished';
+            touch(job);
+            failed++;
+        }
+    });
+
+    console.log(`Loaded ${jobs.size} job(s): ${resumed} resumed, ${failed} marked failed`);
+}
+
+// Job view returned to clients. The raw input (base64 images) is never sent back.
+function toPublicJob(job) {
+    const completedResults = job.results.filter(result => result.status === 'completed');
+
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        total: job.results.length,
+        completed: completedResults.length,
+        results: job.results,
+        error: job.error,
+        data: {
+            images: completedResults.map(result => ({
+                url: result.url,
+                index: result.index,
+                person: result.person,
+                provenanceId: result.provenanceId || null,
+                score: result.score || null,
+                rank: result.rank || null
+            })),
+            requestIds: completedResults.map(result => result.requestId)
+        }
+    };
+}
+
+module.exports = {
+    jobEvents,
+    registerJobHandler,
+    createJob,
+    getJob,
+    listJobs,
+    loadJobs,
+    toPublicJob
+};
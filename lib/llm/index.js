@@ -0,0 +1,86 @@
+// LLM service used for photo analysis and prompt writing.
+// Every call names a task; the task decides the model, temperature and token
+// budget. Any OpenAI-compatible server can be used through LLM_BASE_URL, and the
+// fixture-driven stub backend lets the app run without an API key.
+
+const backends = {
+    openai: require('./openai'),
+    stub: require('./stub')
+};
+
+const DEFAULT_MODEL = process.env.LLM_MODEL || 'gpt-4o-mini';
+
+const tasks = {
+    'user-analysis': { maxTokens: 800, temperature: 0.7 },
+    'clothing-analysis': { maxTokens: 1000, temperature: 0.7 },
+    'person-check': { maxTokens: 200, temperature: 0 },
+    'prompt-writing': { maxTokens: 1200, temperature: 0.9 }, // Higher for more creative variation
+    'result-scoring': { maxTokens: 300, temperature: 0 },
+    'health-check': { maxTokens: 10, temperature: 0 }
+};
+
+// LLM_MODEL_PROMPT_WRITING=gpt-4o overrides the model for the prompt-writing task
+function modelForTask(task) {
+    const envName = `LLM_MODEL_${task.toUpperCase().replace(/-/g, '_')}`;
+    return process.env[envName] || DEFAULT_MODEL;
+}
+
+function defaultBackendName() {
+    if (process.env.LLM_PROVIDER) {
+        return process.env.LLM_PROVIDER;
+    }
+    return process.env.OPENAI_API_KEY || process.env.LLM_BASE_URL ? 'openai' : 'stub';
+}
+
+let backend = null;
+
+function initLLM() {
+    const name = defaultBackendName();
+    const factory = backends[name];
+    if (!factory) {
+        throw new Error(`Unknown LLM provider "${name}". Available providers: ${Object.keys(backends).join(', ')}`);
+    }
+    backend = factory();
+    return backend;
+}
+
+function getBackend() {
+    return backend || initLLM();
+}
+
+// Returns the trimmed text of the first choice.
+// Pass { json: true } to ask the backend for a JSON object response.
+async function complete(task, messages, options = {}) {
+    const settings = tasks[task];
+    if (!settings) {
+        throw new Error(`Unknown LLM task: ${task}`);
+    }
+
+    return await getBackend().complete({
+        task: task,
+        model: modelForTask(task),
+        messages: messages,
+        maxTokens: settings.maxTokens,
+        temperature: settings.temperature,
+        json: !!options.json
+    });
+}
+
+function describeLLM() {
+    const models = {};
+    Object.keys(tasks).forEach(task => {
+        models[task] = modelForTask(task);
+    });
+    return {
+        provider: getBackend().name,
+        baseUrl: process.env.LLM_BASE_URL || null,
+        models: models
+    };
+}
+
+module.exports = {
+    initLLM,
+    complete,
+    modelForTask,
+    describeLLM
+};
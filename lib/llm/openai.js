@@ -0,0 +1,35 @@
+const OpenAI = require('openai');
+
+// OpenAI or any server that speaks the same chat completions API
+// (set LLM_BASE_URL, e.g. http://localhost:11434/v1 for a local server).
+
+function createOpenAIBackend() {
+    const baseURL = process.env.LLM_BASE_URL || undefined;
+
+    if (!process.env.OPENAI_API_KEY && !baseURL) {
+        throw new Error('OPENAI_API_KEY environment variable is required for the openai LLM provider');
+    }
+
+    const openai = new OpenAI({
+        // Local servers usually ignore the key, but the client requires one
+        apiKey: process.env.OPENAI_API_KEY || 'not-needed',
+        baseURL: baseURL,
+    });
+
+    return {
+        name: 'openai',
+
+        async complete({ model, messages, maxTokens, temperature, json }) {
+            const completion = await openai.chat.completions.create({
+                model: model,
+                messages: messages,
+                max_tokens: maxTokens,
+                temperature: temperature,
+                ...(json ? { response_format: { type: 'json_object' } } : {}),
+            });
+            return completion.choices[0].message.content.trim();
+        }
+    };
+}
+
+module.exports = createOpenAIBackend;
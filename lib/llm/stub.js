@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+
+// Offline LLM backend. Answers every task with the canned response in
+// fixtures/<task>.json (or LLM_FIXTURES_DIR), ignoring the messages.
+
+const FIXTURES_DIR = process.env.LLM_FIXTURES_DIR || path.join(__dirname, 'fixtures');
+
+function loadFixture(task) {
+    const filePath = path.join(FIXTURES_DIR, `${task}.json`);
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`No LLM stub fixture for task "${task}" (expected ${filePath})`);
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function createStubBackend() {
+    console.log(`LLM stub enabled, answering from fixtures in ${FIXTURES_DIR}`);
+
+    return {
+        name: 'stub',
+
+        async complete({ task }) {
+            const fixture = loadFixture(task);
+            return String(fixture.content).trim();
+        }
+    };
+}
+
+module.exports = createStubBackend;
@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { safeFetch } = require('./safeFetch');
+
+// Persisted generation outputs.
+// Provider URLs expire, so every image and video is downloaded once, stored
+// through the configured storage backend and served from /media/:id.
+// Metadata (checksum, size, source, provider) is saved as data/media/meta/<id>.json.
+
+const MEDIA_META_DIR = process.env.MEDIA_META_DIR || path.join(__dirname, '..', 'data', 'media', 'meta');
+const MEDIA_MAX_BYTES = parseInt(process.env.MEDIA_MAX_BYTES) || 200 * 1024 * 1024;
+const MEDIA_FETCH_TIMEOUT_MS = parseInt(process.env.MEDIA_FETCH_TIMEOUT_MS) || 60000;
+
+const MEDIA_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+const EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'image/svg+xml': 'svg',
+    'video/mp4': 'mp4',
+    'video/webm': 'webm',
+    'video/quicktime': 'mov',
+    'audio/mpeg': 'mp3',
+    'audio/mp3': 'mp3',
+    'audio/mp4': 'm4a',
+    'audio/aac': 'aac',
+    'audio/wav': 'wav',
+    'audio/x-wav': 'wav',
+    'audio/ogg': 'ogg',
+    'audio/webm': 'weba'
+};
+
+const records = new Map();
+
+function metaFilePath(id) {
+    return path.join(MEDIA_META_DIR, `${id}.json`);
+}
+
+function saveRecord(record) {
+    if (!fs.existsSync(MEDIA_META_DIR)) {
+        fs.mkdirSync(MEDIA_META_DIR, { recursive: true });
+    }
+    const filePath = metaFilePath(record.id);
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(record, null, 2));
+    fs.renameSync(tmpPath, filePath);
+}
+
+function mediaUrl(id) {
+    return `/media/${id}`;
+}
+
+// Base of the absolute URLs handed out in API responses, webhooks and result
+// manifests: PUBLIC_BASE_URL without a trailing slash, or '' to leave them
+// relative. The request's Host header is never used, as any client can set it.
+function publicBaseUrl() {
+    return (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+}
+
+// Resolves to { buffer, contentType } for a data URL or an http(s) URL
+async function fetchSource(sourceUrl) {
+    const dataMatch = /^data:([^;,]+)?(;base64)?,(.*)$/s.exec(sourceUrl);
+    if (dataMatch) {
+        return {
+            buffer: Buffer.from(dataMatch[3], dataMatch[2] ? 'base64' : 'utf8'),
+            contentType: dataMatch[1] || 'application/octet-stream'
+        };
+    }
+
+    if (!/^https?:\/\//i.test(sourceUrl)) {
+        throw new Error(`Unsupported media URL: ${String(sourceUrl).substring(0, 100)}`);
+    }
+
+    const response = await safeFetch(sourceUrl, { maxBytes: MEDIA_MAX_BYTES, timeoutMs: MEDIA_FETCH_TIMEOUT_MS });
+    if (response.status < 200 || response.status >= 300) {
+        throw new Error(`Downloading media failed with status ${response.status}`);
+    }
+
+    return {
+        buffer: response.body,
+        contentType: response.contentType
+    };
+}
+
+// Download a provider output and store it. `details` is kept with the record:
+// { kind: 'image' | 'video' | 'audio' | 'reel', provider, model, requestId, jobId, runId, index }
+async function persistMedia(sourceUrl, details = {}) {
+    const { buffer, contentType } = await fetchSource(sourceUrl);
+    // Data URLs are not worth keeping; remote URLs help trace an output back to the provider
+    return storeMedia(buffer, contentType, {
+        ...details,
+        sourceUrl: sourceUrl.startsWith('data:') ? null : sourceUrl
+    });
+}
+
+// Store bytes that are already in memory (e.g. an uploaded file)
+async function storeMedia(buffer, contentType, details = {}) {
+    const id = crypto.randomUUID();
+    const extension = EXTENSIONS[contentType] || 'bin';
+    const kind = details.kind || (contentType.startsWith('video/') ? 'video' : 'image');
+    const key = `${kind}/${id}.${extension}`;
+
+    await getStorage().put(key, buffer, contentType);
+
+    const record = {
+        id: id,
+        kind: kind,
+        key: key,
+        storage: getStorage().name,
+        contentType: contentType,
+        size: buffer.length,
+        sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+        sourceUrl: details.sourceUrl || null,
+        provider: details.provider || null,
+        model: details.model || null,
+        requestId: details.requestId || null,
+        jobId: details.jobId || null,
+        runId: details.runId || null,
+        index: details.index === undefined ? null : details.index,
+        createdAt: new Date().toISOString()
+    };
+
+    saveRecord(record);
+    records.set(id, record);
+    return record;
+}
+
+function getMedia(id) {
+    if (!MEDIA_ID_PATTERN.test(id)) {
+        return null;
+    }
+    if (records.has(id)) {
+        return records.get(id);
+    }
+
+    const filePath = metaFilePath(id);
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+
+    try {
+        const record = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        records.set(id, record);
+        return record;
+    } catch (error) {
+        console.error(`Could not read media record ${id}:`, error.message);
+        return null;
+    }
+}
+
+// Remove the stored file and its metadata
+async function deleteMedia(id) {
+    const record = getMedia(id);
+    if (!record) {
+        return false;
+    }
+
+    await getStorage().remove(record.key);
+    fs.rmSync(metaFilePath(id), { force: true });
+    records.delete(id);
+    return true;
+}
+
+// Media ID referenced by a /media/:id URL (relative or on any host), or null
+function mediaIdFromUrl(url) {
+    const match = /^(?:https?:\/\/[^/]+)?\/media\/([0-9a-f-]{36})$/i.exec(String(url));
+    return match ? match[1].toLowerCase() : null;
+}
+
+// Providers cannot reach /media URLs on this server, so stored media is passed
+// to them as a data URL. Any other URL is returned unchanged.
+async function resolveMediaInput(url) {
+    const id = mediaIdFromUrl(url);
+    const record = id ? getMedia(id) : null;
+    if (!record) {
+        return url;
+    }
+
+    const stored = await getStorage().get(record.key);
+    if (!stored) {
+        throw new Error(`Stored media ${id} is missing from ${record.storage} storage`);
+    }
+
+    const chunks = [];
+    for await (const chunk of stored.stream) {
+        chunks.push(chunk);
+    }
+    return `data:${record.contentType};base64,${Buffer.concat(chunks).toString('base64')}`;
+}
+
+// Metadata returned to clients
+function toPublicMedia(record) {
+    return {
+        id: record.id,
+        url: mediaUrl(record.id),
+        kind: record.kind,
+        contentType: record.contentType,
+        size: record.size,
+        sha256: record.sha256,
+        provider: record.provider,
+        model: record.model,
+        requestId: record.requestId,
+        createdAt: record.createdAt
+    };
+}
+
+module.exports = {
+    mediaUrl,
+    publicBaseUrl,
+    persistMedia,
+    storeMedia,
+    getMedia,
+    deleteMedia,
+    mediaIdFromUrl,
+    resolveMediaInput,
+    toPublicMedia
+};
@@ -0,0 +1,310 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { hashImage, createCache } = require('../analysisCache');
+const { getMedia, mediaIdFromUrl, resolveMediaInput, deleteMedia } = require('../media');
+const { checkUserPhoto } = require('../analysis');
+
+// Content moderation. The user photo, garment images and free text of a
+// request are checked before any prompt is written, and every generated image,
+// video and reel is checked before it is returned; a blocked output is deleted
+// and replaced by a placeholder. Classifiers only take images, so a video is
+// judged by frames sampled from it. Each decision is appended to an audit log
+// (data/moderation.jsonl) with hashes instead of the content itself.
+//
+// A pluggable classifier scores content per category; MODERATION_CATEGORIES
+// sets which categories block and at what score, e.g.
+//   MODERATION_CATEGORIES=sexual:0.5,sexual/minors:0.2,minors:0.5
+// Classifiers do not judge age from a photo, so the "minors" category comes
+// from the person check's possibleMinor answer and only applies to person photos.
+
+const classifiers = {
+    openai: require('./openai'),
+    stub: require('./stub')
+};
+
+const DEFAULT_CATEGORIES = 'sexual:0.5,sexual/minors:0.2,minors:0.5,violence/graphic:0.5,self-harm:0.5,' +
+    'hate:0.5,hate/threatening:0.5,harassment/threatening:0.5,illicit/violent:0.5';
+
+const MINORS_CATEGORY = 'minors';
+const MODERATION_LOG_FILE = process.env.MODERATION_LOG_FILE || path.join(__dirname, '..', '..', 'data', 'moderation.jsonl');
+// When the classifier is down: refuse inputs and block outputs, unless this is set
+const MODERATION_FAIL_OPEN = process.env.MODERATION_FAIL_OPEN === 'true';
+
+// Shown in place of a generated image that was blocked
+const BLOCKED_PLACEHOLDER_URL = '/assets/moderation/blocked.svg';
+
+const TARGET_LABELS = {
+    person: 'person photo',
+    garment: 'clothing image',
+    image: 'image',
+    video: 'video',
+    text: 'text'
+};
+
+const cache = createCache({
+    ttlMs: parseInt(process.env.MODERATION_CACHE_TTL_MS) || 24 * 60 * 60 * 1000, // 24 hours
+    maxEntries: parseInt(process.env.MODERATION_CACHE_MAX_ENTRIES) || 2000
+});
+
+// The classifier could not be reached; the message can be shown to the user
+class ModerationError extends Error {}
+
+// "category:threshold,..." -> Map of category to the lowest score that blocks
+function parseCategories(spec) {
+    const categories = new Map();
+    spec.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const separator = part.lastIndexOf(':');
+        const category = separator > 0 ? part.substring(0, separator) : part;
+        const threshold = separator > 0 ? parseFloat(part.substring(separator + 1)) : 0.5;
+        if (!(threshold >= 0 && threshold <= 1)) {
+            throw new Error(`Invalid MODERATION_CATEGORIES entry "${part}": the threshold must be between 0 and 1`);
+        }
+        categories.set(category, threshold);
+    });
+    return categories;
+}
+
+const categories = parseCategories(process.env.MODERATION_CATEGORIES || DEFAULT_CATEGORIES);
+
+function defaultClassifierName() {
+    if (process.env.MODERATION_PROVIDER) {
+        return process.env.MODERATION_PROVIDER;
+    }
+    return process.env.OPENAI_API_KEY ? 'openai' : 'stub';
+}
+
+let classifier = null;
+
+function initModeration() {
+    const name = defaultClassifierName();
+    const factory = classifiers[name];
+    if (!factory) {
+        throw new Error(`Unknown moderation provider "${name}". Available providers: ${Object.keys(classifiers).join(', ')}`);
+    }
+    classifier = factory();
+    return classifier;
+}
+
+function getClassifier() {
+    return classifier || initModeration();
+}
+
+function sha256Text(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Stored media is keyed by its recorded hash, like the analysis cache
+function imageHash(image) {
+    const id = mediaIdFromUrl(image);
+    const record = id ? getMedia(id) : null;
+    return record ? record.sha256 : hashImage(image);
+}
+
+function appendAuditEntry(entry) {
+    try {
+        const dir = path.dirname(MODERATION_LOG_FILE);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        fs.appendFileSync(MODERATION_LOG_FILE, JSON.stringify({ ...entry, timestamp: new Date().toISOString() }) + '\n');
+    } catch (error) {
+        console.error('Could not write the moderation audit log:', error.message);
+    }
+}
+
+// Scores of the configured categories, rounded, for the audit log
+function configuredScores(scores) {
+    const kept = {};
+    categories.forEach((threshold, category) => {
+        if (scores[category] !== undefined) {
+            kept[category] = Math.round(scores[category] * 1000) / 1000;
+        }
+    });
+    return kept;
+}
+
+async function scoreContent(target, value, hash) {
+    const name = getClassifier().name;
+    const { value: scores } = await cache.getOrCompute(`${name}:${target === 'text' ? 'text' : 'image'}:${hash}`, async () => {
+        const input = target === 'text' ? { text: value } : { image: await resolveMediaInput(value) };
+        return (await getClassifier().classify(input)).scores;
+    });
+
+    if (target !== 'person' || !categories.has(MINORS_CATEGORY)) {
+        return scores;
+    }
+    const { check } = await checkUserPhoto(value);
+    return { ...scores, [MINORS_CATEGORY]: check.possibleMinor ? 1 : 0 };
+}
+
+// Check one piece of content and record the decision. `target` is one of
+// TARGET_LABELS; `value` is the text or an image (a /media URL or data URL).
+// `context.mediaId` names the checked media when `value` is a frame of it.
+// Resolves to { target, index, allowed, categories, error }.
+async function checkContent(target, value, index, context) {
+    const hash = target === 'text' ? sha256Text(value) : imageHash(value);
+    const decision = { target: target, index: index, allowed: true, categories: [], error: null };
+    let scores = {};
+
+    try {
+        scores = await scoreContent(target, value, hash);
+        categories.forEach((threshold, category) => {
+            if ((scores[category] || 0) >= threshold) {
+                decision.categories.push(category);
+            }
+        });
+        decision.allowed = decision.categories.length === 0;
+    } catch (error) {
+        console.error(`Moderation of ${TARGET_LABELS[target]} failed:`, error.message);
+        decision.allowed = MODERATION_FAIL_OPEN;
+        decision.error = error.message;
+    }
+
+    appendAuditEntry({
+        stage: context.stage,
+        source: context.source || null,
+        target: target,
+        index: index,
+        allowed: decision.allowed,
+        categories: decision.categories,
+        scores: configuredScores(scores),
+        error: decision.error,
+        provider: getClassifier().name,
+        sha256: hash,
+        mediaId: context.mediaId || (target === 'text' ? null : mediaIdFromUrl(value)),
+        textLength: target === 'text' ? value.length : null,
+        userId: context.userId || null,
+        runId: context.runId || null,
+        jobId: context.jobId || null
+    });
+    if (!decision.allowed && !decision.error) {
+        console.warn(`Moderation blocked ${TARGET_LABELS[target]} ${index + 1} (${decision.categories.join(', ')})`);
+    }
+    return decision;
+}
+
+// The non-empty strings of one value or a list
+function asList(value) {
+    const list = Array.isArray(value) ? value : [value];
+    return list.filter(item => typeof item === 'string' && item.trim() !== '');
+}
+
+// Check the inputs of a request before any prompt is written. Each of people,
+// garments, images and texts may be one value or a list; empty ones are skipped.
+// `context` is { source, userId, runId } for the audit log.
+// Resolves to { allowed, blocked: [{ target, index, categories, label }] };
+// throws ModerationError when the classifier is unavailable.
+async function moderateInputs({ people, garments, images, texts }, context = {}) {
+    const groups = { person: asList(people), garment: asList(garments), image: asList(images), text: asList(texts) };
+    const checks = [];
+    Object.keys(groups).forEach(target => {
+        groups[target].forEach((value, index) => {
+            checks.push(checkContent(target, value, index, { ...context, stage: 'input' }));
+        });
+    });
+
+    const decisions = await Promise.all(checks);
+    if (decisions.some(decision => decision.error && !decision.allowed)) {
+        throw new ModerationError('Content moderation is unavailable. Please try again in a moment.');
+    }
+
+    const blocked = decisions
+        .filter(decision => !decision.allowed)
+        .map(decision => ({
+            target: decision.target,
+            index: decision.index,
+            categories: decision.categories,
+            label: groups[decision.target].length > 1
+                ? `${TARGET_LABELS[decision.target]} ${decision.index + 1}`
+                : TARGET_LABELS[decision.target]
+        }));
+    return { allowed: blocked.length === 0, blocked: blocked };
+}
+
+// Message for a rejected request, naming what was blocked and why
+function describeBlocked(blocked) {
+    const parts = blocked.map(item => `the ${item.label} (${item.categories.join(', ') || 'unchecked'})`);
+    return `This request was blocked by content moderation: ${parts.join(', ')}. Please use different photos or text.`;
+}
+
+// Delete a blocked output from media storage. Resolves to the result for it.
+async function withholdOutput(url, decision) {
+    const mediaId = url ? mediaIdFromUrl(url) : null;
+    if (mediaId) {
+        await deleteMedia(mediaId).catch(error => {
+            console.error(`Could not delete blocked media ${mediaId}:`, error.message);
+        });
+    }
+    return { allowed: false, categories: decision.categories, url: BLOCKED_PLACEHOLDER_URL };
+}
+
+// Check a generated image before it is returned. A blocked image is deleted
+// from media storage. `context` is { source, userId, runId, jobId, index }.
+// Resolves to { allowed, categories, url } where url is the image's or the placeholder.
+async function moderateOutput(url, context = {}) {
+    const decision = await checkContent('image', url, context.index || 0, { ...context, stage: 'output' });
+    if (decision.allowed) {
+        return { allowed: true, categories: [], url: url };
+    }
+    return withholdOutput(url, decision);
+}
+
+// Check a generated video (or reel) before it is returned, by its `frames`:
+// image data URLs or /media URLs sampled from it. It is blocked when any frame
+// is, or when there is no frame to check (unless MODERATION_FAIL_OPEN), and a
+// blocked video is deleted like an image. `url` is null for a video that was
+// not stored yet. Resolves like moderateOutput.
+async function moderateVideoOutput(url, frames, context = {}) {
+    const frameContext = { ...context, stage: 'output', mediaId: url ? mediaIdFromUrl(url) : null };
+    const decisions = await Promise.all(frames.map(frame => checkContent('video', frame, context.index || 0, frameContext)));
+    const decision = {
+        allowed: decisions.length > 0 ? decisions.every(item => item.allowed) : MODERATION_FAIL_OPEN,
+        categories: Array.from(new Set(decisions.flatMap(item => item.categories)))
+    };
+    if (decisions.length === 0) {
+        console.error('Moderation of a video failed: no frame could be checked');
+        appendAuditEntry({
+            stage: 'output',
+            source: context.source || null,
+            target: 'video',
+            index: context.index || 0,
+            allowed: decision.allowed,
+            categories: [],
+            scores: {},
+            error: 'No frame could be checked',
+            provider: getClassifier().name,
+            sha256: null,
+            mediaId: frameContext.mediaId,
+            textLength: null,
+            userId: context.userId || null,
+            runId: context.runId || null,
+            jobId: context.jobId || null
+        });
+    }
+    if (decision.allowed) {
+        return { allowed: true, categories: [], url: url };
+    }
+    return withholdOutput(url, decision);
+}
+
+function describeModeration() {
+    return {
+        provider: getClassifier().name,
+        categories: Object.fromEntries(categories),
+        failOpen: MODERATION_FAIL_OPEN,
+        cache: cache.describe()
+    };
+}
+
+module.exports = {
+    BLOCKED_PLACEHOLDER_URL,
+    ModerationError,
+    parseCategories,
+    initModeration,
+    moderateInputs,
+    describeBlocked,
+    moderateOutput,
+    moderateVideoOutput,
+    describeModeration
+};
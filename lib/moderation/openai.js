@@ -0,0 +1,30 @@
+const OpenAI = require('openai');
+
+// OpenAI's moderation endpoint, which scores text and images in the same
+// categories (sexual, sexual/minors, violence/graphic, self-harm, hate, ...).
+// It always talks to OpenAI: LLM_BASE_URL servers rarely implement moderation.
+
+const MODERATION_MODEL = process.env.MODERATION_MODEL || 'omni-moderation-latest';
+
+function createOpenAIClassifier() {
+    if (!process.env.OPENAI_API_KEY) {
+        throw new Error('OPENAI_API_KEY environment variable is required for the openai moderation provider');
+    }
+
+    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+
+    return {
+        name: 'openai',
+
+        // `image` is a data URL
+        async classify({ text, image }) {
+            const input = text !== undefined
+                ? text
+                : [{ type: 'image_url', image_url: { url: image } }];
+            const response = await openai.moderations.create({ model: MODERATION_MODEL, input: input });
+            return { scores: { ...response.results[0].category_scores } };
+        }
+    };
+}
+
+module.exports = createOpenAIClassifier;
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+
+// Offline classifier for development and tests. Text is scored by a short
+// word list per category; images are only flagged when their sha256 is listed
+// in MODERATION_STUB_FLAGGED_IMAGES ("<sha256>:<category>,..."; the category
+// defaults to sexual). Everything else scores 0.
+
+const TEXT_PATTERNS = {
+    'sexual': /\b(nude|naked|topless|nsfw|porn\w*|explicit|sex(ual|y)?)\b/i,
+    'sexual/minors': /\b(child|kid|minor|underage|teen)\w*\b.*\b(nude|naked|topless|sex\w*)\b|\b(nude|naked|topless|sex\w*)\b.*\b(child|kid|minor|underage|teen)\w*\b/i,
+    'violence/graphic': /\b(gore|gory|dismember\w*|mutilat\w*|blood-soaked)\b/i,
+    'self-harm': /\b(self-harm|suicide|cutting (myself|herself|himself))\b/i,
+    'hate': /\b(nazi|white power|ethnic cleansing)\b/i
+};
+
+function parseFlaggedImages(spec) {
+    const flagged = new Map();
+    (spec || '').split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const [sha256, category] = part.split(':');
+        flagged.set(sha256.toLowerCase(), category || 'sexual');
+    });
+    return flagged;
+}
+
+function imageBytes(image) {
+    const match = /^data:[^;,]*(;base64)?,(.*)$/s.exec(image);
+    return match ? Buffer.from(match[2], match[1] ? 'base64' : 'utf8') : Buffer.from(String(image));
+}
+
+function createStubClassifier() {
+    const flaggedImages = parseFlaggedImages(process.env.MODERATION_STUB_FLAGGED_IMAGES);
+    console.log(`Moderation stub enabled (${flaggedImages.size} flagged image(s))`);
+
+    return {
+        name: 'stub',
+
+        async classify({ text, image }) {
+            const scores = {};
+            if (text !== undefined) {
+                Object.keys(TEXT_PATTERNS).forEach(category => {
+                    scores[category] = TEXT_PATTERNS[category].test(text) ? 1 : 0;
+                });
+            } else {
+                const sha256 = crypto.createHash('sha256').update(imageBytes(image)).digest('hex');
+                if (flaggedImages.has(sha256)) {
+                    scores[flaggedImages.get(sha256)] = 1;
+                }
+            }
+            return { scores: scores };
+        }
+    };
+}
+
+module.exports = createStubClassifier;
@@ -0,0 +1,193 @@
+// Request validation and OpenAPI generation from one route table.
+// Request schemas are checked for type, properties, required, items, enum,
+// pattern, minLength/maxLength, minItems/maxItems and minimum/maximum. Other
+// keywords (description, $ref in responses) only end up in the document.
+
+function describeType(schema) {
+    return schema.type === 'array' ? `an array of ${schema.items ? schema.items.type : 'values'}s` : `a ${schema.type}`;
+}
+
+// Returns an error message for the first problem found, or null when valid
+function validateValue(schema, value, name) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+
+    switch (schema.type) {
+        case 'string':
+            if (typeof value !== 'string') {
+                return `"${name}" must be a string`;
+            }
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                return `"${name}" must be at least ${schema.minLength} characters`;
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                return `"${name}" must be at most ${schema.maxLength} characters`;
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                return `"${name}" is not in the expected format`;
+            }
+            break;
+        case 'integer':
+            if (!Number.isInteger(value)) {
+                return `"${name}" must be an integer`;
+            }
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                return `"${name}" must be at least ${schema.minimum}`;
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                return `"${name}" must be at most ${schema.maximum}`;
+            }
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                return `"${name}" must be a boolean`;
+            }
+            break;
+        case 'array':
+            if (!Array.isArray(value)) {
+                return `"${name}" must be ${describeType(schema)}`;
+            }
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                return `"${name}" must have at least ${schema.minItems} item(s)`;
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                return `"${name}" must have at most ${schema.maxItems} item(s)`;
+            }
+            if (schema.items) {
+                for (let i = 0; i < value.length; i++) {
+                    if (value[i] === undefined || value[i] === null) {
+                        return `"${name}[${i}]" is required`;
+                    }
+                    const error = validateValue(schema.items, value[i], `${name}[${i}]`);
+                    if (error) {
+                        return error;
+                    }
+                }
+            }
+            break;
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                return `"${name}" must be an object`;
+            }
+            return validateObject(schema, value, name);
+        default:
+            break;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        return `"${name}" must be one of: ${schema.enum.join(', ')}`;
+    }
+    return null;
+}
+
+function validateObject(schema, value, prefix) {
+    const properties = schema.properties || {};
+
+    for (const field of schema.required || []) {
+        if (value[field] === undefined || value[field] === null) {
+            return `"${prefix ? `${prefix}.${field}` : field}" is required`;
+        }
+    }
+
+    for (const field of Object.keys(properties)) {
+        const error = validateValue(properties[field], value[field], prefix ? `${prefix}.${field}` : field);
+        if (error) {
+            return error;
+        }
+    }
+
+    const unknown = Object.keys(value).filter(field => !properties[field]);
+    if (unknown.length > 0 && schema.additionalProperties === false) {
+        return `Unknown field(s): ${unknown.join(', ')}`;
+    }
+    return null;
+}
+
+// Validate a request body against an object schema
+function validateBody(schema, body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return 'Request body must be a JSON object';
+    }
+    return validateObject(schema, body, '');
+}
+
+// Express-style path (/jobs/:id) to OpenAPI path (/jobs/{id})
+function toOpenApiPath(routePath) {
+    return routePath.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+function pathParameters(routePath) {
+    return (routePath.match(/:([A-Za-z0-9_]+)/g) || []).map(param => ({
+        name: param.slice(1),
+        in: 'path',
+        required: true,
+        schema: { type: 'string' }
+    }));
+}
+
+// Build an OpenAPI 3.0 document. Each route is
+// { method, path, operationId, summary, description, tag, auth, body, status, response, errors }
+function buildOpenApiDocument({ info, basePath, routes, schemas, securitySchemes, errorSchema }) {
+    const paths = {};
+
+    routes.forEach(route => {
+        const openApiPath = `${basePath}${toOpenApiPath(route.path)}`;
+        const operation = {
+            operationId: route.operationId,
+            summary: route.summary,
+            tags: route.tag ? [route.tag] : undefined,
+            description: route.description,
+            parameters: pathParameters(route.path),
+            responses: {
+                [route.status || 200]: {
+                    description: route.responseDescription || 'Success',
+                    content: { 'application/json': { schema: route.response } }
+                }
+            }
+        };
+
+        if (operation.parameters.length === 0) {
+            delete operation.parameters;
+        }
+
+        if (route.body) {
+            operation.requestBody = {
+                required: true,
+                content: { 'application/json': { schema: route.body } }
+            };
+        }
+
+        if (route.auth) {
+            operation.security = Object.keys(securitySchemes).map(name => ({ [name]: [] }));
+        } else {
+            operation.security = [];
+        }
+
+        (route.errors || []).forEach(({ status, description }) => {
+            operation.responses[status] = {
+                description: description,
+                content: { 'application/json': { schema: errorSchema } }
+            };
+        });
+
+        paths[openApiPath] = paths[openApiPath] || {};
+        paths[openApiPath][route.method] = JSON.parse(JSON.stringify(operation));
+    });
+
+    return {
+        openapi: '3.0.3',
+        info: info,
+        servers: [{ url: '/' }],
+        paths: paths,
+        components: {
+            schemas: schemas,
+            securitySchemes: securitySchemes
+        }
+    };
+}
+
+module.exports = {
+    validateBody,
+    buildOpenApiDocument
+};
@@ -0,0 +1,122 @@
+const { GARMENT_SLOTS } = require('./garmentSchema');
+
+// Outfit layout for selective garment replacement. Each uploaded garment gets a
+// slot (where it is worn) and a layer (its place in the layering order, lowest
+// = closest to the body). Both come from the user when set in the preview tiles,
+// otherwise the slot comes from the garment analysis and the layer from the slot.
+// Garments are sent to the image model in layering order, after the person photo.
+
+// Slots a user can pick; analysis may also answer 'other'
+const OUTFIT_SLOTS = GARMENT_SLOTS.filter(slot => slot !== 'other');
+const MAX_LAYER = 10;
+
+const DEFAULT_LAYERS = {
+    dress: 1,
+    bottom: 1,
+    top: 2,
+    shoes: 3,
+    outerwear: 4,
+    headwear: 5,
+    eyewear: 5,
+    jewelry: 5,
+    other: 5,
+    bag: 6
+};
+
+// `outfit` is optional and lines up with the clothing images: each entry is
+// null or { slot, layer } with either field left out to use the defaults.
+// Returns an error message, or null when valid.
+function validateOutfit(outfit, clothingCount) {
+    if (outfit === undefined || outfit === null) {
+        return null;
+    }
+    if (!Array.isArray(outfit) || outfit.length !== clothingCount) {
+        return 'Outfit must have one entry per clothing image';
+    }
+    for (const entry of outfit) {
+        if (entry === null) {
+            continue;
+        }
+        if (typeof entry !== 'object' || Array.isArray(entry)) {
+            return 'Each outfit entry must be an object or null';
+        }
+        if (entry.slot !== undefined && entry.slot !== null && !OUTFIT_SLOTS.includes(entry.slot)) {
+            return `Outfit slot must be one of: ${OUTFIT_SLOTS.join(', ')}`;
+        }
+        if (entry.layer !== undefined && entry.layer !== null &&
+            (!Number.isInteger(entry.layer) || entry.layer < 1 || entry.layer > MAX_LAYER)) {
+            return `Outfit layer must be a whole number from 1 to ${MAX_LAYER}`;
+        }
+    }
+    return null;
+}
+
+// Combine the user's choices with the analysis records (either may be missing)
+// and sort into layering order. Ties keep upload order. Returns
+// [{ index, imageNumber, slot, layer, slotSource, garment }] where index is the
+// upload position and imageNumber the position sent to the image model.
+function buildOutfit(clothingCount, outfit = null, garments = []) {
+    const items = [];
+    for (let index = 0; index < clothingCount; index++) {
+        const choice = (outfit && outfit[index]) || {};
+        const garment = garments[index] || null;
+        const slot = choice.slot || (garment ? garment.slot : 'other');
+
+        items.push({
+            index: index,
+            slot: slot,
+            layer: choice.layer || DEFAULT_LAYERS[slot],
+            slotSource: choice.slot ? 'user' : (garment ? 'analysis' : 'default'),
+            garment: garment
+        });
+    }
+
+    items.sort((a, b) => a.layer - b.layer || a.index - b.index);
+    // Image 1 is the person photo
+    items.forEach((item, position) => {
+        item.imageNumber = position + 2;
+    });
+    return items;
+}
+
+// An outfit sent back by a client (the one returned with the prompts) must
+// list every upload position exactly once. Returns an error message or null.
+function validateOutfitOrder(outfit, clothingCount) {
+    if (outfit === undefined || outfit === null) {
+        return null;
+    }
+    if (!Array.isArray(outfit) || outfit.length !== clothingCount) {
+        return 'Outfit must have one entry per clothing image';
+    }
+    const indexes = new Set(outfit.map(item => (item && Number.isInteger(item.index) ? item.index : -1)));
+    if (indexes.size !== clothingCount || Array.from(indexes).some(index => index < 0 || index >= clothingCount)) {
+        return 'Outfit must list each clothing image index once';
+    }
+    return null;
+}
+
+// Reorder clothing images (in upload order) into the outfit's layering order.
+// Images are returned as given when there is no outfit or it does not match.
+function orderClothingImages(images, outfit) {
+    if (!Array.isArray(outfit) || outfit.length !== images.length) {
+        return images;
+    }
+    return outfit.map(item => images[item.index]);
+}
+
+// The outfit without analysis records, for API responses and job outputs
+function toPublicOutfit(outfit) {
+    return outfit.map(({ index, imageNumber, slot, layer, slotSource }) => ({
+        index, imageNumber, slot, layer, slotSource
+    }));
+}
+
+module.exports = {
+    OUTFIT_SLOTS,
+    MAX_LAYER,
+    validateOutfit,
+    validateOutfitOrder,
+    buildOutfit,
+    orderClothingImages,
+    toPublicOutfit
+};
@@ -0,0 +1,63 @@
+// Structured person check for photo preflight (see preflight.js) and the
+// minors category of content moderation (see moderation/index.js).
+// { peopleCount, framing, faceVisible, obstructed, blurry, possibleMinor }
+
+const FRAMINGS = ['full-body', 'three-quarter', 'upper-body', 'face-only', 'none'];
+
+const PERSON_CHECK_FIELDS = {
+    peopleCount: 'integer - how many people are clearly visible',
+    framing: `string - how much of the main person is in frame, one of: ${FRAMINGS.join(', ')} ("three-quarter" is head to knees)`,
+    faceVisible: 'boolean - true when the main person\'s face is visible',
+    obstructed: 'boolean - true when objects, bags, crossed arms or other people hide part of the body or clothes',
+    blurry: 'boolean - true when the photo is blurry, very dark or heavily over-exposed',
+    possibleMinor: 'boolean - true when any person in the photo could be under 18'
+};
+
+function personCheckInstructions() {
+    const fields = Object.keys(PERSON_CHECK_FIELDS)
+        .map(field => `  "${field}": ${PERSON_CHECK_FIELDS[field]}`)
+        .join(',\n');
+
+    return `Respond with a single JSON object and nothing else, in this shape:
+{
+${fields}
+}`;
+}
+
+// Returns { check, errors }. Missing or invalid fields are read as "fine" and
+// reported in errors, so a shaky answer never blocks a run on its own.
+function normalizePersonCheck(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { check: null, errors: ['Response must be a JSON object'] };
+    }
+
+    const errors = [];
+    const check = {};
+
+    const peopleCount = Number(value.peopleCount);
+    check.peopleCount = Number.isInteger(peopleCount) && peopleCount >= 0 ? peopleCount : 1;
+    if (check.peopleCount !== peopleCount) {
+        errors.push('"peopleCount" must be a whole number');
+    }
+
+    const framing = typeof value.framing === 'string' ? value.framing.trim().toLowerCase() : '';
+    check.framing = FRAMINGS.includes(framing) ? framing : 'full-body';
+    if (check.framing !== framing) {
+        errors.push(`"framing" must be one of: ${FRAMINGS.join(', ')}`);
+    }
+
+    [['faceVisible', true], ['obstructed', false], ['blurry', false], ['possibleMinor', false]].forEach(([field, fallback]) => {
+        check[field] = typeof value[field] === 'boolean' ? value[field] : fallback;
+        if (typeof value[field] !== 'boolean') {
+            errors.push(`"${field}" must be a boolean`);
+        }
+    });
+
+    return { check, errors };
+}
+
+module.exports = {
+    FRAMINGS,
+    personCheckInstructions,
+    normalizePersonCheck
+};
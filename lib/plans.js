@@ -0,0 +1,40 @@
+// Subscription plans and their limits. These match the pricing section in
+// index.html. Visitors who are not signed in use the guest plan.
+// Each generated image or video uses one try-on from the monthly allowance.
+// maxImagesPerGeneration caps the images asked for one result set: per person
+// in multi-person runs and per item in catalog batches. Every image of the run
+// still counts against monthlyTryOns.
+// apiAccess allows creating API keys for the /v1 API.
+
+const PLANS = {
+    guest: {
+        id: 'guest',
+        name: 'Guest',
+        monthlyTryOns: parseInt(process.env.GUEST_MONTHLY_TRY_ONS) || 5,
+        maxImagesPerGeneration: 1,
+        apiAccess: false
+    },
+    basic: {
+        id: 'basic',
+        name: 'Basic',
+        monthlyTryOns: 50,
+        maxImagesPerGeneration: 1,
+        apiAccess: false
+    },
+    premium: {
+        id: 'premium',
+        name: 'Premium',
+        monthlyTryOns: 500,
+        maxImagesPerGeneration: 5,
+        apiAccess: true
+    }
+};
+
+function getPlan(id) {
+    return PLANS[id] || PLANS.basic;
+}
+
+module.exports = {
+    PLANS,
+    getPlan
+};
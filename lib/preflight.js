@@ -0,0 +1,158 @@
+// Photo preflight: turns the photo analyses into machine-readable checks and
+// verdicts with a concrete fix, so a bad input (a group photo, a cropped
+// selfie, a garment on a busy background) is caught before any paid image or
+// video call is made. Verdicts with severity 'error' should stop a run;
+// 'warning' verdicts are shown but do not.
+//
+// The person check is its own small structured analysis (the main person
+// analysis is free text for the prompt writer); garment checks read the
+// fullyVisible and background fields of the garment record. Sizes come from
+// the stored image, which ingestion has already auto-oriented.
+
+const { checkUserPhoto, analyzeClothingItem } = require('./analysis');
+const { readImageSize } = require('./ingest');
+
+const PREFLIGHT_PERSON_MIN_EDGE = parseInt(process.env.PREFLIGHT_PERSON_MIN_EDGE) || 512;
+const PREFLIGHT_PERSON_RECOMMENDED_EDGE = parseInt(process.env.PREFLIGHT_PERSON_RECOMMENDED_EDGE) || 768;
+const PREFLIGHT_GARMENT_MIN_EDGE = parseInt(process.env.PREFLIGHT_GARMENT_MIN_EDGE) || 256;
+const PREFLIGHT_GARMENT_RECOMMENDED_EDGE = parseInt(process.env.PREFLIGHT_GARMENT_RECOMMENDED_EDGE) || 512;
+
+function verdict(severity, code, message, fix) {
+    return { code: code, severity: severity, message: message, fix: fix };
+}
+
+// `size` is { width, height } of the stored image, or null when unknown
+function resolutionVerdict(size, minEdge, recommendedEdge, subject) {
+    if (!size) {
+        return null;
+    }
+    const edge = Math.min(size.width, size.height);
+    if (edge < minEdge) {
+        return verdict('error', 'low_resolution', `The ${subject} is too small (${size.width}x${size.height})`,
+            `Use a photo at least ${minEdge} pixels on its shorter side, ideally ${recommendedEdge} or more.`);
+    }
+    if (edge < recommendedEdge) {
+        return verdict('warning', 'low_resolution', `The ${subject} is on the small side (${size.width}x${size.height})`,
+            `A photo at least ${recommendedEdge} pixels on its shorter side gives sharper results.`);
+    }
+    return null;
+}
+
+function summarize(checks, verdicts) {
+    return {
+        ok: !verdicts.some(item => item.severity === 'error'),
+        checks: checks,
+        verdicts: verdicts
+    };
+}
+
+// Returns { ok, checks, verdicts } for the person photo.
+// `check` is a normalized person check, or null when it could not be made.
+function personPreflight(check, size) {
+    const verdicts = [];
+
+    if (check) {
+        if (check.peopleCount === 0 || check.framing === 'none') {
+            verdicts.push(verdict('error', 'no_person', 'No person was found in the photo',
+                'Upload a photo of yourself, ideally standing with your whole body in frame.'));
+        } else if (check.peopleCount > 1) {
+            verdicts.push(verdict('error', 'multiple_people', `${check.peopleCount} people are in the photo`,
+                'Crop the photo to just one person, or use a photo where they are alone. To dress several people, add each one as a separate person.'));
+        }
+        if (check.framing === 'face-only') {
+            verdicts.push(verdict('error', 'face_only', 'Only the face is visible',
+                'Use a photo that shows at least the upper body, ideally head to toe.'));
+        } else if (check.framing === 'upper-body') {
+            verdicts.push(verdict('warning', 'upper_body_only', 'Only the upper body is visible',
+                'For trousers, skirts and shoes, use a full-body photo from head to toe.'));
+        } else if (check.framing === 'three-quarter') {
+            verdicts.push(verdict('warning', 'legs_cut_off', 'The legs are cut off',
+                'For trousers, skirts and shoes, use a photo that includes the feet.'));
+        }
+        if (!check.faceVisible && check.framing !== 'none') {
+            verdicts.push(verdict('warning', 'face_hidden', 'The face is not visible',
+                'Use a photo where the face can be seen so the result still looks like the same person.'));
+        }
+        if (check.obstructed) {
+            verdicts.push(verdict('warning', 'obstructed', 'Part of the body or clothes is hidden',
+                'Use a photo where nothing covers the body: no bags, props, crossed arms or other people in front.'));
+        }
+        if (check.blurry) {
+            verdicts.push(verdict('warning', 'blurry', 'The photo is blurry or poorly lit',
+                'Use a sharp photo taken in even light.'));
+        }
+    }
+
+    const resolution = resolutionVerdict(size, PREFLIGHT_PERSON_MIN_EDGE, PREFLIGHT_PERSON_RECOMMENDED_EDGE, 'photo');
+    if (resolution) {
+        verdicts.push(resolution);
+    }
+
+    return summarize({
+        ...(check || {}),
+        fullBody: check ? check.framing === 'full-body' : null,
+        width: size ? size.width : null,
+        height: size ? size.height : null
+    }, verdicts);
+}
+
+// Returns { ok, checks, verdicts } for one garment photo from its garment record
+function garmentPreflight(record, size) {
+    const verdicts = [];
+
+    if (record) {
+        if (!record.fullyVisible) {
+            verdicts.push(verdict('warning', 'garment_cropped', 'The item is cut off or partly covered',
+                'Use a photo that shows the whole item, laid flat or on a hanger.'));
+        }
+        if (record.background === 'busy') {
+            verdicts.push(verdict('warning', 'busy_background', 'The item is on a busy background',
+                'Photograph the item on a plain, uncluttered background.'));
+        }
+        if (record.confidence < 0.4) {
+            verdicts.push(verdict('warning', 'unclear_item', 'It is unclear what this item is',
+                'Use a clear, close photo of just this one item.'));
+        }
+    }
+
+    const resolution = resolutionVerdict(size, PREFLIGHT_GARMENT_MIN_EDGE, PREFLIGHT_GARMENT_RECOMMENDED_EDGE, 'item photo');
+    if (resolution) {
+        verdicts.push(resolution);
+    }
+
+    return summarize({
+        fullyVisible: record ? record.fullyVisible : null,
+        background: record ? record.background : null,
+        width: size ? size.width : null,
+        height: size ? size.height : null
+    }, verdicts);
+}
+
+// Resolves to the person photo's preflight. A failed check is logged and
+// left out, so only the resolution is judged.
+async function preflightPerson(image) {
+    const [checked, size] = await Promise.all([
+        checkUserPhoto(image).catch(error => {
+            console.error('Person check failed:', error.message);
+            return null;
+        }),
+        readImageSize(image)
+    ]);
+    return personPreflight(checked ? checked.check : null, size);
+}
+
+// Resolves to a garment photo's preflight; `record` is its garment record when already analyzed
+async function preflightGarment(image, record) {
+    const [analyzed, size] = await Promise.all([
+        record ? { record: record } : analyzeClothingItem(image),
+        readImageSize(image)
+    ]);
+    return garmentPreflight(analyzed.record, size);
+}
+
+module.exports = {
+    personPreflight,
+    garmentPreflight,
+    preflightPerson,
+    preflightGarment
+};
@@ -0,0 +1,92 @@
+const { EventEmitter } = require('events');
+
+// In-memory progress channels for Server-Sent Events.
+// The browser picks a run ID, opens GET /api/progress/:runId and sends the same
+// runId with each pipeline request. Recent events are kept per run so a stream
+// that connects late (or reconnects with Last-Event-ID) gets them replayed.
+// A run belongs to whoever opens its stream or starts work in it first (see
+// claim); nobody else can follow it or publish to it.
+
+const RUN_TTL_MS = 30 * 60 * 1000; // 30 minutes
+const MAX_EVENTS_PER_RUN = 200;
+const RUN_ID_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const runs = new Map();
+
+function isValidRunId(runId) {
+    return typeof runId === 'string' && RUN_ID_PATTERN.test(runId);
+}
+
+function getRun(runId) {
+    let run = runs.get(runId);
+    if (!run) {
+        run = { events: [], nextId: 1, expiresAt: 0, owner: null };
+        runs.set(runId, run);
+    }
+    run.expiresAt = Date.now() + RUN_TTL_MS;
+    return run;
+}
+
+function publish(runId, type, data = {}) {
+    if (!isValidRunId(runId)) {
+        return;
+    }
+
+    const run = getRun(runId);
+    const event = { id: run.nextId++, type: type, data: data };
+
+    run.events.push(event);
+    if (run.events.length > MAX_EVENTS_PER_RUN) {
+        run.events.shift();
+    }
+
+    emitter.emit(runId, event);
+}
+
+// Record `owner` (a user or guest, see usage.subjectFor) as the owner of a run
+// that has none yet. Returns true when the run ID is valid and `owner` owns it.
+function claim(runId, owner) {
+    if (!isValidRunId(runId) || !owner) {
+        return false;
+    }
+    const run = getRun(runId);
+    run.owner = run.owner || owner;
+    return run.owner === owner;
+}
+
+// Replays buffered events newer than lastEventId, then forwards live ones.
+// Returns an unsubscribe function, or null when the run belongs to someone else.
+function subscribe(runId, owner, lastEventId, listener) {
+    if (!claim(runId, owner)) {
+        return null;
+    }
+    const run = getRun(runId);
+
+    run.events
+        .filter(event => event.id > lastEventId)
+        .forEach(listener);
+
+    emitter.on(runId, listener);
+    return () => emitter.off(runId, listener);
+}
+
+// Drop runs nobody has touched for a while
+const cleanupTimer = setInterval(() => {
+    const now = Date.now();
+    runs.forEach((run, runId) => {
+        if (run.expiresAt < now && emitter.listenerCount(runId) === 0) {
+            runs.delete(runId);
+        }
+    });
+}, 60 * 1000);
+cleanupTimer.unref();
+
+module.exports = {
+    isValidRunId,
+    claim,
+    publish,
+    subscribe
+};
@@ -0,0 +1,89 @@
+// JSON contract for prompt generation.
+// The model must answer with { "prompts": [ { scene, lighting, pose, camera, prompt }, ... ] }
+// holding exactly the requested number of entries.
+
+const PROMPT_FIELDS = ['scene', 'lighting', 'pose', 'camera', 'prompt'];
+
+const FIELD_DESCRIPTIONS = {
+    scene: 'the new background and setting',
+    lighting: 'the lighting setup and mood',
+    pose: 'the pose and expression',
+    camera: 'framing, angle and lens',
+    prompt: 'the complete image-editing instruction sent to the image model, combining all of the above'
+};
+
+function schemaInstructions(count) {
+    const fields = PROMPT_FIELDS
+        .map(field => `    "${field}": string - ${FIELD_DESCRIPTIONS[field]}`)
+        .join('\n');
+
+    return `RESPONSE FORMAT:
+Respond with a single JSON object and nothing else, in this shape:
+{
+  "prompts": [
+    {
+${fields}
+    }
+  ]
+}
+The "prompts" array must contain EXACTLY ${count} entries. Every field is a non-empty string.`;
+}
+
+// Models sometimes wrap JSON in a markdown code fence
+function parseJson(text) {
+    const unfenced = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    return JSON.parse(unfenced);
+}
+
+// Returns the valid entries (at most `count`) and a list of human-readable problems
+function validatePromptSet(value, count) {
+    const errors = [];
+    const prompts = [];
+    const seen = new Set();
+
+    if (!value || typeof value !== 'object' || !Array.isArray(value.prompts)) {
+        return { prompts, errors: ['Top-level value must be an object with a "prompts" array'] };
+    }
+
+    value.prompts.slice(0, count).forEach((entry, index) => {
+        if (!entry || typeof entry !== 'object') {
+            errors.push(`prompts[${index}] must be an object`);
+            return;
+        }
+
+        const missing = PROMPT_FIELDS.filter(field =>
+            typeof entry[field] !== 'string' || entry[field].trim() === ''
+        );
+
+        if (missing.length > 0) {
+            errors.push(`prompts[${index}] is missing non-empty string field(s): ${missing.join(', ')}`);
+            return;
+        }
+
+        const normalized = entry.prompt.toLowerCase().replace(/\s+/g, ' ').trim();
+        if (seen.has(normalized)) {
+            errors.push(`prompts[${index}] duplicates an earlier prompt`);
+            return;
+        }
+        seen.add(normalized);
+
+        const prompt = {};
+        PROMPT_FIELDS.forEach(field => {
+            prompt[field] = entry[field].trim();
+        });
+        prompts.push(prompt);
+    });
+
+    if (value.prompts.length < count) {
+        errors.push(`"prompts" has ${value.prompts.length} entries, expected exactly ${count}`);
+    }
+
+    return { prompts, errors };
+}
+
+module.exports = {
+    PROMPT_FIELDS,
+    schemaInstructions,
+    parseJson,
+    validatePromptSet
+};
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+
+// Versioned prompt templates stored as files:
+//   prompt-templates/<name>/<version>/system.txt
+//   prompt-templates/<name>/<version>/user.txt
+//   prompt-templates/<name>/<version>/meta.json (optional description)
+// Placeholders look like {{numImages}} and must all be supplied when rendering.
+
+const TEMPLATES_DIR = process.env.PROMPT_TEMPLATES_DIR || path.join(__dirname, '..', 'prompt-templates');
+const PLACEHOLDER_PATTERN = /\{\{(\w+)\}\}/g;
+
+const loaded = new Map();
+
+function listTemplateVersions(name) {
+    const dir = path.join(TEMPLATES_DIR, name);
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+    return fs.readdirSync(dir)
+        .filter(version => fs.existsSync(path.join(dir, version, 'system.txt')))
+        .sort();
+}
+
+function loadTemplate(name, version) {
+    const key = `${name}/${version}`;
+    if (loaded.has(key)) {
+        return loaded.get(key);
+    }
+
+    const dir = path.join(TEMPLATES_DIR, name, version);
+    if (!fs.existsSync(path.join(dir, 'system.txt')) || !fs.existsSync(path.join(dir, 'user.txt'))) {
+        throw new Error(`Prompt template ${key} not found in ${TEMPLATES_DIR}`);
+    }
+
+    const metaPath = path.join(dir, 'meta.json');
+    const template = {
+        name: name,
+        version: version,
+        system: fs.readFileSync(path.join(dir, 'system.txt'), 'utf8'),
+        user: fs.readFileSync(path.join(dir, 'user.txt'), 'utf8'),
+        meta: fs.existsSync(metaPath) ? JSON.parse(fs.readFileSync(metaPath, 'utf8')) : {}
+    };
+
+    loaded.set(key, template);
+    return template;
+}
+
+function fill(text, values, key) {
+    return text.replace(PLACEHOLDER_PATTERN, (match, placeholder) => {
+        if (values[placeholder] === undefined || values[placeholder] === null) {
+            throw new Error(`Prompt template ${key} needs a value for {{${placeholder}}}`);
+        }
+        return String(values[placeholder]);
+    }).trimEnd();
+}
+
+// Resolves to { system, user } with every placeholder filled in
+function renderTemplate(name, version, values) {
+    const template = loadTemplate(name, version);
+    const key = `${name}/${version}`;
+    return {
+        system: fill(template.system, values, key),
+        user: fill(template.user, values, key)
+    };
+}
+
+module.exports = {
+    listTemplateVersions,
+    loadTemplate,
+    renderTemplate
+};
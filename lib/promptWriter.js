@@ -0,0 +1,332 @@
+const llm = require('./llm');
+const progress = require('./progress');
+const experiments = require('./experiments');
+const styles = require('./styles');
+const { schemaInstructions, parseJson, validatePromptSet } = require('./promptSchema');
+const { analyzeUserPhoto, analyzeClothing } = require('./analysis');
+const { GARMENT_SLOTS } = require('./garmentSchema');
+const { buildOutfit, toPublicOutfit } = require('./outfit');
+const { listTemplateVersions, renderTemplate } = require('./promptTemplates');
+const { resolveMediaInput } = require('./media');
+
+// Writes the try-on prompts for one request: analyzes the person and garments,
+// renders the prompt template version assigned by the A/B experiment and asks
+// the model for schema-checked prompts. Progress is published on the run's
+// channel when a runId is given. Multi-person runs write a prompt set per person.
+
+const PROMPT_TEMPLATE_NAME = 'prompt-writing';
+
+// Every version in the prompt template experiment must exist on disk.
+// Throws when one is missing, so call at startup.
+function checkPromptTemplates() {
+    const availableVersions = listTemplateVersions(PROMPT_TEMPLATE_NAME);
+    experiments.weightsFor(PROMPT_TEMPLATE_NAME).forEach(({ version }) => {
+        if (!availableVersions.includes(version)) {
+            throw new Error(`Prompt template ${PROMPT_TEMPLATE_NAME}/${version} is in the experiment weights but does not exist (available: ${availableVersions.join(', ') || 'none'})`);
+        }
+    });
+}
+
+// Resolves to { prompts, promptDetails, fallbackCount, analysisCache, garments,
+// outfit, rawResponse, styleName, promptTemplate }. `outfit` holds the user's
+// slot and layer choices per clothing image (see lib/outfit.js); the returned
+// outfit is in layering order, which is the order the images must be sent to
+// the image model in. `person` (multi-person runs) is added to progress events
+// so the page can tell the prompt sets apart. `userId` makes the user's own
+// custom styles available; it, or a guest's `guestSubject`, is recorded as the
+// owner of the run's experiment assignment.
+async function writePrompts({ style, customDetails, userImage, clothingImages = [], outfit, numImages, runId, clientId, userId, guestSubject, person }) {
+    const styleDefinition = styles.getStyle(style, userId);
+    if (!styleDefinition) {
+        throw new Error(`Unknown style: ${style}`);
+    }
+    const styleName = styleDefinition.name;
+
+    console.log('Generating prompts for style:', styleName);
+    console.log('Number of unique prompts to generate:', numImages);
+    console.log('User image provided:', !!userImage);
+    console.log('Clothing images provided:', clothingImages.length);
+    console.log('Custom details:', customDetails);
+
+    const personDetails = person === undefined ? {} : { person: person };
+
+    // Analyze user photo if provided (cached by image content)
+    let userAnalysis = '';
+    const analysisCache = { user: false, clothing: false };
+    if (userImage) {
+        progress.publish(runId, 'analysis-started', { target: 'user', ...personDetails });
+        try {
+            const result = await analyzeUserPhoto(userImage);
+            userAnalysis = result.analysis;
+            analysisCache.user = result.cached;
+            console.log(`User photo analysis completed${result.cached ? ' (cached)' : ''}`);
+        } catch (error) {
+            console.error('Error analyzing user photo:', error);
+            userAnalysis = 'User photo analysis unavailable';
+        }
+        progress.publish(runId, 'analysis-done', {
+            target: 'user',
+            success: userAnalysis !== 'User photo analysis unavailable',
+            cached: analysisCache.user,
+            ...personDetails
+        });
+    }
+
+    // Analyze clothing images if provided (cached per image)
+    let clothingAnalysis = '';
+    let garments = [];
+    if (clothingImages && clothingImages.length > 0) {
+        progress.publish(runId, 'analysis-started', { target: 'clothing', ...personDetails });
+        try {
+            const result = await analyzeClothing(clothingImages);
+            clothingAnalysis = result.analysis;
+            garments = result.items.map(item => item.record);
+            analysisCache.clothing = result.cached;
+            console.log(`Clothing analysis completed${result.cached ? ' (cached)' : ''}`);
+        } catch (error) {
+            console.error('Error analyzing clothing:', error);
+            clothingAnalysis = 'Clothing analysis unavailable';
+        }
+        progress.publish(runId, 'analysis-done', {
+            target: 'clothing',
+            success: clothingAnalysis !== 'Clothing analysis unavailable',
+            cached: analysisCache.clothing,
+            ...personDetails
+        });
+    }
+
+    const layout = buildOutfit(clothingImages.length, outfit, garments);
+
+    // Create analysis descriptions for prompts
+    let analysisDescription = '';
+    
+    if (userAnalysis && userAnalysis !== 'User photo analysis unavailable') {
+        analysisDescription += `\nUSER ANALYSIS:\n${userAnalysis}\n`;
+    }
+    
+    if (clothingAnalysis && clothingAnalysis !== 'Clothing analysis unavailable') {
+        analysisDescription += `\nCLOTHING ANALYSIS:\n${clothingAnalysis}\n`;
+    }
+    
+    if (layout.some(item => item.slotSource !== 'default')) {
+        analysisDescription += `\n${buildOutfitInstructions(layout)}`;
+    } else if (clothingImages && clothingImages.length > 0) {
+        analysisDescription += `\nCLOTHING ITEMS TO TRY ON:\nThe user has uploaded ${clothingImages.length} clothing item(s) that they want to try on. These are the EXACT clothing items that must be worn in the generated images. CRITICAL: Only replace these specific uploaded clothing items - keep all other clothing from the original photo unchanged. If user uploads only pants, change ONLY the pants. If user uploads pants and shirt, change ONLY pants and shirt. Keep everything else identical to the original photo.`;
+    } else {
+        analysisDescription += '\nCLOTHING ITEMS: The user will provide clothing images separately. Focus on creating artistic prompts for selective clothing replacement.';
+    }
+
+    // Render the prompt-writing template version assigned to this client
+    const templateVersion = experiments.assignVersion(PROMPT_TEMPLATE_NAME, clientId || runId);
+    const { system: systemPrompt, user: userPrompt } = renderTemplate(PROMPT_TEMPLATE_NAME, templateVersion, {
+        numImages: numImages,
+        styleName: styleName,
+        styleGuidance: styleDefinition.guidance,
+        responseFormat: schemaInstructions(numImages),
+        analysisDescription: analysisDescription,
+        customDetails: customDetails ? `Additional Creative Details: ${customDetails}` : ''
+    });
+
+    // A multi-person run is one assignment, recorded with the first person
+    if (runId && !person) {
+        experiments.recordEvent({
+            type: 'assignment',
+            experiment: PROMPT_TEMPLATE_NAME,
+            version: templateVersion,
+            runId: runId,
+            clientId: clientId || null,
+            userId: userId || null,
+            guestSubject: userId ? null : guestSubject || null
+        });
+    }
+
+    // Prepare messages array
+    const messages = [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: userPrompt }
+    ];
+
+    // Add image to the user message if provided. Stored /media references are
+    // relative, so the model gets the image itself as a data URL.
+    if (userImage) {
+        messages[1].content = [
+            { type: "text", text: userPrompt },
+            {
+                type: "image_url",
+                image_url: {
+                    url: await resolveMediaInput(userImage)
+                }
+            }
+        ];
+    }
+
+    const { promptDetails, rawResponse } = await writeStructuredPrompts(messages, numImages);
+    const prompts = promptDetails.map(detail => detail.prompt);
+    const fallbackCount = promptDetails.filter(detail => detail.source === 'fallback').length;
+    
+    console.log(`Prompts ready: ${prompts.length - fallbackCount} from the model, ${fallbackCount} fallback`);
+
+    progress.publish(runId, 'prompts-ready', {
+        prompts: prompts,
+        sources: promptDetails.map(detail => detail.source),
+        ...personDetails
+    });
+
+    return {
+        prompts: prompts,
+        promptDetails: promptDetails,
+        fallbackCount: fallbackCount,
+        analysisCache: analysisCache,
+        garments: garments,
+        outfit: toPublicOutfit(layout),
+        rawResponse: rawResponse,
+        styleName: styleName,
+        promptTemplate: { name: PROMPT_TEMPLATE_NAME, version: templateVersion }
+    };
+}
+
+// Write a prompt set for each person photo, one person at a time. The sets are
+// also returned flattened person by person, so prompt i belongs to person
+// Math.floor(i / numImages). Resolves to the writePrompts result shape plus
+// `people: [{ person, prompts, promptDetails, fallbackCount, analysisCache }]`.
+async function writePromptsForPeople({ userImages, numImages, ...options }) {
+    const people = [];
+    for (let person = 0; person < userImages.length; person++) {
+        people.push(await writePrompts({
+            ...options,
+            userImage: userImages[person],
+            numImages: numImages,
+            person: person
+        }));
+    }
+
+    return {
+        prompts: people.flatMap(result => result.prompts),
+        promptDetails: people.flatMap(result => result.promptDetails),
+        fallbackCount: people.reduce((sum, result) => sum + result.fallbackCount, 0),
+        analysisCache: people[0].analysisCache,
+        garments: people[0].garments,
+        outfit: people[0].outfit,
+        rawResponse: people.map(result => result.rawResponse),
+        styleName: people[0].styleName,
+        promptTemplate: people[0].promptTemplate,
+        people: people.map((result, person) => ({
+            person: person,
+            prompts: result.prompts,
+            promptDetails: result.promptDetails,
+            fallbackCount: result.fallbackCount,
+            analysisCache: result.analysisCache
+        }))
+    };
+}
+
+// Tell the model exactly which garment each image is, how the garments layer
+// and which parts of the outfit to leave alone. Image 1 sent to the image model
+// is the user photo; the garments follow in layering order.
+function buildOutfitInstructions(layout) {
+    const lines = layout.map(item => {
+        const garment = item.garment;
+        const colors = garment && garment.colors.length > 0 ? garment.colors.join('/') + ' ' : '';
+        const details = garment ? ` - ${colors}${garment.category} (${garment.pattern}, ${garment.material}, ${garment.fit} fit)` : '';
+        const action = item.slot === 'other' ? 'Add this item to the outfit.' : `Replace ONLY the person's ${item.slot} with this item.`;
+        return `- Image ${item.imageNumber} (layer ${item.layer}): ${item.slot.toUpperCase()}${details}. ${action}`;
+    });
+
+    // Say how the garments stack when they are not all on the same layer
+    const layering = new Set(layout.map(item => item.layer)).size > 1
+        ? `\nLAYERING ORDER (innermost first): ${layout.map(item => `image ${item.imageNumber} (${item.slot})`).join(', ')}. Each item is worn over the ones before it, so outer layers stay visible on top.`
+        : '';
+
+    // A dress takes the place of both top and bottom
+    const replacedSlots = new Set(layout.map(item => item.slot));
+    if (replacedSlots.has('dress')) {
+        replacedSlots.add('top');
+        replacedSlots.add('bottom');
+    }
+    if (replacedSlots.has('top') || replacedSlots.has('bottom')) {
+        replacedSlots.add('dress');
+    }
+    const keptSlots = GARMENT_SLOTS.filter(slot => slot !== 'other' && !replacedSlots.has(slot));
+
+    return `GARMENTS TO REPLACE (image 1 is the person):
+${lines.join('\n')}${layering}
+KEEP UNCHANGED from the original photo: ${keptSlots.join(', ')}. Do not alter any garment that is not listed above.`;
+}
+
+const PROMPT_REPAIR_ATTEMPTS = parseInt(process.env.PROMPT_REPAIR_ATTEMPTS) || 2;
+
+// Ask the model for schema-shaped JSON prompts. Invalid output is sent back with
+// the validation errors for repair; any prompts still missing after the last
+// attempt are filled with template variations and marked as fallbacks.
+async function writeStructuredPrompts(messages, expectedCount) {
+    let bestPrompts = [];
+    let rawResponse = '';
+    let conversation = messages;
+
+    for (let attempt = 1; attempt <= PROMPT_REPAIR_ATTEMPTS + 1; attempt++) {
+        rawResponse = await llm.complete('prompt-writing', conversation, { json: true });
+
+        let errors;
+        try {
+            const result = validatePromptSet(parseJson(rawResponse), expectedCount);
+            errors = result.errors;
+            if (result.prompts.length > bestPrompts.length) {
+                bestPrompts = result.prompts;
+            }
+        } catch (error) {
+            errors = [`Response is not valid JSON: ${error.message}`];
+        }
+
+        if (errors.length === 0) {
+            break;
+        }
+
+        console.warn(`Prompt JSON attempt ${attempt} did not match the schema:`, errors);
+
+        conversation = [
+            ...messages,
+            { role: "assistant", content: rawResponse },
+            { role: "user", content: `Your response did not match the required format:\n- ${errors.join('\n- ')}\n\nReply again with only the corrected JSON object, containing EXACTLY ${expectedCount} unique prompts.` }
+        ];
+    }
+
+    const promptDetails = bestPrompts.map(prompt => ({ ...prompt, source: 'model' }));
+
+    while (promptDetails.length < expectedCount) {
+        promptDetails.push({
+            scene: null,
+            lighting: null,
+            pose: null,
+            camera: null,
+            prompt: createPromptVariation(null, promptDetails.length + 1),
+            source: 'fallback'
+        });
+    }
+
+    return { promptDetails, rawResponse };
+}
+
+// Helper function to create creative variations of prompts
+function createPromptVariation(basePrompt, index) {
+    const creativeVariations = [
+        `ARTISTIC VARIATION ${index}: Replace the person's current clothing with the uploaded clothing items, maintaining their face and body unchanged. Apply dramatic artistic lighting with creative shadows and rim lighting effects. Position the person in a dynamic pose with emotional expression against an artistic background with depth and texture. Use advanced composition techniques including rule of thirds and creative depth of field for maximum visual impact.`,
+        `CREATIVE MASTERPIECE ${index}: Remove the person's current clothing and dress them in the uploaded clothing items, keeping their face and body appearance the same. Create a visually stunning composition with artistic lighting, creative pose variations, and dramatic background elements. Apply mood and atmosphere through sophisticated color grading and artistic ambiance for a truly artistic result.`,
+        `VISUAL ARTWORK ${index}: Transform the person's clothing to the uploaded items while preserving their facial features and body structure. Craft an artistic visual experience with creative lighting setups, dynamic pose expressions, and artistic background transformations. Incorporate advanced photography techniques including selective focus, artistic bokeh, and creative composition for a masterpiece result.`,
+        `ARTISTIC ENHANCEMENT ${index}: Replace the person's current clothing with the uploaded clothing items, maintaining their face and body unchanged. Create an artistic visual narrative with dramatic lighting, creative shadow play, and sophisticated composition. Apply color theory principles and artistic depth of field effects for a creatively enhanced, visually stunning image.`,
+        `CINEMATIC TRANSFORMATION ${index}: Replace the person's current clothing with the uploaded clothing items while preserving their face and body exactly. Create a cinematic masterpiece with dramatic film lighting, atmospheric effects, and storytelling composition. Use advanced cinematography techniques including depth of field, creative framing, and mood lighting for a movie-quality result.`,
+        `FASHION EDITORIAL ${index}: Transform the person's clothing to the uploaded items, keeping their face and body unchanged. Create a high-fashion editorial scene with dramatic studio lighting, artistic poses, and sophisticated composition. Apply fashion photography techniques including creative lighting, artistic shadows, and professional styling for a magazine-quality result.`,
+        `STREET ART MASTERPIECE ${index}: Replace the person's current clothing with the uploaded clothing items while maintaining their face and body. Create a vibrant street photography scene with urban graffiti backgrounds, dynamic poses, and authentic street aesthetics. Use creative urban lighting, candid photography techniques, and artistic street elements for a dynamic result.`,
+        `VINTAGE GLAMOUR ${index}: Transform the person's clothing to the uploaded items, preserving their face and body exactly. Create a nostalgic vintage scene with period-appropriate styling, artistic film grain effects, and classic photography techniques. Apply vintage color grading, retro aesthetics, and timeless composition for a nostalgic masterpiece.`,
+        `MINIMALIST ELEGANCE ${index}: Replace the person's current clothing with the uploaded clothing items while keeping their face and body unchanged. Create a clean, minimalist composition with sophisticated negative space, artistic simplicity, and maximum visual impact. Use creative minimalism, elegant lighting, and sophisticated composition for a refined result.`,
+        `PROFESSIONAL SOPHISTICATION ${index}: Transform the person's clothing to the uploaded items, maintaining their face and body exactly. Create a professional corporate scene with sophisticated business aesthetics, polished lighting, and executive photography techniques. Apply corporate styling, professional composition, and refined business aesthetics for a polished result.`
+    ];
+    
+    return creativeVariations[index % creativeVariations.length];
+}
+
+module.exports = {
+    PROMPT_TEMPLATE_NAME,
+    checkPromptTemplates,
+    writePrompts,
+    writePromptsForPeople
+};
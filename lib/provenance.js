@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getMedia, mediaIdFromUrl } = require('./media');
+const { hashImage } = require('./analysisCache');
+const { MAX_VIDEO_PROMPT_LENGTH } = require('./videoPresets');
+
+// Provenance of generated try-on images and videos. Each output gets a record
+// in data/provenance/<id>.json (PROVENANCE_DIR) saying what produced it: the
+// provider's prediction ID, the model and its version, the full prompt, the
+// seed, the input images (media references and sha256) and timings. A record
+// holds everything needed to generate the output again (see buildReproduction
+// and generation.js queueReproduction).
+//
+// Image records have inputs { person, garments }; video records have
+// inputs { image } plus the video's preset, duration and aspectRatio.
+
+const PROVENANCE_DIR = process.env.PROVENANCE_DIR || path.join(__dirname, '..', 'data', 'provenance');
+const PROVENANCE_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+const MAX_PROMPT_LENGTH = 4000;
+const MAX_GARMENT_IMAGES = 10;
+
+function recordPath(id) {
+    return path.join(PROVENANCE_DIR, `${id}.json`);
+}
+
+// A stored /media input is kept by reference; anything else only by its hash
+function describeInput(image) {
+    if (!image) {
+        return null;
+    }
+    const mediaId = mediaIdFromUrl(image);
+    const record = mediaId ? getMedia(mediaId) : null;
+    return {
+        url: record ? image : null,
+        mediaId: record ? record.id : null,
+        sha256: record ? record.sha256 : hashImage(image)
+    };
+}
+
+// Save the provenance of one output. `details` is { kind, prompt, inputs,
+// provider, model, version, predictionId, seed, url, mediaId, startedAt,
+// completedAt, predictTimeMs, jobId, runId, userId, source, index, person,
+// reproducedFrom, changes }; `inputs` is { personImage, garmentImages } for an
+// image and { image } for a video, which also has preset, duration and aspectRatio.
+// Returns the record, or null when it could not be written; a missing record
+// never fails the output.
+function recordProvenance(details) {
+    const kind = details.kind || 'image';
+    const outputMedia = details.mediaId ? getMedia(details.mediaId) : null;
+    const record = {
+        id: crypto.randomUUID(),
+        kind: kind,
+        createdAt: new Date().toISOString(),
+        userId: details.userId || null,
+        runId: details.runId || null,
+        jobId: details.jobId || null,
+        source: details.source || null,
+        index: details.index === undefined ? null : details.index,
+        person: details.person === undefined ? null : details.person,
+        provider: details.provider,
+        model: details.model,
+        version: details.version || null,
+        predictionId: details.predictionId || null,
+        seed: Number.isInteger(details.seed) ? details.seed : null,
+        prompt: details.prompt,
+        ...(kind === 'video' ? {
+            preset: details.preset || null,
+            duration: details.duration || null,
+            aspectRatio: details.aspectRatio || null
+        } : {}),
+        inputs: kind === 'video' ? { image: describeInput(details.inputs.image) } : {
+            person: describeInput(details.inputs.personImage),
+            garments: (details.inputs.garmentImages || []).map(describeInput)
+        },
+        output: {
+            url: details.url,
+            mediaId: details.mediaId || null,
+            sha256: outputMedia ? outputMedia.sha256 : null
+        },
+        timings: {
+            startedAt: details.startedAt.toISOString(),
+            completedAt: details.completedAt.toISOString(),
+            durationMs: details.completedAt - details.startedAt,
+            predictTimeMs: details.predictTimeMs === undefined ? null : details.predictTimeMs
+        },
+        reproducedFrom: details.reproducedFrom || null,
+        changes: details.changes || null
+    };
+
+    try {
+        if (!fs.existsSync(PROVENANCE_DIR)) {
+            fs.mkdirSync(PROVENANCE_DIR, { recursive: true });
+        }
+        const filePath = recordPath(record.id);
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(record, null, 2));
+        fs.renameSync(tmpPath, filePath);
+        return record;
+    } catch (error) {
+        console.error('Could not save provenance record:', error.message);
+        return null;
+    }
+}
+
+// Returns the user's record, or null when it does not exist or belongs to someone else
+function getProvenance(id, userId) {
+    if (!PROVENANCE_ID_PATTERN.test(String(id)) || !fs.existsSync(recordPath(id))) {
+        return null;
+    }
+    try {
+        const record = JSON.parse(fs.readFileSync(recordPath(id), 'utf8'));
+        return record.userId && record.userId === userId ? record : null;
+    } catch (error) {
+        console.error(`Unreadable provenance record ${id}:`, error.message);
+        return null;
+    }
+}
+
+// Drop the record of an output that was discarded
+function deleteProvenance(id) {
+    if (id && PROVENANCE_ID_PATTERN.test(String(id))) {
+        fs.rmSync(recordPath(id), { force: true });
+    }
+}
+
+// Drop every record of a deleted run. Returns how many were removed.
+function deleteRunProvenance(runId, userId) {
+    if (!runId || !fs.existsSync(PROVENANCE_DIR)) {
+        return 0;
+    }
+    let removed = 0;
+    fs.readdirSync(PROVENANCE_DIR)
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => {
+            const id = file.slice(0, -'.json'.length);
+            const record = getProvenance(id, userId);
+            if (record && record.runId === runId) {
+                deleteProvenance(id);
+                removed++;
+            }
+        });
+    return removed;
+}
+
+// Check "regenerate with changes" fields: { prompt?, seed?, personImage?,
+// garmentImages? }. A null seed asks for a new one. A video (`kind`) can only
+// change its prompt and seed. Returns an error or null.
+function validateChanges({ prompt, seed, personImage, garmentImages }, kind = 'image') {
+    if (kind === 'video' && (personImage !== undefined || garmentImages !== undefined)) {
+        return 'Only the prompt and seed of a video can be changed';
+    }
+    const maxPromptLength = kind === 'video' ? MAX_VIDEO_PROMPT_LENGTH : MAX_PROMPT_LENGTH;
+    if (prompt !== undefined && (typeof prompt !== 'string' || prompt.trim() === '' || prompt.length > maxPromptLength)) {
+        return `Prompt must be a non-empty string of at most ${maxPromptLength} characters`;
+    }
+    if (seed !== undefined && seed !== null && !(Number.isInteger(seed) && seed >= 0)) {
+        return 'Seed must be a non-negative integer, or null for a new seed';
+    }
+    if (personImage !== undefined && (typeof personImage !== 'string' || personImage === '')) {
+        return 'Person image must be an image URL';
+    }
+    if (garmentImages !== undefined && (!Array.isArray(garmentImages) || garmentImages.length === 0 ||
+        garmentImages.length > MAX_GARMENT_IMAGES || !garmentImages.every(image => typeof image === 'string' && image !== ''))) {
+        return `Garment images must be a list of 1 to ${MAX_GARMENT_IMAGES} image URLs`;
+    }
+    return null;
+}
+
+// Inputs that were not stored, or were deleted with their run, cannot be reused
+function inputsAvailable(images) {
+    return images.every(image => {
+        const mediaId = image ? mediaIdFromUrl(image) : null;
+        return !!mediaId && !!getMedia(mediaId);
+    });
+}
+
+const INPUTS_UNAVAILABLE = 'The input images of this output are no longer available';
+
+// What to generate to reproduce a record, with `changes` (see validateChanges)
+// applied. The record's provider, model and version are kept either way.
+// Returns { reproduction, error }; error is set when an input is gone. The
+// reproduction is { kind, prompt, seed, pin, reproducedFrom, changes } plus
+// { personImage, garmentImages } for an image or { imageUrl, duration,
+// aspectRatio } for a video.
+function buildReproduction(record, changes = {}) {
+    const changed = ['prompt', 'seed', 'personImage', 'garmentImages'].filter(field => changes[field] !== undefined);
+    const common = {
+        kind: record.kind || 'image',
+        prompt: changes.prompt !== undefined ? changes.prompt : record.prompt,
+        seed: changes.seed !== undefined ? changes.seed : record.seed,
+        pin: { provider: record.provider, model: record.model, version: record.version },
+        reproducedFrom: record.id,
+        changes: changed.length > 0 ? changed : null
+    };
+
+    if (common.kind === 'video') {
+        const imageUrl = record.inputs.image && record.inputs.image.url;
+        if (!inputsAvailable([imageUrl])) {
+            return { reproduction: null, error: INPUTS_UNAVAILABLE };
+        }
+        return {
+            reproduction: {
+                ...common,
+                imageUrl: imageUrl,
+                duration: record.duration,
+                aspectRatio: record.aspectRatio
+            },
+            error: null
+        };
+    }
+
+    const personImage = changes.personImage !== undefined
+        ? changes.personImage
+        : (record.inputs.person && record.inputs.person.url);
+    const garmentImages = changes.garmentImages !== undefined
+        ? changes.garmentImages
+        : record.inputs.garments.map(garment => garment && garment.url);
+
+    if (!inputsAvailable([personImage, ...garmentImages])) {
+        return { reproduction: null, error: INPUTS_UNAVAILABLE };
+    }
+    return {
+        reproduction: { ...common, personImage: personImage, garmentImages: garmentImages },
+        error: null
+    };
+}
+
+// Record returned to clients, without the owner
+function toPublicProvenance(record) {
+    const { userId, ...rest } = record;
+    return rest;
+}
+
+module.exports = {
+    recordProvenance,
+    getProvenance,
+    deleteProvenance,
+    deleteRunProvenance,
+    validateChanges,
+    buildReproduction,
+    toPublicProvenance
+};
@@ -0,0 +1,78 @@
+// Image and video generation providers.
+// Each provider exposes generateImage({ model, version?, prompt, imageUrls, seed? })
+// and generateVideo({ model, version?, prompt, imageUrl, duration?, aspectRatio?, seed? }),
+// both resolving to { url, id?, version?, seed?, predictTimeMs? }; the extra
+// fields are reported when the provider knows them. videoOptions(model) lists the durations (seconds)
+// and aspect ratios a video model accepts; empty lists mean it takes neither.
+// Which provider and model handle each task is set through the environment.
+
+const factories = {
+    replicate: require('./replicate'),
+    mock: require('./mock')
+};
+
+const config = {
+    image: {
+        provider: process.env.IMAGE_PROVIDER || 'replicate',
+        model: process.env.IMAGE_MODEL || 'google/nano-banana'
+    },
+    video: {
+        provider: process.env.VIDEO_PROVIDER || 'replicate',
+        model: process.env.VIDEO_MODEL || 'google/veo-3-fast'
+    }
+};
+
+const instances = {};
+
+function getProvider(name) {
+    if (!instances[name]) {
+        const factory = factories[name];
+        if (!factory) {
+            throw new Error(`Unknown generation provider "${name}". Available providers: ${Object.keys(factories).join(', ')}`);
+        }
+        instances[name] = factory();
+    }
+    return instances[name];
+}
+
+// Instantiate the configured providers up front so missing credentials fail at startup
+function initProviders() {
+    getProvider(config.image.provider);
+    getProvider(config.video.provider);
+}
+
+// `pin` ({ provider, model, version }) generates with the provider and model
+// version of an earlier output instead of the configured ones (see provenance.js)
+async function generateImage({ prompt, imageUrls, seed, pin }) {
+    const { provider, model } = pin || config.image;
+    const version = pin ? pin.version : null;
+    const result = await getProvider(provider).generateImage({ model, version, prompt, imageUrls, seed });
+    return { ...result, provider, model };
+}
+
+async function generateVideo({ prompt, imageUrl, duration, aspectRatio, seed, pin }) {
+    const { provider, model } = pin || config.video;
+    const version = pin ? pin.version : null;
+    const result = await getProvider(provider).generateVideo({ model, version, prompt, imageUrl, duration, aspectRatio, seed });
+    return { ...result, provider, model };
+}
+
+function getVideoOptions() {
+    const { provider, model } = config.video;
+    return getProvider(provider).videoOptions(model);
+}
+
+function describeProviders() {
+    return {
+        image: { ...config.image },
+        video: { ...config.video }
+    };
+}
+
+module.exports = {
+    initProviders,
+    generateImage,
+    generateVideo,
+    getVideoOptions,
+    describeProviders
+};
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Offline backend for development and tests. Outputs are derived from a hash
+// of the inputs, so the same request always returns the same placeholder.
+// The seed is part of that hash, so the same seed reproduces an image; without
+// one a seed is derived from the inputs.
+
+const MOCK_VIDEO_PATH = path.join(__dirname, '..', '..', 'assets', 'mock', 'placeholder.mp4');
+const MOCK_DELAY_MS = parseInt(process.env.MOCK_PROVIDER_DELAY_MS) || 0;
+
+function hashInputs(...parts) {
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+function escapeXml(text) {
+    return text.replace(/[<>&'"]/g, char => ({
+        '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;'
+    })[char]);
+}
+
+function placeholderImage(hash, model, prompt) {
+    const hue = parseInt(hash.slice(0, 4), 16) % 360;
+    const caption = escapeXml(prompt.substring(0, 40));
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="768" height="1024" viewBox="0 0 768 1024">
+<defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1">
+<stop offset="0" stop-color="hsl(${hue},70%,45%)"/><stop offset="1" stop-color="hsl(${(hue + 60) % 360},70%,25%)"/>
+</linearGradient></defs>
+<rect width="768" height="1024" fill="url(#g)"/>
+<text x="384" y="480" font-family="sans-serif" font-size="48" fill="#fff" text-anchor="middle">Mock try-on</text>
+<text x="384" y="540" font-family="monospace" font-size="24" fill="#fff" text-anchor="middle">${escapeXml(model)} · ${hash.slice(0, 8)}</text>
+<text x="384" y="590" font-family="sans-serif" font-size="20" fill="#ddd" text-anchor="middle">${caption}</text>
+</svg>`;
+    return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+}
+
+function delay() {
+    return new Promise(resolve => setTimeout(resolve, MOCK_DELAY_MS));
+}
+
+function createMockProvider() {
+    // Returned as a data URL, like a remote output it is downloaded into media storage
+    const videoUrl = `data:video/mp4;base64,${fs.readFileSync(MOCK_VIDEO_PATH).toString('base64')}`;
+
+    return {
+        name: 'mock',
+
+        async generateImage({ model, prompt, imageUrls, seed }) {
+            await delay();
+            const imageSeed = Number.isInteger(seed) ? seed : parseInt(hashInputs(model, prompt, imageUrls).slice(0, 8), 16);
+            const hash = hashInputs(model, prompt, imageUrls, imageSeed);
+            return {
+                url: placeholderImage(hash, model, prompt),
+                id: `mock_${hash.slice(0, 16)}`,
+                version: null,
+                seed: imageSeed,
+                predictTimeMs: MOCK_DELAY_MS
+            };
+        },
+
+        // Accepts every option so presets can be tried offline
+        videoOptions() {
+            return { durations: [4, 6, 8], aspectRatios: ['16:9', '9:16', '1:1'] };
+        },
+
+        async generateVideo({ model, prompt, imageUrl, duration, aspectRatio, seed }) {
+            await delay();
+            const hash = hashInputs(model, prompt, imageUrl, duration, aspectRatio, seed);
+            return {
+                url: videoUrl,
+                id: `mock_${hash.slice(0, 16)}`,
+                version: null,
+                seed: Number.isInteger(seed) ? seed : null,
+                predictTimeMs: MOCK_DELAY_MS
+            };
+        }
+    };
+}
+
+module.exports = createMockProvider;
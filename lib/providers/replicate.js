@@ -0,0 +1,90 @@
+const Replicate = require('replicate');
+
+// Replicate backend. The input field names follow the default models
+// (google/nano-banana for images, google/veo-3-fast for video).
+
+// Video options each known model accepts. Other models get the prompt and image only.
+const VIDEO_MODEL_OPTIONS = {
+    'google/veo-3': { durations: [4, 6, 8], aspectRatios: ['16:9', '9:16'] },
+    'google/veo-3-fast': { durations: [4, 6, 8], aspectRatios: ['16:9', '9:16'] }
+};
+
+function outputToUrl(output) {
+    const item = Array.isArray(output) ? output[0] : output;
+    return String(item && typeof item.url === 'function' ? item.url() : item);
+}
+
+// Provenance of a finished prediction. The seed is the one sent in its input.
+function predictionDetails(prediction) {
+    if (!prediction) {
+        return {};
+    }
+    const seed = prediction.input && Number.isInteger(prediction.input.seed) ? prediction.input.seed : null;
+    const predictTime = prediction.metrics && prediction.metrics.predict_time;
+    return {
+        id: prediction.id,
+        version: prediction.version || null,
+        seed: seed,
+        predictTimeMs: typeof predictTime === 'number' ? Math.round(predictTime * 1000) : null
+    };
+}
+
+function createReplicateProvider() {
+    if (!process.env.REPLICATE_API_TOKEN) {
+        throw new Error('REPLICATE_API_TOKEN environment variable is required for the replicate provider');
+    }
+
+    const replicate = new Replicate({
+        auth: process.env.REPLICATE_API_TOKEN,
+    });
+
+    return {
+        name: 'replicate',
+
+        // A `version` pins the model version ("owner/name:version")
+        async generateImage({ model, version, prompt, imageUrls, seed }) {
+            const input = {
+                prompt: prompt,
+                image_input: imageUrls
+            };
+            if (Number.isInteger(seed)) {
+                input.seed = seed;
+            }
+
+            // The progress callback sees the prediction, which run() does not return
+            let prediction = null;
+            const output = await replicate.run(version ? `${model}:${version}` : model, { input: input }, update => {
+                prediction = update;
+            });
+            return { url: outputToUrl(output), ...predictionDetails(prediction) };
+        },
+
+        videoOptions(model) {
+            return VIDEO_MODEL_OPTIONS[model] || { durations: [], aspectRatios: [] };
+        },
+
+        async generateVideo({ model, version, prompt, imageUrl, duration, aspectRatio, seed }) {
+            const input = {
+                image: imageUrl,
+                prompt: prompt
+            };
+            if (duration) {
+                input.duration = duration;
+            }
+            if (aspectRatio) {
+                input.aspect_ratio = aspectRatio;
+            }
+            if (Number.isInteger(seed)) {
+                input.seed = seed;
+            }
+
+            let prediction = null;
+            const output = await replicate.run(version ? `${model}:${version}` : model, { input: input }, update => {
+                prediction = update;
+            });
+            return { url: outputToUrl(output), ...predictionDetails(prediction) };
+        }
+    };
+}
+
+module.exports = createReplicateProvider;
@@ -0,0 +1,407 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { registerJobHandler, createJob, getJob, listJobs } = require('./jobs');
+const { mediaUrl, getMedia, mediaIdFromUrl, storeMedia } = require('./media');
+const history = require('./history');
+const { ffmpeg, isFfmpegAvailable, probeDuration, copyMediaToFile, sampleFrames } = require('./ffmpeg');
+const { moderateVideoOutput } = require('./moderation');
+
+// Lookbook reels: chosen try-on videos and stills stitched into one shareable
+// file with ffmpeg. Every clip (and optional title card) is first rendered to a
+// segment of the same size and frame rate, then the segments are joined with
+// cuts or crossfades and encoded as MP4 (with optional music), GIF or WebP.
+// Frames of the finished reel are checked by content moderation before it is stored.
+// Reels run as 'reel' jobs in their own lane; ffmpeg must be installed locally
+// (or FFMPEG_PATH / FFPROBE_PATH set), no network access is needed.
+
+const REEL_JOB_CONCURRENCY = parseInt(process.env.REEL_JOB_CONCURRENCY) || 1;
+const REEL_FONT_FILE = process.env.REEL_FONT_FILE || '';
+
+const REEL_MAX_CLIPS = 20;
+const REEL_MAX_CLIP_SECONDS = 10;
+const REEL_MAX_MUSIC_BYTES = 20 * 1024 * 1024;
+const REEL_MAX_TITLE_LENGTH = 200;
+const DEFAULT_STILL_SECONDS = 3;
+const DEFAULT_TITLE_SECONDS = 2.5;
+const DEFAULT_TRANSITION_SECONDS = 0.5;
+const SEGMENT_FPS = 30;
+const ANIMATED_FPS = 12;
+const ANIMATED_WIDTH = 480;
+
+// Output sizes for the social-media aspect ratios
+const REEL_ASPECT_RATIOS = {
+    '9:16': { width: 1080, height: 1920 },
+    '4:5': { width: 1080, height: 1350 },
+    '1:1': { width: 1080, height: 1080 },
+    '16:9': { width: 1920, height: 1080 }
+};
+
+// Transition name -> ffmpeg xfade transition ('cut' joins the segments directly)
+const REEL_TRANSITIONS = {
+    cut: null,
+    fade: 'fade',
+    dissolve: 'dissolve',
+    slide: 'slideleft',
+    wipe: 'wipeleft'
+};
+
+const REEL_FORMATS = {
+    mp4: 'video/mp4',
+    gif: 'image/gif',
+    webp: 'image/webp'
+};
+
+const MUSIC_TYPES = ['audio/mpeg', 'audio/mp3', 'audio/mp4', 'audio/aac', 'audio/wav', 'audio/x-wav', 'audio/ogg', 'audio/webm'];
+
+function isNumberInRange(value, min, max) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+function validateTitle(title, label) {
+    if (!title || typeof title !== 'object' || Array.isArray(title)) {
+        return `${label} must be an object with text`;
+    }
+    if (typeof title.text !== 'string' || title.text.trim() === '' || title.text.length > REEL_MAX_TITLE_LENGTH) {
+        return `${label} text must be 1 to ${REEL_MAX_TITLE_LENGTH} characters`;
+    }
+    if (title.duration !== undefined && !isNumberInRange(title.duration, 1, REEL_MAX_CLIP_SECONDS)) {
+        return `${label} duration must be 1 to ${REEL_MAX_CLIP_SECONDS} seconds`;
+    }
+    return null;
+}
+
+// Media belongs to an account when it was stored for one of its runs or by one of its jobs
+function ownsMedia(record, userId) {
+    if (record.runId && history.getRun(record.runId, userId)) {
+        return true;
+    }
+    const job = record.jobId ? getJob(record.jobId) : null;
+    return !!job && !!userId && job.input.userId === userId;
+}
+
+// Request body:
+// { clips: [{ url, duration?, title? }], titleCard?: { text, duration? },
+//   transition?, transitionDuration?, aspectRatio?, format?, music?, runId?, name? }
+// Clip URLs are /media URLs of images or videos stored for `userId`; someone
+// else's media is reported as missing. Returns an error message, or null.
+function validateReelRequest(body, userId) {
+    const { clips, titleCard, transition, transitionDuration, aspectRatio, format, music, name } = body || {};
+
+    if (!Array.isArray(clips) || clips.length === 0) {
+        return 'Choose at least one video or image for the reel';
+    }
+    if (clips.length > REEL_MAX_CLIPS) {
+        return `A reel can have at most ${REEL_MAX_CLIPS} clips`;
+    }
+    for (let i = 0; i < clips.length; i++) {
+        const clip = clips[i];
+        const label = `Clip ${i + 1}`;
+        if (!clip || typeof clip !== 'object') {
+            return `${label} must be an object with a url`;
+        }
+        const record = getMedia(mediaIdFromUrl(clip.url) || '');
+        if (!record || !ownsMedia(record, userId)) {
+            return `${label} must be a /media URL of a stored image or video`;
+        }
+        if (record.contentType === 'image/svg+xml') {
+            return `${label} is an SVG image, which cannot be used in a reel`;
+        }
+        if (!/^(image|video)\//.test(record.contentType)) {
+            return `${label} is not an image or video`;
+        }
+        if (clip.duration !== undefined && !isNumberInRange(clip.duration, 1, REEL_MAX_CLIP_SECONDS)) {
+            return `${label} duration must be 1 to ${REEL_MAX_CLIP_SECONDS} seconds`;
+        }
+        if (clip.title !== undefined && clip.title !== null) {
+            const problem = validateTitle(clip.title, `${label} title card`);
+            if (problem) {
+                return problem;
+            }
+        }
+    }
+
+    if (titleCard !== undefined && titleCard !== null) {
+        const problem = validateTitle(titleCard, 'Title card');
+        if (problem) {
+            return problem;
+        }
+    }
+    if (transition !== undefined && !Object.prototype.hasOwnProperty.call(REEL_TRANSITIONS, transition)) {
+        return `Transition must be one of: ${Object.keys(REEL_TRANSITIONS).join(', ')}`;
+    }
+    if (transitionDuration !== undefined && !isNumberInRange(transitionDuration, 0.1, 2)) {
+        return 'Transition duration must be 0.1 to 2 seconds';
+    }
+    if (aspectRatio !== undefined && !REEL_ASPECT_RATIOS[aspectRatio]) {
+        return `Aspect ratio must be one of: ${Object.keys(REEL_ASPECT_RATIOS).join(', ')}`;
+    }
+    if (format !== undefined && !REEL_FORMATS[format]) {
+        return `Format must be one of: ${Object.keys(REEL_FORMATS).join(', ')}`;
+    }
+    if (music !== undefined && music !== null) {
+        if ((format || 'mp4') !== 'mp4') {
+            return 'Music can only be added to MP4 reels';
+        }
+        const match = /^data:([^;,]+);base64,/.exec(typeof music === 'string' ? music : '');
+        if (!match || !MUSIC_TYPES.includes(match[1])) {
+            return 'Music must be an MP3, M4A, AAC, WAV, OGG or WebM audio file';
+        }
+        if (Math.floor((music.length - match[0].length) * 3 / 4) > REEL_MAX_MUSIC_BYTES) {
+            return `Music must be at most ${REEL_MAX_MUSIC_BYTES / (1024 * 1024)}MB`;
+        }
+    }
+    if (name !== undefined && (typeof name !== 'string' || name.length > 100)) {
+        return 'Reel name must be at most 100 characters';
+    }
+    return null;
+}
+
+// Quote a filter option value; inside single quotes only ' needs escaping
+function filterValue(value) {
+    return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+function fitFilter({ width, height }) {
+    return `scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+        `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=black,setsar=1,fps=${SEGMENT_FPS},format=yuv420p`;
+}
+
+const SEGMENT_CODEC = ['-c:v', 'libx264', '-preset', 'veryfast', '-crf', '18', '-an'];
+
+async function renderTitleSegment(title, size, workDir, name) {
+    const textFile = path.join(workDir, `${name}.txt`);
+    fs.writeFileSync(textFile, title.text.trim());
+    const font = REEL_FONT_FILE ? `fontfile=${filterValue(REEL_FONT_FILE)}` : 'font=Sans';
+    const duration = title.duration || DEFAULT_TITLE_SECONDS;
+    const output = path.join(workDir, `${name}.mp4`);
+
+    await ffmpeg([
+        '-f', 'lavfi', '-i', `color=c=black:s=${size.width}x${size.height}:r=${SEGMENT_FPS}:d=${duration}`,
+        '-vf', `drawtext=${font}:textfile=${filterValue(textFile)}:expansion=none:fontcolor=white:` +
+            `fontsize=${Math.round(size.width / 16)}:line_spacing=${Math.round(size.width / 40)}:` +
+            'x=(w-text_w)/2:y=(h-text_h)/2,format=yuv420p',
+        ...SEGMENT_CODEC, output
+    ]);
+    return output;
+}
+
+async function renderClipSegment(clip, size, workDir, name) {
+    const { file, isVideo } = await copyMediaToFile(clip.url, workDir, `${name}-source`);
+    const output = path.join(workDir, `${name}.mp4`);
+    const input = isVideo
+        ? ['-i', file, '-t', String(clip.duration || REEL_MAX_CLIP_SECONDS)]
+        : ['-loop', '1', '-t', String(clip.duration || DEFAULT_STILL_SECONDS), '-i', file];
+
+    await ffmpeg([...input, '-vf', fitFilter(size), ...SEGMENT_CODEC, output]);
+    return output;
+}
+
+// Join the segments into one silent MP4 and resolve to its length in seconds
+async function joinSegments(segments, transition, transitionDuration, workDir) {
+    const output = path.join(workDir, 'joined.mp4');
+    const durations = [];
+    for (const segment of segments) {
+        durations.push(await probeDuration(segment));
+    }
+
+    const xfade = REEL_TRANSITIONS[transition];
+    if (!xfade || segments.length === 1) {
+        const list = path.join(workDir, 'segments.txt');
+        fs.writeFileSync(list, segments.map(segment => `file ${filterValue(segment)}`).join('\n'));
+        await ffmpeg(['-f', 'concat', '-safe', '0', '-i', list, '-c', 'copy', output]);
+        return { file: output, duration: durations.reduce((sum, value) => sum + value, 0) };
+    }
+
+    // A transition can take at most half of the shortest segment
+    const overlap = Math.min(transitionDuration, Math.min(...durations) / 2);
+    const chain = [];
+    let previous = '[0:v]';
+    let offset = 0;
+    for (let i = 1; i < segments.length; i++) {
+        offset += durations[i - 1] - overlap;
+        const label = i === segments.length - 1 ? '[out]' : `[v${i}]`;
+        chain.push(`${previous}[${i}:v]xfade=transition=${xfade}:duration=${overlap.toFixed(3)}:offset=${offset.toFixed(3)}${label}`);
+        previous = label;
+    }
+
+    await ffmpeg([
+        ...segments.flatMap(segment => ['-i', segment]),
+        '-filter_complex', chain.join(';'),
+        '-map', '[out]', ...SEGMENT_CODEC, output
+    ]);
+    return { file: output, duration: offset + durations[durations.length - 1] };
+}
+
+async function encodeReel(joined, { format, music }, workDir) {
+    const output = path.join(workDir, `reel.${format}`);
+
+    if (format === 'gif') {
+        await ffmpeg([
+            '-i', joined.file,
+            '-filter_complex', `fps=${ANIMATED_FPS},scale=${ANIMATED_WIDTH}:-2:flags=lanczos,split[a][b];` +
+                '[a]palettegen=stats_mode=diff[p];[b][p]paletteuse=dither=bayer',
+            '-loop', '0', output
+        ]);
+    } else if (format === 'webp') {
+        await ffmpeg([
+            '-i', joined.file,
+            '-vf', `fps=${ANIMATED_FPS},scale=${ANIMATED_WIDTH}:-2:flags=lanczos`,
+            '-c:v', 'libwebp', '-lossless', '0', '-q:v', '70', '-loop', '0', '-an', output
+        ]);
+    } else if (music) {
+        // Music loops if it is shorter than the reel and fades out over the last second
+        const fadeStart = Math.max(0, joined.duration - 1).toFixed(3);
+        await ffmpeg([
+            '-i', joined.file, '-stream_loop', '-1', '-i', music,
+            '-map', '0:v', '-map', '1:a', '-c:v', 'copy',
+            '-af', `afade=t=out:st=${fadeStart}:d=1`, '-c:a', 'aac', '-b:a', '160k',
+            '-t', joined.duration.toFixed(3), '-movflags', '+faststart', output
+        ]);
+    } else {
+        await ffmpeg(['-i', joined.file, '-c', 'copy', '-movflags', '+faststart', output]);
+    }
+    return output;
+}
+
+// Render a reel in `workDir` and resolve to { file, duration, joined, segments }.
+// `joined` is the silent MP4 before encoding, which frames can be read from
+// whatever the output format.
+async function renderReel(input, workDir) {
+    const size = REEL_ASPECT_RATIOS[input.aspectRatio];
+    const segments = [];
+
+    if (input.titleCard) {
+        segments.push(await renderTitleSegment(input.titleCard, size, workDir, 'title'));
+    }
+    for (let i = 0; i < input.clips.length; i++) {
+        const clip = input.clips[i];
+        if (clip.title) {
+            segments.push(await renderTitleSegment(clip.title, size, workDir, `clip-${i}-title`));
+        }
+        segments.push(await renderClipSegment(clip, size, workDir, `clip-${i}`));
+    }
+
+    const joined = await joinSegments(segments, input.transition, input.transitionDuration, workDir);
+    const music = input.music ? (await copyMediaToFile(input.music, workDir, 'music')).file : null;
+    return {
+        file: await encodeReel(joined, { format: input.format, music: music }, workDir),
+        duration: joined.duration,
+        joined: joined.file,
+        segments: segments.length
+    };
+}
+
+registerJobHandler('reel', async (job, { setResult }) => {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tryon-reel-'));
+    setResult(0, { status: 'running' });
+
+    try {
+        const { file, duration, joined, segments } = await renderReel(job.input, workDir);
+
+        // One frame per clip and title card; a reel no frame could be read from is withheld
+        const frames = await sampleFrames(joined, segments).catch(error => {
+            console.error(`Reel ${job.id}: could not sample frames:`, error.message);
+            return [];
+        });
+        const moderation = await moderateVideoOutput(null, frames, { source: 'web', userId: job.input.userId, runId: job.input.runId, jobId: job.id });
+        if (!moderation.allowed) {
+            setResult(0, {
+                status: 'blocked',
+                url: moderation.url,
+                mediaId: null,
+                moderation: { categories: moderation.categories },
+                error: 'This reel was blocked by content moderation'
+            });
+            return;
+        }
+
+        const record = await storeMedia(fs.readFileSync(file), REEL_FORMATS[job.input.format], {
+            kind: 'reel',
+            jobId: job.id,
+            runId: job.input.runId
+        });
+        console.log(`Reel ${job.id}: stored ${record.id} (${record.size} bytes, ${duration.toFixed(1)}s)`);
+        setResult(0, { status: 'completed', url: mediaUrl(record.id), mediaId: record.id, duration: duration, error: null });
+    } catch (error) {
+        console.error(`Reel ${job.id} failed:`, error.message);
+        setResult(0, { status: 'failed', error: error.message });
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}, { lane: 'reel', concurrency: REEL_JOB_CONCURRENCY });
+
+// `music` is a /media URL; the request's data URL is stored by the caller first
+function queueReel({ userId, runId, name, clips, titleCard, transition, transitionDuration, aspectRatio, format, music }) {
+    const job = createJob('reel', {
+        userId: userId,
+        runId: runId || null,
+        name: name ? name.trim() : `Lookbook reel (${clips.length} clips)`,
+        clips: clips.map(clip => ({
+            url: clip.url,
+            duration: clip.duration || null,
+            title: clip.title ? { text: clip.title.text, duration: clip.title.duration || null } : null
+        })),
+        titleCard: titleCard ? { text: titleCard.text, duration: titleCard.duration || null } : null,
+        transition: transition || 'fade',
+        transitionDuration: transitionDuration || DEFAULT_TRANSITION_SECONDS,
+        aspectRatio: aspectRatio || '9:16',
+        format: format || 'mp4',
+        music: music || null
+    }, 1);
+
+    console.log(`Queued reel ${job.id}: ${clips.length} clip(s) as ${job.input.format} (${job.input.aspectRatio})`);
+    return job;
+}
+
+function getReel(id, userId) {
+    const job = getJob(id);
+    return job && job.type === 'reel' && job.input.userId === userId ? job : null;
+}
+
+function listReels(userId) {
+    return listJobs(job => job.type === 'reel' && job.input && job.input.userId === userId);
+}
+
+function toPublicReel(job) {
+    const result = job.results[0];
+    return {
+        id: job.id,
+        name: job.input.name,
+        status: job.status,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        runId: job.input.runId,
+        clips: job.input.clips.length,
+        transition: job.input.transition,
+        aspectRatio: job.input.aspectRatio,
+        format: job.input.format,
+        music: Boolean(job.input.music),
+        blocked: result.status === 'blocked',
+        url: result.url || null,
+        duration: result.duration || null,
+        error: job.error || result.error || null
+    };
+}
+
+// Options for the reel builder
+function describeReelOptions() {
+    return {
+        aspectRatios: Object.keys(REEL_ASPECT_RATIOS),
+        transitions: Object.keys(REEL_TRANSITIONS),
+        formats: Object.keys(REEL_FORMATS),
+        maxClips: REEL_MAX_CLIPS,
+        maxClipSeconds: REEL_MAX_CLIP_SECONDS,
+        maxMusicBytes: REEL_MAX_MUSIC_BYTES
+    };
+}
+
+module.exports = {
+    validateReelRequest,
+    isFfmpegAvailable,
+    queueReel,
+    getReel,
+    listReels,
+    toPublicReel,
+    describeReelOptions
+};
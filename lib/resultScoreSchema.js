@@ -0,0 +1,78 @@
+// Structured quality score of a generated try-on image (see resultScoring.js).
+// { identity, garmentFidelity, otherClothing, artifacts, issues, overall }
+// Each criterion is 0-10, higher is better; overall is their weighted mean.
+
+const SCORE_CRITERIA = {
+    identity: 'integer 0-10 - how well the face, hair, skin tone and body shape of the person in the original photo are preserved',
+    garmentFidelity: 'integer 0-10 - how closely the new clothes match the uploaded garments in type, color, pattern and details',
+    otherClothing: 'integer 0-10 - whether clothing the instruction did not ask to change is left as it was',
+    artifacts: 'integer 0-10 - how free the image is of artifacts: 10 is clean, 0 is badly distorted (extra or melted limbs, garbled textures, smeared faces)'
+};
+
+// Likeness and the garment itself matter most to users
+const SCORE_WEIGHTS = {
+    identity: 0.35,
+    garmentFidelity: 0.35,
+    otherClothing: 0.15,
+    artifacts: 0.15
+};
+
+const MAX_ISSUES = 5;
+
+function resultScoreInstructions() {
+    const fields = Object.keys(SCORE_CRITERIA)
+        .map(field => `  "${field}": ${SCORE_CRITERIA[field]}`)
+        .concat(['  "issues": array of strings - one short sentence per problem found, empty when there are none'])
+        .join(',\n');
+
+    return `Respond with a single JSON object and nothing else, in this shape:
+{
+${fields}
+}`;
+}
+
+function overallScore(score) {
+    const total = Object.keys(SCORE_WEIGHTS).reduce((sum, field) => sum + score[field] * SCORE_WEIGHTS[field], 0);
+    return Math.round(total * 10) / 10;
+}
+
+// Returns { score, errors }. A score with a missing criterion would rank
+// unfairly, so any invalid criterion makes score null; bad issues are dropped.
+function normalizeResultScore(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { score: null, errors: ['Response must be a JSON object'] };
+    }
+
+    const errors = [];
+    const score = {};
+
+    Object.keys(SCORE_CRITERIA).forEach(field => {
+        const number = Number(value[field]);
+        if (value[field] === null || value[field] === '' || !Number.isFinite(number) || number < 0 || number > 10) {
+            errors.push(`"${field}" must be a number from 0 to 10`);
+            return;
+        }
+        score[field] = Math.round(number);
+    });
+    if (errors.length > 0) {
+        return { score: null, errors: errors };
+    }
+
+    if (value.issues !== undefined && !Array.isArray(value.issues)) {
+        errors.push('"issues" must be an array of strings');
+    }
+    score.issues = (Array.isArray(value.issues) ? value.issues : [])
+        .filter(issue => typeof issue === 'string' && issue.trim() !== '')
+        .map(issue => issue.trim().substring(0, 200))
+        .slice(0, MAX_ISSUES);
+    score.overall = overallScore(score);
+
+    return { score, errors };
+}
+
+module.exports = {
+    SCORE_CRITERIA,
+    SCORE_WEIGHTS,
+    resultScoreInstructions,
+    normalizeResultScore
+};
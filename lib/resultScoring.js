@@ -0,0 +1,108 @@
+const llm = require('./llm');
+const { resolveMediaInput } = require('./media');
+const { parseJson } = require('./promptSchema');
+const { resultScoreInstructions, normalizeResultScore } = require('./resultScoreSchema');
+
+// Automatic scoring of try-on results. A vision judge sees the original
+// person photo, the uploaded garments, the instruction and the generated
+// image, and scores identity preservation, garment fidelity, unchanged
+// non-target clothing and artifacts (see resultScoreSchema.js). Results are
+// ranked by their overall score. With RESULT_RETRY_BELOW set, results that
+// score lower are regenerated, up to RESULT_RETRY_BUDGET extra images per job,
+// and the better attempt is kept.
+
+const RESULT_SCORING_ENABLED = process.env.RESULT_SCORING !== 'false';
+// Overall score (0-10) below which a result is regenerated; 0 never retries
+const RESULT_RETRY_BELOW = parseFloat(process.env.RESULT_RETRY_BELOW) || 0;
+const RESULT_RETRY_BUDGET = parseInt(process.env.RESULT_RETRY_BUDGET) || 2;
+
+const JUDGE_SYSTEM_PROMPT = "You are a strict quality reviewer for virtual try-on images. You compare a generated image with the photos it was made from and score it honestly; a result that changed the person's face or the wrong garment never scores well.";
+
+function judgeInstructions(prompt, garmentCount) {
+    return `The first image is the original photo of the person. The next ${garmentCount} image(s) are the garments the person should now be wearing. The last image is the generated try-on result.
+
+The instruction given to the image model was:
+"""
+${prompt}
+"""
+
+Score the result against the original photo and the garments.
+
+${resultScoreInstructions()}`;
+}
+
+// Resolves to a score ({ identity, garmentFidelity, otherClothing, artifacts,
+// issues, overall }) or null when scoring is off or the judge failed; a failed
+// score never fails the result. Images may be /media URLs or data URLs.
+async function scoreResult({ output, personImage, garmentImages, prompt }) {
+    if (!RESULT_SCORING_ENABLED || !personImage) {
+        return null;
+    }
+
+    try {
+        const images = await Promise.all([personImage, ...garmentImages, output].map(resolveMediaInput));
+        const response = await llm.complete('result-scoring', [
+            { role: "system", content: JUDGE_SYSTEM_PROMPT },
+            { role: "user", content: [
+                { type: "text", text: judgeInstructions(prompt, garmentImages.length) },
+                ...images.map(image => ({ type: "image_url", image_url: { url: image } }))
+            ]}
+        ], { json: true });
+
+        const { score, errors } = normalizeResultScore(parseJson(response));
+        if (!score) {
+            throw new Error(`Invalid result score: ${errors.join('; ')}`);
+        }
+        if (errors.length > 0) {
+            console.warn('Result score had invalid fields:', errors);
+        }
+        return score;
+    } catch (error) {
+        console.error('Result scoring failed:', error.message);
+        return null;
+    }
+}
+
+// True when a result scored low enough to be regenerated
+function shouldRetry(score) {
+    return RESULT_RETRY_BELOW > 0 && !!score && score.overall < RESULT_RETRY_BELOW;
+}
+
+// Rank results (each { index, score, person? }) by overall score, best first,
+// separately per person. Unscored results are not ranked.
+// Returns a Map of result index to rank (1 is best).
+function rankResults(results) {
+    const ranks = new Map();
+    const groups = new Map();
+    results.forEach(result => {
+        if (!result.score) {
+            return;
+        }
+        const person = result.person === undefined || result.person === null ? 0 : result.person;
+        groups.set(person, [...(groups.get(person) || []), result]);
+    });
+
+    groups.forEach(group => {
+        group
+            .sort((a, b) => b.score.overall - a.score.overall || a.index - b.index)
+            .forEach((result, position) => ranks.set(result.index, position + 1));
+    });
+    return ranks;
+}
+
+function describeResultScoring() {
+    return {
+        enabled: RESULT_SCORING_ENABLED,
+        model: llm.modelForTask('result-scoring'),
+        retryBelow: RESULT_RETRY_BELOW || null,
+        retryBudget: RESULT_RETRY_BUDGET
+    };
+}
+
+module.exports = {
+    RESULT_RETRY_BUDGET,
+    scoreResult,
+    shouldRetry,
+    rankResults,
+    describeResultScoring
+};
@@ -0,0 +1,258 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+
+// Outbound HTTP for URLs that users control: pasted image URLs, manifest
+// image URLs, provider outputs and webhook endpoints. Every connection is
+// checked against the address it actually connects to, so a hostname that
+// resolves to a private, loopback, link-local or cloud metadata address is
+// refused, and each redirect is checked again before it is followed.
+// Responses are bounded by a size limit, an overall timeout and, optionally,
+// the content types the caller will accept.
+
+const SAFE_FETCH_TIMEOUT_MS = parseInt(process.env.SAFE_FETCH_TIMEOUT_MS) || 20000;
+const SAFE_FETCH_MAX_REDIRECTS = parseInt(process.env.SAFE_FETCH_MAX_REDIRECTS) || 3;
+
+// Hostnames that may resolve to private addresses, e.g. "localhost" for a
+// local webhook receiver during development. Empty in production.
+const SAFE_FETCH_ALLOWED_HOSTS = new Set((process.env.SAFE_FETCH_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean));
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8],        // "this" network
+    ['10.0.0.0', 8],       // private
+    ['100.64.0.0', 10],    // carrier-grade NAT
+    ['127.0.0.0', 8],      // loopback
+    ['169.254.0.0', 16],   // link-local, including the 169.254.169.254 metadata service
+    ['172.16.0.0', 12],    // private
+    ['192.0.0.0', 24],     // IETF protocol assignments
+    ['192.0.2.0', 24],     // documentation
+    ['192.168.0.0', 16],   // private
+    ['198.18.0.0', 15],    // benchmarking
+    ['198.51.100.0', 24],  // documentation
+    ['203.0.113.0', 24],   // documentation
+    ['224.0.0.0', 4],      // multicast
+    ['240.0.0.0', 4]       // reserved and broadcast
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128],           // unspecified
+    ['::1', 128],          // loopback
+    ['64:ff9b::', 96],     // NAT64
+    ['100::', 64],         // discard
+    ['2001:db8::', 32],    // documentation
+    ['fc00::', 7],         // unique local, including the fd00:ec2::254 metadata service
+    ['fe80::', 10],        // link-local
+    ['ff00::', 8]          // multicast
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// A refused or failed fetch; the message can be shown to the user
+class SafeFetchError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.code = code;
+    }
+}
+
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d or ::ffff:xxxx:xxxx) are checked as IPv4
+function isBlockedAddress(address) {
+    const dotted = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (dotted) {
+        return isBlockedAddress(dotted[1]);
+    }
+    const hex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(address);
+    if (hex) {
+        const high = parseInt(hex[1], 16);
+        const low = parseInt(hex[2], 16);
+        return isBlockedAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+    }
+    const family = net.isIP(address);
+    if (family === 0) {
+        return true;
+    }
+    return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function hostnameOf(parsed) {
+    return parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+}
+
+// Returns an error message when the URL can never be fetched, or null. Names
+// are resolved at connect time, so this only catches literal addresses.
+function checkUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return 'URL must be an absolute URL';
+    }
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+        return 'URL must use http or https';
+    }
+    if (parsed.username || parsed.password) {
+        return 'URL must not contain credentials';
+    }
+    const hostname = hostnameOf(parsed);
+    if (net.isIP(hostname) && isBlockedAddress(hostname) && !SAFE_FETCH_ALLOWED_HOSTS.has(hostname)) {
+        return 'URL points to a private or reserved address';
+    }
+    return null;
+}
+
+// dns.lookup replacement for http.request: every address the name resolves
+// to must be public, so the connection cannot be steered to an internal host
+function guardedLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+        const allowed = SAFE_FETCH_ALLOWED_HOSTS.has(hostname.toLowerCase());
+        if (!allowed && addresses.some(entry => isBlockedAddress(entry.address))) {
+            return callback(new SafeFetchError(`${hostname} resolves to a private or reserved address`, 'blocked_address'));
+        }
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+function requestOnce(parsed, options, signal) {
+    return new Promise((resolve, reject) => {
+        const client = parsed.protocol === 'https:' ? https : http;
+        const request = client.request(parsed, {
+            method: options.method,
+            headers: {
+                'User-Agent': 'TryOnAI/1.0',
+                'Accept-Encoding': 'identity',
+                ...options.headers
+            },
+            lookup: guardedLookup,
+            signal: signal
+        }, resolve);
+        request.on('error', reject);
+        request.end(options.body || undefined);
+    });
+}
+
+// Read the body, failing past maxBytes or, with `truncate`, stopping there
+async function readBody(response, maxBytes, truncate) {
+    const declared = parseInt(response.headers['content-length']);
+    if (!truncate && declared > maxBytes) {
+        response.destroy();
+        throw new SafeFetchError(`Response is larger than ${maxBytes} bytes`, 'too_large');
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response) {
+        chunks.push(chunk);
+        size += chunk.length;
+        if (size > maxBytes) {
+            response.destroy();
+            if (!truncate) {
+                throw new SafeFetchError(`Response is larger than ${maxBytes} bytes`, 'too_large');
+            }
+            break;
+        }
+    }
+    return Buffer.concat(chunks).subarray(0, maxBytes);
+}
+
+// Fetch `url` with the address checks above. `options`:
+//   method, headers, body    request to send (body is a string or Buffer)
+//   maxBytes                 largest body to read (required)
+//   truncate                 read at most maxBytes instead of failing past it
+//   timeoutMs                for the whole exchange, redirects and body included
+//   maxRedirects             0 to return redirects instead of following them
+//   contentTypes             accepted content-type prefixes for a 2xx response, e.g. ['image/']
+// Resolves to { status, contentType, headers, url, body } for any HTTP status;
+// throws SafeFetchError when the request is refused, times out or is too large.
+async function safeFetch(url, options = {}) {
+    const {
+        method = 'GET',
+        headers = {},
+        body = null,
+        maxBytes,
+        truncate = false,
+        timeoutMs = SAFE_FETCH_TIMEOUT_MS,
+        maxRedirects = SAFE_FETCH_MAX_REDIRECTS,
+        contentTypes = null
+    } = options;
+    const signal = AbortSignal.timeout(timeoutMs);
+
+    let current = { url: url, method: method, body: body };
+    for (let redirects = 0; ; redirects++) {
+        const problem = checkUrl(current.url);
+        if (problem) {
+            throw new SafeFetchError(problem, 'invalid_url');
+        }
+
+        let response;
+        try {
+            response = await requestOnce(new URL(current.url), { method: current.method, headers: headers, body: current.body }, signal);
+        } catch (error) {
+            if (error instanceof SafeFetchError) {
+                throw error;
+            }
+            if (signal.aborted) {
+                throw new SafeFetchError(`No response within ${timeoutMs} ms`, 'timeout');
+            }
+            throw new SafeFetchError(`Could not connect: ${error.message}`, 'connection_failed');
+        }
+
+        const location = response.headers.location;
+        if (REDIRECT_STATUSES.includes(response.statusCode) && location && maxRedirects > 0) {
+            response.resume();
+            if (redirects >= maxRedirects) {
+                throw new SafeFetchError(`More than ${maxRedirects} redirects`, 'too_many_redirects');
+            }
+            // 303, and 301/302 after a POST, continue as a GET like browsers do
+            const keepMethod = response.statusCode === 307 || response.statusCode === 308 || current.method === 'GET';
+            current = {
+                url: new URL(location, current.url).toString(),
+                method: keepMethod ? current.method : 'GET',
+                body: keepMethod ? current.body : null
+            };
+            continue;
+        }
+
+        const contentType = (response.headers['content-type'] || 'application/octet-stream').split(';')[0].trim().toLowerCase();
+        const ok = response.statusCode >= 200 && response.statusCode < 300;
+        if (ok && contentTypes && !contentTypes.some(prefix => contentType.startsWith(prefix))) {
+            response.destroy();
+            throw new SafeFetchError(`Unexpected content type ${contentType}`, 'invalid_content_type');
+        }
+
+        try {
+            return {
+                status: response.statusCode,
+                contentType: contentType,
+                headers: response.headers,
+                url: current.url,
+                body: await readBody(response, maxBytes, truncate)
+            };
+        } catch (error) {
+            if (error instanceof SafeFetchError) {
+                throw error;
+            }
+            if (signal.aborted) {
+                throw new SafeFetchError(`No response within ${timeoutMs} ms`, 'timeout');
+            }
+            throw new SafeFetchError(`Download failed: ${error.message}`, 'connection_failed');
+        }
+    }
+}
+
+module.exports = {
+    SafeFetchError,
+    isBlockedAddress,
+    checkUrl,
+    guardedLookup,
+    safeFetch
+};
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getUser } = require('./accounts');
+
+// Server-side login sessions, saved to data/sessions.json.
+// The browser holds a random token in an HttpOnly cookie; only its SHA-256
+// hash is stored, so a leaked sessions file cannot be used to log in.
+
+const SESSIONS_FILE = process.env.SESSIONS_FILE || path.join(__dirname, '..', 'data', 'sessions.json');
+const SESSION_TTL_MS = parseInt(process.env.SESSION_TTL_MS) || 30 * 24 * 60 * 60 * 1000;
+const SESSION_COOKIE = 'tryon_session';
+
+let sessions = null;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function loadSessions() {
+    if (sessions) {
+        return sessions;
+    }
+
+    sessions = {};
+    if (fs.existsSync(SESSIONS_FILE)) {
+        try {
+            sessions = JSON.parse(fs.readFileSync(SESSIONS_FILE, 'utf8'));
+        } catch (error) {
+            console.error(`Could not read sessions from ${SESSIONS_FILE}:`, error.message);
+        }
+    }
+    return sessions;
+}
+
+// Expired sessions are dropped whenever the file is written
+function saveSessions() {
+    const now = Date.now();
+    Object.keys(sessions).forEach(key => {
+        if (sessions[key].expiresAt < now) {
+            delete sessions[key];
+        }
+    });
+
+    const dir = path.dirname(SESSIONS_FILE);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    const tmpPath = `${SESSIONS_FILE}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(sessions));
+    fs.renameSync(tmpPath, SESSIONS_FILE);
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    String(header || '').split(';').forEach(part => {
+        const separator = part.indexOf('=');
+        if (separator > 0) {
+            const name = part.slice(0, separator).trim();
+            try {
+                cookies[name] = decodeURIComponent(part.slice(separator + 1).trim());
+            } catch (error) {
+                // Ignore malformed cookie values
+            }
+        }
+    });
+    return cookies;
+}
+
+function createSession(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    loadSessions()[hashToken(token)] = {
+        userId: userId,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: now + SESSION_TTL_MS
+    };
+    saveSessions();
+    return token;
+}
+
+function destroySession(token) {
+    const key = hashToken(token);
+    if (loadSessions()[key]) {
+        delete sessions[key];
+        saveSessions();
+    }
+}
+
+function setSessionCookie(res, token) {
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: SESSION_TTL_MS,
+        path: '/'
+    });
+}
+
+function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+// Sets req.user (or null) and req.sessionToken from the session cookie
+function loadSession(req, res, next) {
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    const session = token ? loadSessions()[hashToken(token)] : null;
+
+    req.user = null;
+    req.sessionToken = null;
+
+    if (session && session.expiresAt > Date.now()) {
+        req.user = getUser(session.userId);
+        req.sessionToken = req.user ? token : null;
+    }
+    next();
+}
+
+function requireUser(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Please sign in to continue' });
+    }
+    next();
+}
+
+// Operator-only routes: the signed-in account's email must be listed in
+// ADMIN_EMAILS (comma-separated)
+function requireAdmin(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Please sign in to continue' });
+    }
+    const admins = (process.env.ADMIN_EMAILS || '').split(',').map(email => email.trim().toLowerCase());
+    if (!admins.includes(req.user.email)) {
+        return res.status(403).json({ error: 'This page is for administrators only' });
+    }
+    next();
+}
+
+module.exports = {
+    createSession,
+    destroySession,
+    setSessionCookie,
+    clearSessionCookie,
+    loadSession,
+    requireUser,
+    requireAdmin
+};
@@ -0,0 +1,40 @@
+// Storage backends for persisted media.
+// Each backend exposes put(key, buffer, contentType), get(key) resolving to
+// { stream, size } (or null when missing) and remove(key). Backends that keep
+// files on this machine also expose filePath(key), which lets the /media route
+// serve byte ranges directly. The backend is chosen with STORAGE_BACKEND.
+
+const factories = {
+    local: require('./local'),
+    s3: require('./s3')
+};
+
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'local';
+
+let instance = null;
+
+// Instantiate the configured backend up front so bad configuration fails at startup
+function initStorage() {
+    if (!instance) {
+        const factory = factories[STORAGE_BACKEND];
+        if (!factory) {
+            throw new Error(`Unknown storage backend "${STORAGE_BACKEND}". Available backends: ${Object.keys(factories).join(', ')}`);
+        }
+        instance = factory();
+    }
+    return instance;
+}
+
+function getStorage() {
+    return initStorage();
+}
+
+function describeStorage() {
+    return { backend: STORAGE_BACKEND, ...getStorage().describe() };
+}
+
+module.exports = {
+    initStorage,
+    getStorage,
+    describeStorage
+};
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stores media as plain files under MEDIA_STORAGE_DIR (default data/media/files).
+
+const MEDIA_STORAGE_DIR = process.env.MEDIA_STORAGE_DIR || path.join(__dirname, '..', '..', 'data', 'media', 'files');
+
+function createLocalStorage() {
+    function filePath(key) {
+        const resolved = path.resolve(MEDIA_STORAGE_DIR, key);
+        if (!resolved.startsWith(path.resolve(MEDIA_STORAGE_DIR) + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return resolved;
+    }
+
+    return {
+        name: 'local',
+
+        filePath: filePath,
+
+        async put(key, buffer) {
+            const target = filePath(key);
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            const tmpPath = `${target}.tmp`;
+            await fs.promises.writeFile(tmpPath, buffer);
+            await fs.promises.rename(tmpPath, target);
+        },
+
+        async get(key) {
+            const target = filePath(key);
+            try {
+                const stats = await fs.promises.stat(target);
+                return { stream: fs.createReadStream(target), size: stats.size };
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return null;
+                }
+                throw error;
+            }
+        },
+
+        async remove(key) {
+            await fs.promises.rm(filePath(key), { force: true });
+        },
+
+        describe() {
+            return { dir: MEDIA_STORAGE_DIR };
+        }
+    };
+}
+
+module.exports = createLocalStorage;
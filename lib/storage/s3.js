@@ -0,0 +1,60 @@
+// Stores media in an S3-compatible bucket (AWS S3, MinIO, Cloudflare R2, ...).
+// Credentials come from the usual AWS environment variables or instance role.
+
+function createS3Storage() {
+    const bucket = process.env.S3_BUCKET;
+    if (!bucket) {
+        throw new Error('S3_BUCKET environment variable is required for the s3 storage backend');
+    }
+
+    const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+    const prefix = process.env.S3_PREFIX || 'media/';
+    const client = new S3Client({
+        region: process.env.S3_REGION || process.env.AWS_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        // MinIO and most self-hosted services need path-style URLs
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+    });
+
+    return {
+        name: 's3',
+
+        async put(key, buffer, contentType) {
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: prefix + key,
+                Body: buffer,
+                ContentType: contentType
+            }));
+        },
+
+        async get(key) {
+            try {
+                const response = await client.send(new GetObjectCommand({
+                    Bucket: bucket,
+                    Key: prefix + key
+                }));
+                return { stream: response.Body, size: response.ContentLength };
+            } catch (error) {
+                if (error.name === 'NoSuchKey') {
+                    return null;
+                }
+                throw error;
+            }
+        },
+
+        async remove(key) {
+            await client.send(new DeleteObjectCommand({
+                Bucket: bucket,
+                Key: prefix + key
+            }));
+        },
+
+        describe() {
+            return { bucket: bucket, prefix: prefix, endpoint: process.env.S3_ENDPOINT || null };
+        }
+    };
+}
+
+module.exports = createS3Storage;
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Style registry: the single source for the style grid (GET /api/styles) and for
+// the style guidance given to the prompt writer. Built-in styles live here;
+// user-defined styles are saved to data/styles.json with the account that made
+// them, and only that account sees and uses them.
+
+const STYLES_FILE = process.env.STYLES_FILE || path.join(__dirname, '..', 'data', 'styles.json');
+// Per account
+const MAX_CUSTOM_STYLES = parseInt(process.env.MAX_CUSTOM_STYLES) || 100;
+
+const DEFAULT_STYLE_ID = 'fashion';
+
+const BUILT_IN_STYLES = [
+    {
+        id: 'fashion',
+        name: 'Fashion Editorial',
+        description: 'High-fashion magazine style',
+        icon: 'fa-camera',
+        guidance: 'Create high-art studio environments with dramatic chiaroscuro lighting, avant-garde poses, artistic backgrounds with depth and texture'
+    },
+    {
+        id: 'studio',
+        name: 'Studio Professional',
+        description: 'Professional studio photography',
+        icon: 'fa-video',
+        guidance: 'Transform to sophisticated studio settings with professional lighting setups, creative backdrop combinations, artistic shadow play'
+    },
+    {
+        id: 'cinematic',
+        name: 'Cinematic',
+        description: 'Dramatic, movie-like quality',
+        icon: 'fa-film',
+        guidance: 'Create film-noir environments with dramatic depth of field, storytelling composition, atmospheric backgrounds with mood and emotion'
+    },
+    {
+        id: 'street',
+        name: 'Street Style',
+        description: 'Urban, street-style photography',
+        icon: 'fa-city',
+        guidance: 'Transform to dynamic urban environments with creative graffiti backgrounds, candid yet artistic poses, vibrant street photography settings'
+    },
+    {
+        id: 'vintage',
+        name: 'Vintage/Retro',
+        description: 'Classic, retro aesthetic',
+        icon: 'fa-camera-retro',
+        guidance: 'Create period-appropriate environments with artistic film grain effects, creative vintage color grading, nostalgic yet modern compositions'
+    },
+    {
+        id: 'minimalist',
+        name: 'Minimalist',
+        description: 'Clean, simple aesthetic',
+        icon: 'fa-circle',
+        guidance: 'Transform to clean studio environments with creative negative space usage, sophisticated lighting, artistic simplicity with maximum impact'
+    },
+    {
+        id: 'formal',
+        name: 'Formal/Elegant',
+        description: 'Elegant, formal attire styling',
+        icon: 'fa-suitcase',
+        guidance: 'Create elegant architectural environments with sophisticated artistic lighting, luxury aesthetic settings with artistic touches'
+    },
+    {
+        id: 'casual',
+        name: 'Casual Everyday',
+        description: 'Everyday, relaxed styling',
+        icon: 'fa-user',
+        guidance: 'Transform to natural everyday environments with creative settings, relaxed but photogenic poses, artistic lifestyle photography locations'
+    },
+    {
+        id: 'professional',
+        name: 'Professional',
+        description: 'Business, professional look',
+        icon: 'fa-briefcase',
+        guidance: 'Create corporate environments with sophisticated lighting, professional yet visually striking compositions in office/studio settings'
+    }
+].map(style => ({
+    ...style,
+    thumbnail: `/assets/styles/${style.id}.svg`,
+    custom: false
+}));
+
+let customStyles = null;
+
+function loadCustomStyles() {
+    if (customStyles) {
+        return customStyles;
+    }
+
+    customStyles = [];
+    if (fs.existsSync(STYLES_FILE)) {
+        try {
+            customStyles = JSON.parse(fs.readFileSync(STYLES_FILE, 'utf8'));
+        } catch (error) {
+            console.error(`Could not read custom styles from ${STYLES_FILE}:`, error.message);
+        }
+    }
+    return customStyles;
+}
+
+function saveCustomStyles() {
+    const dir = path.dirname(STYLES_FILE);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    const tmpPath = `${STYLES_FILE}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(customStyles, null, 2));
+    fs.renameSync(tmpPath, STYLES_FILE);
+}
+
+function ownStyles(userId) {
+    return userId ? loadCustomStyles().filter(style => style.userId === userId) : [];
+}
+
+// Built-in styles plus the user's own; guests (no userId) get the built-ins
+function listStyles(userId) {
+    return [...BUILT_IN_STYLES, ...ownStyles(userId)];
+}
+
+function getStyle(id, userId) {
+    return listStyles(userId).find(style => style.id === id) || null;
+}
+
+// Returns an error message, or null when the input is valid
+function validateCustomStyle({ name, description, guidance }, userId) {
+    if (typeof name !== 'string' || name.trim().length < 1 || name.trim().length > 50) {
+        return 'Style name must be between 1 and 50 characters';
+    }
+    if (typeof guidance !== 'string' || guidance.trim().length < 10 || guidance.trim().length > 1000) {
+        return 'Style guidance must be between 10 and 1000 characters';
+    }
+    if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 120)) {
+        return 'Style description must be a string with max 120 characters';
+    }
+    if (listStyles(userId).some(style => style.name.toLowerCase() === name.trim().toLowerCase())) {
+        return 'A style with this name already exists';
+    }
+    if (ownStyles(userId).length >= MAX_CUSTOM_STYLES) {
+        return `No more than ${MAX_CUSTOM_STYLES} custom styles can be saved`;
+    }
+    return null;
+}
+
+function createCustomStyle({ name, description, guidance }, userId) {
+    const style = {
+        id: `custom-${crypto.randomUUID()}`,
+        userId: userId,
+        name: name.trim(),
+        description: description ? description.trim() : 'Custom style',
+        icon: 'fa-palette',
+        guidance: guidance.trim(),
+        thumbnail: null,
+        custom: true,
+        createdAt: new Date().toISOString()
+    };
+
+    loadCustomStyles().push(style);
+    saveCustomStyles();
+    return style;
+}
+
+// Only the owner's custom styles can be deleted. Returns true when a style was removed.
+function deleteCustomStyle(id, userId) {
+    const styles = loadCustomStyles();
+    const index = styles.findIndex(style => style.id === id && !!userId && style.userId === userId);
+    if (index === -1) {
+        return false;
+    }
+    styles.splice(index, 1);
+    saveCustomStyles();
+    return true;
+}
+
+// Style returned to clients, without the owner
+function toPublicStyle(style) {
+    const { userId, ...rest } = style;
+    return rest;
+}
+
+module.exports = {
+    DEFAULT_STYLE_ID,
+    listStyles,
+    getStyle,
+    validateCustomStyle,
+    createCustomStyle,
+    deleteCustomStyle,
+    toPublicStyle
+};
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const { getPlan } = require('./plans');
+
+// Usage metering per account (or per IP for guests) and billing period.
+// Billing periods are calendar months in UTC. Try-ons are reserved when a
+// generation starts and released again for outputs that fail, so concurrent
+// requests cannot run past the quota. Counts are saved to data/usage.json.
+
+const USAGE_FILE = process.env.USAGE_FILE || path.join(__dirname, '..', 'data', 'usage.json');
+
+let usage = null;
+
+function loadUsage() {
+    if (usage) {
+        return usage;
+    }
+
+    usage = {};
+    if (fs.existsSync(USAGE_FILE)) {
+        try {
+            usage = JSON.parse(fs.readFileSync(USAGE_FILE, 'utf8'));
+        } catch (error) {
+            console.error(`Could not read usage from ${USAGE_FILE}:`, error.message);
+        }
+    }
+    return usage;
+}
+
+function saveUsage() {
+    const dir = path.dirname(USAGE_FILE);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    const tmpPath = `${USAGE_FILE}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(usage, null, 2));
+    fs.renameSync(tmpPath, USAGE_FILE);
+}
+
+function currentPeriod(now = new Date()) {
+    return now.toISOString().slice(0, 7);
+}
+
+function periodEnd(period) {
+    const [year, month] = period.split('-').map(Number);
+    return new Date(Date.UTC(year, month, 1));
+}
+
+function counters(subject, period) {
+    const data = loadUsage();
+    data[subject] = data[subject] || {};
+    data[subject][period] = data[subject][period] || { images: 0, videos: 0 };
+    return data[subject][period];
+}
+
+// Usage summary for the UI and API responses
+function getUsage(subject, planId) {
+    const plan = getPlan(planId);
+    const period = currentPeriod();
+    const counts = counters(subject, period);
+    const used = counts.images + counts.videos;
+
+    return {
+        plan: plan.id,
+        planName: plan.name,
+        period: period,
+        periodEnd: periodEnd(period).toISOString(),
+        images: counts.images,
+        videos: counts.videos,
+        used: used,
+        limit: plan.monthlyTryOns,
+        remaining: Math.max(plan.monthlyTryOns - used, 0),
+        maxImagesPerGeneration: plan.maxImagesPerGeneration
+    };
+}
+
+// Check a generation against the plan without reserving anything.
+// Returns null when it is allowed, otherwise { status, code, error, usage }.
+// perGeneration is the number of images in each generation when `count`
+// covers several (a catalog batch, or a multi-person run where each person is
+// one generation); it defaults to count.
+function checkGeneration(subject, planId, kind, count, perGeneration = count) {
+    const plan = getPlan(planId);
+    const summary = getUsage(subject, planId);
+
+    if (kind === 'images' && perGeneration > plan.maxImagesPerGeneration) {
+        return {
+            status: 402,
+            code: 'plan_image_limit',
+            error: `The ${plan.name} plan allows up to ${plan.maxImagesPerGeneration} image(s) per generation. Upgrade to generate more.`,
+            usage: summary
+        };
+    }
+
+    if (count > summary.remaining) {
+        return {
+            status: 429,
+            code: 'quota_exceeded',
+            error: summary.remaining === 0
+                ? `You have used all ${summary.limit} try-ons in your ${plan.name} plan this month.`
+                : `Only ${summary.remaining} try-on(s) left in your ${plan.name} plan this month.`,
+            usage: summary
+        };
+    }
+
+    return null;
+}
+
+// Reserve `count` images or videos. Returns { reservation } on success,
+// otherwise the rejection from checkGeneration.
+function reserve(subject, planId, kind, count, perGeneration = count) {
+    const rejection = checkGeneration(subject, planId, kind, count, perGeneration);
+    if (rejection) {
+        return rejection;
+    }
+
+    const period = currentPeriod();
+    counters(subject, period)[kind] += count;
+    saveUsage();
+
+    return { reservation: { subject: subject, period: period, kind: kind, count: count } };
+}
+
+// Give back part of a reservation, e.g. for images that failed to generate
+function release(reservation, count) {
+    if (!reservation || count <= 0) {
+        return;
+    }
+    const counts = counters(reservation.subject, reservation.period);
+    counts[reservation.kind] = Math.max(counts[reservation.kind] - Math.min(count, reservation.count), 0);
+    saveUsage();
+}
+
+// Usage is metered per account, or per IP address for guests
+function subjectFor(req) {
+    return req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+}
+
+function planFor(req) {
+    return req.user ? req.user.plan : 'guest';
+}
+
+module.exports = {
+    subjectFor,
+    planFor,
+    getUsage,
+    checkGeneration,
+    reserve,
+    release
+};
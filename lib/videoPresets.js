@@ -0,0 +1,111 @@
+const { getVideoOptions } = require('./providers');
+
+// Named motion presets for image-to-video. A video request names a preset or
+// gives its own prompt (a custom prompt replaces the preset), and may ask for a
+// duration and aspect ratio when the configured video model accepts them.
+
+const DEFAULT_VIDEO_PRESET_ID = 'turn-360';
+const MAX_VIDEO_PROMPT_LENGTH = 1000;
+
+const VIDEO_PRESETS = [
+    {
+        id: 'turn-360',
+        name: '360 Turn',
+        description: 'Slow full turn to show the outfit from every side',
+        icon: 'fa-rotate',
+        prompt: 'The person slowly turns a full 360 degrees in place to show the outfit from every side. Camera, lighting and background stay still.'
+    },
+    {
+        id: 'runway-walk',
+        name: 'Runway Walk',
+        description: 'Confident catwalk toward the camera',
+        icon: 'fa-person-walking',
+        prompt: 'The person walks confidently toward the camera like a fashion runway model, natural stride and arm swing, the outfit moving naturally. The camera tracks back smoothly.'
+    },
+    {
+        id: 'fabric-closeup',
+        name: 'Fabric Close-Up',
+        description: 'Camera glides in on texture and details',
+        icon: 'fa-magnifying-glass',
+        prompt: 'The camera slowly pushes in and glides across the outfit to show fabric texture, stitching and details. The person stays still with subtle breathing.'
+    },
+    {
+        id: 'sit-and-stand',
+        name: 'Sit and Stand',
+        description: 'Sits down and stands up to show how it drapes',
+        icon: 'fa-chair',
+        prompt: 'The person sits down on a simple stool and stands back up, showing how the outfit drapes and moves. Camera and background stay still.'
+    },
+    {
+        id: 'wind-movement',
+        name: 'Wind and Movement',
+        description: 'A gentle breeze brings the fabric to life',
+        icon: 'fa-wind',
+        prompt: 'A gentle breeze moves the fabric and hair while the person shifts their weight and poses naturally. Camera stays still.'
+    }
+];
+
+function listVideoPresets() {
+    return VIDEO_PRESETS.map(({ id, name, description, icon }) => ({ id, name, description, icon }));
+}
+
+function getVideoPreset(id) {
+    return VIDEO_PRESETS.find(preset => preset.id === id) || null;
+}
+
+// `settings` is { preset?, prompt?, duration?, aspectRatio? } from a request.
+// Returns an error message, or null when valid.
+function validateVideoSettings(settings = {}) {
+    const { preset, prompt, duration, aspectRatio } = settings;
+
+    if (preset !== undefined && preset !== null && !getVideoPreset(preset)) {
+        return `Video preset must be one of: ${VIDEO_PRESETS.map(item => item.id).join(', ')}`;
+    }
+    if (prompt !== undefined && prompt !== null &&
+        (typeof prompt !== 'string' || prompt.trim() === '' || prompt.length > MAX_VIDEO_PROMPT_LENGTH)) {
+        return `Video prompt must be a non-empty string of at most ${MAX_VIDEO_PROMPT_LENGTH} characters`;
+    }
+
+    const options = getVideoOptions();
+    if (duration !== undefined && duration !== null) {
+        if (options.durations.length === 0) {
+            return 'The video model does not support choosing a duration';
+        }
+        if (!options.durations.includes(duration)) {
+            return `Video duration must be one of: ${options.durations.join(', ')} seconds`;
+        }
+    }
+    if (aspectRatio !== undefined && aspectRatio !== null) {
+        if (options.aspectRatios.length === 0) {
+            return 'The video model does not support choosing an aspect ratio';
+        }
+        if (!options.aspectRatios.includes(aspectRatio)) {
+            return `Video aspect ratio must be one of: ${options.aspectRatios.join(', ')}`;
+        }
+    }
+    return null;
+}
+
+// Turn validated settings into what the provider is called with.
+// Returns { preset, prompt, duration, aspectRatio }; preset is null for a custom prompt.
+function resolveVideoSettings(settings = {}) {
+    const prompt = typeof settings.prompt === 'string' ? settings.prompt.trim() : '';
+    const preset = prompt ? null : getVideoPreset(settings.preset || DEFAULT_VIDEO_PRESET_ID);
+
+    return {
+        preset: preset ? preset.id : null,
+        prompt: prompt || preset.prompt,
+        duration: settings.duration || null,
+        aspectRatio: settings.aspectRatio || null
+    };
+}
+
+module.exports = {
+    DEFAULT_VIDEO_PRESET_ID,
+    MAX_VIDEO_PROMPT_LENGTH,
+    VIDEO_PRESETS,
+    listVideoPresets,
+    getVideoPreset,
+    validateVideoSettings,
+    resolveVideoSettings
+};
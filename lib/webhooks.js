@@ -0,0 +1,271 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { checkUrl, safeFetch } = require('./safeFetch');
+
+// Webhook deliveries for the /v1 API.
+// Each delivery is saved as data/webhooks/<id>.json together with every
+// attempt, so callers can inspect what was sent and how their endpoint
+// answered. Failed attempts (network errors and non-2xx responses) are retried
+// with increasing delays; pending deliveries are picked up again after a restart.
+//
+// Requests are signed with the account's signing secret:
+//   X-Webhook-Signature: v1=<hex HMAC-SHA256 of "<timestamp>.<body>">
+// where timestamp is the X-Webhook-Timestamp header (Unix seconds).
+
+const WEBHOOKS_DIR = process.env.WEBHOOKS_DIR || path.join(__dirname, '..', 'data', 'webhooks');
+const WEBHOOK_SECRETS_FILE = process.env.WEBHOOK_SECRETS_FILE || path.join(__dirname, '..', 'data', 'webhook-secrets.json');
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+// Delay before each retry, in seconds. One attempt plus one per delay.
+const WEBHOOK_RETRY_DELAYS_MS = (process.env.WEBHOOK_RETRY_DELAYS || '30,120,600,3600,21600')
+    .split(',')
+    .map(value => parseInt(value) * 1000)
+    .filter(value => value > 0);
+const MAX_RESPONSE_EXCERPT = 500;
+
+const deliveries = new Map();
+const timers = new Map();
+let secrets = null;
+
+// ---- Signing secrets (one per account) ----
+
+function loadSecrets() {
+    if (secrets) {
+        return secrets;
+    }
+
+    secrets = {};
+    if (fs.existsSync(WEBHOOK_SECRETS_FILE)) {
+        try {
+            secrets = JSON.parse(fs.readFileSync(WEBHOOK_SECRETS_FILE, 'utf8'));
+        } catch (error) {
+            console.error(`Could not read webhook secrets from ${WEBHOOK_SECRETS_FILE}:`, error.message);
+        }
+    }
+    return secrets;
+}
+
+function saveSecrets() {
+    const dir = path.dirname(WEBHOOK_SECRETS_FILE);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    const tmpPath = `${WEBHOOK_SECRETS_FILE}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(secrets, null, 2));
+    fs.renameSync(tmpPath, WEBHOOK_SECRETS_FILE);
+}
+
+// The account's signing secret, created on first use
+function getSigningSecret(userId) {
+    if (!loadSecrets()[userId]) {
+        return rotateSigningSecret(userId);
+    }
+    return secrets[userId];
+}
+
+function rotateSigningSecret(userId) {
+    loadSecrets()[userId] = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+    saveSecrets();
+    return secrets[userId];
+}
+
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// ---- Deliveries ----
+
+function ensureWebhooksDir() {
+    if (!fs.existsSync(WEBHOOKS_DIR)) {
+        fs.mkdirSync(WEBHOOKS_DIR, { recursive: true });
+    }
+}
+
+function saveDelivery(delivery) {
+    ensureWebhooksDir();
+    delivery.updatedAt = new Date().toISOString();
+    const filePath = path.join(WEBHOOKS_DIR, `${delivery.id}.json`);
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(delivery));
+    fs.renameSync(tmpPath, filePath);
+}
+
+// Returns an error message, or null when the URL can receive webhooks
+function validateWebhookUrl(url) {
+    const problem = checkUrl(url);
+    return problem ? `Webhook ${problem}` : null;
+}
+
+function schedule(delivery, delayMs) {
+    clearTimeout(timers.get(delivery.id));
+    const timer = setTimeout(() => {
+        timers.delete(delivery.id);
+        attemptDelivery(delivery).catch(error => {
+            console.error(`Webhook delivery ${delivery.id} crashed:`, error);
+        });
+    }, Math.max(delayMs, 0));
+    // Pending retries should not keep the process alive on shutdown
+    timer.unref();
+    timers.set(delivery.id, timer);
+}
+
+async function attemptDelivery(delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = signPayload(getSigningSecret(delivery.userId), timestamp, body);
+    const attempt = { at: new Date().toISOString(), statusCode: null, durationMs: 0, error: null, response: null };
+    const startedAt = Date.now();
+
+    try {
+        // Redirects are not followed, and private addresses are refused on every attempt
+        const response = await safeFetch(delivery.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'TryOnAI-Webhooks/1.0',
+                'X-Webhook-Id': delivery.id,
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': `v1=${signature}`
+            },
+            body: body,
+            maxRedirects: 0,
+            maxBytes: MAX_RESPONSE_EXCERPT,
+            truncate: true,
+            timeoutMs: WEBHOOK_TIMEOUT_MS
+        });
+        attempt.statusCode = response.status;
+        attempt.response = response.body.toString('utf8');
+        if (response.status < 200 || response.status >= 300) {
+            attempt.error = `Endpoint responded with HTTP ${response.status}`;
+        }
+    } catch (error) {
+        attempt.error = error.message;
+    }
+    attempt.durationMs = Date.now() - startedAt;
+
+    delivery.attempts.push(attempt);
+    delivery.roundAttempts = (delivery.roundAttempts || 0) + 1;
+
+    if (!attempt.error) {
+        delivery.status = 'delivered';
+        delivery.nextAttemptAt = null;
+        console.log(`Webhook ${delivery.id} (${delivery.event}) delivered to ${delivery.url}`);
+    } else if (delivery.roundAttempts <= WEBHOOK_RETRY_DELAYS_MS.length) {
+        const delayMs = WEBHOOK_RETRY_DELAYS_MS[delivery.roundAttempts - 1];
+        delivery.status = 'retrying';
+        delivery.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+        schedule(delivery, delayMs);
+        console.log(`Webhook ${delivery.id} attempt ${delivery.roundAttempts} failed (${attempt.error}), retrying in ${delayMs / 1000}s`);
+    } else {
+        delivery.status = 'failed';
+        delivery.nextAttemptAt = null;
+        console.error(`Webhook ${delivery.id} failed after ${delivery.roundAttempts} attempt(s): ${attempt.error}`);
+    }
+
+    saveDelivery(delivery);
+}
+
+// Queue a signed POST of `payload` to `url`. The first attempt is made right away.
+function queueDelivery({ userId, url, event, jobId, payload }) {
+    const now = new Date().toISOString();
+    const delivery = {
+        id: crypto.randomUUID(),
+        userId: userId,
+        url: url,
+        event: event,
+        jobId: jobId || null,
+        status: 'pending',
+        createdAt: now,
+        updatedAt: now,
+        nextAttemptAt: now,
+        payload: { ...payload },
+        attempts: [],
+        roundAttempts: 0
+    };
+    // Receivers can de-duplicate on the delivery ID, which is also sent as X-Webhook-Id
+    delivery.payload.id = delivery.id;
+
+    deliveries.set(delivery.id, delivery);
+    saveDelivery(delivery);
+    schedule(delivery, 0);
+    return delivery;
+}
+
+function getDelivery(id, userId) {
+    const delivery = deliveries.get(id);
+    return delivery && delivery.userId === userId ? delivery : null;
+}
+
+// An account's deliveries, newest first, optionally for one job
+function listDeliveries(userId, { jobId } = {}) {
+    return Array.from(deliveries.values())
+        .filter(delivery => delivery.userId === userId && (!jobId || delivery.jobId === jobId))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Send a delivery again now, with a fresh retry budget. Returns null when not found.
+function redeliver(id, userId) {
+    const delivery = getDelivery(id, userId);
+    if (!delivery) {
+        return null;
+    }
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = new Date().toISOString();
+    delivery.roundAttempts = 0;
+    saveDelivery(delivery);
+    schedule(delivery, 0);
+    return delivery;
+}
+
+// Load saved deliveries and schedule the ones that were still pending
+function loadWebhookDeliveries() {
+    ensureWebhooksDir();
+
+    let resumed = 0;
+    fs.readdirSync(WEBHOOKS_DIR).filter(file => file.endsWith('.json')).forEach(file => {
+        let delivery;
+        try {
+            delivery = JSON.parse(fs.readFileSync(path.join(WEBHOOKS_DIR, file), 'utf8'));
+        } catch (error) {
+            console.error(`Skipping unreadable webhook delivery ${file}:`, error.message);
+            return;
+        }
+
+        deliveries.set(delivery.id, delivery);
+        if (delivery.status === 'pending' || delivery.status === 'retrying') {
+            schedule(delivery, Date.parse(delivery.nextAttemptAt) - Date.now());
+            resumed++;
+        }
+    });
+
+    console.log(`Loaded ${deliveries.size} webhook delivery(s): ${resumed} pending`);
+}
+
+function toPublicDelivery(delivery) {
+    return {
+        id: delivery.id,
+        url: delivery.url,
+        event: delivery.event,
+        jobId: delivery.jobId,
+        status: delivery.status,
+        createdAt: delivery.createdAt,
+        updatedAt: delivery.updatedAt,
+        nextAttemptAt: delivery.nextAttemptAt,
+        attempts: delivery.attempts,
+        payload: delivery.payload
+    };
+}
+
+module.exports = {
+    getSigningSecret,
+    rotateSigningSecret,
+    signPayload,
+    validateWebhookUrl,
+    queueDelivery,
+    getDelivery,
+    listDeliveries,
+    redeliver,
+    loadWebhookDeliveries,
+    toPublicDelivery
+};
@@ -1,10 +1,40 @@
 // Global variables
 let userImageFile = null;
 let userImageData = null;
+let userImageUpload = null; // Resolves to the /media URL of the uploaded userImageFile
+let userImageUrlTimer = null;
+let extraPersonImages = []; // Uploaded or remote URLs of additional people (multi-person mode)
 let clothingImages = [];
 let clothingFiles = [];
+let clothingAnalyses = {}; // Garment records from /api/analyze-clothing, keyed by image data
+let clothingOutfit = {}; // Slot and layer the user picked per garment, keyed by image data
+let photoChecks = {}; // Preflight verdicts from the analysis endpoints, keyed by image URL
+let defaultStyleId = 'fashion'; // Replaced by the server's default when styles load
 let generatedImageUrls = [];
 let generatedVideoUrls = [];
+let videoPresetList = []; // Motion presets from /api/video-presets
+let videoOptions = { durations: [], aspectRatios: [] }; // What the video model accepts
+let defaultVideoPresetId = 'turn-360';
+let videoChoices = {}; // Video settings picked on a result image, keyed by result index
+let reelOptions = null; // Reel formats and limits from /api/reels; null while reels are unavailable
+let reelChoices = {}; // Clip URLs the user ticked (true) or unticked (false) for the reel
+let reelPollTimer = null;
+let generatedPromptSources = []; // 'model' or 'fallback' for each prompt
+let currentUser = null; // Signed-in account from /api/auth/me
+let authMode = 'login'; // 'login' or 'signup'
+let currentUsage = null; // Plan limits and remaining try-ons from /api/usage
+
+const JOB_POLL_INTERVAL_MS = 2000;
+const MAX_PEOPLE = 4; // Including the main photo; matches MAX_PEOPLE_PER_RUN on the server
+const OUTFIT_SLOTS = ['top', 'outerwear', 'bottom', 'dress', 'shoes', 'headwear', 'bag', 'jewelry', 'eyewear'];
+const MAX_LAYER = 10;
+
+// Live progress stream for the current run
+let currentRunId = null;
+let progressSource = null;
+
+// Stable per-browser ID so the server keeps this visitor on one prompt template version
+const CLIENT_ID_STORAGE_KEY = 'tryOnClientId';
 
 // DOM elements
 const userImageInput = document.getElementById('userImageInput');
@@ -13,19 +43,34 @@ const userUploadArea = document.getElementById('userUploadArea');
 const userImagePreview = document.getElementById('userImagePreview');
 const userPreviewImg = document.getElementById('userPreviewImg');
 const removeUserImage = document.getElementById('removeUserImage');
+const extraPeople = document.getElementById('extraPeople');
+const extraPeoplePreviews = document.getElementById('extraPeoplePreviews');
+const addPersonBtn = document.getElementById('addPersonBtn');
+const extraPersonInput = document.getElementById('extraPersonInput');
+const userPhotoChecks = document.getElementById('userPhotoChecks');
 
 const clothingImageInput = document.getElementById('clothingImageInput');
 const clothingImageUrl = document.getElementById('clothingImageUrl');
 const clothingUploadArea = document.getElementById('clothingUploadArea');
 const clothingPreviews = document.getElementById('clothingPreviews');
+const clothingPhotoChecks = document.getElementById('clothingPhotoChecks');
 
-const styleOptions = document.querySelectorAll('.style-option');
+const styleGrid = document.getElementById('styleGrid');
+const customStyleForm = document.getElementById('customStyleForm');
+const customStyleName = document.getElementById('customStyleName');
+const customStyleGuidance = document.getElementById('customStyleGuidance');
+const saveCustomStyleBtn = document.getElementById('saveCustomStyleBtn');
+const customStyleError = document.getElementById('customStyleError');
 const customPrompt = document.getElementById('customPrompt');
 const imageCountBtns = document.querySelectorAll('.count-btn');
 const imageCountValue = document.getElementById('imageCountValue');
+const usageInfo = document.getElementById('usageInfo');
 
 const tryOnBtn = document.getElementById('tryOnBtn');
+const preflightStatus = document.getElementById('preflightStatus');
 const loadingSpinner = document.getElementById('loadingSpinner');
+const loadingStageTitle = document.getElementById('loadingStageTitle');
+const loadingStageText = document.getElementById('loadingStageText');
 const resultsSection = document.getElementById('resultsSection');
 const promptDisplay = document.getElementById('promptDisplay');
 const togglePromptBtn = document.getElementById('togglePromptBtn');
@@ -40,6 +85,52 @@ const downloadAllVideosBtn = document.getElementById('downloadAllVideosBtn');
 const generateVideoToggle = document.getElementById('generateVideoToggle');
 const videoPromptSection = document.getElementById('videoPromptSection');
 const videoPrompt = document.getElementById('videoPrompt');
+const videoPresetSelect = document.getElementById('videoPreset');
+const videoCustomPromptField = document.getElementById('videoCustomPromptField');
+const videoDuration = document.getElementById('videoDuration');
+const videoDurationField = document.getElementById('videoDurationField');
+const videoAspectRatio = document.getElementById('videoAspectRatio');
+const videoAspectRatioField = document.getElementById('videoAspectRatioField');
+
+const signInBtn = document.getElementById('signInBtn');
+const signOutBtn = document.getElementById('signOutBtn');
+const accountEmail = document.getElementById('accountEmail');
+const authModal = document.getElementById('authModal');
+const authForm = document.getElementById('authForm');
+const authTitle = document.getElementById('authTitle');
+const authNameField = document.getElementById('authNameField');
+const authName = document.getElementById('authName');
+const authEmail = document.getElementById('authEmail');
+const authPassword = document.getElementById('authPassword');
+const authSubmitBtn = document.getElementById('authSubmitBtn');
+const authError = document.getElementById('authError');
+const authSwitchText = document.getElementById('authSwitchText');
+const authSwitchBtn = document.getElementById('authSwitchBtn');
+const authCloseBtn = document.getElementById('authCloseBtn');
+const historyNavLink = document.getElementById('historyNavLink');
+const batchNavLink = document.getElementById('batchNavLink');
+const reelBuilder = document.getElementById('reelBuilder');
+const reelClips = document.getElementById('reelClips');
+const reelTitle = document.getElementById('reelTitle');
+const reelGarmentNames = document.getElementById('reelGarmentNames');
+const reelTransition = document.getElementById('reelTransition');
+const reelAspectRatio = document.getElementById('reelAspectRatio');
+const reelFormat = document.getElementById('reelFormat');
+const reelMusic = document.getElementById('reelMusic');
+const reelMusicField = document.getElementById('reelMusicField');
+const reelError = document.getElementById('reelError');
+const createReelBtn = document.getElementById('createReelBtn');
+const reelResult = document.getElementById('reelResult');
+const historySection = document.getElementById('history');
+const historyGrid = document.getElementById('historyGrid');
+const historyEmpty = document.getElementById('historyEmpty');
+const apiKeysNote = document.getElementById('apiKeysNote');
+const apiKeyForm = document.getElementById('apiKeyForm');
+const apiKeyName = document.getElementById('apiKeyName');
+const createApiKeyBtn = document.getElementById('createApiKeyBtn');
+const apiKeyCreated = document.getElementById('apiKeyCreated');
+const apiKeyValue = document.getElementById('apiKeyValue');
+const apiKeyList = document.getElementById('apiKeyList');
 
 // Initialize the application
 document.addEventListener('DOMContentLoaded', function() {
@@ -62,6 +153,9 @@ document.addEventListener('DOMContentLoaded', function() {
     
     try {
         initializeEventListeners();
+        loadAccount();
+        loadStyles();
+        loadVideoPresets();
         updateTryOnButton();
         addScrollAnimations();
         console.log('All initialization completed successfully');
@@ -76,17 +170,30 @@ function initializeEventListeners() {
     userImageInput.addEventListener('change', handleUserImageUpload);
     userImageUrl.addEventListener('input', handleUserImageUrlInput);
     removeUserImage.addEventListener('click', removeUserImagePreview);
+    addPersonBtn.addEventListener('click', () => extraPersonInput.click());
+    extraPersonInput.addEventListener('change', handleExtraPersonUpload);
     
     // Clothing image upload
     clothingUploadArea.addEventListener('click', () => clothingImageInput.click());
     clothingImageInput.addEventListener('change', handleClothingFileUpload);
     clothingImageUrl.addEventListener('input', handleClothingUrlInput);
     
-    // Style selection
-    styleOptions.forEach(option => {
-        option.addEventListener('click', () => selectStyle(option));
+    // Account
+    signInBtn.addEventListener('click', () => openAuthModal('login'));
+    signOutBtn.addEventListener('click', signOut);
+    authForm.addEventListener('submit', submitAuth);
+    authSwitchBtn.addEventListener('click', () => setAuthMode(authMode === 'login' ? 'signup' : 'login'));
+    authCloseBtn.addEventListener('click', closeAuthModal);
+    createApiKeyBtn.addEventListener('click', createApiKey);
+    authModal.addEventListener('click', (event) => {
+        if (event.target === authModal) {
+            closeAuthModal();
+        }
     });
     
+    // Custom styles (style tiles are wired up when the grid is rendered)
+    saveCustomStyleBtn.addEventListener('click', saveCustomStyle);
+    
     // Image count selection
     imageCountBtns.forEach(btn => {
         btn.addEventListener('click', () => selectImageCount(btn));
@@ -121,6 +228,13 @@ function initializeEventListeners() {
     
     // Video generation toggle
     generateVideoToggle.addEventListener('change', toggleVideoGeneration);
+    createReelBtn.addEventListener('click', createReel);
+    reelFormat.addEventListener('change', () => {
+        reelMusicField.style.display = reelFormat.value === 'mp4' ? 'block' : 'none';
+    });
+    videoPresetSelect.addEventListener('change', () => {
+        videoCustomPromptField.style.display = videoPresetSelect.value === 'custom' ? 'block' : 'none';
+    });
     
     // Drag and drop
     setupDragAndDrop();
@@ -131,12 +245,34 @@ function handleUserImageUpload(event) {
     const file = event.target.files[0];
     if (file) {
         console.log('User image file uploaded:', file.name, file.type);
-        userImageFile = file;
-        displayUserImagePreview(file);
-        updateTryOnButton();
+        setUserImageFile(file);
     }
 }
 
+// The photo is previewed right away and uploaded in the background; generation
+// waits for the upload. A photo the server rejects is removed again.
+function setUserImageFile(file) {
+    userImageFile = file;
+    displayUserImagePreview(file);
+    updateTryOnButton();
+    
+    const upload = uploadImage(file);
+    userImageUpload = upload;
+    upload
+        .then(imageUrl => {
+            if (userImageUpload === upload) {
+                userImageData = imageUrl;
+                prefetchUserAnalysis(imageUrl);
+            }
+        })
+        .catch(error => {
+            if (userImageUpload === upload) {
+                alert(`This photo could not be used: ${error.message}`);
+                removeUserImagePreview();
+            }
+        });
+}
+
 function handleUserImageUrlInput(event) {
     const url = event.target.value.trim();
     if (url && isValidUrl(url)) {
@@ -146,9 +282,28 @@ function handleUserImageUrlInput(event) {
     }
 }
 
+// The server fetches the image and stores it; the preview shows the stored copy
 function addUserImageFromUrl(url) {
-    userImageData = url;
-    displayUserImagePreview(null, url);
+    // The URL field fires on every keystroke, so wait for typing to settle
+    clearTimeout(userImageUrlTimer);
+    userImageUrlTimer = setTimeout(() => {
+        if (userImageUrl.value.trim() !== url) {
+            return;
+        }
+        importImageUrl(url)
+            .then(imageUrl => {
+                if (userImageUrl.value.trim() !== url) {
+                    return;
+                }
+                userImageFile = null;
+                userImageUpload = null;
+                userImageData = imageUrl;
+                displayUserImagePreview(null, imageUrl);
+                updateTryOnButton();
+                prefetchUserAnalysis(imageUrl);
+            })
+            .catch(error => alert(`This image could not be used: ${error.message}`));
+    }, 1000);
 }
 
 function displayUserImagePreview(file, url = null) {
@@ -158,25 +313,76 @@ function displayUserImagePreview(file, url = null) {
             userPreviewImg.src = e.target.result;
             userImagePreview.style.display = 'block';
             userUploadArea.style.display = 'none';
+            updateExtraPeople();
         };
         reader.readAsDataURL(file);
     } else if (url) {
         userPreviewImg.src = url;
         userImagePreview.style.display = 'block';
         userUploadArea.style.display = 'none';
+        updateExtraPeople();
     }
 }
 
 function removeUserImagePreview() {
     userImageFile = null;
     userImageData = null;
+    userImageUpload = null;
     userImagePreview.style.display = 'none';
     userUploadArea.style.display = 'block';
     userImageInput.value = '';
     userImageUrl.value = '';
+    extraPersonImages = [];
+    updateExtraPeople();
     updateTryOnButton();
 }
 
+// Multi-person mode: more photos to render the same garments on
+function handleExtraPersonUpload(event) {
+    const files = Array.from(event.target.files)
+        .filter(file => file.type.startsWith('image/'))
+        .slice(0, MAX_PEOPLE - 1 - extraPersonImages.length);
+    
+    files.forEach(file => {
+        uploadImage(file)
+            .then(imageUrl => {
+                if (extraPersonImages.length < MAX_PEOPLE - 1) {
+                    extraPersonImages.push(imageUrl);
+                    updateExtraPeople();
+                    prefetchUserAnalysis(imageUrl);
+                }
+            })
+            .catch(error => alert(`${file.name} could not be used: ${error.message}`));
+    });
+    extraPersonInput.value = '';
+}
+
+function updateExtraPeople() {
+    renderPeopleChecks();
+    extraPeople.style.display = userImagePreview.style.display === 'block' ? 'block' : 'none';
+    addPersonBtn.style.display = extraPersonImages.length < MAX_PEOPLE - 1 ? '' : 'none';
+    
+    extraPeoplePreviews.innerHTML = '';
+    extraPersonImages.forEach((imageData, index) => {
+        const previewItem = document.createElement('div');
+        previewItem.className = 'clothing-preview-item';
+        previewItem.innerHTML = `
+            <img alt="Person ${index + 2}">
+            <button class="remove-btn">
+                <i class="fas fa-times"></i>
+            </button>
+            <div class="clothing-label">Person ${index + 2}</div>
+        `;
+        previewItem.querySelector('img').src = imageData;
+        previewItem.querySelector('.remove-btn').addEventListener('click', () => {
+            extraPersonImages.splice(index, 1);
+            updateExtraPeople();
+            updateTryOnButton();
+        });
+        extraPeoplePreviews.appendChild(previewItem);
+    });
+}
+
 // Clothing Image Handling
 function handleClothingFileUpload(event) {
     const files = Array.from(event.target.files);
@@ -188,12 +394,12 @@ function handleClothingFileUpload(event) {
             addClothingImageFromFile(file);
         }
     });
-    // Remove updateTryOnButton() from here - it will be called after FileReader completes
+    // Remove updateTryOnButton() from here - it will be called after the upload completes
 }
 
 function handleClothingUrlInput(event) {
     const url = event.target.value.trim();
-    if (url && isValidUrl(url) && !clothingImages.includes(url)) {
+    if (url && isValidUrl(url)) {
         console.log('Clothing image URL added:', url);
         addClothingImageFromUrl(url);
         event.target.value = '';
@@ -202,34 +408,50 @@ function handleClothingUrlInput(event) {
 }
 
 function addClothingImageFromFile(file) {
-    const reader = new FileReader();
-    reader.onload = function(e) {
-        const imageData = e.target.result;
-        console.log('Clothing image data added, total clothing images:', clothingImages.length + 1);
-        clothingImages.push(imageData);
-        updateClothingPreviews();
-        updateTryOnButton(); // Move updateTryOnButton() here - after the image data is added
-    };
-    reader.readAsDataURL(file);
+    uploadImage(file)
+        .then(imageUrl => {
+            console.log('Clothing image uploaded, total clothing images:', clothingImages.length + 1);
+            clothingImages.push(imageUrl);
+            updateClothingPreviews();
+            updateTryOnButton(); // Move updateTryOnButton() here - after the image is uploaded
+            prefetchClothingAnalysis(imageUrl);
+        })
+        .catch(error => {
+            clothingFiles = clothingFiles.filter(item => item !== file);
+            alert(`${file.name} could not be used: ${error.message}`);
+        });
 }
 
 function addClothingImageFromUrl(url) {
-    console.log('Adding clothing URL, total clothing images:', clothingImages.length + 1);
-    clothingImages.push(url);
-    updateClothingPreviews();
+    importImageUrl(url)
+        .then(imageUrl => {
+            console.log('Clothing URL imported, total clothing images:', clothingImages.length + 1);
+            clothingImages.push(imageUrl);
+            updateClothingPreviews();
+            updateTryOnButton();
+            prefetchClothingAnalysis(imageUrl);
+        })
+        .catch(error => alert(`${url} could not be used: ${error.message}`));
 }
 
 function updateClothingPreviews() {
+    renderPhotoChecks(clothingPhotoChecks, clothingImages.map((imageData, index) => ({ label: `Item ${index + 1}`, image: imageData })));
     clothingPreviews.innerHTML = '';
     clothingImages.forEach((imageData, index) => {
         const previewItem = document.createElement('div');
         previewItem.className = 'clothing-preview-item';
+        previewItem.classList.toggle('has-warning', Boolean(photoChecks[imageData] && photoChecks[imageData].verdicts.length > 0));
+        previewItem.classList.toggle('has-error', Boolean(photoChecks[imageData] && !photoChecks[imageData].ok));
         previewItem.innerHTML = `
             <img src="${imageData}" alt="Clothing preview">
             <button class="remove-btn" data-clothing-index="${index}">
                 <i class="fas fa-times"></i>
             </button>
+            <div class="clothing-label"></div>
+            <div class="clothing-outfit"></div>
         `;
+        renderClothingLabel(previewItem.querySelector('.clothing-label'), clothingAnalyses[imageData]);
+        renderOutfitControls(previewItem.querySelector('.clothing-outfit'), imageData);
         
         // Add event listener for remove button
         const removeBtn = previewItem.querySelector('.remove-btn');
@@ -241,6 +463,67 @@ function updateClothingPreviews() {
     });
 }
 
+// Label a preview tile with its garment analysis (slot, category, colors)
+function renderClothingLabel(labelElement, garment) {
+    if (!garment) {
+        labelElement.classList.add('pending');
+        labelElement.textContent = 'Analyzing...';
+        return;
+    }
+    
+    const colors = garment.colors && garment.colors.length > 0 ? ` · ${garment.colors.join(', ')}` : '';
+    labelElement.classList.toggle('low-confidence', garment.confidence < 0.6);
+    labelElement.title = `${garment.description || garment.category} (confidence ${Math.round(garment.confidence * 100)}%)`;
+    labelElement.innerHTML = `<span class="clothing-slot"></span><span class="clothing-category"></span>`;
+    labelElement.querySelector('.clothing-slot').textContent = garment.slot;
+    labelElement.querySelector('.clothing-category').textContent = `${garment.category}${colors}`;
+}
+
+// Slot and layer pickers for a preview tile. "Auto" leaves the slot to the
+// garment analysis and the layer to the slot's usual place in an outfit.
+function renderOutfitControls(container, imageData) {
+    const choice = clothingOutfit[imageData] || {};
+    const garment = clothingAnalyses[imageData];
+    
+    const slotSelect = document.createElement('select');
+    slotSelect.className = 'clothing-slot-select';
+    slotSelect.title = 'Where this item is worn';
+    slotSelect.add(new Option(garment ? `Auto (${garment.slot})` : 'Auto slot', ''));
+    OUTFIT_SLOTS.forEach(slot => slotSelect.add(new Option(slot, slot)));
+    slotSelect.value = choice.slot || '';
+    
+    const layerInput = document.createElement('input');
+    layerInput.type = 'number';
+    layerInput.className = 'clothing-layer-input';
+    layerInput.min = 1;
+    layerInput.max = MAX_LAYER;
+    layerInput.placeholder = 'Layer';
+    layerInput.title = `Layering order, 1 (closest to the body) to ${MAX_LAYER}. Leave empty for the usual order.`;
+    layerInput.value = choice.layer || '';
+    
+    const save = () => {
+        const layer = parseInt(layerInput.value);
+        clothingOutfit[imageData] = {
+            slot: slotSelect.value || undefined,
+            layer: layer >= 1 && layer <= MAX_LAYER ? layer : undefined
+        };
+    };
+    slotSelect.addEventListener('change', save);
+    layerInput.addEventListener('change', save);
+    
+    container.appendChild(slotSelect);
+    container.appendChild(layerInput);
+}
+
+// The user's slot and layer choices in upload order, or undefined when none were made
+function getOutfitChoices() {
+    const choices = clothingImages.map(imageData => {
+        const choice = clothingOutfit[imageData];
+        return choice && (choice.slot || choice.layer) ? choice : null;
+    });
+    return choices.some(Boolean) ? choices : undefined;
+}
+
 // Make removeClothingImage global so it can be called from onclick
 window.removeClothingImage = function(index) {
     console.log('Removing clothing image at index:', index);
@@ -260,14 +543,124 @@ window.removeClothingImage = function(index) {
 };
 
 // Style Selection
+// The grid is rendered from the server's style registry (GET /api/styles)
+async function loadStyles(selectedStyleId) {
+    try {
+        const response = await fetch('/api/styles');
+        if (!response.ok) {
+            throw new Error('Failed to load styles');
+        }
+        
+        const data = await response.json();
+        defaultStyleId = data.defaultStyle;
+        renderStyleGrid(data.styles, selectedStyleId || getSelectedStyle());
+    } catch (error) {
+        console.error('Error loading styles:', error);
+        styleGrid.innerHTML = '<p class="input-description">Styles could not be loaded. Please refresh the page.</p>';
+    }
+}
+
+function renderStyleGrid(styles, selectedStyleId) {
+    styleGrid.innerHTML = '';
+    const activeId = styles.some(style => style.id === selectedStyleId) ? selectedStyleId : defaultStyleId;
+    
+    styles.forEach(style => {
+        const option = document.createElement('div');
+        option.className = 'style-option';
+        option.dataset.style = style.id;
+        option.classList.toggle('active', style.id === activeId);
+        
+        option.innerHTML = `
+            ${style.thumbnail ? '<img class="style-thumbnail" alt="" loading="lazy">' : ''}
+            <div class="style-icon">
+                <i class="fas"></i>
+            </div>
+            <h4></h4>
+            <p></p>
+        `;
+        
+        // Custom style names come from users, so set text rather than HTML
+        if (style.thumbnail) {
+            option.querySelector('.style-thumbnail').src = style.thumbnail;
+        }
+        option.querySelector('.style-icon i').classList.add(style.icon);
+        option.querySelector('h4').textContent = style.name;
+        option.querySelector('p').textContent = style.description;
+        option.title = style.guidance;
+        
+        if (style.custom) {
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'remove-btn';
+            deleteBtn.title = 'Delete style';
+            deleteBtn.innerHTML = '<i class="fas fa-times"></i>';
+            deleteBtn.addEventListener('click', (event) => {
+                event.stopPropagation();
+                deleteCustomStyle(style);
+            });
+            option.appendChild(deleteBtn);
+        }
+        
+        option.addEventListener('click', () => selectStyle(option));
+        styleGrid.appendChild(option);
+    });
+}
+
 function selectStyle(selectedOption) {
-    styleOptions.forEach(option => option.classList.remove('active'));
+    document.querySelectorAll('.style-option').forEach(option => option.classList.remove('active'));
     selectedOption.classList.add('active');
 }
 
 function getSelectedStyle() {
     const activeOption = document.querySelector('.style-option.active');
-    return activeOption ? activeOption.dataset.style : 'realistic';
+    return activeOption ? activeOption.dataset.style : defaultStyleId;
+}
+
+async function saveCustomStyle() {
+    customStyleError.textContent = '';
+    
+    try {
+        const response = await fetch('/api/styles', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                name: customStyleName.value.trim(),
+                guidance: customStyleGuidance.value.trim()
+            })
+        });
+        
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            customStyleError.textContent = data.error || 'Failed to save style';
+            return;
+        }
+        
+        customStyleName.value = '';
+        customStyleGuidance.value = '';
+        customStyleForm.open = false;
+        await loadStyles(data.style.id);
+    } catch (error) {
+        console.error('Error saving custom style:', error);
+        customStyleError.textContent = 'Failed to save style. Please try again.';
+    }
+}
+
+async function deleteCustomStyle(style) {
+    if (!confirm(`Delete the style "${style.name}"?`)) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/styles/${encodeURIComponent(style.id)}`, { method: 'DELETE' });
+        if (!response.ok) {
+            throw new Error('Failed to delete style');
+        }
+        await loadStyles();
+    } catch (error) {
+        console.error('Error deleting custom style:', error);
+        alert('Failed to delete style. Please try again.');
+    }
 }
 
 // Image Count Selection
@@ -305,9 +698,7 @@ function setupDragAndDrop() {
         const files = Array.from(e.dataTransfer.files);
         const imageFile = files.find(file => file.type.startsWith('image/'));
         if (imageFile) {
-            userImageFile = imageFile;
-            displayUserImagePreview(imageFile);
-            updateTryOnButton();
+            setUserImageFile(imageFile);
         }
     });
     
@@ -337,8 +728,102 @@ function setupDragAndDrop() {
                 addClothingImageFromFile(file);
             }
         });
-        // Remove updateTryOnButton() from here - it will be called after FileReader completes
+        // Remove updateTryOnButton() from here - it will be called after the upload completes
+    });
+}
+
+// Analysis Prefetch
+// Analyze uploads in the background so the server's analysis cache is warm
+// by the time Generate is clicked. Failures are ignored; generation retries them.
+// The analyses also return the photo's preflight verdicts. When a check
+// cannot be made the photo is not held back.
+function prefetchUserAnalysis(imageData) {
+    postAnalysis('/api/analyze-user-photo', { userImage: imageData }, 'User photo')
+        .then(data => {
+            photoChecks[imageData] = data && data.success && data.preflight ? data.preflight : UNCHECKED_PHOTO;
+            renderPeopleChecks();
+            updateTryOnButton();
+        });
+}
+
+function prefetchClothingAnalysis(imageData) {
+    postAnalysis('/api/analyze-clothing', { clothingImages: [imageData] }, 'Clothing item')
+        .then(data => {
+            const item = data && data.success && data.items ? data.items[0] : null;
+            if (item) {
+                clothingAnalyses[imageData] = item;
+            }
+            photoChecks[imageData] = item && item.preflight ? item.preflight : UNCHECKED_PHOTO;
+            updateClothingPreviews();
+            updateTryOnButton();
+        });
+}
+
+// Photo Preflight
+const UNCHECKED_PHOTO = { ok: true, checks: {}, verdicts: [] };
+
+function renderPeopleChecks() {
+    const people = userImagePreview.style.display === 'block' ? [userImageData, ...extraPersonImages] : [];
+    renderPhotoChecks(userPhotoChecks, people.map((image, index) => ({
+        label: people.length > 1 ? `Person ${index + 1}` : '',
+        image: image
+    })));
+}
+
+// List each photo's problems with the fix for it, errors first
+function renderPhotoChecks(list, photos) {
+    list.innerHTML = '';
+    photos.forEach(({ label, image }) => {
+        const preflight = image ? photoChecks[image] : null;
+        if (!preflight) {
+            return;
+        }
+        const verdicts = [...preflight.verdicts].sort((a, b) => (a.severity === 'error' ? 0 : 1) - (b.severity === 'error' ? 0 : 1));
+        verdicts.forEach(verdict => {
+            const item = document.createElement('li');
+            item.className = `photo-check ${verdict.severity}`;
+            item.innerHTML = `
+                <i class="fas ${verdict.severity === 'error' ? 'fa-circle-xmark' : 'fa-triangle-exclamation'}"></i>
+                <div>
+                    <strong></strong>
+                    <span></span>
+                </div>
+            `;
+            item.querySelector('strong').textContent = label ? `${label}: ${verdict.message}` : verdict.message;
+            item.querySelector('span').textContent = verdict.fix;
+            list.appendChild(item);
+        });
     });
+    list.style.display = list.children.length > 0 ? 'block' : 'none';
+}
+
+// Generate waits until every photo has been checked and stays off while
+// any of them has a problem that must be fixed first
+function getPreflightState() {
+    const photos = [userImageFile && !userImageData ? null : userImageData, ...extraPersonImages, ...clothingImages];
+    const checks = photos.map(image => (image ? photoChecks[image] : undefined));
+    return {
+        pending: checks.some(check => check === undefined),
+        blocked: checks.some(check => check && !check.ok)
+    };
+}
+
+function postAnalysis(endpoint, body, label) {
+    return fetch(endpoint, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body)
+    })
+        .then(response => response.json())
+        .then(data => {
+            if (data.success) {
+                console.log(`${label} analysis ready${data.cached ? ' (cached)' : ''}`);
+            }
+            return data;
+        })
+        .catch(error => console.log(`${label} analysis prefetch failed:`, error));
 }
 
 // Utility Functions
@@ -362,7 +847,13 @@ function updateTryOnButton() {
     console.log('- userImageData:', userImageData);
     console.log('- clothingImages.length:', clothingImages.length);
     
-    if (hasUserImage && hasClothingImages) {
+    const preflight = getPreflightState();
+    preflightStatus.textContent = !hasUserImage || !hasClothingImages ? ''
+        : preflight.pending ? 'Checking your photos...'
+        : preflight.blocked ? 'Fix the photo problems marked above to continue'
+        : '';
+    
+    if (hasUserImage && hasClothingImages && !preflight.pending && !preflight.blocked) {
         tryOnBtn.disabled = false;
         tryOnBtn.style.opacity = '1';
         console.log('Button ENABLED');
@@ -388,38 +879,168 @@ async function generateTryOnImage() {
     try {
         // Show loading
         showLoading();
+        clearResults();
+        openProgressStream();
         
         // Prepare data
-        const userImageDataToSend = userImageFile ? await fileToDataURL(userImageFile) : userImageData;
+        const userImageDataToSend = userImageFile ? await userImageUpload : userImageData;
+        const people = [userImageDataToSend, ...extraPersonImages];
         const style = getSelectedStyle();
         const imageCount = getSelectedImageCount();
         const customPromptText = customPrompt.value.trim();
         const generateVideo = generateVideoToggle.checked;
-        const videoPromptText = videoPrompt.value.trim();
         
         // Generate prompts
-        const prompts = await createPrompts(userImageDataToSend, clothingImages, style, imageCount, customPromptText);
+        const { prompts, outfit } = await createPrompts(people, clothingImages, style, imageCount, customPromptText);
         
-        // Generate images
-        const result = await callFalAI(prompts, clothingImages, imageCount, userImageDataToSend);
+        // Generate images (the server sends the garments in the outfit's layering order)
+        const result = await callFalAI(prompts, clothingImages, imageCount, people, outfit);
         
         // Display results
-        displayResult(result, prompts);
+        displayResult(result, prompts, people.length > 1 ? imageCount : null);
         
         // Generate videos if enabled
         if (generateVideo && result.success && result.data.images) {
-            await generateVideosFromImages(result.data.images, videoPromptText);
+            await generateVideosFromImages(result.data.images);
         }
         
     } catch (error) {
         console.error('Error generating image:', error);
-        alert('Failed to generate image. Please try again.');
+        alert(error.usageLimit || error.contentBlocked ? error.message : 'Failed to generate image. Please try again.');
     } finally {
         hideLoading();
+        closeProgressStream();
+        loadUsage();
+        if (currentUser) {
+            loadHistory();
+        }
+    }
+}
+
+// Progress Stream (Server-Sent Events)
+function createRunId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+    }
+    return Date.now().toString(36) + Math.random().toString(36).slice(2);
+}
+
+function getClientId() {
+    try {
+        let clientId = localStorage.getItem(CLIENT_ID_STORAGE_KEY);
+        if (!clientId) {
+            clientId = createRunId();
+            localStorage.setItem(CLIENT_ID_STORAGE_KEY, clientId);
+        }
+        return clientId;
+    } catch (error) {
+        // Storage can be unavailable (private mode); fall back to per-run assignment
+        return null;
+    }
+}
+
+function openProgressStream() {
+    closeProgressStream();
+    currentRunId = createRunId();
+    
+    if (!window.EventSource) {
+        console.log('EventSource not supported, live progress disabled');
+        return;
+    }
+    
+    progressSource = new EventSource(`/api/progress/${currentRunId}`);
+    
+    const on = (type, handler) => {
+        progressSource.addEventListener(type, (event) => handler(JSON.parse(event.data)));
+    };
+    
+    on('analysis-started', (data) => {
+        const userText = data.person !== undefined ? `Studying the photo of person ${data.person + 1}...` : 'Studying your photo...';
+        setLoadingStage(
+            'Analyzing Your Photos',
+            data.target === 'user' ? userText : 'Studying the clothing items...'
+        );
+    });
+    
+    on('analysis-done', (data) => {
+        console.log(`Analysis of ${data.target} done (success: ${data.success}, cached: ${data.cached})`);
+        if (data.cached) {
+            setLoadingStage('Analyzing Your Photos', 'Using saved analysis...');
+        }
+    });
+    
+    on('prompts-ready', (data) => {
+        // Multi-person prompt sets arrive one person at a time and are shown together once all are written
+        if (data.person !== undefined) {
+            setLoadingStage('Writing Prompts', `${data.prompts.length} unique prompt(s) ready for person ${data.person + 1}`);
+            return;
+        }
+        setLoadingStage('Writing Prompts', `${data.prompts.length} unique prompt(s) ready`);
+        generatedPromptSources = data.sources || [];
+        displayPrompts(data.prompts);
+    });
+    
+    on('image-started', (data) => {
+        const person = data.person !== undefined ? ` for person ${data.person + 1}` : '';
+        setLoadingStage('Generating Your Images', `Creating image ${data.index + 1} of ${data.total}${person}...`);
+    });
+    
+    on('image-done', (data) => {
+        displayResultImage(data.url, data.index, data.person, { score: data.score, provenanceId: data.provenanceId });
+    });
+    
+    on('image-retry', (data) => {
+        setLoadingStage('Generating Your Images', `Image ${data.index + 1} scored ${data.score}/10, trying again for a better result...`);
+    });
+    
+    on('images-ranked', (data) => {
+        data.ranks.forEach(({ index, rank }) => applyResultRank(index, rank));
+    });
+    
+    on('image-failed', (data) => {
+        console.error(`Image ${data.index + 1} failed:`, data.error);
+    });
+    
+    on('image-blocked', (data) => {
+        displayBlockedImage(data.url, data.index, data.person);
+    });
+    
+    on('video-started', (data) => {
+        showVideoLoading(data.index + 1, data.total);
+    });
+    
+    on('video-done', (data) => {
+        displayVideo(data.url, data.index + 1, data.preset);
+        updateVideoProgress();
+    });
+    
+    on('video-failed', (data) => {
+        showVideoError(data.index + 1, data.error);
+        updateVideoProgress();
+    });
+    
+    on('video-blocked', (data) => {
+        displayBlockedVideo(data.url, data.index + 1);
+        updateVideoProgress();
+    });
+}
+
+function closeProgressStream() {
+    if (progressSource) {
+        progressSource.close();
+        progressSource = null;
     }
 }
 
-async function createPrompts(userImageData, clothingImages, style, imageCount, customPromptText) {
+function setLoadingStage(title, text) {
+    loadingStageTitle.textContent = title;
+    loadingStageText.textContent = text;
+}
+
+// `people` is the list of person photos; with more than one, a prompt set is
+// written per person and returned one person after another. Resolves to
+// { prompts, outfit } where outfit is the garments' layering order.
+async function createPrompts(people, clothingImages, style, imageCount, customPromptText) {
     try {
         const response = await fetch('/api/generate-prompt', {
             method: 'POST',
@@ -427,29 +1048,54 @@ async function createPrompts(userImageData, clothingImages, style, imageCount, c
                 'Content-Type': 'application/json',
             },
             body: JSON.stringify({
-                userImageData: userImageData,
+                userImageData: people.length === 1 ? people[0] : undefined,
+                userImages: people.length > 1 ? people : undefined,
                 clothingImages: clothingImages,
+                outfit: getOutfitChoices(),
                 style: style,
                 imageCount: imageCount,
-                customPrompt: customPromptText
+                customPrompt: customPromptText,
+                runId: currentRunId,
+                clientId: getClientId()
             })
         });
         
+        const limitError = await usageLimitError(response);
+        if (limitError) {
+            throw limitError;
+        }
+        
+        const blockedError = await moderationError(response);
+        if (blockedError) {
+            throw blockedError;
+        }
+        
         if (!response.ok) {
             throw new Error('Failed to generate prompts');
         }
         
         const data = await response.json();
-        return data.prompts || [];
+        generatedPromptSources = (data.promptDetails || []).map(detail => detail.source);
+        if (data.fallbackCount > 0) {
+            console.warn(`${data.fallbackCount} prompt(s) fell back to templates`);
+        }
+        return { prompts: data.prompts || [], outfit: data.outfit || null };
         
     } catch (error) {
+        if (error.usageLimit || error.contentBlocked) {
+            throw error;
+        }
         console.error('Error generating prompts:', error);
+        generatedPromptSources = ['fallback'];
         // Fallback prompt
-        return [`Replace the person's current clothing with the uploaded clothing items. Create a ${style} style look with professional styling and high-quality appearance.`];
+        return {
+            prompts: [`Replace the person's current clothing with the uploaded clothing items. Create a ${style} style look with professional styling and high-quality appearance.`],
+            outfit: null
+        };
     }
 }
 
-async function callFalAI(prompts, imageUrls, imageCount, userImageData) {
+async function callFalAI(prompts, imageUrls, imageCount, people, outfit) {
     const response = await fetch('/api/generate-try-on', {
         method: 'POST',
         headers: {
@@ -459,91 +1105,786 @@ async function callFalAI(prompts, imageUrls, imageCount, userImageData) {
             prompts: prompts,
             image_urls: imageUrls,
             image_count: imageCount,
-            user_image: userImageData
+            user_image: people.length === 1 ? people[0] : undefined,
+            user_images: people.length > 1 ? people : undefined,
+            outfit: outfit || undefined,
+            runId: currentRunId
         })
     });
     
+    const limitError = await usageLimitError(response);
+    if (limitError) {
+        throw limitError;
+    }
+    
+    const blockedError = await moderationError(response);
+    if (blockedError) {
+        throw blockedError;
+    }
+    
     if (!response.ok) {
         throw new Error('Failed to generate image');
     }
     
-    return await response.json();
+    const { jobId } = await response.json();
+    console.log('Try-on job queued:', jobId);
+    
+    return await pollJob(jobId);
 }
 
-function displayResult(result, generatedPrompts) {
+// Poll a background job until it completes or fails
+async function pollJob(jobId) {
+    while (true) {
+        await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+        
+        const response = await fetch(`/api/jobs/${jobId}`);
+        if (!response.ok) {
+            throw new Error('Failed to get job status');
+        }
+        
+        const { job } = await response.json();
+        console.log(`Job ${jobId}: ${job.status} (${job.completed}/${job.total})`);
+        
+        if (job.status === 'completed') {
+            return {
+                success: true,
+                data: job.data,
+                requestIds: job.data.requestIds,
+                jobId: job.id
+            };
+        }
+        
+        if (job.status === 'failed') {
+            const error = new Error(job.error || 'Image generation failed');
+            error.contentBlocked = job.results.length > 0 && job.results.every(result => result.status === 'blocked');
+            throw error;
+        }
+    }
+}
+
+function displayResult(result, generatedPrompts, promptsPerPerson = null) {
     if (!result.success || !result.data.images) {
         throw new Error('Invalid result from API');
     }
     
-    // Store generated image URLs
-    generatedImageUrls = result.data.images.map(img => img.url);
-    
-    // Clear previous results
-    resultImages.innerHTML = '';
-    
-    // Display images
+    // Add any images the progress stream has not already shown. Multi-person
+    // results carry the person's index and are grouped per person.
     result.data.images.forEach((imageData, index) => {
-        const imageItem = document.createElement('div');
-        imageItem.className = 'result-image-item fade-in-up';
-        imageItem.style.animationDelay = `${index * 0.1}s`;
-        
-        imageItem.innerHTML = `
-            <img src="${imageData.url}" alt="Generated image ${index + 1}" loading="lazy">
-            <div class="image-info">
-                <div class="image-number">Image ${index + 1}</div>
-                <button class="download-single-btn" data-image-url="${imageData.url}" data-image-number="${index + 1}">
-                    <i class="fas fa-download"></i>
-                    Download
-                </button>
-            </div>
-        `;
-        
-        // Add event listener for download button
-        const downloadBtn = imageItem.querySelector('.download-single-btn');
-        downloadBtn.addEventListener('click', () => {
-            const imageUrl = downloadBtn.getAttribute('data-image-url');
-            const imageNumber = downloadBtn.getAttribute('data-image-number');
-            downloadSingleImage(imageUrl, imageNumber);
-        });
-        
-        resultImages.appendChild(imageItem);
+        const imageIndex = imageData.index !== undefined ? imageData.index : index;
+        displayResultImage(imageData.url, imageIndex, imageData.person, imageData);
+        applyResultRank(imageIndex, imageData.rank);
     });
     
     // Display prompts
-    if (generatedPrompts && generatedPrompts.length > 0) {
-        promptText.textContent = generatedPrompts.join('\n\n---\n\n');
-        promptDisplay.style.display = 'block';
-    }
+    displayPrompts(generatedPrompts, promptsPerPerson);
     
     // Show results section
     resultsSection.style.display = 'block';
     downloadSection.style.display = 'block';
-    
-    // Scroll to results
-    resultsSection.scrollIntoView({ behavior: 'smooth' });
-}
-
-// Loading Functions
-function showLoading() {
-    tryOnBtn.classList.add('loading');
-    loadingSpinner.style.display = 'block';
-    resultsSection.style.display = 'block';
 }
 
-function hideLoading() {
-    tryOnBtn.classList.remove('loading');
-    loadingSpinner.style.display = 'none';
+function clearResults() {
+    generatedImageUrls = [];
+    videoChoices = {};
+    reelChoices = {};
+    clearTimeout(reelPollTimer);
+    reelResult.innerHTML = '';
+    generatedPromptSources = [];
+    resultImages.innerHTML = '';
+    promptDisplay.style.display = 'none';
+    promptText.textContent = '';
 }
 
-// Prompt Display Functions
-function togglePromptDisplay() {
-    const isShowing = promptContent.classList.contains('show');
-    if (isShowing) {
-        promptContent.classList.remove('show');
-        togglePromptBtn.innerHTML = '<i class="fas fa-eye"></i><span>Show Details</span>';
-    } else {
-        promptContent.classList.add('show');
-        togglePromptBtn.innerHTML = '<i class="fas fa-eye-slash"></i><span>Hide Details</span>';
+// Each prompt is labelled with where it came from, so template fallbacks are visible.
+// Multi-person prompts come one person after another, `promptsPerPerson` each.
+function displayPrompts(generatedPrompts, promptsPerPerson = null) {
+    if (generatedPrompts && generatedPrompts.length > 0) {
+        promptText.textContent = generatedPrompts.map((prompt, index) => {
+            const label = generatedPromptSources[index] === 'fallback' ? 'fallback template' : 'AI generated';
+            const title = promptsPerPerson
+                ? `Person ${Math.floor(index / promptsPerPerson) + 1}, prompt ${(index % promptsPerPerson) + 1}`
+                : `Prompt ${index + 1}`;
+            return `${title} (${label}):\n${prompt}`;
+        }).join('\n\n---\n\n');
+        promptDisplay.style.display = 'block';
+    }
+}
+
+// The tile container for a person's images, created in person order
+function getPersonGroup(person) {
+    const existing = resultImages.querySelector(`[data-person="${person}"]`);
+    if (existing) {
+        return existing.querySelector('.result-person-images');
+    }
+    
+    const group = document.createElement('div');
+    group.className = 'result-person-group';
+    group.dataset.person = person;
+    group.innerHTML = `
+        <h4 class="result-person-title"><i class="fas fa-user"></i> Person ${person + 1}</h4>
+        <div class="result-person-images"></div>
+    `;
+    
+    const nextGroup = Array.from(resultImages.children)
+        .find(item => parseInt(item.dataset.person) > person);
+    resultImages.insertBefore(group, nextGroup || null);
+    return group.querySelector('.result-person-images');
+}
+
+// Add one generated image to the page, keeping tiles in image order.
+// Images with a `person` (multi-person mode) go into that person's group.
+// `details` may hold the judge's `score`, shown under the image, and the
+// image's `provenanceId`, which lets signed-in users reproduce it.
+function displayResultImage(url, index, person, details = {}) {
+    const { score, provenanceId } = details;
+    if (resultImages.querySelector(`[data-result-index="${index}"]`)) {
+        return;
+    }
+    
+    const container = person !== undefined && person !== null ? getPersonGroup(person) : resultImages;
+    
+    const isFirstImage = resultImages.querySelectorAll('[data-result-index]').length === 0;
+    generatedImageUrls[index] = url;
+    
+    const imageItem = document.createElement('div');
+    imageItem.className = 'result-image-item fade-in-up';
+    imageItem.dataset.resultIndex = index;
+    
+    imageItem.innerHTML = `
+        <img src="${url}" alt="Generated image ${index + 1}" loading="lazy">
+        <div class="image-info">
+            <div class="image-number">Image ${index + 1}</div>
+            <div class="feedback-buttons">
+                <button class="feedback-btn" data-rating="up" title="I like this result">
+                    <i class="fas fa-thumbs-up"></i>
+                </button>
+                <button class="feedback-btn" data-rating="down" title="I don't like this result">
+                    <i class="fas fa-thumbs-down"></i>
+                </button>
+            </div>
+            <div class="result-actions">
+                <button class="download-single-btn" data-image-url="${url}" data-image-number="${index + 1}">
+                    <i class="fas fa-download"></i>
+                    Download
+                </button>
+                ${provenanceId && currentUser ? `
+                <button class="btn-secondary reproduce-btn" title="Generate this image again with the same prompt, inputs, model version and seed">
+                    <i class="fas fa-clone"></i>
+                    Reproduce
+                </button>` : ''}
+            </div>
+        </div>
+    `;
+    if (score) {
+        imageItem.querySelector('.image-number').after(buildResultScore(score));
+    }
+    imageItem.appendChild(buildVideoChoice(index));
+    
+    // Feedback and downloads are reported against the run that produced the image
+    const runId = currentRunId;
+    
+    // Add event listener for download button
+    const downloadBtn = imageItem.querySelector('.download-single-btn');
+    downloadBtn.addEventListener('click', () => {
+        const imageUrl = downloadBtn.getAttribute('data-image-url');
+        const imageNumber = downloadBtn.getAttribute('data-image-number');
+        downloadSingleImage(imageUrl, imageNumber);
+        reportDownload(runId, index);
+    });
+    
+    imageItem.querySelectorAll('.feedback-btn').forEach(button => {
+        button.addEventListener('click', () => sendFeedback(runId, index, button));
+    });
+    
+    const reproduceBtn = imageItem.querySelector('.reproduce-btn');
+    if (reproduceBtn) {
+        reproduceBtn.addEventListener('click', () => reproduceResult(provenanceId));
+    }
+    
+    const nextItem = Array.from(container.children)
+        .find(item => parseInt(item.dataset.resultIndex) > index);
+    container.insertBefore(imageItem, nextItem || null);
+    
+    resultsSection.style.display = 'block';
+    downloadSection.style.display = 'block';
+    
+    updateReelBuilder();
+    
+    // Scroll to results when the first image arrives
+    if (isFirstImage) {
+        resultsSection.scrollIntoView({ behavior: 'smooth' });
+    }
+}
+
+const SCORE_LABELS = {
+    identity: 'Likeness',
+    garmentFidelity: 'Garment',
+    otherClothing: 'Other clothes',
+    artifacts: 'Artifacts'
+};
+
+// The judge's overall score with its breakdown and any issues it found
+function buildResultScore(score) {
+    const block = document.createElement('div');
+    block.className = 'result-score';
+    block.innerHTML = `
+        <div class="result-score-overall" title="Automatic quality score">
+            <i class="fas fa-star"></i> ${score.overall.toFixed(1)}/10
+        </div>
+        <ul class="result-score-breakdown">
+            ${Object.keys(SCORE_LABELS).map(field => `<li>${SCORE_LABELS[field]} <strong>${score[field]}</strong></li>`).join('')}
+        </ul>
+    `;
+    
+    if (score.issues && score.issues.length > 0) {
+        const issues = document.createElement('ul');
+        issues.className = 'result-score-issues';
+        score.issues.forEach(issue => {
+            const item = document.createElement('li');
+            item.textContent = issue;
+            issues.appendChild(item);
+        });
+        block.appendChild(issues);
+    }
+    return block;
+}
+
+// Order a tile by its rank among the person's images and badge the best one
+function applyResultRank(index, rank) {
+    const imageItem = resultImages.querySelector(`[data-result-index="${index}"]`);
+    if (!imageItem || !rank) {
+        return;
+    }
+    
+    imageItem.style.order = rank;
+    imageItem.dataset.rank = rank;
+    const badge = imageItem.querySelector('.best-match-badge');
+    if (rank === 1 && !badge) {
+        const newBadge = document.createElement('span');
+        newBadge.className = 'best-match-badge';
+        newBadge.innerHTML = '<i class="fas fa-trophy"></i> Best match';
+        imageItem.prepend(newBadge);
+    } else if (rank !== 1 && badge) {
+        badge.remove();
+    }
+}
+
+// A result that content moderation withheld: the placeholder, without download or video options
+function displayBlockedImage(url, index, person) {
+    if (resultImages.querySelector(`[data-result-index="${index}"]`)) {
+        return;
+    }
+    
+    const container = person !== undefined && person !== null ? getPersonGroup(person) : resultImages;
+    
+    const imageItem = document.createElement('div');
+    imageItem.className = 'result-image-item blocked fade-in-up';
+    imageItem.dataset.resultIndex = index;
+    imageItem.innerHTML = `
+        <img src="${url}" alt="Image ${index + 1} was blocked" loading="lazy">
+        <div class="image-info">
+            <div class="image-number">Image ${index + 1}</div>
+            <span class="blocked-note"><i class="fas fa-ban"></i> Blocked by content moderation</span>
+        </div>
+    `;
+    
+    const nextItem = Array.from(container.children)
+        .find(item => parseInt(item.dataset.resultIndex) > index);
+    container.insertBefore(imageItem, nextItem || null);
+    
+    resultsSection.style.display = 'block';
+}
+
+// Result Feedback (used to compare prompt template versions)
+async function sendFeedback(runId, index, button) {
+    if (!runId) {
+        return;
+    }
+    
+    const buttons = button.parentElement.querySelectorAll('.feedback-btn');
+    buttons.forEach(other => {
+        other.disabled = true;
+    });
+    
+    try {
+        const response = await fetch('/api/feedback', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ runId: runId, index: index, rating: button.dataset.rating })
+        });
+        
+        if (!response.ok) {
+            throw new Error('Failed to send feedback');
+        }
+        
+        button.classList.add('selected');
+    } catch (error) {
+        console.error('Error sending feedback:', error);
+        buttons.forEach(other => {
+            other.disabled = false;
+        });
+    }
+}
+
+function reportDownload(runId, index) {
+    if (!runId) {
+        return;
+    }
+    
+    fetch('/api/events/download', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ runId: runId, index: index })
+    }).catch(error => console.error('Error reporting download:', error));
+}
+
+// Account
+async function loadAccount() {
+    try {
+        const response = await fetch('/api/auth/me');
+        const data = await response.json();
+        setCurrentUser(data.user);
+    } catch (error) {
+        console.error('Error loading account:', error);
+    }
+}
+
+function setCurrentUser(user) {
+    currentUser = user || null;
+    
+    signInBtn.style.display = currentUser ? 'none' : '';
+    signOutBtn.style.display = currentUser ? '' : 'none';
+    accountEmail.style.display = currentUser ? '' : 'none';
+    accountEmail.textContent = currentUser ? (currentUser.name || currentUser.email) : '';
+    historyNavLink.style.display = currentUser ? '' : 'none';
+    batchNavLink.style.display = currentUser ? '' : 'none';
+    historySection.style.display = currentUser ? 'block' : 'none';
+    customStyleForm.style.display = currentUser ? '' : 'none';
+    
+    // Limits depend on the plan, so reload them whenever the account changes
+    loadUsage();
+    // Custom styles belong to the account
+    loadStyles();
+    
+    if (currentUser) {
+        loadHistory();
+        loadApiKeys();
+        loadReelOptions();
+    } else {
+        reelOptions = null;
+        updateReelBuilder();
+        historyGrid.innerHTML = '';
+        apiKeyList.innerHTML = '';
+        apiKeyCreated.style.display = 'none';
+    }
+}
+
+function openAuthModal(mode) {
+    setAuthMode(mode);
+    authForm.reset();
+    authModal.style.display = 'flex';
+    authEmail.focus();
+}
+
+function closeAuthModal() {
+    authModal.style.display = 'none';
+    authError.textContent = '';
+}
+
+function setAuthMode(mode) {
+    authMode = mode;
+    const isSignup = mode === 'signup';
+    
+    authTitle.textContent = isSignup ? 'Create Account' : 'Sign In';
+    authSubmitBtn.textContent = isSignup ? 'Create Account' : 'Sign In';
+    authNameField.style.display = isSignup ? 'flex' : 'none';
+    authPassword.autocomplete = isSignup ? 'new-password' : 'current-password';
+    authSwitchText.textContent = isSignup ? 'Already have an account?' : 'No account yet?';
+    authSwitchBtn.textContent = isSignup ? 'Sign in' : 'Create one';
+    authError.textContent = '';
+}
+
+async function submitAuth(event) {
+    event.preventDefault();
+    authError.textContent = '';
+    authSubmitBtn.disabled = true;
+    
+    const body = {
+        email: authEmail.value.trim(),
+        password: authPassword.value
+    };
+    if (authMode === 'signup' && authName.value.trim()) {
+        body.name = authName.value.trim();
+    }
+    
+    try {
+        const response = await fetch(`/api/auth/${authMode}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            authError.textContent = data.error || 'Could not sign in';
+            return;
+        }
+        
+        closeAuthModal();
+        setCurrentUser(data.user);
+    } catch (error) {
+        console.error('Error signing in:', error);
+        authError.textContent = 'Could not sign in. Please try again.';
+    } finally {
+        authSubmitBtn.disabled = false;
+    }
+}
+
+async function signOut() {
+    try {
+        await fetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+        console.error('Error signing out:', error);
+    }
+    setCurrentUser(null);
+}
+
+// Usage and plan limits
+async function loadUsage() {
+    try {
+        const response = await fetch('/api/usage');
+        const data = await response.json();
+        renderUsage(data.usage);
+    } catch (error) {
+        console.error('Error loading usage:', error);
+    }
+}
+
+function renderUsage(usage) {
+    currentUsage = usage;
+    
+    usageInfo.textContent = `${usage.remaining} of ${usage.limit} try-ons left this month on the ${usage.planName} plan` +
+        ` · up to ${usage.maxImagesPerGeneration} image(s) per generation`;
+    usageInfo.classList.toggle('exhausted', usage.remaining === 0);
+    
+    // Image counts above the plan's limit cannot be selected
+    imageCountBtns.forEach(btn => {
+        btn.disabled = parseInt(btn.dataset.count) > usage.maxImagesPerGeneration;
+    });
+    if (getSelectedImageCount() > usage.maxImagesPerGeneration) {
+        const allowedBtn = document.querySelector(`.count-btn[data-count="${usage.maxImagesPerGeneration}"]`);
+        if (allowedBtn) {
+            selectImageCount(allowedBtn);
+        }
+    }
+}
+
+// 402 (plan limit) and 429 (monthly quota) responses carry a message for the user
+async function usageLimitError(response) {
+    if (response.status !== 402 && response.status !== 429) {
+        return null;
+    }
+    
+    const data = await response.json().catch(() => ({}));
+    if (data.usage) {
+        renderUsage(data.usage);
+    }
+    
+    const error = new Error(data.error || 'You have reached the limit of your plan.');
+    error.usageLimit = true;
+    return error;
+}
+
+// 422 (content blocked) and 503 (moderation unavailable) responses carry a message for the user
+async function moderationError(response) {
+    if (response.status !== 422 && response.status !== 503) {
+        return null;
+    }
+    
+    const data = await response.clone().json().catch(() => ({}));
+    if (data.code !== 'content_blocked' && data.code !== 'moderation_unavailable') {
+        return null;
+    }
+    
+    const error = new Error(data.error || 'This request was blocked by content moderation.');
+    error.contentBlocked = true;
+    return error;
+}
+
+// History
+async function loadHistory() {
+    try {
+        const response = await fetch('/api/history');
+        if (!response.ok) {
+            throw new Error('Failed to load history');
+        }
+        
+        const { runs } = await response.json();
+        renderHistory(runs);
+    } catch (error) {
+        console.error('Error loading history:', error);
+    }
+}
+
+function renderHistory(runs) {
+    historyGrid.innerHTML = '';
+    historyEmpty.style.display = runs.length === 0 ? 'block' : 'none';
+    
+    runs.forEach(run => {
+        const card = document.createElement('div');
+        card.className = 'history-card';
+        card.innerHTML = `
+            ${run.thumbnailUrl
+                ? `<img src="${run.thumbnailUrl}" alt="Try-on result" loading="lazy">`
+                : '<div class="history-placeholder"><i class="fas fa-image"></i></div>'}
+            <div class="history-info">
+                <h4></h4>
+                <p></p>
+                <div class="history-actions">
+                    <button class="btn-secondary" data-action="view">View</button>
+                    <button class="btn-secondary" data-action="rerun">Re-run</button>
+                    <button class="btn-secondary" data-action="delete">Delete</button>
+                </div>
+            </div>
+        `;
+        
+        // Style names can be user-defined, so they are set as text
+        card.querySelector('h4').textContent = run.styleName || 'Try-on';
+        card.querySelector('p').textContent = `${new Date(run.createdAt).toLocaleString()} · ${run.imageCount} image(s)` +
+            (run.videoCount > 0 ? ` · ${run.videoCount} video(s)` : '') +
+            (run.status === 'failed' ? ' · failed' : '');
+        
+        card.querySelector('[data-action="view"]').addEventListener('click', () => viewHistoryRun(run.id));
+        card.querySelector('[data-action="rerun"]').addEventListener('click', () => rerunHistoryRun(run.id));
+        card.querySelector('[data-action="delete"]').addEventListener('click', () => deleteHistoryRun(run.id));
+        
+        historyGrid.appendChild(card);
+    });
+}
+
+// Show a saved run in the results area
+async function viewHistoryRun(runId) {
+    try {
+        const response = await fetch(`/api/history/${runId}`);
+        if (!response.ok) {
+            throw new Error('Failed to load run');
+        }
+        
+        const { run } = await response.json();
+        
+        clearResults();
+        hideLoading();
+        generatedVideoUrls = [];
+        videosGrid.innerHTML = '';
+        resultVideos.style.display = 'none';
+        currentRunId = run.id;
+        
+        run.outputs.filter(output => output.url).forEach(output => {
+            if (output.status === 'blocked') {
+                displayBlockedImage(output.url, output.index, output.person);
+            } else {
+                displayResultImage(output.url, output.index, output.person, output);
+                applyResultRank(output.index, output.rank);
+            }
+        });
+        run.videos.forEach(video => displayVideo(video.url, video.index + 1, video.preset));
+        displayPrompts(run.prompts);
+        
+        resultsSection.style.display = 'block';
+        resultsSection.scrollIntoView({ behavior: 'smooth' });
+    } catch (error) {
+        console.error('Error viewing run:', error);
+        alert('Could not load this run. Please try again.');
+    }
+}
+
+async function rerunHistoryRun(runId) {
+    try {
+        showLoading();
+        clearResults();
+        openProgressStream();
+        resultsSection.scrollIntoView({ behavior: 'smooth' });
+        
+        const response = await fetch(`/api/history/${runId}/rerun`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ runId: currentRunId })
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to re-run');
+        }
+        
+        const result = await pollJob(data.jobId);
+        displayResult(result, data.prompts);
+        loadUsage();
+    } catch (error) {
+        console.error('Error re-running:', error);
+        alert(`Re-run failed: ${error.message}`);
+    } finally {
+        hideLoading();
+        closeProgressStream();
+        loadHistory();
+    }
+}
+
+// Generate one result again from its provenance record, as a new run
+async function reproduceResult(provenanceId) {
+    try {
+        showLoading();
+        clearResults();
+        openProgressStream();
+        resultsSection.scrollIntoView({ behavior: 'smooth' });
+        
+        const response = await fetch(`/api/provenance/${provenanceId}/reproduce`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ runId: currentRunId })
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to reproduce');
+        }
+        
+        const result = await pollJob(data.jobId);
+        displayResult(result, data.prompts);
+        loadUsage();
+    } catch (error) {
+        console.error('Error reproducing:', error);
+        alert(`Reproduce failed: ${error.message}`);
+    } finally {
+        hideLoading();
+        closeProgressStream();
+        loadHistory();
+    }
+}
+
+async function deleteHistoryRun(runId) {
+    if (!confirm('Delete this try-on and its images from your history?')) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/history/${runId}`, { method: 'DELETE' });
+        if (!response.ok) {
+            throw new Error('Failed to delete run');
+        }
+        loadHistory();
+    } catch (error) {
+        console.error('Error deleting run:', error);
+        alert('Could not delete this run. Please try again.');
+    }
+}
+
+// API keys for the /v1 API (Premium plan)
+async function loadApiKeys() {
+    try {
+        const response = await fetch('/api/keys');
+        if (!response.ok) {
+            throw new Error('Failed to load API keys');
+        }
+        
+        renderApiKeys(await response.json());
+    } catch (error) {
+        console.error('Error loading API keys:', error);
+    }
+}
+
+function renderApiKeys({ keys, apiAccess }) {
+    apiKeyForm.style.display = apiAccess ? 'flex' : 'none';
+    if (!apiAccess) {
+        apiKeysNote.textContent = 'API access is included in the Premium plan.';
+    }
+    
+    apiKeyList.innerHTML = '';
+    keys.forEach(key => {
+        const item = document.createElement('li');
+        item.innerHTML = `
+            <div><strong></strong> <span></span></div>
+            <button class="btn-secondary">Revoke</button>
+        `;
+        item.querySelector('strong').textContent = key.name;
+        item.querySelector('span').textContent = `${key.prefix}… · created ${new Date(key.createdAt).toLocaleDateString()}` +
+            (key.lastUsedAt ? ` · last used ${new Date(key.lastUsedAt).toLocaleDateString()}` : ' · never used');
+        item.querySelector('button').addEventListener('click', () => revokeApiKey(key.id));
+        apiKeyList.appendChild(item);
+    });
+}
+
+async function createApiKey() {
+    try {
+        const response = await fetch('/api/keys', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: apiKeyName.value })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to create API key');
+        }
+        
+        apiKeyName.value = '';
+        apiKeyValue.textContent = data.key;
+        apiKeyCreated.style.display = 'block';
+        loadApiKeys();
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        alert(error.message);
+    }
+}
+
+async function revokeApiKey(keyId) {
+    if (!confirm('Revoke this API key? Requests using it will stop working.')) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/keys/${keyId}`, { method: 'DELETE' });
+        if (!response.ok) {
+            throw new Error('Failed to revoke API key');
+        }
+        apiKeyCreated.style.display = 'none';
+        loadApiKeys();
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        alert('Could not revoke this key. Please try again.');
+    }
+}
+
+// Loading Functions
+function showLoading() {
+    setLoadingStage('Generating Your Images', 'Our AI is creating unique styles for you...');
+    tryOnBtn.classList.add('loading');
+    loadingSpinner.style.display = 'block';
+    resultsSection.style.display = 'block';
+}
+
+function hideLoading() {
+    tryOnBtn.classList.remove('loading');
+    loadingSpinner.style.display = 'none';
+}
+
+// Prompt Display Functions
+function togglePromptDisplay() {
+    const isShowing = promptContent.classList.contains('show');
+    if (isShowing) {
+        promptContent.classList.remove('show');
+        togglePromptBtn.innerHTML = '<i class="fas fa-eye"></i><span>Show Details</span>';
+    } else {
+        promptContent.classList.add('show');
+        togglePromptBtn.innerHTML = '<i class="fas fa-eye-slash"></i><span>Hide Details</span>';
     }
 }
 
@@ -575,6 +1916,7 @@ function downloadAllImages() {
     generatedImageUrls.forEach((url, index) => {
         setTimeout(() => {
             downloadImage(url, `try-on-image-${index + 1}.jpg`);
+            reportDownload(currentRunId, index);
         }, index * 500); // Stagger downloads
     });
 }
@@ -599,6 +1941,38 @@ function downloadImage(url, filename) {
 }
 
 // Utility Functions
+// The server checks and normalizes the image and resolves to its /media URL
+async function uploadImage(file) {
+    const formData = new FormData();
+    formData.append('images', file);
+    
+    const response = await fetch('/api/upload-images', {
+        method: 'POST',
+        body: formData
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.success) {
+        throw new Error(data.error || 'Upload failed');
+    }
+    return data.images[0].url;
+}
+
+// The server downloads a pasted URL, checks it like an upload and resolves to its /media URL
+async function importImageUrl(url) {
+    const response = await fetch('/api/import-images', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ urls: [url] })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.success) {
+        throw new Error(data.error || 'Import failed');
+    }
+    return data.images[0].url;
+}
+
 function fileToDataURL(file) {
     return new Promise((resolve, reject) => {
         const reader = new FileReader();
@@ -708,7 +2082,168 @@ function toggleVideoGeneration() {
     videoPromptSection.style.display = isEnabled ? 'block' : 'none';
 }
 
-async function generateVideosFromImages(images, videoPromptText) {
+async function loadVideoPresets() {
+    try {
+        const response = await fetch('/api/video-presets');
+        if (!response.ok) {
+            throw new Error('Failed to load video presets');
+        }
+        
+        const data = await response.json();
+        videoPresetList = data.presets;
+        videoOptions = data.options;
+        defaultVideoPresetId = data.defaultPreset;
+        
+        fillPresetSelect(videoPresetSelect, null);
+        videoPresetSelect.value = defaultVideoPresetId;
+        fillOptionSelect(videoDuration, videoOptions.durations, duration => `${duration} seconds`, 'Model default');
+        fillOptionSelect(videoAspectRatio, videoOptions.aspectRatios, ratio => ratio, 'Model default');
+        videoDurationField.style.display = videoOptions.durations.length > 0 ? 'block' : 'none';
+        videoAspectRatioField.style.display = videoOptions.aspectRatios.length > 0 ? 'block' : 'none';
+    } catch (error) {
+        console.error('Error loading video presets:', error);
+    }
+}
+
+// Preset choices plus "Custom prompt"; `inheritLabel` adds a first option that
+// keeps the setting from the Video Generation card
+function fillPresetSelect(select, inheritLabel) {
+    select.innerHTML = '';
+    const choices = [
+        ...(inheritLabel ? [{ id: '', name: inheritLabel }] : []),
+        ...videoPresetList,
+        { id: 'custom', name: 'Custom prompt' }
+    ];
+    choices.forEach(choice => {
+        const option = document.createElement('option');
+        option.value = choice.id;
+        option.textContent = choice.name;
+        if (choice.description) {
+            option.title = choice.description;
+        }
+        select.appendChild(option);
+    });
+}
+
+// `emptyLabel` names a first "no choice" option; pass null to leave it out
+function fillOptionSelect(select, values, format, emptyLabel) {
+    select.innerHTML = '';
+    (emptyLabel === null ? values : [''].concat(values)).forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = value === '' ? emptyLabel : format(value);
+        select.appendChild(option);
+    });
+}
+
+// Video settings from the Video Generation card
+function getDefaultVideoSettings() {
+    return {
+        preset: videoPresetSelect.value || defaultVideoPresetId,
+        prompt: videoPrompt.value.trim(),
+        duration: videoDuration.value ? parseInt(videoDuration.value) : null,
+        aspectRatio: videoAspectRatio.value || null
+    };
+}
+
+// Settings for one result image: its own picks over the card's defaults.
+// A custom prompt only counts when something was typed.
+function getVideoSettings(index) {
+    const defaults = getDefaultVideoSettings();
+    const choice = videoChoices[index] || {};
+    const preset = choice.preset || defaults.preset;
+    const prompt = choice.preset ? choice.prompt : defaults.prompt;
+    const settings = {
+        duration: choice.duration || defaults.duration,
+        aspectRatio: choice.aspectRatio || defaults.aspectRatio
+    };
+    
+    if (preset === 'custom' && prompt) {
+        settings.prompt = prompt;
+    } else {
+        settings.preset = preset === 'custom' ? defaultVideoPresetId : preset;
+    }
+    return settings;
+}
+
+function getPresetName(presetId) {
+    const preset = videoPresetList.find(item => item.id === presetId);
+    return preset ? preset.name : 'Custom prompt';
+}
+
+// Per-image motion picker and "Make video" button on a result tile
+function buildVideoChoice(index) {
+    const panel = document.createElement('details');
+    panel.className = 'video-choice';
+    panel.innerHTML = `
+        <summary><i class="fas fa-video"></i> Video settings</summary>
+        <select class="video-select" data-field="preset" aria-label="Motion"></select>
+        <input type="text" class="video-choice-prompt" data-field="prompt" maxlength="1000" placeholder="Describe the motion" style="display: none;">
+        <div class="video-option-row">
+            <select class="video-select" data-field="duration" aria-label="Duration"></select>
+            <select class="video-select" data-field="aspectRatio" aria-label="Aspect ratio"></select>
+        </div>
+        <button type="button" class="video-download-btn make-video-btn">
+            <i class="fas fa-film"></i>
+            Make video
+        </button>
+    `;
+    
+    const presetSelect = panel.querySelector('[data-field="preset"]');
+    const promptInput = panel.querySelector('[data-field="prompt"]');
+    const durationSelect = panel.querySelector('[data-field="duration"]');
+    const aspectRatioSelect = panel.querySelector('[data-field="aspectRatio"]');
+    
+    fillPresetSelect(presetSelect, 'Same as Video Generation');
+    fillOptionSelect(durationSelect, videoOptions.durations, duration => `${duration} seconds`, 'Default duration');
+    fillOptionSelect(aspectRatioSelect, videoOptions.aspectRatios, ratio => ratio, 'Default aspect ratio');
+    durationSelect.style.display = videoOptions.durations.length > 0 ? '' : 'none';
+    aspectRatioSelect.style.display = videoOptions.aspectRatios.length > 0 ? '' : 'none';
+    
+    const update = () => {
+        promptInput.style.display = presetSelect.value === 'custom' ? 'block' : 'none';
+        videoChoices[index] = {
+            preset: presetSelect.value || null,
+            prompt: promptInput.value.trim(),
+            duration: durationSelect.value ? parseInt(durationSelect.value) : null,
+            aspectRatio: aspectRatioSelect.value || null
+        };
+    };
+    [presetSelect, durationSelect, aspectRatioSelect].forEach(select => select.addEventListener('change', update));
+    promptInput.addEventListener('input', update);
+    
+    panel.querySelector('.make-video-btn').addEventListener('click', (event) => makeVideoForImage(index, event.currentTarget));
+    return panel;
+}
+
+// Make (or remake) the video for one result image with its own settings
+async function makeVideoForImage(index, button) {
+    const imageUrl = generatedImageUrls[index];
+    if (!imageUrl) {
+        return;
+    }
+    
+    button.disabled = true;
+    const existing = videosGrid.querySelector(`[data-video-number="${index + 1}"]`);
+    
+    try {
+        const settings = getVideoSettings(index);
+        const videoResult = await generateVideo(imageUrl, settings, index, 1);
+        if (existing) {
+            existing.remove();
+        }
+        displayVideo(videoResult.videoUrl, index + 1, videoResult.preset);
+        downloadAllVideosBtn.style.display = 'inline-flex';
+    } catch (error) {
+        console.error(`Error generating video ${index + 1}:`, error);
+        alert(error.usageLimit ? error.message : `Video ${index + 1} failed: ${error.message}`);
+    } finally {
+        button.disabled = false;
+        loadUsage();
+    }
+}
+
+async function generateVideosFromImages(images) {
     if (!images || images.length === 0) {
         console.log('No images available for video generation');
         return;
@@ -723,24 +2258,21 @@ async function generateVideosFromImages(images, videoPromptText) {
     generatedVideoUrls = [];
     videosGrid.innerHTML = '';
     
-    // Generate videos for each image
+    // Generate videos for each image, each with the settings picked on it.
+    // Progress and results arrive on the progress stream; the responses are
+    // only used if the stream missed them.
     for (let i = 0; i < images.length; i++) {
         const image = images[i];
-        const videoPrompt = videoPromptText || "Rotate the outfit, keep everything else still";
         
         try {
             console.log(`Generating video ${i + 1}/${images.length} for image:`, image.url);
             
-            // Show loading state for this video
-            showVideoLoading(i + 1, images.length);
-            
             // Call video generation API
-            const videoResult = await generateVideo(image.url, videoPrompt);
+            const videoResult = await generateVideo(image.url, getVideoSettings(i), i, images.length);
             
             if (videoResult.success) {
                 console.log(`Video ${i + 1} generated successfully:`, videoResult.videoUrl);
-                generatedVideoUrls.push(videoResult.videoUrl);
-                displayVideo(videoResult.videoUrl, i + 1);
+                displayVideo(videoResult.videoUrl, i + 1, videoResult.preset);
             } else {
                 console.error(`Failed to generate video ${i + 1}:`, videoResult.error);
                 showVideoError(i + 1, videoResult.error);
@@ -760,7 +2292,8 @@ async function generateVideosFromImages(images, videoPromptText) {
     }
 }
 
-async function generateVideo(imageUrl, prompt) {
+// `settings` is { preset } or { prompt }, plus optional duration and aspectRatio
+async function generateVideo(imageUrl, settings, index, total) {
     const response = await fetch('/api/generate-video', {
         method: 'POST',
         headers: {
@@ -768,12 +2301,26 @@ async function generateVideo(imageUrl, prompt) {
         },
         body: JSON.stringify({
             imageUrl: imageUrl,
-            prompt: prompt
+            ...settings,
+            runId: currentRunId,
+            index: index,
+            total: total
         })
     });
     
+    const limitError = await usageLimitError(response);
+    if (limitError) {
+        throw limitError;
+    }
+    
+    const blockedError = await moderationError(response);
+    if (blockedError) {
+        throw blockedError;
+    }
+    
     if (!response.ok) {
-        throw new Error('Failed to generate video');
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to generate video');
     }
     
     return await response.json();
@@ -793,19 +2340,32 @@ function showVideoProgress() {
         </div>
     `;
     
-    resultVideos.innerHTML = progressHtml;
+    // Insert above the grid rather than replacing it, so videosGrid stays attached
+    hideVideoProgress();
+    resultVideos.insertAdjacentHTML('afterbegin', progressHtml);
     resultVideos.style.display = 'block';
 }
 
+let videoProgressTotal = 0;
+
 function showVideoLoading(videoNumber, totalVideos) {
-    const progressFill = document.getElementById('videoProgressFill');
     const progressText = document.getElementById('videoProgressText');
+    videoProgressTotal = totalVideos;
     
-    if (progressFill && progressText) {
-        const progress = (videoNumber / totalVideos) * 100;
-        progressFill.style.width = `${progress}%`;
+    if (progressText) {
         progressText.textContent = `Generating video ${videoNumber} of ${totalVideos}...`;
     }
+    updateVideoProgress();
+}
+
+// Fill the bar from the number of videos that have actually finished
+function updateVideoProgress() {
+    const progressFill = document.getElementById('videoProgressFill');
+    
+    if (progressFill && videoProgressTotal > 0) {
+        const finished = videosGrid.querySelectorAll('[data-video-number]').length;
+        progressFill.style.width = `${(finished / videoProgressTotal) * 100}%`;
+    }
 }
 
 function hideVideoProgress() {
@@ -816,8 +2376,12 @@ function hideVideoProgress() {
 }
 
 function showVideoError(videoNumber, error) {
+    if (videosGrid.querySelector(`[data-video-number="${videoNumber}"]`)) {
+        return;
+    }
+    
     const errorHtml = `
-        <div class="video-item">
+        <div class="video-item" data-video-number="${videoNumber}">
             <div class="video-player">
                 <div class="video-loading">
                     <i class="fas fa-exclamation-triangle"></i>
@@ -835,9 +2399,37 @@ function showVideoError(videoNumber, error) {
     videosGrid.insertAdjacentHTML('beforeend', errorHtml);
 }
 
-function displayVideo(videoUrl, videoNumber) {
+// A video withheld by content moderation shows the placeholder image
+function displayBlockedVideo(url, videoNumber) {
+    if (videosGrid.querySelector(`[data-video-number="${videoNumber}"]`)) {
+        return;
+    }
+    
+    const blockedHtml = `
+        <div class="video-item blocked fade-in-up" data-video-number="${videoNumber}">
+            <div class="video-player">
+                <img src="${url}" alt="Video ${videoNumber} was blocked" loading="lazy">
+            </div>
+            <div class="video-info">
+                <h4>Video ${videoNumber}</h4>
+                <span class="blocked-note"><i class="fas fa-ban"></i> Blocked by content moderation</span>
+            </div>
+        </div>
+    `;
+    
+    videosGrid.insertAdjacentHTML('beforeend', blockedHtml);
+}
+
+function displayVideo(videoUrl, videoNumber, presetId) {
+    if (videosGrid.querySelector(`[data-video-number="${videoNumber}"]`)) {
+        return;
+    }
+    
+    generatedVideoUrls[videoNumber - 1] = videoUrl;
+    resultVideos.style.display = 'block';
+    
     const videoHtml = `
-        <div class="video-item fade-in-up">
+        <div class="video-item fade-in-up" data-video-number="${videoNumber}">
             <div class="video-player">
                 <video controls preload="metadata">
                     <source src="${videoUrl}" type="video/mp4">
@@ -846,7 +2438,7 @@ function displayVideo(videoUrl, videoNumber) {
             </div>
             <div class="video-info">
                 <h4>Video ${videoNumber}</h4>
-                <p>Dynamic video generated from your image</p>
+                <p>${presetId !== undefined ? getPresetName(presetId) : 'Dynamic video generated from your image'}</p>
                 <div class="video-actions">
                     <button class="video-download-btn" onclick="downloadVideo('${videoUrl}', ${videoNumber})">
                         <i class="fas fa-download"></i>
@@ -857,7 +2449,15 @@ function displayVideo(videoUrl, videoNumber) {
         </div>
     `;
     
-    videosGrid.insertAdjacentHTML('beforeend', videoHtml);
+    // A remade video goes back to its image's place in the grid
+    const nextItem = Array.from(videosGrid.children)
+        .find(item => parseInt(item.dataset.videoNumber) > videoNumber);
+    if (nextItem) {
+        nextItem.insertAdjacentHTML('beforebegin', videoHtml);
+    } else {
+        videosGrid.insertAdjacentHTML('beforeend', videoHtml);
+    }
+    updateReelBuilder();
 }
 
 // Make downloadVideo global so it can be called from onclick
@@ -897,3 +2497,183 @@ function downloadAllVideos() {
         }, index * 500); // Stagger downloads
     });
 }
+
+// Lookbook Reel Functions
+async function loadReelOptions() {
+    try {
+        const response = await fetch('/api/reels');
+        if (!response.ok) {
+            throw new Error('Failed to load reel options');
+        }
+        
+        const data = await response.json();
+        reelOptions = data.available ? data.options : null;
+        if (reelOptions) {
+            const labels = { cut: 'Cut', fade: 'Fade', dissolve: 'Dissolve', slide: 'Slide', wipe: 'Wipe' };
+            fillOptionSelect(reelTransition, reelOptions.transitions, value => labels[value] || value, null);
+            fillOptionSelect(reelAspectRatio, reelOptions.aspectRatios, value => value, null);
+            fillOptionSelect(reelFormat, reelOptions.formats, value => (value === 'mp4' ? 'MP4 video' : `Animated ${value.toUpperCase()}`), null);
+            reelTransition.value = 'fade';
+        }
+    } catch (error) {
+        console.error('Error loading reel options:', error);
+        reelOptions = null;
+    }
+    updateReelBuilder();
+}
+
+// Videos and stills that can go in the reel, in result order. Videos are
+// ticked by default, and stills only when their image has no video.
+function getReelCandidates() {
+    const candidates = [];
+    const count = Math.max(generatedImageUrls.length, generatedVideoUrls.length);
+    for (let i = 0; i < count; i++) {
+        if (generatedVideoUrls[i]) {
+            candidates.push({ url: generatedVideoUrls[i], label: `Video ${i + 1}`, icon: 'fa-video', selected: true });
+        }
+        if (generatedImageUrls[i]) {
+            candidates.push({ url: generatedImageUrls[i], label: `Image ${i + 1}`, icon: 'fa-image', selected: !generatedVideoUrls[i] });
+        }
+    }
+    return candidates.map(candidate => ({
+        ...candidate,
+        selected: reelChoices[candidate.url] !== undefined ? reelChoices[candidate.url] : candidate.selected
+    }));
+}
+
+function updateReelBuilder() {
+    const candidates = getReelCandidates();
+    reelBuilder.style.display = currentUser && reelOptions && candidates.length > 0 ? 'block' : 'none';
+    if (reelBuilder.style.display === 'none') {
+        return;
+    }
+    
+    reelClips.innerHTML = '';
+    candidates.forEach(candidate => {
+        const label = document.createElement('label');
+        label.className = 'reel-clip';
+        label.innerHTML = `
+            <input type="checkbox">
+            <i class="fas ${candidate.icon}"></i>
+            <span>${candidate.label}</span>
+        `;
+        const checkbox = label.querySelector('input');
+        checkbox.checked = candidate.selected;
+        checkbox.addEventListener('change', () => {
+            reelChoices[candidate.url] = checkbox.checked;
+        });
+        reelClips.appendChild(label);
+    });
+}
+
+// Garment names for the title card, from the clothing analyses
+function getGarmentNames() {
+    return clothingImages
+        .map(imageData => clothingAnalyses[imageData])
+        .filter(garment => garment && garment.category)
+        .map(garment => garment.category.charAt(0).toUpperCase() + garment.category.slice(1));
+}
+
+function buildReelTitle() {
+    const lines = [];
+    if (reelTitle.value.trim()) {
+        lines.push(reelTitle.value.trim());
+    }
+    if (reelGarmentNames.checked) {
+        lines.push(...getGarmentNames());
+    }
+    const text = lines.join('\n').substring(0, 200);
+    return text ? { text: text } : null;
+}
+
+async function createReel() {
+    reelError.style.display = 'none';
+    const clips = getReelCandidates()
+        .filter(candidate => candidate.selected)
+        .map(candidate => ({ url: candidate.url }));
+    
+    if (clips.length === 0) {
+        reelError.textContent = 'Tick at least one video or image for the reel.';
+        reelError.style.display = 'block';
+        return;
+    }
+    
+    createReelBtn.disabled = true;
+    try {
+        const musicFile = reelFormat.value === 'mp4' ? reelMusic.files[0] : null;
+        if (musicFile && musicFile.size > reelOptions.maxMusicBytes) {
+            throw new Error(`Music must be at most ${Math.round(reelOptions.maxMusicBytes / (1024 * 1024))}MB`);
+        }
+        
+        const response = await fetch('/api/reels', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                clips: clips,
+                titleCard: buildReelTitle(),
+                transition: reelTransition.value,
+                aspectRatio: reelAspectRatio.value,
+                format: reelFormat.value,
+                music: musicFile ? await fileToDataURL(musicFile) : null,
+                runId: currentRunId
+            })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to start the reel');
+        }
+        
+        showReelStatus(data.reel);
+        pollReel(data.reel.id);
+    } catch (error) {
+        console.error('Error creating reel:', error);
+        reelError.textContent = error.message;
+        reelError.style.display = 'block';
+        createReelBtn.disabled = false;
+    }
+}
+
+async function pollReel(reelId) {
+    clearTimeout(reelPollTimer);
+    try {
+        const response = await fetch(`/api/reels/${reelId}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load the reel');
+        }
+        
+        showReelStatus(data.reel);
+        if (data.reel.status === 'queued' || data.reel.status === 'running') {
+            reelPollTimer = setTimeout(() => pollReel(reelId), JOB_POLL_INTERVAL_MS);
+            return;
+        }
+    } catch (error) {
+        console.error('Error loading reel:', error);
+        reelError.textContent = error.message;
+        reelError.style.display = 'block';
+    }
+    createReelBtn.disabled = false;
+}
+
+function showReelStatus(reel) {
+    if (reel.status === 'completed') {
+        const extension = reel.format;
+        reelResult.innerHTML = `
+            ${reel.format === 'mp4'
+                ? `<video controls preload="metadata" src="${reel.url}"></video>`
+                : `<img src="${reel.url}" alt="Lookbook reel">`}
+            <a class="download-btn" href="${reel.url}" download="lookbook-reel.${extension}">
+                <i class="fas fa-download"></i>
+                <span>Download Reel (${Math.round(reel.duration)}s)</span>
+            </a>
+        `;
+    } else if (reel.status === 'failed') {
+        reelResult.innerHTML = '';
+        reelError.textContent = `The reel could not be made: ${reel.error}`;
+        reelError.style.display = 'block';
+    } else {
+        reelResult.innerHTML = '<div class="spinner"></div><p>Rendering your reel...</p>';
+    }
+}
@@ -3,11 +3,39 @@ const cors = require('cors');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const Replicate = require('replicate');
-const OpenAI = require('openai');
 require('dotenv').config();
+const { getJob, loadJobs, toPublicJob } = require('./lib/jobs');
+const progress = require('./lib/progress');
+const { initProviders, describeProviders, getVideoOptions } = require('./lib/providers');
+const llm = require('./lib/llm');
+const { analyzeUserPhoto, analyzeClothing, describeAnalysisCache } = require('./lib/analysis');
+const styles = require('./lib/styles');
+const experiments = require('./lib/experiments');
+const { PROMPT_TEMPLATE_NAME, checkPromptTemplates, writePrompts, writePromptsForPeople } = require('./lib/promptWriter');
+const { validateOutfit, validateOutfitOrder, orderClothingImages } = require('./lib/outfit');
+const { initStorage, getStorage, describeStorage } = require('./lib/storage');
+const { mediaUrl, publicBaseUrl, persistMedia, getMedia, deleteMedia, toPublicMedia } = require('./lib/media');
+const accounts = require('./lib/accounts');
+const { createSession, destroySession, setSessionCookie, clearSessionCookie, loadSession, requireUser, requireAdmin } = require('./lib/sessions');
+const history = require('./lib/history');
+const usage = require('./lib/usage');
+const { createVideo, queueTryOnJob, queueReproduction, saveRunInputs } = require('./lib/generation');
+const videoPresets = require('./lib/videoPresets');
+const apiKeys = require('./lib/apiKeys');
+const { getPlan } = require('./lib/plans');
+const { createApiV1Router } = require('./lib/apiV1');
+const { loadWebhookDeliveries } = require('./lib/webhooks');
+const batches = require('./lib/batches');
+const reels = require('./lib/reels');
+const ingest = require('./lib/ingest');
+const { preflightPerson, preflightGarment } = require('./lib/preflight');
+const moderation = require('./lib/moderation');
+const provenance = require('./lib/provenance');
+const { describeResultScoring } = require('./lib/resultScoring');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -20,8 +48,9 @@ app.use(helmet({
             styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com", "https://cdnjs.cloudflare.com"],
             scriptSrc: ["'self'", "'unsafe-inline'", "'unsafe-eval'"],
             fontSrc: ["'self'", "https://fonts.gstatic.com", "https://cdnjs.cloudflare.com"],
-            imgSrc: ["'self'", "data:", "https:", "http:"],
-            connectSrc: ["'self'", "https://api.openai.com", "https://api.replicate.com", "https://replicate.delivery"],
+            // Pasted image URLs are fetched and stored by the server, so pages only show /media
+            imgSrc: ["'self'", "data:", "https://replicate.delivery"],
+            connectSrc: ["'self'", "data:", "https://api.openai.com", "https://api.replicate.com", "https://replicate.delivery"],
             objectSrc: ["'none'"],
             upgradeInsecureRequests: [],
         },
@@ -39,10 +68,23 @@ const limiter = rateLimit({
     },
     standardHeaders: true,
     legacyHeaders: false,
+    // Job polling and progress streams are cheap and would otherwise exhaust the limit during a long run
+    skip: (req) => req.method === 'GET' && (req.path.startsWith('/jobs/') || req.path.startsWith('/progress/') || /^\/(batches|reels)\/[^/]+$/.test(req.path)),
 });
 
 app.use('/api/', limiter);
 
+// Stricter limit for sign-up and login to slow down password guessing
+const authLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: parseInt(process.env.AUTH_RATE_LIMIT_MAX_REQUESTS) || 20,
+    message: {
+        error: 'Too many sign-in attempts, please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
 // CORS configuration
 const corsOptions = {
     origin: process.env.CORS_ORIGIN || true,
@@ -51,58 +93,104 @@ const corsOptions = {
 };
 app.use(cors(corsOptions));
 
-// Body parsing middleware
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+// Body parsing middleware. Images reach the web routes as /api/upload-images
+// references, so JSON bodies stay small; the /v1 API still accepts inline data
+// URLs and reels may carry a music track. A body parsed by an earlier parser
+// is skipped by the later ones.
+app.use('/v1', express.json({ limit: process.env.V1_JSON_BODY_LIMIT || '50mb' }));
+app.use('/api/reels', express.json({ limit: '30mb' }));
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '5mb' }));
+app.use(express.urlencoded({ extended: true, limit: process.env.JSON_BODY_LIMIT || '5mb' }));
+
+// Static files. Only the pages, scripts, styles and assets are served: the
+// repository root also holds data/ (accounts, sessions, jobs, media), .env
+// and the server code, so it is never a static root.
+const PUBLIC_FILES = ['index.html', 'batch.html', 'privacy.html', 'terms.html', 'script.js', 'batch.js', 'styles.css'];
+PUBLIC_FILES.forEach(file => {
+    app.get(`/${file}`, (req, res) => {
+        res.sendFile(path.join(__dirname, file));
+    });
+});
+app.use('/assets', express.static(path.join(__dirname, 'assets')));
 
-// Static files
-app.use(express.static('.'));
+// Attach the signed-in user (if any) to every request
+app.use(loadSession);
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        const uploadDir = 'uploads';
-        if (!fs.existsSync(uploadDir)) {
-            fs.mkdirSync(uploadDir, { recursive: true });
-        }
-        cb(null, uploadDir);
-    },
-    filename: (req, file, cb) => {
-        cb(null, Date.now() + '-' + file.originalname);
-    }
+// Image uploads are kept in memory and handed to ingestion, which sniffs the
+// real type; the client's mimetype and file name are not used
+const imageUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: ingest.INGEST_MAX_BYTES, files: 10 }
 });
 
-const upload = multer({ 
-    storage: storage,
-    limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+// Catalog batch uploads: a model photo, a manifest and the garment images it
+// names. Files go to a temp dir and are copied into media storage one by one.
+const batchUpload = multer({
+    dest: path.join(os.tmpdir(), 'tryon-batch-uploads'),
+    limits: { fileSize: 10 * 1024 * 1024, files: batches.BATCH_MAX_ITEMS * 2 + 2 },
     fileFilter: (req, file, cb) => {
-        if (file.mimetype.startsWith('image/')) {
-            cb(null, true);
-        } else {
-            cb(new Error('Only image files are allowed'), false);
-        }
+        // Image types are checked from the file contents at ingestion
+        const allowed = file.fieldname !== 'manifest' || /\.(csv|json)$/i.test(file.originalname);
+        cb(allowed ? null : new Error('The manifest must be a .csv or .json file'), allowed);
     }
 });
 
-// Configure Replicate client
-if (!process.env.REPLICATE_API_TOKEN) {
-    console.error('REPLICATE_API_TOKEN environment variable is required');
+const batchFields = batchUpload.fields([
+    { name: 'modelImage', maxCount: 1 },
+    { name: 'manifest', maxCount: 1 },
+    { name: 'garments', maxCount: batches.BATCH_MAX_ITEMS * 2 }
+]);
+
+// Rejected uploads are the client's mistake, so they are answered with a 400 here
+function receiveBatchUpload(req, res, next) {
+    batchFields(req, res, (error) => {
+        if (!error) {
+            return next();
+        }
+        const message = error.code === 'LIMIT_FILE_SIZE' ? 'File too large. Maximum size is 10MB.' : error.message;
+        res.status(400).json({ success: false, error: message });
+    });
+}
+
+// Configure image and video generation providers
+try {
+    initProviders();
+} catch (error) {
+    console.error(error.message);
     process.exit(1);
 }
 
-const replicate = new Replicate({
-    auth: process.env.REPLICATE_API_TOKEN,
-});
+// Configure LLM backend (OpenAI-compatible API, or the offline stub when no key is set)
+try {
+    llm.initLLM();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
 
-// Configure OpenAI client
-if (!process.env.OPENAI_API_KEY) {
-    console.error('OPENAI_API_KEY environment variable is required');
+// Configure the content moderation classifier (OpenAI, or the offline stub when no key is set)
+try {
+    moderation.initModeration();
+} catch (error) {
+    console.error(error.message);
     process.exit(1);
 }
 
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-});
+// Configure storage for generated media (local disk or S3-compatible)
+try {
+    initStorage();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+
+// Every version in the prompt template experiment must exist on disk
+try {
+    checkPromptTemplates();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
 
 // Routes
 app.get('/', (req, res) => {
@@ -111,23 +199,221 @@ app.get('/', (req, res) => {
 
 // Health check endpoint
 app.get('/health', (req, res) => {
-    res.json({ status: 'OK', timestamp: new Date().toISOString() });
+    res.json({ status: 'OK', timestamp: new Date().toISOString(), providers: describeProviders(), llm: llm.describeLLM(), analysisCache: describeAnalysisCache(), storage: describeStorage(), moderation: moderation.describeModeration(), resultScoring: describeResultScoring() });
+});
+
+// Live progress stream (Server-Sent Events) for one try-on run
+app.get('/api/progress/:runId', (req, res) => {
+    const { runId } = req.params;
+
+    if (!progress.isValidRunId(runId)) {
+        return res.status(400).json({ error: 'Invalid run ID' });
+    }
+    if (!progress.claim(runId, usage.subjectFor(req))) {
+        return res.status(403).json({ error: 'This run belongs to someone else' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const lastEventId = parseInt(req.get('Last-Event-ID')) || 0;
+    const unsubscribe = progress.subscribe(runId, usage.subjectFor(req), lastEventId, (event) => {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    });
+
+    // Keep proxies from closing an idle stream
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        unsubscribe();
+    });
+});
+
+// Style registry endpoints. Custom styles belong to the account that saved them.
+app.get('/api/styles', (req, res) => {
+    res.json({
+        success: true,
+        defaultStyle: styles.DEFAULT_STYLE_ID,
+        styles: styles.listStyles(req.user ? req.user.id : null).map(styles.toPublicStyle)
+    });
+});
+
+// Motion presets for the video picker, plus the durations and aspect ratios
+// the configured video model accepts
+app.get('/api/video-presets', (req, res) => {
+    res.json({
+        success: true,
+        defaultPreset: videoPresets.DEFAULT_VIDEO_PRESET_ID,
+        presets: videoPresets.listVideoPresets(),
+        options: getVideoOptions()
+    });
+});
+
+app.post('/api/styles', requireUser, async (req, res) => {
+    try {
+        const { name, description, guidance } = req.body;
+
+        const validationError = styles.validateCustomStyle({ name, description, guidance }, req.user.id);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        // The guidance goes into every prompt written with the style
+        const checked = await moderation.moderateInputs(
+            { texts: [name, description, guidance] },
+            { source: 'web', userId: req.user.id }
+        );
+        if (!checked.allowed) {
+            return sendModerationRejection(res, checked);
+        }
+
+        const style = styles.createCustomStyle({ name, description, guidance }, req.user.id);
+        console.log('Saved custom style:', style.name);
+
+        res.status(201).json({ success: true, style: styles.toPublicStyle(style) });
+
+    } catch (error) {
+        if (error instanceof moderation.ModerationError) {
+            return sendModerationRejection(res, error);
+        }
+        console.error('Error saving custom style:', error);
+        res.status(500).json({ 
+            success: false,
+            error: 'Failed to save style',
+            details: error.message 
+        });
+    }
+});
+
+app.delete('/api/styles/:id', requireUser, (req, res) => {
+    const style = styles.getStyle(req.params.id, req.user.id);
+
+    if (!style) {
+        return res.status(404).json({ success: false, error: 'Style not found' });
+    }
+
+    if (!style.custom) {
+        return res.status(403).json({ success: false, error: 'Built-in styles cannot be deleted' });
+    }
+
+    styles.deleteCustomStyle(style.id, req.user.id);
+    res.json({ success: true });
+});
+
+// Create an account and sign in
+app.post('/api/auth/signup', authLimiter, async (req, res) => {
+    try {
+        const { email, password, name } = req.body;
+
+        const validationError = accounts.validateSignup({ email, password, name });
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        const user = await accounts.createUser({ email, password, name });
+        setSessionCookie(res, createSession(user.id));
+        console.log('Created account:', user.id);
+
+        res.status(201).json({ success: true, user: accounts.toPublicUser(user) });
+
+    } catch (error) {
+        console.error('Error creating account:', error);
+        res.status(500).json({ 
+            success: false,
+            error: 'Failed to create account',
+            details: error.message 
+        });
+    }
+});
+
+app.post('/api/auth/login', authLimiter, async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        const user = await accounts.authenticate(email, password);
+        if (!user) {
+            return res.status(401).json({ success: false, error: 'Incorrect email or password' });
+        }
+
+        if (req.sessionToken) {
+            destroySession(req.sessionToken);
+        }
+        setSessionCookie(res, createSession(user.id));
+
+        res.json({ success: true, user: accounts.toPublicUser(user) });
+
+    } catch (error) {
+        console.error('Error signing in:', error);
+        res.status(500).json({ 
+            success: false,
+            error: 'Failed to sign in',
+            details: error.message 
+        });
+    }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+    if (req.sessionToken) {
+        destroySession(req.sessionToken);
+    }
+    clearSessionCookie(res);
+    res.json({ success: true });
+});
+
+// Current account, or null when signed out
+app.get('/api/auth/me', (req, res) => {
+    res.json({ success: true, user: req.user ? accounts.toPublicUser(req.user) : null });
+});
+
+// Remaining try-ons for the signed-in account, or for this IP address as a guest
+app.get('/api/usage', (req, res) => {
+    res.json({ success: true, usage: usage.getUsage(usage.subjectFor(req), usage.planFor(req)) });
+});
+
+// API keys for the /v1 API. The plain key is only returned when it is created.
+app.get('/api/keys', requireUser, (req, res) => {
+    res.json({
+        success: true,
+        apiAccess: getPlan(req.user.plan).apiAccess,
+        keys: apiKeys.listApiKeys(req.user.id).map(apiKeys.toPublicApiKey)
+    });
+});
+
+app.post('/api/keys', requireUser, (req, res) => {
+    const problem = apiKeys.validateApiKeyRequest(req.user, req.body);
+    if (problem) {
+        return res.status(getPlan(req.user.plan).apiAccess ? 400 : 403).json({ success: false, error: problem });
+    }
+
+    const { key, record } = apiKeys.createApiKey(req.user.id, req.body.name);
+    console.log(`Created API key ${record.prefix}… for user ${req.user.id}`);
+    res.status(201).json({ success: true, key: key, apiKey: apiKeys.toPublicApiKey(record) });
+});
+
+app.delete('/api/keys/:id', requireUser, (req, res) => {
+    if (!apiKeys.revokeApiKey(req.params.id, req.user.id)) {
+        return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+    res.json({ success: true });
 });
 
+// Public API for partners (API key auth, camelCase fields, OpenAPI at /v1/openapi.json)
+app.use('/v1', createApiV1Router());
+
 // Test GPT endpoint
 app.get('/api/test-gpt', async (req, res) => {
     try {
         console.log('Testing GPT API connection...');
         
-        const completion = await openai.chat.completions.create({
-            model: "gpt-4o-mini",
-            messages: [
-                { role: "user", content: "Say 'GPT API is working!' and nothing else." }
-            ],
-            max_tokens: 10,
-        });
-
-        const response = completion.choices[0].message.content.trim();
+        const response = await llm.complete('health-check', [
+            { role: "user", content: "Say 'GPT API is working!' and nothing else." }
+        ]);
         console.log('GPT test response:', response);
         
         res.json({
@@ -146,11 +432,47 @@ app.get('/api/test-gpt', async (req, res) => {
     }
 });
 
+// 402 when the plan does not allow the request, 429 when the monthly quota is used up
+function sendUsageRejection(res, rejection) {
+    if (rejection.status === 429) {
+        const secondsLeft = Math.ceil((new Date(rejection.usage.periodEnd) - Date.now()) / 1000);
+        res.set('Retry-After', String(Math.max(secondsLeft, 1)));
+    }
+    res.status(rejection.status).json({
+        success: false,
+        error: rejection.error,
+        code: rejection.code,
+        usage: rejection.usage
+    });
+}
+
+// Multi-person mode renders the same garments on up to this many person photos
+const MAX_PEOPLE_PER_RUN = parseInt(process.env.MAX_PEOPLE_PER_RUN) || 4;
+
+// Returns an error message when `userImages` is given but not a usable list of people
+function validateUserImages(userImages) {
+    if (userImages === undefined || userImages === null) {
+        return null;
+    }
+    if (!Array.isArray(userImages) || userImages.length < 2 || userImages.length > MAX_PEOPLE_PER_RUN) {
+        return `Multi-person mode needs between 2 and ${MAX_PEOPLE_PER_RUN} person photos`;
+    }
+    if (userImages.some(image => !image || typeof image !== 'string')) {
+        return 'Each person photo must be an image URL or data URL';
+    }
+    return null;
+}
+
 // Input validation middleware
 const validatePromptRequest = (req, res, next) => {
-    const { userImageData, clothingImages, style, imageCount, customPrompt } = req.body;
+    const { userImageData, userImages, clothingImages, outfit, style, imageCount, customPrompt } = req.body;
+    
+    const peopleError = validateUserImages(userImages);
+    if (peopleError) {
+        return res.status(400).json({ error: peopleError });
+    }
     
-    if (!userImageData) {
+    if (!userImageData && !userImages) {
         return res.status(400).json({ error: 'User image data is required' });
     }
     
@@ -158,15 +480,24 @@ const validatePromptRequest = (req, res, next) => {
         return res.status(400).json({ error: 'At least one clothing image is required' });
     }
     
+    const outfitError = validateOutfit(outfit, clothingImages.length);
+    if (outfitError) {
+        return res.status(400).json({ error: outfitError });
+    }
+    
     if (!style || typeof style !== 'string') {
         return res.status(400).json({ error: 'Valid style is required' });
     }
     
+    if (!styles.getStyle(style, req.user ? req.user.id : null)) {
+        return res.status(400).json({ error: `Unknown style: ${style}` });
+    }
+    
     if (!imageCount || imageCount < 1 || imageCount > 5) {
         return res.status(400).json({ error: 'Image count must be between 1 and 5' });
     }
     
-    if (customPrompt && typeof customPrompt !== 'string' && customPrompt.length > 1000) {
+    if (customPrompt && (typeof customPrompt !== 'string' || customPrompt.length > 1000)) {
         return res.status(400).json({ error: 'Custom prompt must be a string with max 1000 characters' });
     }
     
@@ -174,7 +505,7 @@ const validatePromptRequest = (req, res, next) => {
 };
 
 const validateTryOnRequest = (req, res, next) => {
-    const { prompts, image_urls, image_count, user_image } = req.body;
+    const { prompts, image_urls, image_count, user_image, user_images, outfit } = req.body;
     
     if (!prompts || !Array.isArray(prompts) || prompts.length === 0) {
         return res.status(400).json({ error: 'Prompts array is required' });
@@ -184,21 +515,98 @@ const validateTryOnRequest = (req, res, next) => {
         return res.status(400).json({ error: 'Image URLs array is required' });
     }
     
+    const outfitError = validateOutfitOrder(outfit, image_urls.length);
+    if (outfitError) {
+        return res.status(400).json({ error: outfitError });
+    }
+    
     if (!image_count || image_count < 1 || image_count > 5) {
         return res.status(400).json({ error: 'Image count must be between 1 and 5' });
     }
     
-    if (!user_image) {
+    const peopleError = validateUserImages(user_images);
+    if (peopleError) {
+        return res.status(400).json({ error: peopleError });
+    }
+    
+    if (!user_image && !user_images) {
         return res.status(400).json({ error: 'User image is required' });
     }
     
     next();
 };
 
+// The run ID a request may use: a valid one that is the requester's own, or that
+// nobody has claimed yet (see progress.claim). Otherwise null, so nothing is
+// published to someone else's progress stream.
+function ownRunId(req, runId) {
+    return progress.claim(runId, usage.subjectFor(req)) ? runId : null;
+}
+
+// Replace data URLs in the given body fields with ingested /media references.
+// Images that cannot be ingested are rejected with a 400.
+function ingestBodyImages(...fields) {
+    return async (req, res, next) => {
+        try {
+            await ingest.ingestFields(req.body, fields, { runId: ownRunId(req, req.body.runId) });
+            next();
+        } catch (error) {
+            if (error instanceof ingest.IngestError) {
+                return res.status(400).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    };
+}
+
+// 422 with what was blocked, or 503 when moderation could not run
+function sendModerationRejection(res, result) {
+    if (result instanceof moderation.ModerationError) {
+        return res.status(503).json({ success: false, error: result.message, code: 'moderation_unavailable' });
+    }
+    res.status(422).json({
+        success: false,
+        error: moderation.describeBlocked(result.blocked),
+        code: 'content_blocked',
+        blocked: result.blocked
+    });
+}
+
+// Check the request's images and text with content moderation before any
+// work is done. `select(body)` returns { people, garments, images, texts }.
+// Runs after ingestBodyImages, so images are /media references.
+function moderateBody(select) {
+    return async (req, res, next) => {
+        try {
+            const result = await moderation.moderateInputs(select(req.body), {
+                source: 'web',
+                userId: req.user ? req.user.id : null,
+                runId: ownRunId(req, req.body.runId)
+            });
+            if (!result.allowed) {
+                return sendModerationRejection(res, result);
+            }
+            next();
+        } catch (error) {
+            if (error instanceof moderation.ModerationError) {
+                return sendModerationRejection(res, error);
+            }
+            next(error);
+        }
+    };
+}
+
 // Generate AI prompt endpoint
-app.post('/api/generate-prompt', validatePromptRequest, async (req, res) => {
+app.post('/api/generate-prompt', validatePromptRequest, ingestBodyImages('userImageData', 'userImages', 'clothingImages'), moderateBody(body => ({
+    people: body.userImages || body.userImageData,
+    garments: body.clothingImages,
+    texts: [body.customDetails, body.customPrompt]
+})), async (req, res) => {
     try {
-        const { style, customDetails, userImageData, imageCount = 1, clothingImages = [] } = req.body;
+        const { style, customDetails, customPrompt, userImageData, userImages, imageCount = 1, clothingImages = [], outfit, clientId } = req.body;
+        const runId = ownRunId(req, req.body.runId);
+        // The page sends its free-text field as customPrompt
+        const details = customDetails || customPrompt;
         
         if (!style) {
             return res.status(400).json({ 
@@ -206,242 +614,56 @@ app.post('/api/generate-prompt', validatePromptRequest, async (req, res) => {
             });
         }
 
-        // Validate image count (1-5 images)
+        // Validate image count (1-5 images, per person in multi-person mode)
         const numImages = Math.min(Math.max(parseInt(imageCount) || 1, 1), 5);
+        const peopleCount = userImages ? userImages.length : 1;
 
-        console.log('Generating prompts for style:', style);
-        console.log('Number of unique prompts to generate:', numImages);
-        console.log('User image provided:', !!userImageData);
-        console.log('Clothing images provided:', clothingImages.length);
-        console.log('Custom details:', customDetails);
-
-        // Analyze user photo if provided
-        let userAnalysis = '';
-        if (userImageData) {
-            try {
-                const userAnalysisResponse = await openai.chat.completions.create({
-                    model: "gpt-4o-mini",
-                    messages: [
-                        { role: "system", content: "You are a fashion expert who analyzes people's appearance in detail. Provide clear, structured descriptions of physical characteristics." },
-                        { role: "user", content: [
-                            { type: "text", text: `Analyze the provided user photo and describe the person's physical appearance, facial features, body type, current clothing, skin tone, and any distinctive characteristics. Focus on details that will help create accurate virtual try-on images.` },
-                            {
-                                type: "image_url",
-                                image_url: { url: userImageData }
-                            }
-                        ]}
-                    ],
-                    max_tokens: 600,
-                    temperature: 0.7,
-                });
-                userAnalysis = userAnalysisResponse.choices[0].message.content.trim();
-                console.log('User photo analysis completed');
-            } catch (error) {
-                console.error('Error analyzing user photo:', error);
-                userAnalysis = 'User photo analysis unavailable';
-            }
-        }
-
-        // Analyze clothing images if provided
-        let clothingAnalysis = '';
-        if (clothingImages && clothingImages.length > 0) {
-            try {
-                const clothingAnalysisResponse = await openai.chat.completions.create({
-                    model: "gpt-4o-mini",
-                    messages: [
-                        { role: "system", content: "You are a fashion expert who analyzes clothing items in detail. Provide clear, structured descriptions of clothing characteristics." },
-                        { role: "user", content: [
-                            { type: "text", text: `Analyze the provided clothing images and describe each item's type, style, colors, materials, features, and fit. Focus on details that will help create accurate virtual try-on images.` },
-                            ...clothingImages.map(image => ({
-                                type: "image_url",
-                                image_url: { url: image }
-                            }))
-                        ]}
-                    ],
-                    max_tokens: 800,
-                    temperature: 0.7,
-                });
-                clothingAnalysis = clothingAnalysisResponse.choices[0].message.content.trim();
-                console.log('Clothing analysis completed');
-            } catch (error) {
-                console.error('Error analyzing clothing:', error);
-                clothingAnalysis = 'Clothing analysis unavailable';
-            }
+        // Reject early so no prompts are written for a generation the plan will not allow
+        const rejection = usage.checkGeneration(usage.subjectFor(req), usage.planFor(req), 'images', numImages * peopleCount, numImages);
+        if (rejection) {
+            return sendUsageRejection(res, rejection);
         }
 
-        // Create a detailed system prompt for GPT
-        const systemPrompt = `You are a master AI image editing artist and creative director specializing in virtual clothing try-on. Your expertise lies in creating EXACTLY ${numImages} UNIQUE, ARTISTIC, and CREATIVELY STUNNING prompts that transform ordinary clothing swaps into extraordinary visual masterpieces.
-
-CRITICAL CREATIVE REQUIREMENTS:
-1. Generate EXACTLY ${numImages} DISTINCTIVELY UNIQUE and ARTISTICALLY VARIED prompts - each should be a creative masterpiece with NO DUPLICATION
-2. Each prompt must be COMPLETELY DIFFERENT from the others - no repeated content, scenarios, or descriptions
-3. PRECISE SELECTIVE CLOTHING REPLACEMENT: Only replace the SPECIFIC UPLOADED CLOTHING ITEMS - all other clothing from the original photo must remain EXACTLY THE SAME. If user uploads only pants, change ONLY the pants. If user uploads pants and shirt, change ONLY pants and shirt. Keep everything else identical to the original photo.
-4. PRESERVE ONLY the person's face and body - EVERYTHING ELSE CAN CHANGE (background, setting, environment, lighting, atmosphere)
-5. COMPLETELY TRANSFORM the scene according to the selected photography style - create entirely new environments and settings
-6. ALWAYS reference the uploaded clothing items specifically in your prompts - mention that these are the exact clothing items to be worn
-7. CHANGE THE BACKGROUND COMPLETELY - do not preserve the original setting, create new environments that match the selected style
-8. USE the provided USER ANALYSIS and CLOTHING ANALYSIS to create accurate, personalized prompts that consider the specific person and clothing characteristics
-9. DO NOT describe what the clothing looks like - simply instruct to replace with the uploaded clothing items
-10. SELECTIVE REPLACEMENT: If user uploads shoes, only change the shoes. If user uploads a shirt, only change the shirt. Keep all other clothing items identical to the original photo.
-
-FACE AND BODY CONSISTENCY REQUIREMENTS:
-- PRESERVE the person's facial features, bone structure, skin tone, and hair EXACTLY as shown
-- MAINTAIN the same height, build, body proportions, and physical characteristics
-- Keep the same person's identity and physical appearance
-- Only change clothing and background/environment
-- Ensure facial structure, body shape, and proportions remain identical
-- Emphasize maintaining the exact same person's physical characteristics
-
-CLOTHING REQUIREMENTS:
-- PRECISE SELECTIVE REPLACEMENT: Only replace the specific uploaded clothing items, keep all other clothing from the original photo unchanged
-- EXAMPLES: If user uploads only pants → change ONLY pants, keep shirt/shoes/accessories exactly the same. If user uploads pants + shirt → change ONLY pants and shirt, keep shoes/accessories exactly the same
-- ENSURE the uploaded clothing items are worn exactly as they appear in the uploaded images
-- CREATE prompts that showcase the uploaded clothing items effectively while preserving other clothing
-- INCLUDE clothing-specific details in the artistic descriptions
-- MAINTAIN original clothing items that were not uploaded (shoes, pants, accessories, etc.) EXACTLY as they appear in the original photo
-
-Your prompts should be CREATIVE MASTERPIECES that:
-- Create UNIQUE and ARTISTICALLY DISTINCT visual experiences
-- Clearly instruct the AI to replace clothing while adding creative visual elements
-- Specify that the person's face and body remain unchanged
-- Vary CREATIVE pose adjustments and ARTISTIC background transformations
-- Include ADVANCED photography style elements (creative lighting, artistic composition, dramatic backgrounds, dynamic poses)
-- Be optimized for AI image editing/transformation with ARTISTIC FLAIR
-- Focus on clothing replacement PLUS CREATIVE VISUAL ENHANCEMENT
-
-ENHANCED CREATIVE STYLE GUIDELINES (apply with COMPLETE SCENE TRANSFORMATION):
-- Fashion Editorial: Create high-art studio environments with dramatic chiaroscuro lighting, avant-garde poses, artistic backgrounds with depth and texture
-- Studio Professional: Transform to sophisticated studio settings with professional lighting setups, creative backdrop combinations, artistic shadow play
-- Cinematic: Create film-noir environments with dramatic depth of field, storytelling composition, atmospheric backgrounds with mood and emotion
-- Street Style: Transform to dynamic urban environments with creative graffiti backgrounds, candid yet artistic poses, vibrant street photography settings
-- Vintage/Retro: Create period-appropriate environments with artistic film grain effects, creative vintage color grading, nostalgic yet modern compositions
-- Minimalist: Transform to clean studio environments with creative negative space usage, sophisticated lighting, artistic simplicity with maximum impact
-- Formal/Elegant: Create elegant architectural environments with sophisticated artistic lighting, luxury aesthetic settings with artistic touches
-- Casual Everyday: Transform to natural everyday environments with creative settings, relaxed but photogenic poses, artistic lifestyle photography locations
-- Professional: Create corporate environments with sophisticated lighting, professional yet visually striking compositions in office/studio settings
-
-CREATIVE ENHANCEMENT TECHNIQUES TO INCLUDE:
-- Advanced lighting techniques (rim lighting, backlighting, creative shadows)
-- Artistic composition rules (rule of thirds, leading lines, creative framing)
-- Dynamic pose variations (movement, emotion, artistic expression)
-- Creative background elements (textures, patterns, artistic environments)
-- Color theory applications (complementary colors, artistic color grading)
-- Depth of field artistry (selective focus, bokeh effects, creative blur)
-- Mood and atmosphere creation (emotional lighting, artistic ambiance)
-
-IMPORTANT: Generate ${numImages} UNIQUE ARTISTIC prompts that focus on clothing replacement FIRST, then apply CREATIVE VISUAL ENHANCEMENT with different artistic variations that push creative boundaries.`;
-
-        // Create analysis descriptions for prompts
-        let analysisDescription = '';
-        
-        if (userAnalysis && userAnalysis !== 'User photo analysis unavailable') {
-            analysisDescription += `\nUSER ANALYSIS:\n${userAnalysis}\n`;
-        }
-        
-        if (clothingAnalysis && clothingAnalysis !== 'Clothing analysis unavailable') {
-            analysisDescription += `\nCLOTHING ANALYSIS:\n${clothingAnalysis}\n`;
-        }
+        const promptOptions = {
+            style: style,
+            customDetails: details,
+            clothingImages: clothingImages,
+            outfit: outfit,
+            numImages: numImages,
+            runId: runId,
+            clientId: clientId,
+            userId: req.user ? req.user.id : null,
+            guestSubject: usage.subjectFor(req)
+        };
+        const result = userImages
+            ? await writePromptsForPeople({ ...promptOptions, userImages: userImages })
+            : await writePrompts({ ...promptOptions, userImage: userImageData });
         
-        if (clothingImages && clothingImages.length > 0) {
-            analysisDescription += `\nCLOTHING ITEMS TO TRY ON:\nThe user has uploaded ${clothingImages.length} clothing item(s) that they want to try on. These are the EXACT clothing items that must be worn in the generated images. CRITICAL: Only replace these specific uploaded clothing items - keep all other clothing from the original photo unchanged. If user uploads only pants, change ONLY the pants. If user uploads pants and shirt, change ONLY pants and shirt. Keep everything else identical to the original photo.`;
-        } else {
-            analysisDescription += '\nCLOTHING ITEMS: The user will provide clothing images separately. Focus on creating artistic prompts for selective clothing replacement.';
-        }
-
-        const userPrompt = `Create EXACTLY ${numImages} UNIQUE ARTISTIC prompts for AI image editing to perform virtual clothing try-on with CREATIVE VISUAL ENHANCEMENT.
-
-Style: ${style}
-Number of unique artistic prompts needed: EXACTLY ${numImages}${analysisDescription}
-${customDetails ? `Additional Creative Details: ${customDetails}` : ''}
-
-CRITICAL CREATIVE INSTRUCTIONS:
-1. Generate EXACTLY ${numImages} DISTINCTIVELY UNIQUE and ARTISTICALLY STUNNING prompts - NO DUPLICATION ALLOWED
-2. Each prompt must be COMPLETELY DIFFERENT - no repeated scenarios, settings, or descriptions
-3. PRECISE SELECTIVE CLOTHING REPLACEMENT: Only replace the specific uploaded clothing items - keep all other clothing from the original photo unchanged. If user uploads only pants, change ONLY the pants. If user uploads pants and shirt, change ONLY pants and shirt. Keep everything else identical to the original photo.
-4. PRESERVE ONLY the person's face and body - COMPLETELY CHANGE everything else (background, setting, environment, lighting, atmosphere)
-5. Each prompt should COMPLETELY TRANSFORM the scene to match ${style} photography style - create entirely new environments and settings
-6. DO NOT preserve the original background or setting - create completely new scenes that match the selected style
-7. MAINTAIN all original clothing items that were not uploaded (shoes, pants, accessories, etc.)
-
-Each prompt should be a CREATIVE MASTERPIECE that instructs the AI to:
-- PRECISELY replace only the SPECIFIC UPLOADED CLOTHING ITEMS - keep all other clothing from the original photo unchanged. If user uploads only pants, change ONLY the pants. If user uploads pants and shirt, change ONLY pants and shirt. Keep everything else identical to the original photo.
-- DO NOT describe what the clothing looks like - simply instruct to replace with the uploaded clothing items
-- Maintain ONLY the person's face and body appearance unchanged - EVERYTHING ELSE MUST CHANGE
-- COMPLETELY CHANGE the background and setting to match ${style} style - create entirely new environments
-- Use CREATIVE and ARTISTIC pose variations with emotional expression and dynamic movement appropriate for the new setting
-- Apply ADVANCED ${style} style lighting techniques (rim lighting, dramatic shadows, creative illumination)
-- Include ARTISTIC composition elements (rule of thirds, leading lines, creative framing, depth of field artistry)
-- Create COMPLETELY NEW backgrounds and settings that match ${style} photography style
-- PRESERVE all original clothing items that were not uploaded (shoes, pants, accessories, etc.)
-- Incorporate MOOD and ATMOSPHERE through creative lighting, color grading, and artistic ambiance
-- Use CREATIVE DEPTH OF FIELD effects (selective focus, artistic bokeh, creative blur techniques)
-- Apply COLOR THEORY for artistic impact (complementary colors, creative color grading, artistic palettes)
-- SPECIFICALLY MENTION that the uploaded clothing items must be worn exactly as provided
-- DO NOT preserve the original background - create completely new scenes and environments
-- EXAMPLES OF SELECTIVE REPLACEMENT:
-  * User uploads only pants → Change ONLY pants, keep shirt/shoes/accessories exactly the same
-  * User uploads pants + shirt → Change ONLY pants and shirt, keep shoes/accessories exactly the same  
-  * User uploads pants + shirt + shoes → Change ONLY pants, shirt, and shoes, keep accessories exactly the same
-  * User uploads only shoes → Change ONLY shoes, keep pants/shirt/accessories exactly the same
-
-ARTISTIC ENHANCEMENT REQUIREMENTS:
-- Each prompt should create a COMPLETELY NEW VISUAL EXPERIENCE with entirely different environments
-- Include ADVANCED PHOTOGRAPHY TECHNIQUES specific to ${style} style
-- Incorporate CREATIVE LIGHTING SETUPS and artistic shadow play for the new environment
-- Use DYNAMIC POSE VARIATIONS with artistic expression and movement appropriate for the new setting
-- Create COMPLETELY NEW ARTISTIC BACKGROUNDS that match ${style} style - do not preserve original setting
-- Apply MOOD CREATION through lighting, atmosphere, and artistic ambiance for the new environment
-- Include CREATIVE COMPOSITION techniques for maximum visual impact in the new setting
-- TRANSFORM the entire scene to match ${style} photography style - create new studios, streets, outdoor locations, etc.
-
-Generate EXACTLY ${numImages} UNIQUE ARTISTIC prompts that will COMPLETELY TRANSFORM the scene, creating ${numImages} visually stunning images with entirely new environments, varied artistic poses, and advanced ${style} style applications. Each prompt must be COMPLETELY DIFFERENT from the others - no repeated scenarios, settings, or descriptions. Each prompt should create a completely different setting that matches the selected style - do not preserve the original background or environment. IMPORTANT: Simply instruct to replace the person's current clothing with the uploaded clothing items - do not describe what the clothing looks like.`;
-
-        // Prepare messages array
-        const messages = [
-            { role: "system", content: systemPrompt },
-            { role: "user", content: userPrompt }
-        ];
-
-        // Add image to the user message if provided
-        if (userImageData) {
-            messages[1].content = [
-                { type: "text", text: userPrompt },
-                {
-                    type: "image_url",
-                    image_url: {
-                        url: userImageData
-                    }
-                }
-            ];
+        if (req.user && runId) {
+            history.updateRun(runId, req.user.id, {
+                style: style,
+                styleName: result.styleName,
+                customDetails: details || '',
+                imageCount: numImages,
+                promptTemplate: result.promptTemplate,
+                prompts: result.prompts,
+                outfit: result.outfit
+            });
         }
-
-        const completion = await openai.chat.completions.create({
-            model: "gpt-4o-mini",
-            messages: messages,
-            max_tokens: 1200, // Increased for creative artistic prompts
-            temperature: 0.9, // Higher for more creative variation
-        });
-
-        const promptText = completion.choices[0].message.content.trim();
-        
-        console.log('Generated prompts:', promptText);
-        
-        // Parse the response to extract individual prompts
-        const prompts = parseMultiplePrompts(promptText, numImages);
-        
-        console.log('=== PROMPT PARSING DEBUG ===');
-        console.log('Expected number of prompts:', numImages);
-        console.log('Actual number of prompts parsed:', prompts.length);
-        console.log('First prompt length:', prompts[0] ? prompts[0].length : 'N/A');
-        console.log('First prompt preview:', prompts[0] ? prompts[0].substring(0, 200) + '...' : 'N/A');
-        console.log('=== END PROMPT PARSING DEBUG ===');
         
         res.json({
             success: true,
-            prompts: prompts,
-            fullResponse: promptText,
+            prompts: result.prompts,
+            promptDetails: result.promptDetails,
+            fallbackCount: result.fallbackCount,
+            analysisCache: result.analysisCache,
+            garments: result.garments,
+            outfit: result.outfit,
+            fullResponse: result.rawResponse,
             style: style,
-            customDetails: customDetails
+            customDetails: details,
+            promptTemplate: result.promptTemplate,
+            people: result.people
         });
 
     } catch (error) {
@@ -472,172 +694,8 @@ Generate EXACTLY ${numImages} UNIQUE ARTISTIC prompts that will COMPLETELY TRANS
     }
 });
 
-// Helper function to parse multiple prompts from GPT response
-function parseMultiplePrompts(promptText, expectedCount) {
-    const prompts = [];
-    const seenPrompts = new Set(); // Track seen prompts to avoid duplicates
-    
-    console.log('Parsing prompts from text:', promptText.substring(0, 200) + '...');
-    
-    // First, try to extract complete prompts by looking for structured patterns
-    // Look for patterns like "### Prompt 1:", "**Prompt 1:**", etc.
-    const structuredPrompts = promptText.match(/(?:###\s*Prompt\s*\d*:|Prompt\s*\d*:|Image\s*\d*:|Prompt\s*for\s*AI\s*Image\s*Editing[^]*?)(?=###\s*Prompt\s*\d*:|Prompt\s*\d*:|Image\s*\d*:|Prompt\s*for\s*AI\s*Image\s*Editing|$)/gi);
-    
-    if (structuredPrompts && structuredPrompts.length > 0) {
-        console.log('Found structured prompts:', structuredPrompts.length);
-        for (let i = 0; i < structuredPrompts.length && prompts.length < expectedCount; i++) {
-            let prompt = structuredPrompts[i].trim();
-            
-            // Clean up the prompt by removing the header and keeping the content
-            prompt = prompt.replace(/^(?:###\s*Prompt\s*\d*:|Prompt\s*\d*:|Image\s*\d*:|Prompt\s*for\s*AI\s*Image\s*Editing[^]*?)/gi, '').trim();
-            
-            // Remove markdown formatting but keep the content
-            prompt = prompt.replace(/\*\*(.*?)\*\*/g, '$1');
-            prompt = prompt.replace(/\*(.*?)\*/g, '$1');
-            
-            // Create a normalized version for duplicate detection
-            const normalizedPrompt = prompt.toLowerCase().replace(/\s+/g, ' ').trim();
-            
-            if (prompt.length > 100 && !seenPrompts.has(normalizedPrompt)) { // Ensure it's a substantial prompt and not a duplicate
-                prompts.push(prompt);
-                seenPrompts.add(normalizedPrompt);
-                console.log(`Added structured prompt ${prompts.length}:`, prompt.substring(0, 100) + '...');
-            }
-        }
-    }
-    
-    // If we still don't have enough prompts, try a different approach - split by "### Prompt" sections
-    if (prompts.length < expectedCount) {
-        const promptSections = promptText.split(/###\s*Prompt\s*\d*:/i);
-        console.log('Found prompt sections:', promptSections.length);
-        
-        for (let i = 1; i < promptSections.length && prompts.length < expectedCount; i++) {
-            let prompt = promptSections[i].trim();
-            
-            // Remove any remaining markdown formatting
-            prompt = prompt.replace(/\*\*(.*?)\*\*/g, '$1');
-            prompt = prompt.replace(/\*(.*?)\*/g, '$1');
-            
-            // Create a normalized version for duplicate detection
-            const normalizedPrompt = prompt.toLowerCase().replace(/\s+/g, ' ').trim();
-            
-            if (prompt.length > 100 && !seenPrompts.has(normalizedPrompt)) {
-                prompts.push(prompt);
-                seenPrompts.add(normalizedPrompt);
-                console.log(`Added section prompt ${prompts.length}:`, prompt.substring(0, 100) + '...');
-            }
-        }
-    }
-    
-    // If we don't have enough prompts, try splitting by numbered items (1., 2., 3., etc.)
-    if (prompts.length < expectedCount) {
-        const numberedSplit = promptText.split(/(?=\d+\.\s)/);
-        if (numberedSplit.length > 1) {
-            console.log('Found numbered split:', numberedSplit.length, 'sections');
-            for (let i = 1; i < numberedSplit.length && prompts.length < expectedCount; i++) {
-                let prompt = numberedSplit[i].trim();
-                
-                // Clean up markdown formatting
-                prompt = prompt.replace(/\*\*(.*?)\*\*/g, '$1');
-                prompt = prompt.replace(/\*(.*?)\*/g, '$1');
-                
-                // Create a normalized version for duplicate detection
-                const normalizedPrompt = prompt.toLowerCase().replace(/\s+/g, ' ').trim();
-                
-                if (prompt.length > 100 && !seenPrompts.has(normalizedPrompt)) { // Ensure it's a substantial prompt and not a duplicate
-                    prompts.push(prompt);
-                    seenPrompts.add(normalizedPrompt);
-                    console.log(`Added numbered prompt ${prompts.length}:`, prompt.substring(0, 100) + '...');
-                }
-            }
-        }
-    }
-    
-    // If we still don't have enough, try to extract the main content as a single prompt
-    if (prompts.length < expectedCount) {
-        // Remove common headers and extract the main content
-        let mainContent = promptText
-            .replace(/^(?:###\s*Prompt\s*\d*:|Prompt\s*\d*:|Image\s*\d*:|Prompt\s*for\s*AI\s*Image\s*Editing[^]*?)/gi, '')
-            .replace(/\*\*(.*?)\*\*/g, '$1')
-            .replace(/\*(.*?)\*/g, '$1')
-            .trim();
-        
-        // Create a normalized version for duplicate detection
-        const normalizedContent = mainContent.toLowerCase().replace(/\s+/g, ' ').trim();
-        
-        // If the content is substantial and not a duplicate, use it as a prompt
-        if (mainContent.length > 100 && !seenPrompts.has(normalizedContent)) {
-            prompts.push(mainContent);
-            seenPrompts.add(normalizedContent);
-            console.log(`Added main content prompt:`, mainContent.substring(0, 100) + '...');
-        }
-    }
-    
-    // If we still don't have enough, try splitting by double line breaks
-    if (prompts.length < expectedCount) {
-        const paragraphSplit = promptText.split(/\n\s*\n/);
-        console.log('Found paragraph split:', paragraphSplit.length, 'sections');
-        for (let i = 0; i < paragraphSplit.length && prompts.length < expectedCount; i++) {
-            let prompt = paragraphSplit[i].trim();
-            
-            // Clean up markdown formatting
-            prompt = prompt.replace(/\*\*(.*?)\*\*/g, '$1');
-            prompt = prompt.replace(/\*(.*?)\*/g, '$1');
-            
-            // Create a normalized version for duplicate detection
-            const normalizedPrompt = prompt.toLowerCase().replace(/\s+/g, ' ').trim();
-            
-            if (prompt.length > 100 && !seenPrompts.has(normalizedPrompt)) {
-                prompts.push(prompt);
-                seenPrompts.add(normalizedPrompt);
-                console.log(`Added paragraph prompt ${prompts.length}:`, prompt.substring(0, 100) + '...');
-            }
-        }
-    }
-    
-    // If we still don't have enough, create variations of existing prompts
-    while (prompts.length < expectedCount) {
-        const basePrompt = prompts[0] || promptText;
-        const variation = createPromptVariation(basePrompt, prompts.length + 1);
-        
-        // Create a normalized version for duplicate detection
-        const normalizedVariation = variation.toLowerCase().replace(/\s+/g, ' ').trim();
-        
-        if (!seenPrompts.has(normalizedVariation)) {
-            prompts.push(variation);
-            seenPrompts.add(normalizedVariation);
-            console.log(`Added variation ${prompts.length}:`, variation.substring(0, 100) + '...');
-        } else {
-            // If the variation is a duplicate, break to avoid infinite loop
-            console.log('Variation is duplicate, stopping generation');
-            break;
-        }
-    }
-    
-    console.log(`Final prompts count: ${prompts.length}`);
-    return prompts.slice(0, expectedCount);
-}
-
-// Helper function to create creative variations of prompts
-function createPromptVariation(basePrompt, index) {
-    const creativeVariations = [
-        `ARTISTIC VARIATION ${index}: Replace the person's current clothing with the uploaded clothing items, maintaining their face and body unchanged. Apply dramatic artistic lighting with creative shadows and rim lighting effects. Position the person in a dynamic pose with emotional expression against an artistic background with depth and texture. Use advanced composition techniques including rule of thirds and creative depth of field for maximum visual impact.`,
-        `CREATIVE MASTERPIECE ${index}: Remove the person's current clothing and dress them in the uploaded clothing items, keeping their face and body appearance the same. Create a visually stunning composition with artistic lighting, creative pose variations, and dramatic background elements. Apply mood and atmosphere through sophisticated color grading and artistic ambiance for a truly artistic result.`,
-        `VISUAL ARTWORK ${index}: Transform the person's clothing to the uploaded items while preserving their facial features and body structure. Craft an artistic visual experience with creative lighting setups, dynamic pose expressions, and artistic background transformations. Incorporate advanced photography techniques including selective focus, artistic bokeh, and creative composition for a masterpiece result.`,
-        `ARTISTIC ENHANCEMENT ${index}: Replace the person's current clothing with the uploaded clothing items, maintaining their face and body unchanged. Create an artistic visual narrative with dramatic lighting, creative shadow play, and sophisticated composition. Apply color theory principles and artistic depth of field effects for a creatively enhanced, visually stunning image.`,
-        `CINEMATIC TRANSFORMATION ${index}: Replace the person's current clothing with the uploaded clothing items while preserving their face and body exactly. Create a cinematic masterpiece with dramatic film lighting, atmospheric effects, and storytelling composition. Use advanced cinematography techniques including depth of field, creative framing, and mood lighting for a movie-quality result.`,
-        `FASHION EDITORIAL ${index}: Transform the person's clothing to the uploaded items, keeping their face and body unchanged. Create a high-fashion editorial scene with dramatic studio lighting, artistic poses, and sophisticated composition. Apply fashion photography techniques including creative lighting, artistic shadows, and professional styling for a magazine-quality result.`,
-        `STREET ART MASTERPIECE ${index}: Replace the person's current clothing with the uploaded clothing items while maintaining their face and body. Create a vibrant street photography scene with urban graffiti backgrounds, dynamic poses, and authentic street aesthetics. Use creative urban lighting, candid photography techniques, and artistic street elements for a dynamic result.`,
-        `VINTAGE GLAMOUR ${index}: Transform the person's clothing to the uploaded items, preserving their face and body exactly. Create a nostalgic vintage scene with period-appropriate styling, artistic film grain effects, and classic photography techniques. Apply vintage color grading, retro aesthetics, and timeless composition for a nostalgic masterpiece.`,
-        `MINIMALIST ELEGANCE ${index}: Replace the person's current clothing with the uploaded clothing items while keeping their face and body unchanged. Create a clean, minimalist composition with sophisticated negative space, artistic simplicity, and maximum visual impact. Use creative minimalism, elegant lighting, and sophisticated composition for a refined result.`,
-        `PROFESSIONAL SOPHISTICATION ${index}: Transform the person's clothing to the uploaded items, maintaining their face and body exactly. Create a professional corporate scene with sophisticated business aesthetics, polished lighting, and executive photography techniques. Apply corporate styling, professional composition, and refined business aesthetics for a polished result.`
-    ];
-    
-    return creativeVariations[index % creativeVariations.length];
-}
-
 // Analyze user photo endpoint
-app.post('/api/analyze-user-photo', async (req, res) => {
+app.post('/api/analyze-user-photo', ingestBodyImages('userImage'), async (req, res) => {
     try {
         const { userImage } = req.body;
 
@@ -650,47 +708,15 @@ app.post('/api/analyze-user-photo', async (req, res) => {
 
         console.log('Analyzing user photo');
 
-        // Create analysis prompt
-        const analysisPrompt = `Analyze the provided user photo and provide detailed descriptions of the person. Describe:
-
-1. Physical appearance (age, gender, ethnicity if visible)
-2. Facial features (hair color, hair style, facial hair, eye color if visible)
-3. Body type and build (height, build, posture)
-4. Current clothing and style
-5. Skin tone and complexion
-6. Any distinctive features or characteristics
-7. Overall appearance and style
-
-Please provide a clear, structured analysis of the person in the photo.`;
-
-        // Prepare messages array with user image
-        const messages = [
-            { role: "system", content: "You are a fashion expert who analyzes people's appearance in detail. Provide clear, structured descriptions of physical characteristics." },
-            { role: "user", content: [
-                { type: "text", text: analysisPrompt },
-                {
-                    type: "image_url",
-                    image_url: {
-                        url: userImage
-                    }
-                }
-            ]}
-        ];
-
-        const completion = await openai.chat.completions.create({
-            model: "gpt-4o-mini",
-            messages: messages,
-            max_tokens: 800,
-            temperature: 0.7,
-        });
-
-        const analysisText = completion.choices[0].message.content.trim();
+        const [result, preflight] = await Promise.all([analyzeUserPhoto(userImage), preflightPerson(userImage)]);
         
-        console.log('User photo analysis completed');
+        console.log(`User photo analysis completed${result.cached ? ' (cached)' : ''}`);
 
         res.json({
             success: true,
-            analysis: analysisText
+            analysis: result.analysis,
+            cached: result.cached,
+            preflight: preflight
         });
 
     } catch (error) {
@@ -703,7 +729,7 @@ Please provide a clear, structured analysis of the person in the photo.`;
 });
 
 // Analyze clothing images endpoint
-app.post('/api/analyze-clothing', async (req, res) => {
+app.post('/api/analyze-clothing', ingestBodyImages('clothingImages'), async (req, res) => {
     try {
         const { clothingImages } = req.body;
 
@@ -716,51 +742,17 @@ app.post('/api/analyze-clothing', async (req, res) => {
 
         console.log(`Analyzing ${clothingImages.length} clothing item(s)`);
 
-        // Create analysis prompt
-        const analysisPrompt = `Analyze the provided clothing images and provide detailed descriptions of each item. For each clothing item, describe:
-
-1. Type of clothing (shirt, dress, jacket, shoes, jewelry, accessories, etc.)
-2. Style and aesthetic (casual, formal, vintage, modern, streetwear, etc.)
-3. Colors and patterns (solid colors, stripes, floral, geometric, etc.)
-4. Material/texture appearance (cotton, leather, silk, denim, etc.)
-5. Any distinctive features or accessories (buttons, zippers, logos, etc.)
-6. Fit and silhouette (loose, fitted, oversized, etc.)
-
-Please provide a clear, structured analysis for each clothing item.`;
-
-        // Prepare messages array with clothing images
-        const messages = [
-            { role: "system", content: "You are a fashion expert who analyzes clothing items in detail. Provide clear, structured descriptions of clothing characteristics." },
-            { role: "user", content: analysisPrompt }
-        ];
-
-        // Add clothing images to the user message
-        const imageContent = [{ type: "text", text: analysisPrompt }];
-        clothingImages.forEach((clothingImage, index) => {
-            imageContent.push({
-                type: "image_url",
-                image_url: {
-                    url: clothingImage
-                }
-            });
-        });
-        messages[1].content = imageContent;
-
-        const completion = await openai.chat.completions.create({
-            model: "gpt-4o-mini",
-            messages: messages,
-            max_tokens: 1000,
-            temperature: 0.7,
-        });
-
-        const analysisText = completion.choices[0].message.content.trim();
+        const result = await analyzeClothing(clothingImages);
+        const preflights = await Promise.all(result.items.map((item, index) => preflightGarment(clothingImages[index], item.record)));
         
-        console.log('Clothing analysis completed');
+        console.log(`Clothing analysis completed${result.cached ? ' (cached)' : ''}`);
 
         res.json({
             success: true,
-            analysis: analysisText,
-            clothingCount: clothingImages.length
+            analysis: result.analysis,
+            clothingCount: clothingImages.length,
+            cached: result.cached,
+            items: result.items.map((item, index) => ({ ...item.record, hash: item.hash, cached: item.cached, preflight: preflights[index] }))
         });
 
     } catch (error) {
@@ -772,145 +764,764 @@ Please provide a clear, structured analysis for each clothing item.`;
     }
 });
 
-// Generate try-on image endpoint
-app.post('/api/generate-try-on', validateTryOnRequest, async (req, res) => {
+// Generate try-on image endpoint - enqueues a job and returns its ID right away
+app.post('/api/generate-try-on', validateTryOnRequest, ingestBodyImages('user_image', 'user_images', 'image_urls'), moderateBody(body => ({
+    people: body.user_images || body.user_image,
+    garments: body.image_urls,
+    texts: body.prompts
+})), (req, res) => {
+    let reservation = null;
     try {
-        const { prompts, image_urls, image_count = 1, user_image } = req.body;
-        
-        if (!prompts || !image_urls || !Array.isArray(image_urls) || image_urls.length === 0) {
-            return res.status(400).json({ 
-                error: 'Missing required fields: prompts and image_urls array' 
-            });
-        }
+        const { prompts, image_urls, image_count = 1, user_image, user_images, outfit, runId } = req.body;
 
-        // Validate image count (1-5 images)
+        // Validate image count (1-5 images, per person in multi-person mode)
         const numImages = Math.min(Math.max(parseInt(image_count) || 1, 1), 5);
-        
-        // Ensure we have the right number of prompts
-        const promptArray = Array.isArray(prompts) ? prompts : [prompts];
-        const finalPrompts = promptArray.slice(0, numImages);
+        const totalImages = numImages * (user_images ? user_images.length : 1);
 
-        // Combine user image with clothing images
-        const allImageUrls = [];
-        if (user_image) {
-            allImageUrls.push(user_image);
-        }
-        allImageUrls.push(...image_urls);
+        // Ensure we have the right number of prompts (each person's in turn)
+        const promptArray = Array.isArray(prompts) ? prompts : [prompts];
+        const finalPrompts = promptArray.slice(0, totalImages);
 
-        console.log('Generating try-on images with prompts:', finalPrompts.length);
-        console.log('Number of images to generate:', numImages);
-        console.log('User image provided:', !!user_image);
-        console.log('Total image URLs:', allImageUrls.length);
+        const validRunId = ownRunId(req, runId);
+        const userId = req.user ? req.user.id : null;
 
-        // Generate images with different prompts
-        const results = [];
-        
-        for (let i = 0; i < numImages; i++) {
-            const prompt = finalPrompts[i] || finalPrompts[0]; // Fallback to first prompt
-            
-            console.log(`Generating image ${i + 1} with prompt:`, prompt.substring(0, 100) + '...');
-            
-            // Call Replicate API for each image
-            const result = await replicate.run("google/nano-banana", {
-                input: {
-                    prompt: prompt,
-                    image_input: allImageUrls
-                }
+        const metered = usage.reserve(usage.subjectFor(req), usage.planFor(req), 'images', totalImages, numImages);
+        if (!metered.reservation) {
+            return sendUsageRejection(res, metered);
+        }
+        reservation = metered.reservation;
+
+        // Signed-in runs are saved to the account's history
+        if (userId && validRunId) {
+            const run = history.updateRun(validRunId, userId, { status: 'generating', prompts: finalPrompts, imageCount: numImages, outfit: outfit || null });
+            if (!run) {
+                usage.release(reservation, totalImages);
+                return res.status(409).json({ error: 'This run ID is already in use' });
+            }
+            saveRunInputs(validRunId, userId, user_image, image_urls, user_images).catch(error => {
+                console.error(`Could not save inputs for run ${validRunId}:`, error.message);
             });
+        }
 
-            console.log(`Image ${i + 1} generation completed`);
-            console.log(`Image ${i + 1} result:`, result);
-            
-            // Format result to match expected structure
-            const formattedResult = {
-                data: {
-                    images: [{
-                        url: result.url ? result.url() : result
-                    }]
-                },
-                requestId: `replicate_${Date.now()}_${i}`
-            };
-            
-            results.push(formattedResult);
-        }
-
-        // Combine all results
-        const combinedData = {
-            images: [],
-            requestIds: []
-        };
-        
-        results.forEach((result, index) => {
-            if (result.data && result.data.images) {
-                combinedData.images.push(...result.data.images);
-            }
-            combinedData.requestIds.push(result.requestId);
-        });
-        
-        console.log('Combined data:', JSON.stringify(combinedData, null, 2));
-        
-        const response = {
+        // Inputs are saved in upload order; the job gets the garments in layering order
+        const job = queueTryOnJob({
+            prompts: finalPrompts,
+            imageUrls: orderClothingImages(image_urls, outfit),
+            userImage: user_image,
+            userImages: user_images,
+            runId: validRunId,
+            userId: userId,
+            guestSubject: usage.subjectFor(req),
+            usage: reservation
+        }, numImages);
+
+        res.status(202).json({
             success: true,
-            data: combinedData,
-            requestIds: combinedData.requestIds
-        };
-        
-        console.log('Final response:', JSON.stringify(response, null, 2));
-        
-        res.json(response);
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/api/jobs/${job.id}`,
+            usage: usage.getUsage(usage.subjectFor(req), usage.planFor(req))
+        });
 
     } catch (error) {
-        console.error('Error generating try-on image:', error);
-        
-        // Handle specific Replicate errors
-        if (error.message.includes('API key') || error.message.includes('authentication')) {
-            return res.status(401).json({ 
-                error: 'Invalid API key. Please check your REPLICATE_API_TOKEN environment variable.' 
-            });
+        console.error('Error queueing try-on job:', error);
+        if (reservation) {
+            usage.release(reservation, reservation.count);
         }
-        
-        if (error.message.includes('rate limit')) {
-            return res.status(429).json({ 
-                error: 'Rate limit exceeded. Please try again later.' 
+        res.status(500).json({ 
+            error: 'Failed to start image generation. Please try again.',
+            details: error.message 
+        });
+    }
+});
+
+// Generation history for the signed-in account
+app.get('/api/history', requireUser, (req, res) => {
+    const runs = history.listRuns(req.user.id);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    res.json({
+        success: true,
+        total: runs.length,
+        runs: runs.slice(offset, offset + limit).map(history.toRunSummary)
+    });
+});
+
+app.get('/api/history/:id', requireUser, (req, res) => {
+    const run = history.getRun(req.params.id, req.user.id);
+
+    if (!run) {
+        return res.status(404).json({ success: false, error: 'Run not found' });
+    }
+
+    res.json({ success: true, run: history.toPublicRun(run) });
+});
+
+// Delete a run and any stored media no other run uses
+app.delete('/api/history/:id', requireUser, async (req, res) => {
+    try {
+        const run = history.getRun(req.params.id, req.user.id);
+
+        if (!run) {
+            return res.status(404).json({ success: false, error: 'Run not found' });
+        }
+
+        history.deleteRun(run.id);
+        provenance.deleteRunProvenance(run.id, req.user.id);
+        for (const mediaId of history.runMediaIds(run)) {
+            if (!history.isMediaReferenced(mediaId, run.id)) {
+                await deleteMedia(mediaId);
+            }
+        }
+
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('Error deleting run:', error);
+        res.status(500).json({ 
+            success: false,
+            error: 'Failed to delete run',
+            details: error.message 
+        });
+    }
+});
+
+// Generate a run again with the same inputs and prompts, saved as a new run
+app.post('/api/history/:id/rerun', requireUser, async (req, res) => {
+    try {
+        const run = history.getRun(req.params.id, req.user.id);
+
+        if (!run) {
+            return res.status(404).json({ success: false, error: 'Run not found' });
+        }
+
+        if (run.prompts.length === 0 || !run.inputs.userImage || run.inputs.clothingImages.length === 0) {
+            return res.status(400).json({ success: false, error: 'This run has no saved prompts or images to re-run' });
+        }
+
+        const newRunId = ownRunId(req, req.body.runId) || crypto.randomUUID();
+        const userImages = run.inputs.userImages || null;
+        const numImages = run.imageCount || run.prompts.length;
+        const totalImages = numImages * (userImages ? userImages.length : 1);
+
+        if (history.getRun(newRunId, req.user.id)) {
+            return res.status(409).json({ success: false, error: 'This run ID is already in use' });
+        }
+
+        const metered = usage.reserve(usage.subjectFor(req), usage.planFor(req), 'images', totalImages, numImages);
+        if (!metered.reservation) {
+            return sendUsageRejection(res, metered);
+        }
+
+        const newRun = history.updateRun(newRunId, req.user.id, {
+            status: 'generating',
+            style: run.style,
+            styleName: run.styleName,
+            customDetails: run.customDetails,
+            imageCount: numImages,
+            promptTemplate: run.promptTemplate,
+            prompts: run.prompts,
+            inputs: run.inputs,
+            outfit: run.outfit || null,
+            rerunOf: run.id
+        });
+        if (!newRun) {
+            usage.release(metered.reservation, totalImages);
+            return res.status(409).json({ success: false, error: 'This run ID is already in use' });
+        }
+
+        // Older runs may have kept remote image URLs; those are fetched safely and ingested now.
+        // Inputs are moderated again, since the run may predate moderation or a policy change.
+        const ingestInput = image => ingest.ingestImageInput(image, { runId: newRunId });
+
+        let job;
+        try {
+            const clothingRefs = await Promise.all(orderClothingImages(run.inputs.clothingImages, run.outfit).map(ingestInput));
+            const userRef = await ingestInput(run.inputs.userImage);
+            const userRefs = userImages ? await Promise.all(userImages.map(ingestInput)) : null;
+
+            const checked = await moderation.moderateInputs(
+                { people: userRefs || userRef, garments: clothingRefs, texts: run.prompts },
+                { source: 'web', userId: req.user.id, runId: newRunId }
+            );
+            if (!checked.allowed) {
+                usage.release(metered.reservation, totalImages);
+                history.updateRun(newRunId, req.user.id, { status: 'failed' });
+                return sendModerationRejection(res, checked);
+            }
+
+            job = queueTryOnJob({
+                prompts: run.prompts,
+                imageUrls: clothingRefs,
+                userImage: userRef,
+                userImages: userRefs,
+                runId: newRunId,
+                userId: req.user.id,
+                usage: metered.reservation
+            }, numImages);
+        } catch (error) {
+            usage.release(metered.reservation, totalImages);
+            if (error instanceof moderation.ModerationError) {
+                history.updateRun(newRunId, req.user.id, { status: 'failed' });
+                return sendModerationRejection(res, error);
+            }
+            throw error;
+        }
+
+        res.status(202).json({
+            success: true,
+            runId: newRunId,
+            prompts: run.prompts,
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/api/jobs/${job.id}`
+        });
+
+    } catch (error) {
+        console.error('Error re-running:', error);
+        res.status(500).json({ 
+            success: false,
+            error: 'Failed to re-run. Please try again.',
+            details: error.message 
+        });
+    }
+});
+
+// Provenance record of one generated image or video (see lib/provenance.js)
+app.get('/api/provenance/:id', requireUser, (req, res) => {
+    const record = provenance.getProvenance(req.params.id, req.user.id);
+    if (!record) {
+        return res.status(404).json({ success: false, error: 'Provenance record not found' });
+    }
+    res.json({ success: true, provenance: provenance.toPublicProvenance(record) });
+});
+
+// The "regenerate with changes" fields of the body
+function provenanceChanges(body) {
+    const changes = {};
+    ['prompt', 'seed', 'personImage', 'garmentImages'].forEach(field => {
+        if (body[field] !== undefined) {
+            changes[field] = body[field];
+        }
+    });
+    return changes;
+}
+
+const validateProvenanceChanges = (req, res, next) => {
+    const problem = provenance.validateChanges(provenanceChanges(req.body));
+    if (problem) {
+        return res.status(400).json({ success: false, error: problem });
+    }
+    next();
+};
+
+// Generate an output again from its provenance record. An image becomes a
+// new run; a video becomes a video job. With `withChanges` the body may
+// replace the prompt, seed or (for an image) input images.
+function reproduceFromProvenance(withChanges) {
+    return async (req, res) => {
+        try {
+            const record = provenance.getProvenance(req.params.id, req.user.id);
+            if (!record) {
+                return res.status(404).json({ success: false, error: 'Provenance record not found' });
+            }
+
+            const video = record.kind === 'video';
+            const changes = withChanges ? provenanceChanges(req.body) : {};
+            const problem = provenance.validateChanges(changes, record.kind);
+            if (problem) {
+                return res.status(400).json({ success: false, error: problem });
+            }
+
+            const { reproduction, error } = provenance.buildReproduction(record, changes);
+            if (!reproduction) {
+                return res.status(410).json({ success: false, error: error });
+            }
+
+            const newRunId = video ? null : (ownRunId(req, req.body.runId) || crypto.randomUUID());
+            if (newRunId && history.getRun(newRunId, req.user.id)) {
+                return res.status(409).json({ success: false, error: 'This run ID is already in use' });
+            }
+
+            const metered = usage.reserve(usage.subjectFor(req), usage.planFor(req), video ? 'videos' : 'images', 1);
+            if (!metered.reservation) {
+                return sendUsageRejection(res, metered);
+            }
+
+            let job;
+            try {
+                // Inputs are moderated again, since the policy may have changed since
+                const checked = await moderation.moderateInputs(
+                    video
+                        ? { images: reproduction.imageUrl, texts: reproduction.prompt }
+                        : { people: reproduction.personImage, garments: reproduction.garmentImages, texts: reproduction.prompt },
+                    { source: 'web', userId: req.user.id, runId: newRunId }
+                );
+                if (!checked.allowed) {
+                    usage.release(metered.reservation, 1);
+                    return sendModerationRejection(res, checked);
+                }
+
+                job = queueReproduction(reproduction, {
+                    runId: newRunId,
+                    userId: req.user.id,
+                    usage: metered.reservation
+                });
+            } catch (error) {
+                usage.release(metered.reservation, 1);
+                if (error instanceof moderation.ModerationError) {
+                    return sendModerationRejection(res, error);
+                }
+                throw error;
+            }
+
+            res.status(202).json({
+                success: true,
+                runId: newRunId,
+                prompts: [reproduction.prompt],
+                jobId: job.id,
+                status: job.status,
+                statusUrl: `/api/jobs/${job.id}`
+            });
+
+        } catch (error) {
+            console.error('Error reproducing:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to generate the output again. Please try again.',
+                details: error.message
             });
         }
-        
+    };
+}
+
+app.post('/api/provenance/:id/reproduce', requireUser, reproduceFromProvenance(false));
+app.post('/api/provenance/:id/regenerate', requireUser, validateProvenanceChanges, ingestBodyImages('personImage', 'garmentImages'), reproduceFromProvenance(true));
+
+// Start a catalog batch: one model photo in every garment of a CSV or JSON manifest
+app.post('/api/batches', requireUser, receiveBatchUpload, async (req, res) => {
+    const files = Object.values(req.files || {}).flat();
+    try {
+        const { style, customDetails, name } = req.body;
+        const imagesPerItem = parseInt(req.body.imagesPerItem) || 1;
+        const modelFile = req.files && req.files.modelImage ? req.files.modelImage[0] : null;
+        const manifestFile = req.files && req.files.manifest ? req.files.manifest[0] : null;
+
+        if (!modelFile) {
+            return res.status(400).json({ success: false, error: 'A model photo is required' });
+        }
+        if (!manifestFile) {
+            return res.status(400).json({ success: false, error: 'A CSV or JSON manifest is required' });
+        }
+        if (!style || !styles.getStyle(style, req.user.id)) {
+            return res.status(400).json({ success: false, error: 'Valid style is required' });
+        }
+        if (imagesPerItem < 1 || imagesPerItem > 5) {
+            return res.status(400).json({ success: false, error: 'Images per item must be between 1 and 5' });
+        }
+        if (customDetails && customDetails.length > 1000) {
+            return res.status(400).json({ success: false, error: 'Custom details must be at most 1000 characters' });
+        }
+
+        const { items, errors } = batches.parseManifest(fs.readFileSync(manifestFile.path, 'utf8'), manifestFile.originalname);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'The manifest has problems', details: errors.slice(0, 20) });
+        }
+
+        const metered = usage.reserve(usage.subjectFor(req), usage.planFor(req), 'images', items.length * imagesPerItem, imagesPerItem);
+        if (!metered.reservation) {
+            return sendUsageRejection(res, metered);
+        }
+
+        let job;
+        try {
+            // Only garment files the manifest refers to are stored
+            const referenced = new Set(items.flatMap(item => item.images.map(image => path.basename(image))));
+            const uploads = new Map();
+            const rejected = [];
+            for (const file of (req.files.garments || [])) {
+                if (referenced.has(file.originalname) && !uploads.has(file.originalname)) {
+                    try {
+                        const { url } = await ingest.ingestImage(fs.readFileSync(file.path));
+                        uploads.set(file.originalname, url);
+                    } catch (error) {
+                        if (!(error instanceof ingest.IngestError)) {
+                            throw error;
+                        }
+                        rejected.push(`${file.originalname}: ${error.message}`);
+                    }
+                }
+            }
+            if (rejected.length > 0) {
+                usage.release(metered.reservation, metered.reservation.count);
+                return res.status(400).json({ success: false, error: 'Some garment images could not be used', details: rejected.slice(0, 20) });
+            }
+            const missing = batches.resolveImageReferences(items, uploads);
+            if (missing.length > 0) {
+                usage.release(metered.reservation, metered.reservation.count);
+                return res.status(400).json({ success: false, error: 'Some manifest images were not uploaded', details: missing.slice(0, 20) });
+            }
+
+            let model;
+            try {
+                model = await ingest.ingestImage(fs.readFileSync(modelFile.path));
+            } catch (error) {
+                if (!(error instanceof ingest.IngestError)) {
+                    throw error;
+                }
+                usage.release(metered.reservation, metered.reservation.count);
+                return res.status(400).json({ success: false, error: `The model photo could not be used: ${error.message}` });
+            }
+
+            // Garment images are moderated per item as the batch runs
+            const checked = await moderation.moderateInputs(
+                { people: model.url, texts: customDetails },
+                { source: 'batch', userId: req.user.id }
+            );
+            if (!checked.allowed) {
+                usage.release(metered.reservation, metered.reservation.count);
+                return sendModerationRejection(res, checked);
+            }
+            job = batches.queueBatch({
+                userId: req.user.id,
+                name: typeof name === 'string' ? name.trim().substring(0, 100) : '',
+                modelImage: model.url,
+                items: items,
+                style: style,
+                customDetails: customDetails || '',
+                imagesPerItem: imagesPerItem,
+                usage: metered.reservation
+            });
+        } catch (error) {
+            usage.release(metered.reservation, metered.reservation.count);
+            if (error instanceof moderation.ModerationError) {
+                return sendModerationRejection(res, error);
+            }
+            throw error;
+        }
+
+        res.status(202).json({
+            success: true,
+            batch: batches.toBatchSummary(job),
+            statusUrl: `/api/batches/${job.id}`,
+            usage: usage.getUsage(usage.subjectFor(req), usage.planFor(req))
+        });
+
+    } catch (error) {
+        console.error('Error starting batch:', error);
         res.status(500).json({ 
-            error: 'Failed to generate image. Please try again.',
+            success: false,
+            error: 'Failed to start the batch. Please try again.',
             details: error.message 
         });
+    } finally {
+        files.forEach(file => fs.rm(file.path, { force: true }, () => {}));
+    }
+});
+
+app.get('/api/batches', requireUser, (req, res) => {
+    res.json({
+        success: true,
+        batches: batches.listBatches(req.user.id).map(batches.toBatchSummary)
+    });
+});
+
+app.get('/api/batches/:id', requireUser, (req, res) => {
+    const job = batches.getBatch(req.params.id, req.user.id);
+
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Batch not found' });
     }
+
+    res.json({ success: true, batch: batches.toPublicBatch(job) });
 });
 
-// Upload images endpoint (alternative to data URLs)
-app.post('/api/upload-images', upload.array('images', 10), async (req, res) => {
+// Stop starting new items; items already running still finish
+app.post('/api/batches/:id/cancel', requireUser, (req, res) => {
+    const job = batches.getBatch(req.params.id, req.user.id);
+
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Batch not found' });
+    }
+    if (!batches.cancelBatch(job)) {
+        return res.status(409).json({ success: false, error: 'This batch has already finished' });
+    }
+
+    res.json({ success: true, batch: batches.toBatchSummary(job) });
+});
+
+// Results manifest (SKU -> image URLs) as JSON or CSV, or a ZIP of the images
+app.get('/api/batches/:id/results', requireUser, async (req, res) => {
+    const job = batches.getBatch(req.params.id, req.user.id);
+
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Batch not found' });
+    }
+
+    const format = req.query.format || 'json';
+    const baseUrl = publicBaseUrl();
+    const fileName = `batch-${job.id}`;
+
+    if (format === 'json') {
+        res.attachment(`${fileName}.json`);
+        return res.json(batches.buildResultsManifest(job, baseUrl));
+    }
+    if (format === 'csv') {
+        res.attachment(`${fileName}.csv`);
+        res.type('text/csv');
+        return res.send(batches.toResultsCsv(batches.buildResultsManifest(job, baseUrl)));
+    }
+    if (format !== 'zip') {
+        return res.status(400).json({ success: false, error: 'Format must be json, csv or zip' });
+    }
+
     try {
-        if (!req.files || req.files.length === 0) {
-            return res.status(400).json({ error: 'No images uploaded' });
+        res.attachment(`${fileName}.zip`);
+        await batches.writeResultsZip(job, res, baseUrl);
+    } catch (error) {
+        console.error('Error writing batch ZIP:', error);
+        // Headers are already sent once the archive has started
+        res.destroy(error);
+    }
+});
+
+// Start a lookbook reel from stored videos and stills of this account
+app.post('/api/reels', requireUser, async (req, res) => {
+    try {
+        const validationError = reels.validateReelRequest(req.body, req.user.id);
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+        if (!(await reels.isFfmpegAvailable())) {
+            return res.status(503).json({ success: false, error: 'Lookbook reels need ffmpeg, which is not installed on this server' });
+        }
+
+        const { runId, music } = req.body;
+        if (runId && !history.getRun(runId, req.user.id)) {
+            return res.status(404).json({ success: false, error: 'Run not found' });
         }
 
-        const imageUrls = req.files.map(file => {
-            return `${req.protocol}://${req.get('host')}/uploads/${file.filename}`;
+        // Music is stored like any other input so a resumed job can still read it
+        const musicRecord = music ? await persistMedia(music, { kind: 'audio', runId: runId }) : null;
+        const job = reels.queueReel({
+            ...req.body,
+            userId: req.user.id,
+            music: musicRecord ? mediaUrl(musicRecord.id) : null
         });
 
+        res.status(202).json({
+            success: true,
+            reel: reels.toPublicReel(job),
+            statusUrl: `/api/reels/${job.id}`
+        });
+
+    } catch (error) {
+        console.error('Error starting reel:', error);
+        res.status(500).json({ 
+            success: false,
+            error: 'Failed to start the reel. Please try again.',
+            details: error.message 
+        });
+    }
+});
+
+app.get('/api/reels', requireUser, async (req, res) => {
+    res.json({
+        success: true,
+        available: await reels.isFfmpegAvailable(),
+        options: reels.describeReelOptions(),
+        reels: reels.listReels(req.user.id).map(reels.toPublicReel)
+    });
+});
+
+app.get('/api/reels/:id', requireUser, (req, res) => {
+    const job = reels.getReel(req.params.id, req.user.id);
+
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Reel not found' });
+    }
+
+    res.json({ success: true, reel: reels.toPublicReel(job) });
+});
+
+// Job status endpoint
+// A signed-in user's jobs and runs are theirs only; a guest's belong to the
+// client that started them. `owner` is { userId, guestSubject }. Other jobs
+// are reported as missing.
+function isOwner(req, owner) {
+    if (owner.userId) {
+        return !!req.user && req.user.id === owner.userId;
+    }
+    return !req.user && !!owner.guestSubject && owner.guestSubject === usage.subjectFor(req);
+}
+
+function canReadJob(req, job) {
+    return isOwner(req, job.input || {});
+}
+
+app.get('/api/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id);
+
+    if (!job || !canReadJob(req, job)) {
+        return res.status(404).json({ 
+            success: false,
+            error: 'Job not found' 
+        });
+    }
+
+    res.json({
+        success: true,
+        job: toPublicJob(job)
+    });
+});
+
+// Feedback and downloads count toward a run's prompt template version, so they
+// are only taken from the run's owner. A run without an assignment has nothing
+// to count them toward.
+function experimentRunError(req, runId) {
+    if (!progress.isValidRunId(runId)) {
+        return { status: 400, error: 'Valid runId is required' };
+    }
+    const owner = experiments.runOwner(runId);
+    if (owner && !isOwner(req, owner)) {
+        return { status: 404, error: 'Run not found' };
+    }
+    return null;
+}
+
+// Rate one generated image (thumbs up/down) for the prompt template experiment
+app.post('/api/feedback', (req, res) => {
+    const { runId, index, rating } = req.body;
+
+    const runError = experimentRunError(req, runId);
+    if (runError) {
+        return res.status(runError.status).json({ error: runError.error });
+    }
+
+    if (rating !== 'up' && rating !== 'down') {
+        return res.status(400).json({ error: 'Rating must be "up" or "down"' });
+    }
+
+    if (experiments.runOwner(runId)) {
+        experiments.recordEvent({ type: 'feedback', runId: runId, index: parseInt(index) || 0, rating: rating });
+    }
+    res.json({ success: true, promptTemplateVersion: experiments.versionForRun(runId) });
+});
+
+// Record that a generated image was downloaded
+app.post('/api/events/download', (req, res) => {
+    const { runId, index } = req.body;
+
+    const runError = experimentRunError(req, runId);
+    if (runError) {
+        return res.status(runError.status).json({ error: runError.error });
+    }
+
+    if (experiments.runOwner(runId)) {
+        experiments.recordEvent({ type: 'download', runId: runId, index: parseInt(index) || 0 });
+    }
+    res.json({ success: true });
+});
+
+// Per-version results for an experiment (feedback and download rates), for administrators
+app.get('/api/experiments/:name', requireAdmin, (req, res) => {
+    if (req.params.name !== PROMPT_TEMPLATE_NAME) {
+        return res.status(404).json({ error: 'Experiment not found' });
+    }
+
+    res.json({ success: true, report: experiments.experimentReport(PROMPT_TEMPLATE_NAME) });
+});
+
+// Upload images endpoint: each file is ingested and stored, and the page sends
+// the returned /media references in place of the image data
+app.post('/api/upload-images', imageUpload.array('images', 10), async (req, res) => {
+    try {
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ success: false, error: 'No images uploaded' });
+        }
+
+        const runId = ownRunId(req, req.body.runId);
+        const images = [];
+        for (const [index, file] of req.files.entries()) {
+            try {
+                const image = await ingest.ingestImage(file.buffer, { runId: runId });
+                images.push({ id: image.record.id, url: image.url, width: image.width, height: image.height });
+            } catch (error) {
+                if (error instanceof ingest.IngestError) {
+                    return res.status(400).json({ success: false, error: error.message, details: `Image ${index + 1}` });
+                }
+                throw error;
+            }
+        }
+
         res.json({
             success: true,
-            imageUrls: imageUrls
+            images: images,
+            imageUrls: images.map(image => image.url)
         });
 
     } catch (error) {
         console.error('Error uploading images:', error);
         res.status(500).json({ 
+            success: false,
             error: 'Failed to upload images',
             details: error.message 
         });
     }
 });
 
+// Import pasted image URLs: each is downloaded by the server (private and
+// internal addresses are refused) and ingested like an uploaded file
+app.post('/api/import-images', async (req, res) => {
+    try {
+        const { urls, runId } = req.body;
+        if (!Array.isArray(urls) || urls.length === 0 || urls.length > 10) {
+            return res.status(400).json({ success: false, error: 'Between 1 and 10 image URLs are required' });
+        }
+        if (urls.some(url => typeof url !== 'string' || !/^https?:\/\//i.test(url))) {
+            return res.status(400).json({ success: false, error: 'Image URLs must use http or https' });
+        }
+
+        const details = { runId: ownRunId(req, runId) };
+        const images = [];
+        for (const url of urls) {
+            try {
+                const image = await ingest.ingestRemoteImage(url, details);
+                images.push({ id: image.record.id, url: image.url, width: image.width, height: image.height, sourceUrl: url });
+            } catch (error) {
+                if (error instanceof ingest.IngestError) {
+                    return res.status(400).json({ success: false, error: error.message, details: url });
+                }
+                throw error;
+            }
+        }
+
+        res.json({
+            success: true,
+            images: images,
+            imageUrls: images.map(image => image.url)
+        });
+
+    } catch (error) {
+        console.error('Error importing images:', error);
+        res.status(500).json({ 
+            success: false,
+            error: 'Failed to import images',
+            details: error.message 
+        });
+    }
+});
+
 // Generate video from image endpoint
-app.post('/api/generate-video', async (req, res) => {
+app.post('/api/generate-video', ingestBodyImages('imageUrl'), moderateBody(body => ({
+    images: body.imageUrl,
+    texts: body.prompt
+})), async (req, res) => {
+    let reservation = null;
     try {
-        const { imageUrl, prompt = "Rotate the outfit, keep everything else still" } = req.body;
+        const { imageUrl, preset, prompt, duration, aspectRatio, index = 0, total = 1 } = req.body;
+        const runId = ownRunId(req, req.body.runId);
         
         if (!imageUrl) {
             return res.status(400).json({ 
@@ -918,32 +1529,59 @@ app.post('/api/generate-video', async (req, res) => {
             });
         }
 
-        console.log('Generating video from image:', imageUrl);
-        console.log('Video prompt:', prompt);
+        const settingsError = videoPresets.validateVideoSettings({ preset, prompt, duration, aspectRatio });
+        if (settingsError) {
+            return res.status(400).json({ success: false, error: settingsError });
+        }
 
-        // Call Replicate Veo 3 API
-        const result = await replicate.run("google/veo-3-fast", {
-            input: {
-                image: imageUrl,
-                prompt: prompt
-            }
+        const metered = usage.reserve(usage.subjectFor(req), usage.planFor(req), 'videos', 1);
+        if (!metered.reservation) {
+            return sendUsageRejection(res, metered);
+        }
+        reservation = metered.reservation;
+
+        const video = await createVideo({
+            imageUrl: imageUrl,
+            preset: preset,
+            prompt: prompt,
+            duration: duration,
+            aspectRatio: aspectRatio,
+            runId: runId,
+            index: index,
+            total: total,
+            userId: req.user ? req.user.id : null,
+            source: 'web'
         });
 
-        console.log('Video generation completed');
-        console.log('Video result:', result);
-
-        // Format result to match expected structure
-        const videoUrl = result.url ? result.url() : result;
+        if (video.blocked) {
+            usage.release(reservation, 1);
+            return res.status(422).json({
+                success: false,
+                error: 'This video was blocked by content moderation',
+                code: 'content_blocked',
+                videoUrl: video.url
+            });
+        }
         
         res.json({
             success: true,
-            videoUrl: videoUrl,
-            prompt: prompt
+            videoUrl: video.url,
+            mediaId: video.mediaId,
+            provenanceId: video.provenanceId,
+            preset: video.preset,
+            prompt: video.prompt,
+            duration: video.duration,
+            aspectRatio: video.aspectRatio,
+            usage: usage.getUsage(usage.subjectFor(req), usage.planFor(req))
         });
 
     } catch (error) {
         console.error('Error generating video:', error);
         
+        if (reservation) {
+            usage.release(reservation, 1);
+        }
+        
         // Handle specific Replicate errors
         if (error.message.includes('API key') || error.message.includes('authentication')) {
             return res.status(401).json({ 
@@ -964,7 +1602,64 @@ app.post('/api/generate-video', async (req, res) => {
     }
 });
 
-// Serve uploaded images
+// Stored media metadata (checksum, size, provider)
+app.get('/api/media/:id', (req, res) => {
+    const record = getMedia(req.params.id);
+
+    if (!record) {
+        return res.status(404).json({ error: 'Media not found' });
+    }
+
+    res.json({ success: true, media: toPublicMedia(record) });
+});
+
+// Serve stored media. Content never changes, so it is cached for good.
+app.get('/media/:id', async (req, res, next) => {
+    try {
+        const record = getMedia(req.params.id);
+
+        if (!record) {
+            return res.status(404).json({ error: 'Media not found' });
+        }
+
+        const headers = {
+            'Content-Type': record.contentType,
+            'Cache-Control': 'public, max-age=31536000, immutable',
+            'ETag': `"${record.sha256}"`
+        };
+
+        if (req.headers['if-none-match'] === headers.ETag) {
+            return res.status(304).set(headers).end();
+        }
+
+        const storage = getStorage();
+
+        // Local files go through sendFile, which handles Range requests for video seeking
+        if (storage.filePath) {
+            return res.sendFile(storage.filePath(record.key), { headers: headers, etag: false }, (error) => {
+                if (error && !res.headersSent) {
+                    next(error);
+                }
+            });
+        }
+
+        const stored = await storage.get(record.key);
+        if (!stored) {
+            return res.status(404).json({ error: 'Media file is missing from storage' });
+        }
+
+        res.set(headers);
+        if (stored.size) {
+            res.set('Content-Length', stored.size);
+        }
+        stored.stream.on('error', next);
+        stored.stream.pipe(res);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Serve images uploaded before ingestion stored them as media
 app.use('/uploads', express.static('uploads'));
 
 // Error handling middleware
@@ -975,8 +1670,17 @@ app.use((error, req, res, next) => {
                 error: 'File too large. Maximum size is 10MB.' 
             });
         }
+        return res.status(400).json({ 
+            error: 'Upload rejected',
+            details: error.message 
+        });
     }
-    
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json({
+            error: 'Request body too large. Upload images with /api/upload-images and send their URLs.'
+        });
+    }
+
     console.error('Unhandled error:', error);
     res.status(500).json({ 
         error: 'Internal server error',
@@ -989,11 +1693,23 @@ app.use((req, res) => {
     res.status(404).json({ error: 'Endpoint not found' });
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
-    console.log('Make sure to set your REPLICATE_API_TOKEN environment variable');
-});
+// Resume or fail jobs interrupted by the last shutdown
+loadJobs();
+
+// Retry webhook deliveries that were still pending
+loadWebhookDeliveries();
+
+// Start server, unless the app was required (by the tests)
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`Server running on http://localhost:${PORT}`);
+        const providers = describeProviders();
+        console.log(`Image generation: ${providers.image.provider} (${providers.image.model})`);
+        console.log(`Video generation: ${providers.video.provider} (${providers.video.model})`);
+        console.log(`LLM: ${llm.describeLLM().provider}`);
+        console.log(`Moderation: ${moderation.describeModeration().provider}`);
+    });
+}
 
 // Graceful shutdown
 process.on('SIGINT', () => {
@@ -1005,3 +1721,5 @@ process.on('SIGTERM', () => {
     console.log('\nShutting down server...');
     process.exit(0);
 });
+
+module.exports = app;
@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { dataDir } = require('./helpers');
+const accounts = require('../lib/accounts');
+const sessions = require('../lib/sessions');
+
+const SIGNUP = { email: ' Ada@Example.com ', password: 'correct horse', name: 'Ada' };
+
+// Run a middleware against a fake request and response
+function run(middleware, headers = {}) {
+    const req = { headers: headers };
+    const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+    let nextCalled = false;
+    middleware(req, res, () => { nextCalled = true; });
+    return { req, res, nextCalled };
+}
+
+test('signing up stores a password hash, never the password', async () => {
+    assert.strictEqual(accounts.validateSignup(SIGNUP), null);
+
+    const user = await accounts.createUser(SIGNUP);
+
+    assert.strictEqual(user.email, 'ada@example.com');
+    assert.match(user.passwordHash, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    assert.ok(!fs.readFileSync(path.join(dataDir, 'users.json'), 'utf8').includes('correct horse'));
+    assert.strictEqual(accounts.toPublicUser(user).passwordHash, undefined);
+    assert.strictEqual(accounts.validateSignup(SIGNUP), 'An account with this email already exists');
+});
+
+test('signup input is validated', () => {
+    assert.strictEqual(accounts.validateSignup({ ...SIGNUP, email: 'not-an-email' }), 'A valid email address is required');
+    assert.strictEqual(accounts.validateSignup({ ...SIGNUP, email: 'new@example.com', password: 'short' }), 'Password must be between 8 and 200 characters');
+});
+
+test('only the right password signs in', async () => {
+    const user = await accounts.createUser({ ...SIGNUP, email: 'grace@example.com' });
+
+    assert.strictEqual((await accounts.authenticate('GRACE@example.com', 'correct horse')).id, user.id);
+    assert.strictEqual(await accounts.authenticate('grace@example.com', 'wrong horse'), null);
+    assert.strictEqual(await accounts.authenticate('nobody@example.com', 'correct horse'), null);
+});
+
+test('a session cookie signs the user in until the session is destroyed', async () => {
+    const user = await accounts.createUser({ ...SIGNUP, email: 'linus@example.com' });
+    const token = sessions.createSession(user.id);
+    const cookie = { cookie: `theme=dark; tryon_session=${token}` };
+
+    assert.strictEqual(run(sessions.loadSession, cookie).req.user.id, user.id);
+    assert.ok(!fs.readFileSync(path.join(dataDir, 'sessions.json'), 'utf8').includes(token));
+
+    sessions.destroySession(token);
+    assert.strictEqual(run(sessions.loadSession, cookie).req.user, null);
+});
+
+test('signed-out requests are refused by requireUser', () => {
+    const { res, nextCalled } = run((req, res, next) => {
+        req.user = null;
+        sessions.requireUser(req, res, next);
+    });
+
+    assert.strictEqual(nextCalled, false);
+    assert.strictEqual(res.statusCode, 401);
+});
@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const analysis = require('../lib/analysis');
+
+const PHOTO = `data:image/png;base64,${Buffer.from('person photo').toString('base64')}`;
+
+test('analysing the same photo twice is served from the cache', async () => {
+    const first = await analysis.analyzeUserPhoto(PHOTO);
+    const second = await analysis.analyzeUserPhoto(PHOTO);
+
+    assert.strictEqual(first.cached, false);
+    assert.strictEqual(second.cached, true);
+    assert.strictEqual(second.analysis, first.analysis);
+    assert.strictEqual(second.hash, first.hash);
+});
+
+test('each clothing item gets a garment record and a numbered summary', async () => {
+    const images = ['shirt', 'shoes'].map(name => `data:image/png;base64,${Buffer.from(name).toString('base64')}`);
+
+    const result = await analysis.analyzeClothing(images);
+
+    assert.strictEqual(result.items.length, 2);
+    assert.strictEqual(result.items[0].record.slot, 'outerwear');
+    assert.strictEqual(result.cached, false);
+    assert.match(result.analysis, /^Item 1:\n[\s\S]*\n\nItem 2:\n/);
+    assert.strictEqual((await analysis.analyzeClothing(images)).cached, true);
+});
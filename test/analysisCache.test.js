@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { hashImage, createCache } = require('../lib/analysisCache');
+
+test('images are hashed by their decoded content', () => {
+    const base64 = `data:image/png;base64,${Buffer.from('pixels').toString('base64')}`;
+    const plain = 'data:image/png,pixels';
+
+    assert.strictEqual(hashImage(base64), hashImage(plain));
+    assert.notStrictEqual(hashImage(base64), hashImage('https://example.com/a.png'));
+});
+
+test('a second lookup is served from the cache', async () => {
+    const cache = createCache({ ttlMs: 60000, maxEntries: 10 });
+    let calls = 0;
+    const compute = async () => ++calls;
+
+    assert.deepStrictEqual(await cache.getOrCompute('a', compute), { value: 1, cached: false });
+    assert.deepStrictEqual(await cache.getOrCompute('a', compute), { value: 1, cached: true });
+    assert.strictEqual(cache.describe().hits, 1);
+    assert.strictEqual(cache.describe().misses, 1);
+});
+
+test('concurrent lookups share one computation', async () => {
+    const cache = createCache({ ttlMs: 60000, maxEntries: 10 });
+    let calls = 0;
+    const compute = () => new Promise(resolve => setTimeout(() => resolve(++calls), 10));
+
+    const results = await Promise.all([cache.getOrCompute('a', compute), cache.getOrCompute('a', compute)]);
+
+    assert.strictEqual(calls, 1);
+    assert.deepStrictEqual(results.map(result => result.value), [1, 1]);
+});
+
+test('failures are not cached', async () => {
+    const cache = createCache({ ttlMs: 60000, maxEntries: 10 });
+
+    await assert.rejects(cache.getOrCompute('a', async () => { throw new Error('LLM down'); }), /LLM down/);
+
+    assert.deepStrictEqual(await cache.getOrCompute('a', async () => 'ok'), { value: 'ok', cached: false });
+});
+
+test('the least recently used entry is evicted first', () => {
+    const cache = createCache({ ttlMs: 60000, maxEntries: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    assert.strictEqual(cache.get('a'), 1);
+    assert.strictEqual(cache.get('b'), undefined);
+    assert.strictEqual(cache.get('c'), 3);
+});
+
+test('expired entries are dropped', () => {
+    const cache = createCache({ ttlMs: -1, maxEntries: 10 });
+    cache.set('a', 1);
+
+    assert.strictEqual(cache.get('a'), undefined);
+});
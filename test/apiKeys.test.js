@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { dataDir } = require('./helpers');
+const accounts = require('../lib/accounts');
+const apiKeys = require('../lib/apiKeys');
+
+let users = 0;
+async function newUser(plan) {
+    users++;
+    const user = await accounts.createUser({ email: `keys-${users}@example.com`, password: 'correct horse' });
+    user.plan = plan;
+    return user;
+}
+
+test('a key is shown once and only its hash is stored', async () => {
+    const user = await newUser('premium');
+
+    const { key, record } = apiKeys.createApiKey(user.id, ' CI ');
+
+    assert.match(key, /^tryon_[0-9a-f]{48}$/);
+    assert.strictEqual(record.name, 'CI');
+    assert.strictEqual(record.prefix, key.slice(0, 12));
+    const saved = fs.readFileSync(path.join(dataDir, 'api-keys.json'), 'utf8');
+    assert.ok(!saved.includes(key));
+    assert.strictEqual(apiKeys.toPublicApiKey(record).hash, undefined);
+});
+
+test('a valid key authenticates its owner', async () => {
+    const user = await newUser('premium');
+    const { key, record } = apiKeys.createApiKey(user.id);
+
+    const auth = apiKeys.authenticateApiKey(key);
+
+    assert.strictEqual(auth.user.id, user.id);
+    assert.strictEqual(auth.apiKey.id, record.id);
+    assert.ok(auth.apiKey.lastUsedAt);
+    assert.strictEqual(apiKeys.authenticateApiKey(`${key.slice(0, -1)}${key.endsWith('0') ? '1' : '0'}`), null);
+    assert.strictEqual(apiKeys.authenticateApiKey(undefined), null);
+});
+
+test('only the owner can revoke a key, and revoked keys stop working', async () => {
+    const owner = await newUser('premium');
+    const other = await newUser('premium');
+    const { key, record } = apiKeys.createApiKey(owner.id);
+
+    assert.strictEqual(apiKeys.revokeApiKey(record.id, other.id), false);
+    assert.ok(apiKeys.authenticateApiKey(key));
+
+    assert.strictEqual(apiKeys.revokeApiKey(record.id, owner.id), true);
+    assert.strictEqual(apiKeys.authenticateApiKey(key), null);
+    assert.deepStrictEqual(apiKeys.listApiKeys(owner.id), []);
+});
+
+test('keys need a plan with API access', async () => {
+    const user = await newUser('basic');
+
+    assert.match(apiKeys.validateApiKeyRequest(user, {}), /does not include API access/);
+
+    const { key } = apiKeys.createApiKey(user.id);
+    assert.strictEqual(apiKeys.authenticateApiKey(key), null);
+});
@@ -0,0 +1,146 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { PNG_BYTES, waitForJob, listen } = require('./helpers');
+const accounts = require('../lib/accounts');
+const jobs = require('../lib/jobs');
+const webhooks = require('../lib/webhooks');
+const { createApiKey } = require('../lib/apiKeys');
+const { storeMedia, mediaUrl } = require('../lib/media');
+const { createApiV1Router } = require('../lib/apiV1');
+
+let server;
+let owner;
+let ownerKey;
+let otherKey;
+
+async function newKey(email) {
+    const user = await accounts.createUser({ email: email, password: 'correct horse' });
+    user.plan = 'premium';
+    return { user, key: createApiKey(user.id).key };
+}
+
+function call(path, { key, method = 'GET', body } = {}) {
+    return fetch(`${server.url}/v1${path}`, {
+        method: method,
+        headers: {
+            ...(key ? { authorization: `Bearer ${key}` } : {}),
+            ...(body ? { 'content-type': 'application/json' } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+}
+
+jobs.registerJobHandler('api-test', async (job, { setResult }) => {
+    setResult(0, { status: 'completed', url: '/out/api-test.png' });
+});
+
+before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/v1', createApiV1Router());
+    server = await listen(app);
+
+    ({ user: owner, key: ownerKey } = await newKey('api-owner@example.com'));
+    ({ key: otherKey } = await newKey('api-other@example.com'));
+});
+
+after(() => server.close());
+
+test('the OpenAPI document is public', async () => {
+    const response = await call('/openapi.json');
+    const document = await response.json();
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(document.openapi, '3.0.3');
+    assert.ok(document.paths['/v1/styles'].get.security.length > 0);
+});
+
+test('requests without a valid key are refused', async () => {
+    for (const key of [undefined, 'tryon_0000']) {
+        const response = await call('/styles', { key });
+        assert.strictEqual(response.status, 401);
+        assert.strictEqual((await response.json()).error.code, 'unauthorized');
+    }
+});
+
+test('a valid key can list styles, sent as a bearer token or X-API-Key', async () => {
+    const bearer = await call('/styles', { key: ownerKey });
+    const header = await fetch(`${server.url}/v1/styles`, { headers: { 'x-api-key': ownerKey } });
+
+    assert.strictEqual(bearer.status, 200);
+    assert.strictEqual(header.status, 200);
+    assert.ok((await bearer.json()).styles.some(style => style.id === 'street'));
+});
+
+test('request bodies are validated against the route schema', async () => {
+    const response = await call('/analyses/person', { key: ownerKey, method: 'POST', body: { personImage: 'ftp://example.com/a.png' } });
+    const body = await response.json();
+
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(body.error, { code: 'invalid_request', message: '"personImage" is not in the expected format' });
+});
+
+test('the person analysis is free text, as the OpenAPI document says', async () => {
+    const personImage = `data:image/png;base64,${PNG_BYTES.toString('base64')}`;
+
+    const response = await call('/analyses/person', { key: ownerKey, method: 'POST', body: { personImage } });
+    const body = await response.json();
+    const document = await (await call('/openapi.json')).json();
+    const schema = document.paths['/v1/analyses/person'].post.responses['200'].content['application/json'].schema;
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(typeof body.analysis, 'string');
+    assert.strictEqual(schema.properties.analysis.type, 'string');
+});
+
+test('a job can only be read with its owner\'s key', async () => {
+    const job = jobs.createJob('api-test', { userId: owner.id }, 1);
+
+    const mine = await call(`/jobs/${job.id}`, { key: ownerKey });
+    const theirs = await call(`/jobs/${job.id}`, { key: otherKey });
+
+    assert.strictEqual(mine.status, 200);
+    assert.strictEqual((await mine.json()).job.id, job.id);
+    assert.strictEqual(theirs.status, 404);
+});
+
+test('webhook deliveries can only be read with their owner\'s key', async () => {
+    const delivery = webhooks.queueDelivery({ userId: owner.id, url: 'http://127.0.0.1:9/hooks', event: 'job.completed', payload: {} });
+
+    const mine = await call(`/webhooks/deliveries/${delivery.id}`, { key: ownerKey });
+    const theirs = await call(`/webhooks/deliveries/${delivery.id}`, { key: otherKey });
+
+    assert.strictEqual(mine.status, 200);
+    assert.strictEqual((await mine.json()).delivery.id, delivery.id);
+    assert.strictEqual(theirs.status, 404);
+});
+
+test('output URLs are based on PUBLIC_BASE_URL, never on the Host header', async () => {
+    const job = await waitForJob(jobs.createJob('api-test', { userId: owner.id }, 1).id);
+
+    const relative = await (await call(`/jobs/${job.id}`, { key: ownerKey })).json();
+    process.env.PUBLIC_BASE_URL = 'https://tryon.example.com/';
+    const absolute = await (await call(`/jobs/${job.id}`, { key: ownerKey })).json();
+    delete process.env.PUBLIC_BASE_URL;
+
+    assert.strictEqual(relative.job.outputs[0].imageUrl, '/out/api-test.png');
+    assert.strictEqual(relative.job.statusUrl, `/v1/jobs/${job.id}`);
+    assert.strictEqual(absolute.job.outputs[0].imageUrl, 'https://tryon.example.com/out/api-test.png');
+});
+
+test('a webhookUrl is refused when the server has no PUBLIC_BASE_URL', async () => {
+    const image = mediaUrl((await storeMedia(PNG_BYTES, 'image/png', { kind: 'input' })).id);
+
+    const response = await call('/videos', {
+        key: ownerKey,
+        method: 'POST',
+        body: { imageUrl: image, preset: 'runway-walk', webhookUrl: 'https://hooks.example.com/tryon' }
+    });
+
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual((await response.json()).error, {
+        code: 'invalid_request',
+        message: 'webhookUrl cannot be used: this server has no PUBLIC_BASE_URL set'
+    });
+});
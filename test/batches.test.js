@@ -0,0 +1,166 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { PNG_BYTES, waitForJob } = require('./helpers');
+const { storeMedia, mediaUrl } = require('../lib/media');
+const usage = require('../lib/usage');
+const batches = require('../lib/batches');
+
+const { parseManifest, resolveImageReferences } = batches;
+
+async function storedImage(name) {
+    const bytes = Buffer.concat([PNG_BYTES, Buffer.from(name)]);
+    return mediaUrl((await storeMedia(bytes, 'image/png', { kind: 'input' })).id);
+}
+
+test('a CSV manifest is parsed, with quoted fields and several images per SKU', () => {
+    const csv = [
+        'SKU,Name,Image',
+        'JK-001,"Denim jacket, washed",https://example.com/jk-front.jpg|https://example.com/jk-back.jpg',
+        'TS-002,"Tee ""classic""",tee.png',
+        ''
+    ].join('\r\n');
+
+    const { items, errors } = parseManifest(csv, 'catalog.csv');
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(items, [
+        { sku: 'JK-001', name: 'Denim jacket, washed', images: ['https://example.com/jk-front.jpg', 'https://example.com/jk-back.jpg'] },
+        { sku: 'TS-002', name: 'Tee "classic"', images: ['tee.png'] }
+    ]);
+});
+
+test('rows with the same SKU are merged and keep the first name', () => {
+    const csv = 'sku,image,name\nA1,a-front.jpg,First\nA1,a-back.jpg,Second\n';
+
+    const { items } = parseManifest(csv, 'catalog.csv');
+
+    assert.deepStrictEqual(items, [{ sku: 'A1', name: 'First', images: ['a-front.jpg', 'a-back.jpg'] }]);
+});
+
+test('a JSON manifest is parsed from an array or { items }', () => {
+    const entries = [
+        { sku: 'B2', name: 'Boots', images: ['boots.jpg'] },
+        { sku: 301, image: 'https://example.com/cap.jpg' }
+    ];
+    const expected = [
+        { sku: 'B2', name: 'Boots', images: ['boots.jpg'] },
+        { sku: '301', name: '', images: ['https://example.com/cap.jpg'] }
+    ];
+
+    assert.deepStrictEqual(parseManifest(JSON.stringify(entries), 'catalog.json'), { items: expected, errors: [] });
+    // Detected from the content when the file name does not say
+    assert.deepStrictEqual(parseManifest(JSON.stringify({ items: entries })), { items: expected, errors: [] });
+});
+
+test('bad rows are reported by line and the good ones kept', () => {
+    const csv = 'sku,image\nok-1,a.jpg\n"bad;sku",b.jpg\nno-image,\n';
+
+    const { items, errors } = parseManifest(csv, 'catalog.csv');
+
+    assert.deepStrictEqual(items.map(item => item.sku), ['ok-1']);
+    assert.deepStrictEqual(errors, [
+        'Line 3: SKU is missing or has characters other than letters, digits, spaces and . _ - /',
+        'Line 4: SKU no-image has no image'
+    ]);
+});
+
+test('manifests that cannot be used are rejected', () => {
+    assert.deepStrictEqual(parseManifest('', 'catalog.csv').errors, ['The manifest is empty']);
+    assert.deepStrictEqual(parseManifest('code,picture\nA,a.jpg\n', 'catalog.csv').errors,
+        ['The CSV header must have a "sku" column and an "image" column']);
+    assert.match(parseManifest('{"items": [', 'catalog.json').errors[0], /^The manifest is not valid JSON/);
+    assert.deepStrictEqual(parseManifest('{"sku": "A"}', 'catalog.json').errors,
+        ['The JSON manifest must be an array of items or { "items": [...] }']);
+    assert.deepStrictEqual(parseManifest('sku,image\n', 'catalog.csv').errors, ['The manifest has no items']);
+});
+
+test('an item with too many images is reported', () => {
+    const images = Array.from({ length: 11 }, (_, index) => `img-${index}.jpg`).join('|');
+
+    const { errors } = parseManifest(`sku,image\nMANY,${images}\n`, 'catalog.csv');
+
+    assert.deepStrictEqual(errors, ['SKU MANY has 11 images; the limit is 10']);
+});
+
+test('image references resolve to uploads, and private URLs are refused', () => {
+    const { items } = parseManifest('sku,image\nA,shirts/a.jpg\nB,http://10.0.0.5/b.jpg\nC,missing.jpg\n', 'catalog.csv');
+    const uploads = new Map([['a.jpg', '/media/a-id']]);
+
+    const errors = resolveImageReferences(items, uploads);
+
+    assert.deepStrictEqual(items.map(item => item.images), [['/media/a-id'], ['http://10.0.0.5/b.jpg'], ['missing.jpg']]);
+    assert.deepStrictEqual(errors, [
+        'SKU B: "http://10.0.0.5/b.jpg": URL points to a private or reserved address',
+        'SKU C: "missing.jpg" is not a URL or an uploaded file'
+    ]);
+});
+
+test('a batch renders every item and only counts the images it generated', async () => {
+    const subject = 'user:batch-owner';
+    const { reservation } = usage.reserve(subject, 'premium', 'images', 4, 2);
+    const items = [
+        { sku: 'JK-001', name: 'Denim jacket', images: [await storedImage('jacket')] },
+        { sku: 'TS-002', name: 'Tee', images: [await storedImage('tee')] }
+    ];
+
+    const queued = batches.queueBatch({
+        userId: 'batch-owner',
+        modelImage: await storedImage('model'),
+        items: items,
+        style: 'studio',
+        imagesPerItem: 2,
+        usage: reservation
+    });
+    const job = await waitForJob(queued.id);
+
+    assert.strictEqual(job.status, 'completed');
+    const batch = batches.toPublicBatch(job);
+    assert.deepStrictEqual(batch.items.map(item => [item.sku, item.status, item.images.length]), [
+        ['JK-001', 'completed', 2],
+        ['TS-002', 'completed', 2]
+    ]);
+    assert.strictEqual(usage.getUsage(subject, 'premium').images, 4);
+    assert.strictEqual(batches.getBatch(job.id, 'batch-owner').id, job.id);
+    assert.strictEqual(batches.getBatch(job.id, 'someone-else'), null);
+});
+
+test('the results CSV quotes fields and makes image URLs absolute', () => {
+    const job = {
+        id: 'batch-csv',
+        status: 'completed',
+        input: {
+            name: 'Spring',
+            style: 'studio',
+            imagesPerItem: 1,
+            items: [{ sku: 'JK-001', name: 'Jacket, "washed"', images: [] }]
+        },
+        results: [{ index: 0, status: 'completed', outputs: [{ url: '/media/out-1' }] }]
+    };
+
+    const manifest = batches.buildResultsManifest(job, 'https://tryon.example.com');
+
+    assert.deepStrictEqual(manifest.items[0].images, ['https://tryon.example.com/media/out-1']);
+    assert.strictEqual(batches.toResultsCsv(manifest),
+        'sku,name,status,image_1,error\r\nJK-001,"Jacket, ""washed""",completed,https://tryon.example.com/media/out-1,\r\n');
+});
+
+test('the results CSV keeps values that look like formulas from running', () => {
+    const items = ['=HYPERLINK("http://evil.example")', '+1', '-2+3', '@SUM(A1)', '\tTAB', '\rCR'].map((sku, index) => ({
+        sku: sku,
+        name: 'Plain',
+        status: 'failed',
+        images: [],
+        error: index === 0 ? '=1+1' : null
+    }));
+
+    const lines = batches.toResultsCsv({ items: items }).split('\r\n');
+
+    assert.deepStrictEqual(lines.slice(1, -1), [
+        '"\'=HYPERLINK(""http://evil.example"")",Plain,failed,,\'=1+1',
+        '\'+1,Plain,failed,,',
+        '\'-2+3,Plain,failed,,',
+        '\'@SUM(A1),Plain,failed,,',
+        '\'\tTAB,Plain,failed,,',
+        '"\'\rCR",Plain,failed,,'
+    ]);
+});
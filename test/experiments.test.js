@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+
+process.env.EXPERIMENT_PROMPT_WRITING = 'v1:50,v2:50';
+const experiments = require('../lib/experiments');
+
+test('weights are read from the environment', () => {
+    assert.deepStrictEqual(experiments.weightsFor('prompt-writing'), [
+        { version: 'v1', weight: 50 },
+        { version: 'v2', weight: 50 }
+    ]);
+    assert.throws(() => experiments.weightsFor('captions'), /No weights configured for experiment "captions"/);
+});
+
+test('a subject always gets the same version', () => {
+    const versions = new Set();
+    for (let i = 0; i < 20; i++) {
+        const version = experiments.assignVersion('prompt-writing', `client-${i}`);
+        assert.strictEqual(experiments.assignVersion('prompt-writing', `client-${i}`), version);
+        versions.add(version);
+    }
+
+    assert.deepStrictEqual([...versions].sort(), ['v1', 'v2']);
+});
+
+test('results, feedback and downloads roll up per version', () => {
+    experiments.recordEvent({ type: 'assignment', experiment: 'prompt-writing', version: 'v2', runId: 'run-a' });
+    experiments.recordEvent({ type: 'result', runId: 'run-a', images: 4, failedImages: 1 });
+    experiments.recordEvent({ type: 'feedback', runId: 'run-a', rating: 'up' });
+    experiments.recordEvent({ type: 'feedback', runId: 'run-a', rating: 'down' });
+    experiments.recordEvent({ type: 'download', runId: 'run-a' });
+    experiments.recordEvent({ type: 'download', runId: 'unknown-run' });
+
+    const v2 = experiments.experimentReport('prompt-writing').versions.find(entry => entry.version === 'v2');
+
+    assert.strictEqual(experiments.versionForRun('run-a'), 'v2');
+    assert.strictEqual(v2.runs, 1);
+    assert.strictEqual(v2.images, 4);
+    assert.strictEqual(v2.failedImages, 1);
+    assert.strictEqual(v2.approvalRate, 0.5);
+    assert.strictEqual(v2.downloadRate, 0.25);
+});
+
+test('an assignment records who owns the run', () => {
+    experiments.recordEvent({ type: 'assignment', experiment: 'prompt-writing', version: 'v1', runId: 'run-b', userId: 'user-1' });
+
+    assert.deepStrictEqual(experiments.runOwner('run-b'), { userId: 'user-1', guestSubject: null });
+    assert.strictEqual(experiments.runOwner('run-unknown'), null);
+});
@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizeGarmentRecord, describeGarment } = require('../lib/garmentSchema');
+
+const JACKET = {
+    category: 'denim jacket',
+    slot: 'Outerwear',
+    colors: ['light blue', ' '],
+    pattern: 'solid',
+    material: 'denim',
+    fit: 'regular',
+    confidence: 0.8,
+    description: 'Cropped jacket with brass buttons.',
+    fullyVisible: true,
+    background: 'Plain'
+};
+
+test('a valid record is normalized without errors', () => {
+    const { record, errors } = normalizeGarmentRecord(JACKET);
+
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(record.slot, 'outerwear');
+    assert.deepStrictEqual(record.colors, ['light blue']);
+    assert.strictEqual(record.background, 'plain');
+    assert.strictEqual(describeGarment(record), 'outerwear: light blue solid denim denim jacket, regular fit. Cropped jacket with brass buttons.');
+});
+
+test('invalid fields are reported and filled with defaults', () => {
+    const { record, errors } = normalizeGarmentRecord({ ...JACKET, slot: 'torso', colors: 'blue', material: '', confidence: 'high' });
+
+    assert.strictEqual(record.slot, 'other');
+    assert.deepStrictEqual(record.colors, []);
+    assert.strictEqual(record.material, 'unknown');
+    assert.strictEqual(record.confidence, 0);
+    assert.strictEqual(errors.length, 4);
+});
+
+test('missing photo quality fields are read as fine', () => {
+    const { record, errors } = normalizeGarmentRecord({ ...JACKET, fullyVisible: undefined, background: 'outdoors' });
+
+    assert.strictEqual(record.fullyVisible, true);
+    assert.strictEqual(record.background, 'plain');
+    assert.deepStrictEqual(errors, ['"fullyVisible" must be a boolean', '"background" must be one of: plain, busy']);
+});
+
+test('confidence is clamped to 0..1 and non-objects are rejected', () => {
+    assert.strictEqual(normalizeGarmentRecord({ ...JACKET, confidence: 7 }).record.confidence, 1);
+    assert.deepStrictEqual(normalizeGarmentRecord(['jacket']), { record: null, errors: ['Response must be a JSON object'] });
+});
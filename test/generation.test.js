@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { PNG_BYTES, waitForJob } = require('./helpers');
+const { storeMedia, mediaUrl, getMedia, mediaIdFromUrl } = require('../lib/media');
+const { queueTryOnJob, queueVideoJob } = require('../lib/generation');
+
+// Distinct bytes per call, so inputs are separate media records
+let images = 0;
+async function storedImage(kind) {
+    images++;
+    const bytes = Buffer.concat([PNG_BYTES, Buffer.from(`${kind}-${images}`)]);
+    return mediaUrl((await storeMedia(bytes, 'image/png', { kind: 'input' })).id);
+}
+
+test('a try-on job stores each generated image', async () => {
+    const job = await waitForJob(queueTryOnJob({
+        prompts: ['Studio portrait', 'Street scene'],
+        imageUrls: [await storedImage('garment')],
+        userImage: await storedImage('person')
+    }, 2).id);
+
+    assert.strictEqual(job.status, 'completed');
+    job.results.forEach(result => {
+        const record = getMedia(mediaIdFromUrl(result.url));
+        assert.strictEqual(record.kind, 'image');
+        assert.strictEqual(record.jobId, job.id);
+        assert.strictEqual(record.index, result.index);
+        assert.strictEqual(result.score.overall, 7.8);
+    });
+    assert.deepStrictEqual(job.results.map(result => result.rank), [1, 2]);
+});
+
+test('a multi-person job renders each person with their own prompts', async () => {
+    const garment = await storedImage('garment');
+    const people = [await storedImage('person'), await storedImage('person')];
+
+    const job = await waitForJob(queueTryOnJob({
+        prompts: ['Ada studio', 'Ada street', 'Grace studio', 'Grace street'],
+        imageUrls: [garment],
+        userImages: people
+    }, 2).id);
+
+    assert.strictEqual(job.status, 'completed');
+    assert.deepStrictEqual(job.results.map(result => result.person), [0, 0, 1, 1]);
+    assert.deepStrictEqual(job.results.map(result => result.rank), [1, 2, 1, 2]);
+    assert.strictEqual(new Set(job.results.map(result => getMedia(mediaIdFromUrl(result.url)).sha256)).size, 4);
+    assert.deepStrictEqual(job.input.userImages, people);
+    assert.strictEqual(job.input.imagesPerPerson, 2);
+});
+
+test('a video job renders the chosen preset and stores the clip', async () => {
+    const job = await waitForJob(queueVideoJob({ imageUrl: await storedImage('look'), preset: 'runway-walk', duration: 6 }).id);
+
+    const [result] = job.results;
+    assert.strictEqual(result.status, 'completed');
+    assert.strictEqual(result.preset, 'runway-walk');
+    assert.strictEqual(result.duration, 6);
+    assert.strictEqual(getMedia(result.mediaId).kind, 'video');
+});
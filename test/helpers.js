@@ -0,0 +1,75 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Shared test setup. Requiring this file points every data file and directory
+// at a fresh temporary directory, removed when the process exits, so tests never
+// touch data/, and selects the offline backends. Require it before anything
+// from lib/.
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tryon-test-'));
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+Object.assign(process.env, {
+    LLM_PROVIDER: 'stub',
+    IMAGE_PROVIDER: 'mock',
+    VIDEO_PROVIDER: 'mock',
+    MODERATION_PROVIDER: 'stub',
+    STORAGE_BACKEND: 'local',
+    MEDIA_STORAGE_DIR: path.join(dataDir, 'media', 'files'),
+    MEDIA_META_DIR: path.join(dataDir, 'media', 'meta'),
+    API_KEYS_FILE: path.join(dataDir, 'api-keys.json'),
+    EXPERIMENTS_FILE: path.join(dataDir, 'experiments.jsonl'),
+    MODERATION_LOG_FILE: path.join(dataDir, 'moderation.jsonl'),
+    JOBS_DIR: path.join(dataDir, 'jobs'),
+    HISTORY_DIR: path.join(dataDir, 'history'),
+    PROVENANCE_DIR: path.join(dataDir, 'provenance'),
+    USERS_FILE: path.join(dataDir, 'users.json'),
+    SESSIONS_FILE: path.join(dataDir, 'sessions.json'),
+    USAGE_FILE: path.join(dataDir, 'usage.json'),
+    STYLES_FILE: path.join(dataDir, 'styles.json'),
+    WEBHOOKS_DIR: path.join(dataDir, 'webhooks'),
+    WEBHOOK_SECRETS_FILE: path.join(dataDir, 'webhook-secrets.json')
+});
+
+const { getJob } = require('../lib/jobs');
+
+// A 1x1 PNG
+const PNG_BYTES = Buffer.from(
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==',
+    'base64'
+);
+
+// Poll a job until it completes or fails
+async function waitForJob(id) {
+    for (let i = 0; i < 200; i++) {
+        const job = getJob(id);
+        if (job.status === 'completed' || job.status === 'failed') {
+            return job;
+        }
+        await new Promise(resolve => setTimeout(resolve, 25));
+    }
+    throw new Error(`Job ${id} did not finish`);
+}
+
+// Serve an Express app on a free local port. Resolves to { url, close }.
+function listen(app) {
+    return new Promise(resolve => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise(done => {
+                    server.closeAllConnections();
+                    server.close(done);
+                })
+            });
+        });
+    });
+}
+
+module.exports = {
+    dataDir,
+    PNG_BYTES,
+    waitForJob,
+    listen
+};
@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const history = require('../lib/history');
+const media = require('../lib/media');
+
+const INPUT_ID = '6f1c2a9e-3b1d-4d8e-9c55-0a7e2b4f8d10';
+const OUTPUT_ID = 'b3e7a1c4-58d2-4f0b-a6e9-1c2d3e4f5a6b';
+
+test('a run belongs to the user who created it', () => {
+    const run = history.updateRun('run-owned-1', 'user-1', { style: 'street' });
+
+    assert.strictEqual(run.userId, 'user-1');
+    assert.strictEqual(history.getRun('run-owned-1', 'user-1').style, 'street');
+    assert.strictEqual(history.getRun('run-owned-1', 'user-2'), null);
+    assert.strictEqual(history.updateRun('run-owned-1', 'user-2', { style: 'vintage' }), null);
+    assert.strictEqual(history.getRun('run-owned-1', 'user-1').style, 'street');
+});
+
+test('runs are listed per user, newest first', async () => {
+    history.updateRun('run-list-1', 'user-3', {});
+    await new Promise(resolve => setTimeout(resolve, 5));
+    history.updateRun('run-list-2', 'user-3', {});
+
+    assert.deepStrictEqual(history.listRuns('user-3').map(run => run.id), ['run-list-2', 'run-list-1']);
+    assert.deepStrictEqual(history.listRuns('user-4'), []);
+});
+
+test('media shared between runs stays referenced until the last run goes', () => {
+    const run = history.updateRun('run-media-1', 'user-5', {
+        inputs: { userImage: media.mediaUrl(INPUT_ID), clothingImages: ['https://example.com/shirt.png'] },
+        outputs: [{ index: 0, url: media.mediaUrl(OUTPUT_ID), mediaId: OUTPUT_ID }]
+    });
+    history.updateRun('run-media-2', 'user-5', {
+        inputs: { userImage: null, userImages: [null, media.mediaUrl(INPUT_ID)], clothingImages: [] }
+    });
+
+    assert.deepStrictEqual(history.runMediaIds(run), [INPUT_ID, OUTPUT_ID]);
+    assert.strictEqual(history.isMediaReferenced(INPUT_ID, 'run-media-1'), true);
+    assert.strictEqual(history.isMediaReferenced(OUTPUT_ID, 'run-media-1'), false);
+
+    history.deleteRun('run-media-2');
+    assert.strictEqual(history.isMediaReferenced(INPUT_ID, 'run-media-1'), false);
+    assert.strictEqual(history.toRunSummary(run).thumbnailUrl, media.mediaUrl(OUTPUT_ID));
+});
@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { PNG_BYTES, listen } = require('./helpers');
+
+// Remote images are served from 127.0.0.1
+process.env.SAFE_FETCH_ALLOWED_HOSTS = '127.0.0.1';
+process.env.INGEST_MAX_EDGE = '64';
+process.env.INGEST_MAX_PIXELS = '1000000';
+const sharp = require('sharp');
+const { getMedia, mediaIdFromUrl, storeMedia, mediaUrl } = require('../lib/media');
+const ingest = require('../lib/ingest');
+
+const PNG_DATA_URL = `data:image/png;base64,${PNG_BYTES.toString('base64')}`;
+
+function photo(width, height, options = {}) {
+    const image = sharp({ create: { width: width, height: height, channels: 3, background: '#3366cc' } });
+    return image.jpeg().withMetadata(options).toBuffer();
+}
+
+test('image types are sniffed from their bytes', async () => {
+    assert.strictEqual(ingest.sniffImageType(PNG_BYTES), 'image/png');
+    assert.strictEqual(ingest.sniffImageType(await photo(4, 4)), 'image/jpeg');
+    assert.strictEqual(ingest.sniffImageType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>')), null);
+});
+
+test('photos are auto-oriented, stripped of metadata and scaled down', async () => {
+    const input = await photo(200, 100, { orientation: 6, exif: { IFD0: { Copyright: 'Someone' } } });
+
+    const image = await ingest.normalizeImage(input);
+    const metadata = await sharp(image.buffer).metadata();
+
+    assert.strictEqual(image.contentType, 'image/jpeg');
+    assert.deepStrictEqual([image.width, image.height], [32, 64]);
+    assert.deepStrictEqual(image.original, { contentType: 'image/jpeg', size: input.length, width: 200, height: 100 });
+    assert.strictEqual(metadata.exif, undefined);
+    assert.strictEqual(metadata.orientation, undefined);
+});
+
+test('transparent images stay PNG', async () => {
+    const image = await ingest.normalizeImage(PNG_BYTES);
+
+    assert.strictEqual(image.contentType, 'image/png');
+    assert.deepStrictEqual([image.width, image.height], [1, 1]);
+});
+
+test('unsupported, corrupt and oversized images are refused', async () => {
+    const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"></svg>');
+
+    await assert.rejects(ingest.normalizeImage(svg), { message: 'Only JPEG, PNG, WebP, GIF and AVIF images are supported' });
+    await assert.rejects(ingest.normalizeImage(PNG_BYTES.subarray(0, 40)), ingest.IngestError);
+    await assert.rejects(ingest.normalizeImage(await photo(1100, 1000)), { message: 'Images must be at most 1 megapixels' });
+});
+
+test('data URLs are stored as input media and /media URLs must name stored images', async () => {
+    const dataUrl = `data:image/jpeg;base64,${(await photo(10, 10)).toString('base64')}`;
+
+    const url = await ingest.ingestImageInput(dataUrl, { runId: 'ingest-run' });
+    const record = getMedia(mediaIdFromUrl(url));
+
+    assert.strictEqual(record.kind, 'input');
+    assert.strictEqual(record.runId, 'ingest-run');
+    assert.strictEqual(await ingest.ingestImageInput(url), url);
+
+    const audio = await storeMedia(Buffer.from('audio'), 'audio/mpeg', { kind: 'input' });
+    await assert.rejects(ingest.ingestImageInput(mediaUrl(audio.id)), { message: `${mediaUrl(audio.id)} is not a stored image` });
+    await assert.rejects(ingest.ingestImageInput('data:image/png,abc'), { message: 'Image data URLs must be base64 encoded' });
+    await assert.rejects(ingest.ingestImageInput('ftp://example.com/a.jpg'), ingest.IngestError);
+});
+
+test('remote images are downloaded and ingested', async () => {
+    const app = express();
+    app.get('/photo.png', (req, res) => res.type('image/png').send(PNG_BYTES));
+    app.get('/missing.png', (req, res) => res.sendStatus(404));
+    const server = await listen(app);
+
+    try {
+        const url = await ingest.ingestImageInput(`${server.url}/photo.png`);
+        const record = getMedia(mediaIdFromUrl(url));
+
+        assert.strictEqual(record.kind, 'input');
+        assert.strictEqual(record.sourceUrl, `${server.url}/photo.png`);
+        await assert.rejects(ingest.ingestImageInput(`${server.url}/missing.png`),
+            { message: `Could not fetch ${server.url}/missing.png: the server responded with HTTP 404` });
+        await assert.rejects(ingest.ingestImageInput('http://10.0.0.5/photo.png'), ingest.IngestError);
+    } finally {
+        await server.close();
+    }
+});
+
+test('listed fields are ingested in place', async () => {
+    const body = { person: PNG_DATA_URL, garments: [PNG_DATA_URL], other: PNG_DATA_URL };
+
+    await ingest.ingestFields(body, ['person', 'garments', 'missing']);
+
+    assert.ok(mediaIdFromUrl(body.person));
+    assert.ok(mediaIdFromUrl(body.garments[0]));
+    assert.strictEqual(body.other, PNG_DATA_URL);
+});
@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { dataDir, waitForJob } = require('./helpers');
+const jobs = require('../lib/jobs');
+
+jobs.registerJobHandler('echo', async (job, { setResult }) => {
+    job.input.values.forEach((value, index) => {
+        if (job.results[index].status === 'completed') {
+            return;
+        }
+        if (value === null) {
+            setResult(index, { status: 'failed', error: `Item ${index} failed` });
+        } else {
+            setResult(index, { status: 'completed', url: `/out/${value}.png` });
+        }
+    });
+});
+
+test('a job runs in the background and records each result', async () => {
+    const job = await waitForJob(jobs.createJob('echo', { values: ['a', 'b'] }, 2).id);
+
+    assert.strictEqual(job.status, 'completed');
+    assert.deepStrictEqual(job.results.map(result => result.url), ['/out/a.png', '/out/b.png']);
+    const saved = JSON.parse(fs.readFileSync(path.join(dataDir, 'jobs', `${job.id}.json`), 'utf8'));
+    assert.strictEqual(saved.status, 'completed');
+});
+
+test('a job with no completed results fails with the first error', async () => {
+    const job = await waitForJob(jobs.createJob('echo', { values: [null, null] }, 2).id);
+
+    assert.strictEqual(job.status, 'failed');
+    assert.strictEqual(job.error, 'Item 0 failed');
+});
+
+test('the public view leaves out the input', async () => {
+    const job = await waitForJob(jobs.createJob('echo', { values: ['a', null] }, 2).id);
+
+    const view = jobs.toPublicJob(job);
+
+    assert.strictEqual(view.input, undefined);
+    assert.strictEqual(view.total, 2);
+    assert.strictEqual(view.completed, 1);
+    assert.deepStrictEqual(view.data.images, [
+        { url: '/out/a.png', index: 0, person: undefined, provenanceId: null, score: null, rank: null }
+    ]);
+});
+
+test('a handler can record job-level output', async () => {
+    jobs.registerJobHandler('outline', async (job, { setResult, setOutput }) => {
+        setOutput({ prompts: ['First'] });
+        setOutput({ styleName: 'Street Style' });
+        setResult(0, { status: 'completed', url: '/out/outline.png' });
+    });
+
+    const job = await waitForJob(jobs.createJob('outline', {}, 1).id);
+
+    assert.deepStrictEqual(job.output, { prompts: ['First'], styleName: 'Street Style' });
+});
+
+test('a job in its own lane does not hold up the default lane', async () => {
+    let release;
+    const blocked = new Promise(resolve => { release = resolve; });
+    jobs.registerJobHandler('slow', async (job, { setResult }) => {
+        await blocked;
+        setResult(0, { status: 'completed', url: '/out/slow.png' });
+    }, { lane: 'slow', concurrency: 1 });
+
+    const slow = jobs.createJob('slow', {}, 1);
+    const quick = await waitForJob(jobs.createJob('echo', { values: ['a'] }, 1).id);
+
+    assert.strictEqual(quick.status, 'completed');
+    assert.strictEqual(jobs.getJob(slow.id).status, 'running');
+    release();
+    assert.strictEqual((await waitForJob(slow.id)).status, 'completed');
+    assert.deepStrictEqual(jobs.listJobs(job => job.type === 'slow').map(job => job.id), [slow.id]);
+});
+
+test('finished jobs are announced', async () => {
+    const finished = new Promise(resolve => jobs.jobEvents.once('finished', resolve));
+
+    const created = jobs.createJob('echo', { values: ['a'] }, 1);
+
+    assert.strictEqual((await finished).id, created.id);
+});
+
+test('interrupted jobs are resumed on load, keeping completed results', async () => {
+    const id = 'interrupted-job';
+    fs.writeFileSync(path.join(dataDir, 'jobs', `${id}.json`), JSON.stringify({
+        id: id,
+        type: 'echo',
+        status: 'running',
+        input: { values: ['a', 'b'] },
+        results: [
+            { index: 0, status: 'completed', url: '/out/earlier.png' },
+            { index: 1, status: 'running' }
+        ],
+        error: null
+    }));
+
+    jobs.loadJobs();
+    const job = await waitForJob(id);
+
+    assert.strictEqual(job.status, 'completed');
+    assert.strictEqual(job.results[0].url, '/out/earlier.png');
+    assert.strictEqual(job.results[1].url, '/out/b.png');
+});
@@ -0,0 +1,24 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+
+process.env.LLM_MODEL_PROMPT_WRITING = 'gpt-4o';
+const llm = require('../lib/llm');
+
+test('the stub backend answers a task from its fixture', async () => {
+    const text = await llm.complete('health-check', [{ role: 'user', content: 'Say hi' }]);
+
+    assert.strictEqual(text, 'GPT API is working!');
+});
+
+test('unknown tasks are rejected', async () => {
+    await assert.rejects(llm.complete('poetry', []), /Unknown LLM task: poetry/);
+});
+
+test('a task can override the default model', () => {
+    const { provider, models } = llm.describeLLM();
+
+    assert.strictEqual(provider, 'stub');
+    assert.strictEqual(models['prompt-writing'], 'gpt-4o');
+    assert.strictEqual(models['user-analysis'], 'gpt-4o-mini');
+});
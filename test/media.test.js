@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { dataDir } = require('./helpers');
+const media = require('../lib/media');
+const { getStorage } = require('../lib/storage');
+
+const PIXELS = Buffer.from('not really a png');
+const DATA_URL = `data:image/png;base64,${PIXELS.toString('base64')}`;
+
+test('an output is stored with its checksum and details', async () => {
+    const record = await media.persistMedia(DATA_URL, { provider: 'mock', model: 'test-model', runId: 'run-1', index: 2 });
+
+    assert.strictEqual(record.kind, 'image');
+    assert.strictEqual(record.key, `image/${record.id}.png`);
+    assert.strictEqual(record.size, PIXELS.length);
+    assert.match(record.sha256, /^[0-9a-f]{64}$/);
+    assert.strictEqual(record.sourceUrl, null);
+    assert.strictEqual(record.index, 2);
+    assert.deepStrictEqual(fs.readFileSync(path.join(dataDir, 'media', 'files', record.key)), PIXELS);
+    assert.deepStrictEqual(media.getMedia(record.id), record);
+    assert.strictEqual(media.toPublicMedia(record).url, `/media/${record.id}`);
+});
+
+test('stored media is handed to providers as a data URL', async () => {
+    const record = await media.persistMedia(DATA_URL);
+
+    assert.strictEqual(await media.resolveMediaInput(media.mediaUrl(record.id)), DATA_URL);
+    assert.strictEqual(await media.resolveMediaInput('https://example.com/a.png'), 'https://example.com/a.png');
+});
+
+test('deleting media removes the file and its record', async () => {
+    const record = await media.persistMedia(DATA_URL);
+
+    assert.strictEqual(await media.deleteMedia(record.id), true);
+    assert.strictEqual(media.getMedia(record.id), null);
+    assert.strictEqual(fs.existsSync(path.join(dataDir, 'media', 'files', record.key)), false);
+    assert.strictEqual(await media.deleteMedia(record.id), false);
+});
+
+test('media IDs are read from relative and absolute /media URLs only', () => {
+    const id = '0f8fad5b-d9cb-469f-a165-70867728950e';
+
+    assert.strictEqual(media.mediaIdFromUrl(`/media/${id}`), id);
+    assert.strictEqual(media.mediaIdFromUrl(`https://tryon.example.com/media/${id.toUpperCase()}`), id);
+    assert.strictEqual(media.mediaIdFromUrl(`/media/${id}/../x`), null);
+    assert.strictEqual(media.getMedia('../../users'), null);
+});
+
+test('unsupported URLs and storage keys outside the media directory are rejected', async () => {
+    await assert.rejects(media.persistMedia('file:///etc/passwd'), /Unsupported media URL/);
+    assert.throws(() => getStorage().filePath('../outside.png'), /Invalid storage key/);
+});
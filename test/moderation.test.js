@@ -0,0 +1,125 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { dataDir, PNG_BYTES, waitForJob } = require('./helpers');
+
+// The stub classifier flags the test PNG as violent
+const pngHash = crypto.createHash('sha256').update(PNG_BYTES).digest('hex');
+process.env.MODERATION_STUB_FLAGGED_IMAGES = `${pngHash}:violence/graphic`;
+// Without ffmpeg a video is judged by its source image
+process.env.FFMPEG_PATH = path.join(dataDir, 'no-ffmpeg');
+const { storeMedia, mediaUrl, getMedia, mediaIdFromUrl } = require('../lib/media');
+const { createVideo, queueVideoJob } = require('../lib/generation');
+const moderation = require('../lib/moderation');
+
+function auditLog() {
+    return fs.readFileSync(process.env.MODERATION_LOG_FILE, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+test('parseCategories reads category:threshold pairs', () => {
+    const categories = moderation.parseCategories(' sexual:0.5, sexual/minors:0.2 ,minors:1,,hate ');
+
+    assert.deepStrictEqual(Array.from(categories), [
+        ['sexual', 0.5],
+        ['sexual/minors', 0.2],
+        ['minors', 1],
+        ['hate', 0.5]
+    ]);
+});
+
+test('parseCategories splits on the last colon and accepts 0', () => {
+    assert.deepStrictEqual(Array.from(moderation.parseCategories('custom:category:0')), [['custom:category', 0]]);
+    assert.strictEqual(moderation.parseCategories('').size, 0);
+});
+
+test('parseCategories refuses thresholds outside 0-1', () => {
+    ['sexual:1.5', 'sexual:-0.1', 'sexual:high'].forEach(spec => {
+        assert.throws(() => moderation.parseCategories(spec), {
+            message: `Invalid MODERATION_CATEGORIES entry "${spec}": the threshold must be between 0 and 1`
+        });
+    });
+});
+
+test('clean inputs are allowed and empty values skipped', async () => {
+    const result = await moderation.moderateInputs({ texts: ['a linen summer suit', '', null] }, { source: 'web' });
+
+    assert.deepStrictEqual(result, { allowed: true, blocked: [] });
+});
+
+test('blocked inputs are named, and the audit log keeps hashes instead of text', async () => {
+    const record = await storeMedia(PNG_BYTES, 'image/png', { kind: 'input' });
+
+    const result = await moderation.moderateInputs(
+        { garments: [mediaUrl(record.id)], texts: ['a jacket', 'explicit nude shoot'] },
+        { source: 'v1', userId: 'user-1' }
+    );
+
+    assert.strictEqual(result.allowed, false);
+    assert.deepStrictEqual(result.blocked, [
+        { target: 'garment', index: 0, categories: ['violence/graphic'], label: 'clothing image' },
+        { target: 'text', index: 1, categories: ['sexual'], label: 'text 2' }
+    ]);
+    assert.strictEqual(moderation.describeBlocked(result.blocked),
+        'This request was blocked by content moderation: the clothing image (violence/graphic), the text 2 (sexual). Please use different photos or text.');
+
+    const entry = auditLog().find(item => item.target === 'text' && !item.allowed);
+    assert.strictEqual(entry.sha256, crypto.createHash('sha256').update('explicit nude shoot').digest('hex'));
+    assert.strictEqual(entry.textLength, 'explicit nude shoot'.length);
+    assert.strictEqual(entry.userId, 'user-1');
+    assert.ok(!JSON.stringify(auditLog()).includes('nude'));
+});
+
+test('a blocked output is deleted and replaced by the placeholder', async () => {
+    const record = await storeMedia(PNG_BYTES, 'image/png', { kind: 'image' });
+
+    const result = await moderation.moderateOutput(mediaUrl(record.id), { source: 'web', index: 0 });
+
+    assert.deepStrictEqual(result, { allowed: false, categories: ['violence/graphic'], url: moderation.BLOCKED_PLACEHOLDER_URL });
+    assert.strictEqual(getMedia(record.id), null);
+});
+
+test('a video of a blocked image is deleted and replaced by the placeholder', async () => {
+    const record = await storeMedia(PNG_BYTES, 'image/png', { kind: 'image' });
+    const video = await createVideo({ imageUrl: mediaUrl(record.id), preset: 'turn-360', userId: 'user-3', jobId: 'job-3', source: 'web' });
+
+    assert.strictEqual(video.blocked, true);
+    assert.strictEqual(video.url, moderation.BLOCKED_PLACEHOLDER_URL);
+    assert.strictEqual(video.mediaId, null);
+    assert.strictEqual(video.provenanceId, null);
+    assert.deepStrictEqual(video.categories, ['violence/graphic']);
+
+    const entry = auditLog().find(item => item.target === 'video' && item.jobId === 'job-3');
+    assert.strictEqual(entry.stage, 'output');
+    assert.strictEqual(entry.allowed, false);
+    assert.strictEqual(entry.userId, 'user-3');
+    assert.ok(entry.mediaId);
+    assert.strictEqual(getMedia(entry.mediaId), null);
+});
+
+test('a video job with a blocked video is blocked', async () => {
+    const record = await storeMedia(PNG_BYTES, 'image/png', { kind: 'image' });
+
+    const job = await waitForJob(queueVideoJob({ imageUrl: mediaUrl(record.id), preset: 'runway-walk' }).id);
+
+    assert.strictEqual(job.status, 'failed');
+    const [result] = job.results;
+    assert.strictEqual(result.status, 'blocked');
+    assert.strictEqual(result.url, moderation.BLOCKED_PLACEHOLDER_URL);
+    assert.deepStrictEqual(result.moderation, { categories: ['violence/graphic'] });
+    assert.strictEqual(result.error, 'This video was blocked by content moderation');
+});
+
+test('a video no frame could be checked from is withheld', async () => {
+    const record = await storeMedia(Buffer.from('not really a video'), 'video/mp4', { kind: 'video' });
+    const url = mediaUrl(record.id);
+
+    const result = await moderation.moderateVideoOutput(url, [], { source: 'v1', jobId: 'job-4' });
+
+    assert.deepStrictEqual(result, { allowed: false, categories: [], url: moderation.BLOCKED_PLACEHOLDER_URL });
+    assert.strictEqual(getMedia(record.id), null);
+    const entry = auditLog().find(item => item.jobId === 'job-4');
+    assert.strictEqual(entry.error, 'No frame could be checked');
+    assert.strictEqual(entry.mediaId, mediaIdFromUrl(url));
+});
@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const outfit = require('../lib/outfit');
+
+const garment = slot => ({ slot: slot });
+
+test('garments are layered from the body out, ties in upload order', () => {
+    const items = outfit.buildOutfit(4, null, [garment('outerwear'), garment('top'), garment('bottom'), garment('top')]);
+
+    assert.deepStrictEqual(outfit.toPublicOutfit(items), [
+        { index: 2, imageNumber: 2, slot: 'bottom', layer: 1, slotSource: 'analysis' },
+        { index: 1, imageNumber: 3, slot: 'top', layer: 2, slotSource: 'analysis' },
+        { index: 3, imageNumber: 4, slot: 'top', layer: 2, slotSource: 'analysis' },
+        { index: 0, imageNumber: 5, slot: 'outerwear', layer: 4, slotSource: 'analysis' }
+    ]);
+});
+
+test('the user\'s slot and layer win over the analysis', () => {
+    const items = outfit.buildOutfit(2, [{ slot: 'top', layer: 7 }, null], [garment('outerwear'), null]);
+
+    assert.deepStrictEqual(items.map(item => [item.index, item.slot, item.layer, item.slotSource]), [
+        [1, 'other', 5, 'default'],
+        [0, 'top', 7, 'user']
+    ]);
+});
+
+test('outfit choices are validated', () => {
+    assert.strictEqual(outfit.validateOutfit(undefined, 2), null);
+    assert.strictEqual(outfit.validateOutfit([{ slot: 'top' }, null], 2), null);
+    assert.strictEqual(outfit.validateOutfit([{ slot: 'top' }], 2), 'Outfit must have one entry per clothing image');
+    assert.match(outfit.validateOutfit([{ slot: 'cape' }], 1), /^Outfit slot must be one of: top, /);
+    assert.strictEqual(outfit.validateOutfit([{ layer: 11 }], 1), 'Outfit layer must be a whole number from 1 to 10');
+});
+
+test('clothing images are put in layering order', () => {
+    const order = [{ index: 1 }, { index: 0 }];
+
+    assert.strictEqual(outfit.validateOutfitOrder(order, 2), null);
+    assert.strictEqual(outfit.validateOutfitOrder([{ index: 1 }, { index: 1 }], 2), 'Outfit must list each clothing image index once');
+    assert.deepStrictEqual(outfit.orderClothingImages(['shirt', 'jacket'], order), ['jacket', 'shirt']);
+    assert.deepStrictEqual(outfit.orderClothingImages(['shirt', 'jacket'], [{ index: 0 }]), ['shirt', 'jacket']);
+});
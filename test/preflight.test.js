@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { PNG_BYTES } = require('./helpers');
+const { storeMedia, mediaUrl } = require('../lib/media');
+const { normalizePersonCheck } = require('../lib/personCheckSchema');
+const preflight = require('../lib/preflight');
+
+const FULL_BODY = { peopleCount: 1, framing: 'full-body', faceVisible: true, obstructed: false, blurry: false, possibleMinor: false };
+const LARGE = { width: 1024, height: 1536 };
+
+const codes = result => result.verdicts.map(item => `${item.severity}:${item.code}`);
+
+test('person checks are normalized, and unclear fields read as fine', () => {
+    assert.deepStrictEqual(normalizePersonCheck(FULL_BODY), { check: FULL_BODY, errors: [] });
+
+    const { check, errors } = normalizePersonCheck({ peopleCount: 'two', framing: 'Upper-Body', faceVisible: 'yes' });
+
+    assert.deepStrictEqual(check, { peopleCount: 1, framing: 'upper-body', faceVisible: true, obstructed: false, blurry: false, possibleMinor: false });
+    assert.deepStrictEqual(errors, [
+        '"peopleCount" must be a whole number',
+        '"faceVisible" must be a boolean',
+        '"obstructed" must be a boolean',
+        '"blurry" must be a boolean',
+        '"possibleMinor" must be a boolean'
+    ]);
+    assert.deepStrictEqual(normalizePersonCheck([]), { check: null, errors: ['Response must be a JSON object'] });
+});
+
+test('a clear full-body photo passes', () => {
+    const result = preflight.personPreflight(FULL_BODY, LARGE);
+
+    assert.strictEqual(result.ok, true);
+    assert.deepStrictEqual(result.verdicts, []);
+    assert.strictEqual(result.checks.fullBody, true);
+});
+
+test('group photos, face-only crops and tiny photos stop a run', () => {
+    assert.deepStrictEqual(codes(preflight.personPreflight({ ...FULL_BODY, peopleCount: 3 }, LARGE)), ['error:multiple_people']);
+    assert.deepStrictEqual(codes(preflight.personPreflight({ ...FULL_BODY, peopleCount: 0 }, LARGE)), ['error:no_person']);
+    assert.deepStrictEqual(codes(preflight.personPreflight({ ...FULL_BODY, framing: 'face-only' }, LARGE)), ['error:face_only']);
+
+    const small = preflight.personPreflight(FULL_BODY, { width: 300, height: 400 });
+    assert.strictEqual(small.ok, false);
+    assert.deepStrictEqual(codes(small), ['error:low_resolution']);
+    assert.match(small.verdicts[0].fix, /at least 512 pixels/);
+});
+
+test('warnings are reported without stopping a run', () => {
+    const result = preflight.personPreflight(
+        { ...FULL_BODY, framing: 'upper-body', faceVisible: false, obstructed: true, blurry: true },
+        { width: 600, height: 900 }
+    );
+
+    assert.strictEqual(result.ok, true);
+    assert.deepStrictEqual(codes(result), [
+        'warning:upper_body_only',
+        'warning:face_hidden',
+        'warning:obstructed',
+        'warning:blurry',
+        'warning:low_resolution'
+    ]);
+});
+
+test('without a person check only the resolution is judged', () => {
+    const result = preflight.personPreflight(null, null);
+
+    assert.strictEqual(result.ok, true);
+    assert.deepStrictEqual(result.verdicts, []);
+    assert.strictEqual(result.checks.fullBody, null);
+});
+
+test('garment photos are checked from their garment record', () => {
+    const record = { fullyVisible: false, background: 'busy', confidence: 0.2 };
+
+    const result = preflight.garmentPreflight(record, { width: 200, height: 300 });
+
+    assert.strictEqual(result.ok, false);
+    assert.deepStrictEqual(codes(result), [
+        'warning:garment_cropped',
+        'warning:busy_background',
+        'warning:unclear_item',
+        'error:low_resolution'
+    ]);
+    assert.deepStrictEqual(result.checks, { fullyVisible: false, background: 'busy', width: 200, height: 300 });
+});
+
+test('a stored photo is checked with the person analysis and its stored size', async () => {
+    const record = await storeMedia(PNG_BYTES, 'image/png', { kind: 'input' });
+
+    const result = await preflight.preflightPerson(mediaUrl(record.id));
+
+    // The stub person check finds a three-quarter framing; the photo is 1x1
+    assert.strictEqual(result.ok, false);
+    assert.deepStrictEqual(codes(result), ['warning:legs_cut_off', 'error:low_resolution']);
+    assert.deepStrictEqual([result.checks.width, result.checks.height], [1, 1]);
+});
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const progress = require('../lib/progress');
+
+test('run IDs must be 8 to 100 URL-safe characters', () => {
+    assert.strictEqual(progress.isValidRunId('run_1234-abcd'), true);
+    assert.strictEqual(progress.isValidRunId('short'), false);
+    assert.strictEqual(progress.isValidRunId('run/../1234'), false);
+    assert.strictEqual(progress.isValidRunId('x'.repeat(101)), false);
+    assert.strictEqual(progress.isValidRunId(undefined), false);
+});
+
+test('a late subscriber gets the buffered events replayed, then live ones', () => {
+    const runId = 'run-replay-1';
+    progress.publish(runId, 'image-started', { index: 0 });
+    progress.publish(runId, 'image-completed', { index: 0 });
+
+    const received = [];
+    const unsubscribe = progress.subscribe(runId, 'user:1', 0, event => received.push(event));
+    progress.publish(runId, 'image-started', { index: 1 });
+    unsubscribe();
+    progress.publish(runId, 'image-completed', { index: 1 });
+
+    assert.deepStrictEqual(received.map(event => [event.id, event.type]), [
+        [1, 'image-started'],
+        [2, 'image-completed'],
+        [3, 'image-started']
+    ]);
+});
+
+test('a reconnecting subscriber only gets events after Last-Event-ID', () => {
+    const runId = 'run-replay-2';
+    ['a', 'b', 'c'].forEach(type => progress.publish(runId, type));
+
+    const received = [];
+    progress.subscribe(runId, 'user:1', 2, event => received.push(event.type))();
+
+    assert.deepStrictEqual(received, ['c']);
+});
+
+test('events for an invalid run ID are dropped', () => {
+    progress.publish('bad id', 'image-started');
+
+    const received = [];
+    assert.strictEqual(progress.subscribe('bad id', 'user:1', 0, event => received.push(event)), null);
+
+    assert.deepStrictEqual(received, []);
+});
+
+test('a run belongs to whoever claims it first', () => {
+    const runId = 'run-owner-1';
+
+    assert.strictEqual(progress.claim(runId, 'ip:10.0.0.1'), true);
+    assert.strictEqual(progress.claim(runId, 'ip:10.0.0.1'), true);
+    assert.strictEqual(progress.claim(runId, 'user:2'), false);
+    assert.strictEqual(progress.claim('run-owner-2', null), false);
+});
+
+test('someone else cannot follow a run, not even its past events', () => {
+    const runId = 'run-owner-3';
+    progress.publish(runId, 'image-completed', { url: '/media/1' });
+    progress.claim(runId, 'user:1');
+
+    const received = [];
+    assert.strictEqual(progress.subscribe(runId, 'user:2', 0, event => received.push(event)), null);
+    progress.publish(runId, 'image-completed', { url: '/media/2' });
+
+    assert.deepStrictEqual(received, []);
+});
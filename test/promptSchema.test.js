@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { schemaInstructions, parseJson, validatePromptSet } = require('../lib/promptSchema');
+
+function entry(prompt) {
+    return { scene: 'Studio', lighting: 'Soft key light', pose: 'Standing', camera: '85mm', prompt: prompt };
+}
+
+test('the instructions ask for the exact number of prompts', () => {
+    assert.match(schemaInstructions(3), /EXACTLY 3 entries/);
+});
+
+test('JSON wrapped in a markdown fence is parsed', () => {
+    assert.deepStrictEqual(parseJson('```json\n{"prompts": []}\n```'), { prompts: [] });
+    assert.throws(() => parseJson('Here are your prompts'), SyntaxError);
+});
+
+test('a complete prompt set passes with trimmed fields', () => {
+    const { prompts, errors } = validatePromptSet({ prompts: [entry('  First  '), entry('Second')] }, 2);
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(prompts.map(prompt => prompt.prompt), ['First', 'Second']);
+});
+
+test('missing fields, duplicates and short sets are reported', () => {
+    const { prompts, errors } = validatePromptSet({
+        prompts: [entry('Same prompt'), { ...entry('Other'), pose: ' ' }, entry('same   PROMPT')]
+    }, 4);
+
+    assert.deepStrictEqual(prompts.map(prompt => prompt.prompt), ['Same prompt']);
+    assert.deepStrictEqual(errors, [
+        'prompts[1] is missing non-empty string field(s): pose',
+        'prompts[2] duplicates an earlier prompt',
+        '"prompts" has 3 entries, expected exactly 4'
+    ]);
+});
+
+test('extra entries are ignored and a wrong shape is rejected', () => {
+    assert.strictEqual(validatePromptSet({ prompts: [entry('A'), entry('B')] }, 1).prompts.length, 1);
+    assert.deepStrictEqual(validatePromptSet([entry('A')], 1).errors, ['Top-level value must be an object with a "prompts" array']);
+});
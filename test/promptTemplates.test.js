@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { listTemplateVersions, renderTemplate } = require('../lib/promptTemplates');
+
+const VALUES = {
+    numImages: 3,
+    responseFormat: 'Respond with JSON.',
+    styleName: 'Street Style',
+    styleGuidance: 'Urban backdrops',
+    analysisDescription: 'A person in a grey hoodie.',
+    customDetails: 'None'
+};
+
+test('template versions are listed from the templates directory', () => {
+    assert.deepStrictEqual(listTemplateVersions('prompt-writing'), ['v1', 'v2']);
+    assert.deepStrictEqual(listTemplateVersions('missing'), []);
+});
+
+test('rendering fills every placeholder', () => {
+    const { system, user } = renderTemplate('prompt-writing', 'v2', VALUES);
+
+    assert.ok(system.includes('Street Style'));
+    assert.ok(user.includes('A person in a grey hoodie.'));
+    assert.doesNotMatch(system + user, /\{\{\w+\}\}/);
+});
+
+test('a missing value or version is an error', () => {
+    assert.throws(() => renderTemplate('prompt-writing', 'v1', { ...VALUES, styleName: null }), /needs a value for \{\{styleName\}\}/);
+    assert.throws(() => renderTemplate('prompt-writing', 'v9', VALUES), /Prompt template prompt-writing\/v9 not found/);
+});
@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { PNG_BYTES } = require('./helpers');
+const llm = require('../lib/llm');
+const { storeMedia, mediaUrl } = require('../lib/media');
+const { writePrompts, writePromptsForPeople } = require('../lib/promptWriter');
+
+const SHIRT = `data:image/png;base64,${Buffer.from('shirt').toString('base64')}`;
+
+// Record every request the prompt writer hands to the LLM backend
+const requests = [];
+const backend = llm.initLLM();
+const complete = backend.complete.bind(backend);
+backend.complete = async (request) => {
+    requests.push(request);
+    return complete(request);
+};
+
+function imageUrlsSent(task) {
+    return requests
+        .filter(request => request.task === task)
+        .flatMap(request => request.messages)
+        .flatMap(message => (Array.isArray(message.content) ? message.content : []))
+        .filter(part => part.type === 'image_url')
+        .map(part => part.image_url.url);
+}
+
+test('prompts come from the model when its JSON matches the schema', async () => {
+    const result = await writePrompts({ style: 'street', clothingImages: [SHIRT], numImages: 3 });
+
+    assert.strictEqual(result.prompts.length, 3);
+    assert.strictEqual(result.fallbackCount, 0);
+    assert.ok(result.promptDetails.every(detail => detail.source === 'model' && detail.scene));
+    assert.strictEqual(result.garments[0].slot, 'outerwear');
+    assert.strictEqual(result.styleName, 'Street Style');
+    assert.strictEqual(result.promptTemplate.name, 'prompt-writing');
+});
+
+test('prompts the model could not supply are filled with labelled fallbacks', async () => {
+    // The stub fixture holds five prompts
+    const result = await writePrompts({ style: 'street', numImages: 7 });
+
+    assert.strictEqual(result.prompts.length, 7);
+    assert.strictEqual(result.fallbackCount, 2);
+    assert.deepStrictEqual(result.promptDetails.slice(5).map(detail => detail.source), ['fallback', 'fallback']);
+});
+
+test('the outfit comes back in layering order, with the user\'s slots', async () => {
+    const pants = `data:image/png;base64,${Buffer.from('pants').toString('base64')}`;
+
+    const result = await writePrompts({ style: 'street', clothingImages: [SHIRT, pants], outfit: [null, { slot: 'bottom' }], numImages: 1 });
+
+    assert.deepStrictEqual(result.outfit.map(item => [item.index, item.slot, item.slotSource]), [
+        [1, 'bottom', 'user'],
+        [0, 'outerwear', 'analysis']
+    ]);
+});
+
+test('each person gets a prompt set, flattened person by person', async () => {
+    const people = ['ada', 'grace'].map(name => `data:image/png;base64,${Buffer.from(name).toString('base64')}`);
+
+    const result = await writePromptsForPeople({ style: 'studio', userImages: people, clothingImages: [SHIRT], numImages: 2 });
+
+    assert.strictEqual(result.prompts.length, 4);
+    assert.deepStrictEqual(result.people.map(set => [set.person, set.prompts.length]), [[0, 2], [1, 2]]);
+    assert.deepStrictEqual(result.prompts, result.people.flatMap(set => set.prompts));
+});
+
+test('an unknown style is an error', async () => {
+    await assert.rejects(writePrompts({ style: 'nope', numImages: 1 }), /Unknown style: nope/);
+});
+
+test('an ingested /media person photo reaches the prompt writer as a data URL', async () => {
+    requests.length = 0;
+    const record = await storeMedia(PNG_BYTES, 'image/png', { kind: 'input' });
+
+    const result = await writePrompts({ style: 'fashion', userImage: mediaUrl(record.id), numImages: 1 });
+
+    assert.strictEqual(result.prompts.length, 1);
+    const urls = imageUrlsSent('prompt-writing');
+    assert.strictEqual(urls.length, 1);
+    assert.strictEqual(urls[0], `data:image/png;base64,${PNG_BYTES.toString('base64')}`);
+});
+
+test('a remote photo URL is passed on unchanged', async () => {
+    requests.length = 0;
+    await writePrompts({ style: 'fashion', userImage: 'https://example.com/person.jpg', numImages: 1 });
+
+    assert.deepStrictEqual(imageUrlsSent('prompt-writing'), ['https://example.com/person.jpg']);
+});
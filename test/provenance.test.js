@@ -0,0 +1,150 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { PNG_BYTES, waitForJob } = require('./helpers');
+const { storeMedia, mediaUrl, deleteMedia } = require('../lib/media');
+const { queueTryOnJob, queueReproduction, createVideo } = require('../lib/generation');
+const provenance = require('../lib/provenance');
+
+// Distinct bytes per call, so inputs are separate media records
+let images = 0;
+async function storedImage(kind) {
+    images++;
+    const bytes = Buffer.concat([PNG_BYTES, Buffer.from(`${kind}-${images}`)]);
+    return mediaUrl((await storeMedia(bytes, 'image/png', { kind: 'input' })).id);
+}
+
+// Generate one try-on image and return its provenance record
+async function generateOne(userId, inputs) {
+    const job = await waitForJob(queueTryOnJob({
+        prompts: ['The person wears the denim jacket, studio light'],
+        imageUrls: inputs.garmentImages,
+        userImage: inputs.personImage,
+        userId: userId,
+        source: 'web'
+    }, 1).id);
+    const result = job.results.find(item => item.status === 'completed');
+    return provenance.getProvenance(result.provenanceId, userId);
+}
+
+test('every image gets a record with its seed, model and inputs', async () => {
+    const inputs = { personImage: await storedImage('person'), garmentImages: [await storedImage('garment')] };
+
+    const record = await generateOne('user-1', inputs);
+
+    assert.strictEqual(record.kind, 'image');
+    assert.strictEqual(record.provider, 'mock');
+    assert.ok(Number.isInteger(record.seed));
+    assert.strictEqual(record.prompt, 'The person wears the denim jacket, studio light');
+    assert.strictEqual(record.inputs.person.url, inputs.personImage);
+    assert.deepStrictEqual(record.inputs.garments.map(garment => garment.url), inputs.garmentImages);
+    assert.match(record.output.sha256, /^[0-9a-f]{64}$/);
+    assert.strictEqual(provenance.getProvenance(record.id, 'someone-else'), null);
+    assert.strictEqual(provenance.toPublicProvenance(record).userId, undefined);
+});
+
+test('every image is generated with its own seed, even from the same inputs', async () => {
+    const inputs = { personImage: await storedImage('person'), garmentImages: [await storedImage('garment')] };
+
+    const first = await generateOne('user-1', inputs);
+    const second = await generateOne('user-1', inputs);
+
+    assert.notStrictEqual(first.seed, second.seed);
+    assert.notStrictEqual(first.output.sha256, second.output.sha256);
+});
+
+test('reproducing a record generates the same image with the same seed', async () => {
+    const inputs = { personImage: await storedImage('person'), garmentImages: [await storedImage('garment')] };
+    const original = await generateOne('user-1', inputs);
+
+    const { reproduction, error } = provenance.buildReproduction(original);
+    assert.strictEqual(error, null);
+    const job = await waitForJob(queueReproduction(reproduction, { runId: null, userId: 'user-1', source: 'web' }).id);
+
+    const copy = provenance.getProvenance(job.results[0].provenanceId, 'user-1');
+    assert.strictEqual(copy.seed, original.seed);
+    assert.strictEqual(copy.model, original.model);
+    assert.strictEqual(copy.output.sha256, original.output.sha256);
+    assert.strictEqual(copy.reproducedFrom, original.id);
+    assert.strictEqual(copy.changes, null);
+});
+
+test('regenerating with changes applies them and names them', async () => {
+    const inputs = { personImage: await storedImage('person'), garmentImages: [await storedImage('garment')] };
+    const original = await generateOne('user-1', inputs);
+
+    const changes = { seed: 12345, garmentImages: [await storedImage('garment')] };
+    assert.strictEqual(provenance.validateChanges(changes), null);
+    const { reproduction } = provenance.buildReproduction(original, changes);
+    const job = await waitForJob(queueReproduction(reproduction, { runId: null, userId: 'user-1', source: 'web' }).id);
+
+    const copy = provenance.getProvenance(job.results[0].provenanceId, 'user-1');
+    assert.strictEqual(copy.seed, 12345);
+    assert.deepStrictEqual(copy.inputs.garments.map(garment => garment.url), changes.garmentImages);
+    assert.deepStrictEqual(copy.changes, ['seed', 'garmentImages']);
+    assert.notStrictEqual(copy.output.sha256, original.output.sha256);
+});
+
+test('a record whose inputs are gone cannot be reproduced', async () => {
+    const inputs = { personImage: await storedImage('person'), garmentImages: [await storedImage('garment')] };
+    const record = await generateOne('user-1', inputs);
+
+    await deleteMedia(record.inputs.person.mediaId);
+
+    assert.deepStrictEqual(provenance.buildReproduction(record), {
+        reproduction: null,
+        error: 'The input images of this output are no longer available'
+    });
+});
+
+test('changes are validated', () => {
+    assert.strictEqual(provenance.validateChanges({ seed: null, prompt: 'A new prompt' }), null);
+    assert.strictEqual(provenance.validateChanges({ seed: -1 }), 'Seed must be a non-negative integer, or null for a new seed');
+    assert.strictEqual(provenance.validateChanges({ prompt: ' ' }), 'Prompt must be a non-empty string of at most 4000 characters');
+    assert.strictEqual(provenance.validateChanges({ garmentImages: [] }), 'Garment images must be a list of 1 to 10 image URLs');
+    assert.strictEqual(provenance.validateChanges({ personImage: '/media/x' }, 'video'), 'Only the prompt and seed of a video can be changed');
+    assert.strictEqual(provenance.validateChanges({ prompt: 'x'.repeat(1001) }, 'video'), 'Prompt must be a non-empty string of at most 1000 characters');
+});
+
+test('a video is recorded and reproduced with its seed and settings', async () => {
+    const imageUrl = await storedImage('still');
+    const video = await createVideo({ imageUrl: imageUrl, preset: 'turn-360', aspectRatio: '9:16', userId: 'user-2', source: 'v1' });
+    const original = provenance.getProvenance(video.provenanceId, 'user-2');
+
+    assert.strictEqual(original.kind, 'video');
+    assert.strictEqual(original.preset, 'turn-360');
+    assert.strictEqual(original.aspectRatio, '9:16');
+    assert.strictEqual(original.inputs.image.url, imageUrl);
+    assert.ok(Number.isInteger(original.seed));
+
+    const { reproduction } = provenance.buildReproduction(original, { prompt: 'The person waves at the camera' });
+    const job = await waitForJob(queueReproduction(reproduction, { runId: null, userId: 'user-2', source: 'v1' }).id);
+
+    const copy = provenance.getProvenance(job.results[0].provenanceId, 'user-2');
+    assert.strictEqual(copy.kind, 'video');
+    assert.strictEqual(copy.seed, original.seed);
+    assert.strictEqual(copy.prompt, 'The person waves at the camera');
+    assert.strictEqual(copy.aspectRatio, '9:16');
+    assert.strictEqual(copy.inputs.image.url, imageUrl);
+    assert.deepStrictEqual(copy.changes, ['prompt']);
+});
+
+test('deleting a run removes only its own records', () => {
+    const base = {
+        prompt: 'p',
+        inputs: { personImage: null, garmentImages: [] },
+        provider: 'mock',
+        model: 'm',
+        url: '/media/none',
+        startedAt: new Date(),
+        completedAt: new Date()
+    };
+    const kept = provenance.recordProvenance({ ...base, runId: 'run-b', userId: 'user-3' });
+    const removed = provenance.recordProvenance({ ...base, runId: 'run-a', userId: 'user-3' });
+    const otherUser = provenance.recordProvenance({ ...base, runId: 'run-a', userId: 'user-4' });
+
+    assert.strictEqual(provenance.deleteRunProvenance('run-a', 'user-3'), 1);
+
+    assert.strictEqual(provenance.getProvenance(removed.id, 'user-3'), null);
+    assert.ok(provenance.getProvenance(kept.id, 'user-3'));
+    assert.ok(provenance.getProvenance(otherUser.id, 'user-4'));
+});
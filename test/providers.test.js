@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const providers = require('../lib/providers');
+
+test('the mock image provider returns the same placeholder for the same request', async () => {
+    const request = { prompt: 'Red jacket, studio light', imageUrls: ['https://example.com/a.png'] };
+
+    const first = await providers.generateImage(request);
+    const second = await providers.generateImage(request);
+    const other = await providers.generateImage({ ...request, prompt: 'Blue jacket, studio light' });
+
+    assert.strictEqual(first.provider, 'mock');
+    assert.strictEqual(first.model, 'google/nano-banana');
+    assert.match(first.url, /^data:image\/svg\+xml;base64,/);
+    assert.strictEqual(first.url, second.url);
+    assert.strictEqual(first.id, second.id);
+    assert.notStrictEqual(first.url, other.url);
+});
+
+test('prompts are escaped in the mock placeholder', async () => {
+    const { url } = await providers.generateImage({ prompt: '<script>"x"</script>', imageUrls: [] });
+
+    const svg = Buffer.from(url.split(',')[1], 'base64').toString();
+    assert.ok(!svg.includes('<script>'));
+    assert.ok(svg.includes('&lt;script&gt;&quot;x&quot;'));
+});
+
+test('the mock video provider returns the placeholder clip', async () => {
+    const result = await providers.generateVideo({ prompt: 'Turn slowly', imageUrl: 'https://example.com/a.png' });
+
+    assert.match(result.url, /^data:video\/mp4;base64,/);
+    assert.match(result.id, /^mock_[0-9a-f]{16}$/);
+    assert.deepStrictEqual(providers.describeProviders().video, { provider: 'mock', model: 'google/veo-3-fast' });
+});
@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { dataDir, PNG_BYTES, waitForJob } = require('./helpers');
+
+// Reels are never rendered here; a missing ffmpeg fails the job cleanly
+process.env.FFMPEG_PATH = path.join(dataDir, 'no-ffmpeg');
+process.env.FFPROBE_PATH = path.join(dataDir, 'no-ffprobe');
+const { storeMedia, mediaUrl } = require('../lib/media');
+const history = require('../lib/history');
+const reels = require('../lib/reels');
+
+// Clips are stored for a run of this account unless `details` says otherwise
+const USER_ID = 'reel-owner';
+history.updateRun('run-reel-1', USER_ID, {});
+
+let stored = 0;
+async function storedClip(contentType = 'image/png', details = { runId: 'run-reel-1' }) {
+    stored++;
+    const bytes = Buffer.concat([PNG_BYTES, Buffer.from(`clip-${stored}`)]);
+    return mediaUrl((await storeMedia(bytes, contentType, { kind: 'image', ...details })).id);
+}
+
+test('a reel of stored clips with a title card is valid', async () => {
+    const body = {
+        clips: [{ url: await storedClip(), duration: 2, title: { text: 'Look 1' } }, { url: await storedClip('video/mp4') }],
+        titleCard: { text: 'Spring lookbook' },
+        transition: 'dissolve',
+        aspectRatio: '4:5',
+        format: 'mp4',
+        music: `data:audio/mpeg;base64,${Buffer.from('music').toString('base64')}`
+    };
+
+    assert.strictEqual(reels.validateReelRequest(body, USER_ID), null);
+});
+
+test('clips must be stored images or videos', async () => {
+    const validate = clip => reels.validateReelRequest({ clips: [clip] }, USER_ID);
+
+    assert.strictEqual(reels.validateReelRequest({ clips: [] }, USER_ID), 'Choose at least one video or image for the reel');
+    assert.strictEqual(validate({ url: 'https://example.com/a.mp4' }), 'Clip 1 must be a /media URL of a stored image or video');
+    assert.strictEqual(validate({ url: await storedClip('image/svg+xml') }), 'Clip 1 is an SVG image, which cannot be used in a reel');
+    assert.strictEqual(validate({ url: await storedClip('audio/mpeg') }), 'Clip 1 is not an image or video');
+    assert.strictEqual(validate({ url: await storedClip(), duration: 30 }), 'Clip 1 duration must be 1 to 10 seconds');
+});
+
+test('reel options are checked', async () => {
+    const clips = [{ url: await storedClip() }];
+    const music = `data:audio/mpeg;base64,${Buffer.from('music').toString('base64')}`;
+
+    assert.match(reels.validateReelRequest({ clips, transition: 'spin' }, USER_ID), /^Transition must be one of: cut, fade/);
+    assert.match(reels.validateReelRequest({ clips, aspectRatio: '3:2' }, USER_ID), /^Aspect ratio must be one of/);
+    assert.strictEqual(reels.validateReelRequest({ clips, format: 'gif', music }, USER_ID), 'Music can only be added to MP4 reels');
+    assert.strictEqual(reels.validateReelRequest({ clips, music: 'data:text/plain;base64,aGk=' }, USER_ID),
+        'Music must be an MP3, M4A, AAC, WAV, OGG or WebM audio file');
+});
+
+test('a reel belongs to the account that queued it', async () => {
+    const queued = reels.queueReel({ userId: USER_ID, clips: [{ url: await storedClip() }] });
+
+    const job = await waitForJob(queued.id);
+
+    assert.strictEqual(job.status, 'failed');
+    assert.match(job.error, /was not found/);
+    assert.strictEqual(reels.getReel(job.id, USER_ID).id, job.id);
+    assert.strictEqual(reels.getReel(job.id, 'someone-else'), null);
+    assert.deepStrictEqual(reels.listReels(USER_ID).map(item => item.id), [job.id]);
+    assert.strictEqual(reels.toPublicReel(job).format, 'mp4');
+});
+
+test('clips must be media of the caller\'s own runs or jobs', async () => {
+    history.updateRun('run-reel-2', 'someone-else', {});
+    const job = reels.queueReel({ userId: USER_ID, clips: [{ url: await storedClip() }] });
+    await waitForJob(job.id);
+    const validate = url => reels.validateReelRequest({ clips: [{ url: url }] }, USER_ID);
+
+    assert.strictEqual(validate(await storedClip('video/mp4', { jobId: job.id })), null);
+    for (const details of [{ runId: 'run-reel-2' }, { runId: 'run-unknown' }, {}]) {
+        assert.strictEqual(validate(await storedClip('image/png', details)), 'Clip 1 must be a /media URL of a stored image or video');
+    }
+    assert.strictEqual(reels.validateReelRequest({ clips: [{ url: await storedClip() }] }, 'someone-else'),
+        'Clip 1 must be a /media URL of a stored image or video');
+});
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { PNG_BYTES } = require('./helpers');
+const { storeMedia, mediaUrl } = require('../lib/media');
+const { normalizeResultScore } = require('../lib/resultScoreSchema');
+const resultScoring = require('../lib/resultScoring');
+
+const SCORE = { identity: 8, garmentFidelity: 7, otherClothing: 9, artifacts: 8, issues: ['Pockets are missing.'] };
+
+test('scores are rounded and combined into a weighted overall score', () => {
+    const { score, errors } = normalizeResultScore({ ...SCORE, identity: 7.6, issues: ['  Pockets are missing. ', '', 3] });
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(score, {
+        identity: 8,
+        garmentFidelity: 7,
+        otherClothing: 9,
+        artifacts: 8,
+        issues: ['Pockets are missing.'],
+        overall: 7.8
+    });
+});
+
+test('a score with an invalid criterion is refused, bad issues are dropped', () => {
+    assert.deepStrictEqual(normalizeResultScore({ ...SCORE, identity: 11, artifacts: '' }), {
+        score: null,
+        errors: ['"identity" must be a number from 0 to 10', '"artifacts" must be a number from 0 to 10']
+    });
+
+    const { score, errors } = normalizeResultScore({ ...SCORE, issues: 'none' });
+    assert.deepStrictEqual(score.issues, []);
+    assert.deepStrictEqual(errors, ['"issues" must be an array of strings']);
+    assert.deepStrictEqual(normalizeResultScore('8/10'), { score: null, errors: ['Response must be a JSON object'] });
+});
+
+test('results are ranked per person and unscored results are left out', () => {
+    const ranks = resultScoring.rankResults([
+        { index: 0, person: 0, score: { overall: 6 } },
+        { index: 1, person: 0, score: { overall: 8.5 } },
+        { index: 2, person: 1, score: { overall: 5 } },
+        { index: 3, person: 1, score: null },
+        { index: 4, score: { overall: 6 } }
+    ]);
+
+    assert.deepStrictEqual(Array.from(ranks).sort((a, b) => a[0] - b[0]), [[0, 2], [1, 1], [2, 1], [4, 3]]);
+});
+
+test('without RESULT_RETRY_BELOW nothing is retried', () => {
+    assert.strictEqual(resultScoring.shouldRetry({ overall: 1 }), false);
+    assert.strictEqual(resultScoring.shouldRetry(null), false);
+});
+
+test('a result is scored by the judge against its inputs', async () => {
+    const stored = await Promise.all(['person', 'garment', 'output'].map(async (name) => (
+        mediaUrl((await storeMedia(Buffer.concat([PNG_BYTES, Buffer.from(name)]), 'image/png', { kind: 'input' })).id)
+    )));
+
+    const score = await resultScoring.scoreResult({
+        personImage: stored[0],
+        garmentImages: [stored[1]],
+        output: stored[2],
+        prompt: 'Dress the person in the jacket'
+    });
+
+    assert.strictEqual(score.overall, 7.8);
+    assert.deepStrictEqual(score.issues, ["The jacket's pockets are missing (stub score)."]);
+    assert.strictEqual(await resultScoring.scoreResult({ output: stored[2], garmentImages: [], prompt: 'x' }), null);
+});
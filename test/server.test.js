@@ -0,0 +1,108 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { listen } = require('./helpers');
+const progress = require('../lib/progress');
+const experiments = require('../lib/experiments');
+
+process.env.ADMIN_EMAILS = 'ops@example.com';
+const app = require('../server');
+
+let server;
+
+before(async () => {
+    server = await listen(app);
+});
+
+after(() => server.close());
+
+// GET a path exactly as written; fetch() would normalize dot segments
+function get(path) {
+    return new Promise((resolve, reject) => {
+        http.get(`${server.url}${path}`, { path: path }, (res) => {
+            res.resume();
+            res.on('end', () => resolve(res));
+        }).on('error', reject);
+    });
+}
+
+test('the pages, scripts, styles and assets are served', async () => {
+    for (const path of ['/', '/index.html', '/batch.html', '/script.js', '/styles.css', '/assets/styles/street.svg']) {
+        assert.strictEqual((await get(path)).statusCode, 200, path);
+    }
+});
+
+test('nothing else in the repository is served, however the path is spelled', async () => {
+    const paths = [
+        '/data/users.json',
+        '/%64ata/users.json',
+        '/Data/users.json',
+        '/./data/users.json',
+        '/assets/../data/users.json',
+        '/assets/%2e%2e/server.js',
+        '/%6cib/jobs.js',
+        '/server.js',
+        '/package.json',
+        '/.env.example'
+    ];
+    for (const path of paths) {
+        assert.strictEqual((await get(path)).statusCode, 404, path);
+    }
+});
+
+test('a progress stream is only served to the owner of its run', async () => {
+    progress.claim('run-someone-else', 'user:someone');
+    progress.publish('run-someone-else', 'image-completed', { index: 0, url: '/media/private' });
+
+    assert.strictEqual((await get('/api/progress/run-someone-else')).statusCode, 403);
+
+    // An unclaimed run becomes this guest's when the stream is opened
+    const controller = new AbortController();
+    const response = await fetch(`${server.url}/api/progress/run-my-own-1`, { signal: controller.signal });
+    controller.abort();
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(progress.claim('run-my-own-1', 'user:someone'), false);
+    assert.strictEqual(progress.claim('run-my-own-1', 'ip:127.0.0.1'), true);
+});
+
+function post(path, body, cookie) {
+    return fetch(`${server.url}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(cookie ? { Cookie: cookie } : {}) },
+        body: JSON.stringify(body)
+    });
+}
+
+async function signUp(email) {
+    const response = await post('/api/auth/signup', { email: email, password: 'correct horse' });
+    return response.headers.get('set-cookie').split(';')[0];
+}
+
+test('ratings and downloads are only taken from the run\'s owner', async () => {
+    experiments.recordEvent({ type: 'assignment', experiment: 'prompt-writing', version: 'v1', runId: 'run-guest-1', guestSubject: 'ip:127.0.0.1' });
+    experiments.recordEvent({ type: 'assignment', experiment: 'prompt-writing', version: 'v1', runId: 'run-account-1', userId: 'someone' });
+    const downloads = () => experiments.experimentReport('prompt-writing').versions.find(entry => entry.version === 'v1').downloads;
+    const before = downloads();
+
+    assert.strictEqual((await post('/api/feedback', { runId: 'run-guest-1', index: 0, rating: 'up' })).status, 200);
+    assert.strictEqual((await post('/api/events/download', { runId: 'run-guest-1', index: 0 })).status, 200);
+    assert.strictEqual((await post('/api/feedback', { runId: 'run-account-1', index: 0, rating: 'up' })).status, 404);
+    assert.strictEqual((await post('/api/events/download', { runId: 'run-account-1', index: 0 })).status, 404);
+
+    const cookie = await signUp('rater@example.com');
+    assert.strictEqual((await post('/api/events/download', { runId: 'run-guest-1', index: 1 }, cookie)).status, 404);
+    assert.strictEqual(downloads(), before + 1);
+});
+
+test('experiment reports are only served to administrators', async () => {
+    assert.strictEqual((await fetch(`${server.url}/api/experiments/prompt-writing`)).status, 401);
+
+    const user = await signUp('user@example.com');
+    const forUser = await fetch(`${server.url}/api/experiments/prompt-writing`, { headers: { Cookie: user } });
+    assert.strictEqual(forUser.status, 403);
+
+    const admin = await signUp('ops@example.com');
+    const forAdmin = await fetch(`${server.url}/api/experiments/prompt-writing`, { headers: { Cookie: admin } });
+    assert.strictEqual(forAdmin.status, 200);
+    assert.strictEqual((await forAdmin.json()).report.experiment, 'prompt-writing');
+});
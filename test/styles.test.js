@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { dataDir } = require('./helpers');
+const styles = require('../lib/styles');
+
+const PASTEL = { name: 'Pastel Dream', description: 'Soft colors', guidance: 'Pastel backdrops with soft diffused light' };
+
+test('built-in styles come first and include the default', () => {
+    const list = styles.listStyles();
+
+    assert.strictEqual(list[0].id, styles.DEFAULT_STYLE_ID);
+    assert.strictEqual(styles.getStyle('street').thumbnail, '/assets/styles/street.svg');
+    assert.strictEqual(styles.getStyle('nope'), null);
+});
+
+test('a custom style is saved for its owner and listed only for them', () => {
+    assert.strictEqual(styles.validateCustomStyle(PASTEL, 'user-1'), null);
+
+    const style = styles.createCustomStyle(PASTEL, 'user-1');
+
+    assert.match(style.id, /^custom-/);
+    assert.strictEqual(style.custom, true);
+    assert.deepStrictEqual(styles.getStyle(style.id, 'user-1'), style);
+    assert.strictEqual(styles.getStyle(style.id, 'user-2'), null);
+    assert.strictEqual(styles.getStyle(style.id), null);
+    assert.strictEqual(styles.toPublicStyle(style).userId, undefined);
+    const saved = JSON.parse(fs.readFileSync(path.join(dataDir, 'styles.json'), 'utf8'));
+    assert.strictEqual(saved.find(item => item.id === style.id).userId, 'user-1');
+
+    // Another account may reuse the name and cannot delete the style
+    assert.strictEqual(styles.validateCustomStyle(PASTEL, 'user-2'), null);
+    assert.strictEqual(styles.deleteCustomStyle(style.id, 'user-2'), false);
+    assert.strictEqual(styles.deleteCustomStyle(style.id, 'user-1'), true);
+    assert.strictEqual(styles.getStyle(style.id, 'user-1'), null);
+});
+
+test('custom style input is validated', () => {
+    assert.strictEqual(styles.validateCustomStyle({ ...PASTEL, name: ' ' }), 'Style name must be between 1 and 50 characters');
+    assert.strictEqual(styles.validateCustomStyle({ ...PASTEL, guidance: 'short' }), 'Style guidance must be between 10 and 1000 characters');
+    assert.strictEqual(styles.validateCustomStyle({ ...PASTEL, description: 'x'.repeat(121) }), 'Style description must be a string with max 120 characters');
+    assert.strictEqual(styles.validateCustomStyle({ ...PASTEL, name: 'street style' }), 'A style with this name already exists');
+});
+
+test('built-in styles cannot be deleted', () => {
+    assert.strictEqual(styles.deleteCustomStyle('street', 'user-1'), false);
+    assert.ok(styles.getStyle('street'));
+});
@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+require('./helpers');
+const usage = require('../lib/usage');
+
+// Each test meters a subject of its own
+let subjects = 0;
+function newSubject() {
+    subjects++;
+    return `user:test-${subjects}`;
+}
+
+test('a reservation counts against the monthly allowance', () => {
+    const subject = newSubject();
+
+    const { reservation } = usage.reserve(subject, 'premium', 'images', 3);
+
+    assert.deepStrictEqual(reservation, { subject: subject, period: new Date().toISOString().slice(0, 7), kind: 'images', count: 3 });
+    const summary = usage.getUsage(subject, 'premium');
+    assert.strictEqual(summary.images, 3);
+    assert.strictEqual(summary.used, 3);
+    assert.strictEqual(summary.remaining, 497);
+});
+
+test('images and videos share the allowance', () => {
+    const subject = newSubject();
+
+    usage.reserve(subject, 'premium', 'images', 5);
+    usage.reserve(subject, 'premium', 'videos', 2);
+
+    const summary = usage.getUsage(subject, 'premium');
+    assert.deepStrictEqual([summary.images, summary.videos, summary.used, summary.remaining], [5, 2, 7, 493]);
+});
+
+test('a reservation past the allowance is refused and reserves nothing', () => {
+    const subject = newSubject();
+    usage.reserve(subject, 'guest', 'images', 1);
+    usage.reserve(subject, 'guest', 'images', 1);
+    usage.reserve(subject, 'guest', 'images', 1);
+    usage.reserve(subject, 'guest', 'images', 1);
+
+    const rejected = usage.reserve(subject, 'guest', 'videos', 2);
+
+    assert.strictEqual(rejected.reservation, undefined);
+    assert.strictEqual(rejected.status, 429);
+    assert.strictEqual(rejected.code, 'quota_exceeded');
+    assert.strictEqual(rejected.error, 'Only 1 try-on(s) left in your Guest plan this month.');
+    assert.strictEqual(usage.getUsage(subject, 'guest').used, 4);
+
+    assert.ok(usage.reserve(subject, 'guest', 'images', 1).reservation);
+    assert.strictEqual(usage.reserve(subject, 'guest', 'images', 1).error, 'You have used all 5 try-ons in your Guest plan this month.');
+});
+
+test('the plan caps images per generation, checked against perGeneration', () => {
+    const subject = newSubject();
+
+    const rejected = usage.reserve(subject, 'basic', 'images', 2);
+    assert.strictEqual(rejected.status, 402);
+    assert.strictEqual(rejected.code, 'plan_image_limit');
+
+    // Two people with one image each, or a batch of two items with one image each
+    assert.ok(usage.reserve(subject, 'basic', 'images', 2, 1).reservation);
+
+    // Videos have no per-generation cap
+    assert.ok(usage.reserve(subject, 'basic', 'videos', 2).reservation);
+});
+
+test('release gives back part of a reservation, never more than was reserved', () => {
+    const subject = newSubject();
+    usage.reserve(subject, 'premium', 'images', 5);
+    usage.reserve(subject, 'premium', 'images', 5);
+    const { reservation } = usage.reserve(subject, 'premium', 'images', 4);
+
+    usage.release(reservation, 1);
+    assert.strictEqual(usage.getUsage(subject, 'premium').images, 13);
+
+    // Only the reservation's own count can be given back
+    usage.release(reservation, 50);
+    assert.strictEqual(usage.getUsage(subject, 'premium').images, 9);
+
+    usage.release(reservation, 0);
+    usage.release(null, 3);
+    assert.strictEqual(usage.getUsage(subject, 'premium').images, 9);
+});
+
+test('usage is saved to the usage file', () => {
+    const subject = newSubject();
+    usage.reserve(subject, 'basic', 'videos', 1);
+
+    const saved = JSON.parse(fs.readFileSync(process.env.USAGE_FILE, 'utf8'));
+    const period = new Date().toISOString().slice(0, 7);
+    assert.deepStrictEqual(saved[subject][period], { images: 0, videos: 1 });
+});
+
+test('guests are metered by IP address and accounts by user ID', () => {
+    assert.strictEqual(usage.subjectFor({ user: { id: 'u1' }, ip: '203.0.113.9' }), 'user:u1');
+    assert.strictEqual(usage.subjectFor({ user: null, ip: '203.0.113.9' }), 'ip:203.0.113.9');
+    assert.strictEqual(usage.planFor({ user: { id: 'u1', plan: 'premium' } }), 'premium');
+    assert.strictEqual(usage.planFor({ user: null }), 'guest');
+});
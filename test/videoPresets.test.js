@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const presets = require('../lib/videoPresets');
+
+test('a preset supplies the motion prompt, the 360 turn by default', () => {
+    assert.deepStrictEqual(presets.resolveVideoSettings({}), {
+        preset: 'turn-360',
+        prompt: presets.getVideoPreset('turn-360').prompt,
+        duration: null,
+        aspectRatio: null
+    });
+    assert.strictEqual(presets.resolveVideoSettings({ preset: 'runway-walk', duration: 6 }).preset, 'runway-walk');
+    assert.strictEqual(presets.listVideoPresets()[0].prompt, undefined);
+});
+
+test('a custom prompt replaces the preset', () => {
+    const settings = presets.resolveVideoSettings({ preset: 'runway-walk', prompt: '  Spin twice  ' });
+
+    assert.strictEqual(settings.preset, null);
+    assert.strictEqual(settings.prompt, 'Spin twice');
+});
+
+test('settings are checked against the presets and the video model options', () => {
+    assert.strictEqual(presets.validateVideoSettings({ preset: 'fabric-closeup', duration: 8, aspectRatio: '9:16' }), null);
+    assert.match(presets.validateVideoSettings({ preset: 'moonwalk' }), /^Video preset must be one of: turn-360, /);
+    assert.strictEqual(presets.validateVideoSettings({ prompt: ' ' }), 'Video prompt must be a non-empty string of at most 1000 characters');
+    assert.strictEqual(presets.validateVideoSettings({ duration: 5 }), 'Video duration must be one of: 4, 6, 8 seconds');
+    assert.strictEqual(presets.validateVideoSettings({ aspectRatio: '4:3' }), 'Video aspect ratio must be one of: 16:9, 9:16, 1:1');
+});